@@ -1,8 +1,10 @@
 const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
 
+// Access tokens are short-lived; sessions are kept alive with refresh tokens
 const generateToken = (userId, additionalPayload = {}) => {
   return jwt.sign({ id: userId, ...additionalPayload }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRES_IN || '7d',
+    expiresIn: process.env.JWT_EXPIRES_IN || '15m',
   });
 };
 
@@ -14,5 +16,41 @@ const verifyToken = (token) => {
   }
 };
 
-module.exports = { generateToken, verifyToken };
+// Short-lived token proving the password step of a login succeeded (not an access token),
+// used for the two-factor and forced password change steps
+const generateTwoFactorToken = (userId, purpose) => {
+  return jwt.sign({ id: userId, purpose }, process.env.JWT_SECRET, {
+    expiresIn: '10m',
+  });
+};
+
+const getInviteExpiryHours = () => parseInt(process.env.INVITE_EXPIRES_IN_HOURS) || 72;
+
+// Invitation links are signed and expire; single use is enforced by the stored hash
+const generateInviteToken = (userId) => {
+  const nonce = crypto.randomBytes(16).toString('hex');
+  return jwt.sign({ id: userId, purpose: 'invite', nonce }, process.env.JWT_SECRET, {
+    expiresIn: `${getInviteExpiryHours()}h`,
+  });
+};
 
+// Refresh tokens are opaque random strings, stored server-side as a hash
+const generateRefreshToken = () => crypto.randomBytes(48).toString('hex');
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const getRefreshTokenExpiry = () => {
+  const days = parseInt(process.env.REFRESH_TOKEN_EXPIRES_IN_DAYS) || 30;
+  return new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+};
+
+module.exports = {
+  generateToken,
+  verifyToken,
+  generateTwoFactorToken,
+  generateInviteToken,
+  getInviteExpiryHours,
+  generateRefreshToken,
+  hashToken,
+  getRefreshTokenExpiry,
+};
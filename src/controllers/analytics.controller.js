@@ -1,8 +1,36 @@
 const Project = require('../models/Project');
 const Report = require('../models/Report');
 const User = require('../models/User');
+const RepairTicket = require('../models/RepairTicket');
 const { successResponse, errorResponse } = require('../utils/helpers');
-const { PROJECT_STATUS, REPORT_STATUS, ROLES } = require('../utils/constants');
+const accessPolicy = require('../services/accessPolicy.service');
+const projectFilterService = require('../services/projectFilter.service');
+const projectGeoService = require('../services/projectGeo.service');
+const wellMonitoringService = require('../services/wellMonitoring.service');
+const {
+  PROJECT_STATUS,
+  PROJECT_MEMBER_ROLES,
+  REPORT_STATUS,
+  ROLES,
+  WELL_FUNCTIONALITY,
+} = require('../utils/constants');
+
+// Export formats with well locations
+const GEO_FORMATS = ['geojson', 'kml'];
+
+// Per-country well functionality counts added up for the totals
+const WELL_TOTAL_FIELDS = [
+  'total',
+  'working',
+  'partiallyWorking',
+  'broken',
+  'unknown',
+  'nonFunctional',
+  'overdueInspections',
+  'tickets',
+  'openTickets',
+  'repairCost',
+];
 
 // Get dashboard analytics
 exports.getDashboardAnalytics = async (req, res) => {
@@ -11,50 +39,17 @@ exports.getDashboardAnalytics = async (req, res) => {
     const userRole = user.role;
     const userId = user._id;
 
-    // Build project filter based on user role
-    let projectFilter = {};
-    let reportFilter = {};
+    // Scope projects and reports to what the user may see (super admins may pick an organization)
+    const tenant = req.query.organization;
+    const projectFilter = await accessPolicy.getFilter(user, 'project', { tenant });
+    const reportFilter = await accessPolicy.getFilter(user, 'report', { tenant });
 
-    // For Super Admin, Admin, and Viewer, exclude archived projects by default
-    // For Project Managers and Contractors, show all their projects (archived and non-archived)
-    if (userRole === ROLES.SUPER_ADMIN || userRole === ROLES.ADMIN || userRole === ROLES.VIEWER) {
+    // Admins and viewers only count non-archived projects;
+    // team members see all their projects (archived and non-archived)
+    if (accessPolicy.getScope(user) === 'all') {
       projectFilter.isArchived = false;
     }
 
-    // Filter projects based on role
-    if (userRole === ROLES.PROJECT_MANAGER) {
-      // Project Manager: Only projects where they are the project manager (including archived)
-      projectFilter.projectManager = userId;
-      // Reports for their projects
-      const userProjects = await Project.find({ projectManager: userId }).select('_id');
-      const projectIds = userProjects.map(p => p._id);
-      if (projectIds.length > 0) {
-        reportFilter.project = { $in: projectIds };
-      } else {
-        reportFilter.project = null; // No projects, return empty
-      }
-    } else if (userRole === ROLES.CONTRACTOR) {
-      // Contractor: Only projects where they are the contractor (including archived)
-      projectFilter.contractor = userId;
-      // Reports they submitted or for their projects
-      const userProjects = await Project.find({ contractor: userId }).select('_id');
-      const projectIds = userProjects.map(p => p._id);
-      if (projectIds.length > 0) {
-        reportFilter.$or = [
-          { submittedBy: userId },
-          { project: { $in: projectIds } }
-        ];
-      } else {
-        reportFilter.submittedBy = userId; // Only their own reports
-      }
-    } else if (userRole === ROLES.VIEWER) {
-      // Viewer: Can see all projects and reports (read-only, non-archived only)
-      // isArchived: false already set above
-    } else {
-      // Super Admin and Admin: Show all data (non-archived only)
-      // isArchived: false already set above
-    }
-
     // Projects statistics
     const totalProjects = await Project.countDocuments(projectFilter);
     const completedProjects = await Project.countDocuments({
@@ -146,15 +141,19 @@ exports.getDashboardAnalytics = async (req, res) => {
     let activeContractors = 0;
     if (userRole === ROLES.SUPER_ADMIN || userRole === ROLES.ADMIN) {
       activeContractors = await User.countDocuments({
+        ...(await accessPolicy.getFilter(user, 'user', { tenant })),
         role: ROLES.CONTRACTOR,
         isActive: true,
       });
     } else if (userRole === ROLES.PROJECT_MANAGER) {
-      // Count unique contractors in their projects
-      const contractors = await Project.distinct('contractor', {
-        ...projectFilter,
-        contractor: { $exists: true, $ne: null }
-      });
+      // Count unique contractors on their project teams
+      const teams = await Project.find(projectFilter).select('members');
+      const contractorRoles = [PROJECT_MEMBER_ROLES.LEAD_CONTRACTOR, PROJECT_MEMBER_ROLES.SUBCONTRACTOR];
+      const contractors = [
+        ...new Set(
+          teams.flatMap((p) => p.members.filter((m) => contractorRoles.includes(m.role)).map((m) => m.user.toString()))
+        ),
+      ];
       activeContractors = await User.countDocuments({
         _id: { $in: contractors },
         isActive: true,
@@ -201,20 +200,150 @@ exports.getDashboardAnalytics = async (req, res) => {
   }
 };
 
+// Get functionality of handed-over wells by country, with the wells that are not working
+exports.getWellFunctionality = async (req, res) => {
+  try {
+    const { organization, country } = req.query;
+    const now = new Date();
+
+    // Handed-over wells the user may see (archived wells are still monitored)
+    const projectFilter = await accessPolicy.getFilter(req.user, 'project', { tenant: organization });
+    const wellFilter = {
+      ...projectFilter,
+      $and: [...(projectFilter.$and || []), wellMonitoringService.monitoredFilter()],
+    };
+    if (country) wellFilter.country = country;
+
+    const countFunctionality = (functionality) => ({
+      $sum: { $cond: [{ $eq: ['$monitoring.functionality', functionality] }, 1, 0] },
+    });
+
+    const wells = await Project.aggregate([
+      { $match: wellFilter },
+      {
+        $group: {
+          _id: '$country',
+          total: { $sum: 1 },
+          working: countFunctionality(WELL_FUNCTIONALITY.WORKING),
+          partiallyWorking: countFunctionality(WELL_FUNCTIONALITY.PARTIALLY_WORKING),
+          broken: countFunctionality(WELL_FUNCTIONALITY.BROKEN),
+          overdueInspections: {
+            $sum: {
+              $cond: [
+                {
+                  $and: [
+                    { $eq: [{ $type: '$monitoring.nextInspectionDue' }, 'date'] },
+                    { $lt: ['$monitoring.nextInspectionDue', now] },
+                  ],
+                },
+                1,
+                0,
+              ],
+            },
+          },
+        },
+      },
+      { $sort: { total: -1 } },
+    ]);
+
+    // Repair tickets and costs of the same wells
+    const wellIds = await Project.find(wellFilter).distinct('_id');
+    const repairs = await RepairTicket.aggregate([
+      { $match: { project: { $in: wellIds } } },
+      { $lookup: { from: 'projects', localField: 'project', foreignField: '_id', as: 'well' } },
+      { $unwind: '$well' },
+      {
+        $group: {
+          _id: '$well.country',
+          tickets: { $sum: 1 },
+          openTickets: {
+            $sum: { $cond: [{ $in: ['$status', wellMonitoringService.getOpenTicketStatuses()] }, 1, 0] },
+          },
+          repairCost: { $sum: '$totalCost' },
+        },
+      },
+    ]);
+    const repairsByCountry = new Map(repairs.map((r) => [r._id, r]));
+
+    const byCountry = wells.map(({ _id, ...counts }) => {
+      const nonFunctional = counts.partiallyWorking + counts.broken;
+      const repair = repairsByCountry.get(_id);
+      return {
+        country: _id,
+        ...counts,
+        // Wells completed before monitoring was introduced have no status yet
+        unknown: counts.total - counts.working - nonFunctional,
+        nonFunctional,
+        functionalityRate: counts.total > 0 ? Math.round((counts.working / counts.total) * 1000) / 10 : 0,
+        tickets: repair?.tickets || 0,
+        openTickets: repair?.openTickets || 0,
+        repairCost: repair?.repairCost || 0,
+      };
+    });
+
+    const totals = Object.fromEntries(
+      WELL_TOTAL_FIELDS.map((key) => [key, byCountry.reduce((sum, row) => sum + row[key], 0)])
+    );
+    totals.functionalityRate = totals.total > 0 ? Math.round((totals.working / totals.total) * 1000) / 10 : 0;
+
+    // Wells not fully working, longest first, with their open tickets
+    const nonFunctionalWells = await Project.find({
+      ...wellFilter,
+      'monitoring.functionality': { $in: [WELL_FUNCTIONALITY.PARTIALLY_WORKING, WELL_FUNCTIONALITY.BROKEN] },
+    })
+      .select('projectNumber projectName country region city location.latitude location.longitude wellDetails.pumpType monitoring')
+      .sort({ 'monitoring.functionalityUpdatedAt': 1 })
+      .limit(200)
+      .lean();
+
+    const openTickets = await RepairTicket.aggregate([
+      {
+        $match: {
+          project: { $in: nonFunctionalWells.map((w) => w._id) },
+          status: { $in: wellMonitoringService.getOpenTicketStatuses() },
+        },
+      },
+      { $group: { _id: '$project', count: { $sum: 1 } } },
+    ]);
+    const openTicketsByWell = new Map(openTickets.map((t) => [t._id.toString(), t.count]));
+
+    nonFunctionalWells.forEach((well) => {
+      const since = well.monitoring.functionalityUpdatedAt;
+      well.daysNonFunctional = since ? Math.floor((now - since) / (24 * 60 * 60 * 1000)) : null;
+      well.openTickets = openTicketsByWell.get(well._id.toString()) || 0;
+    });
+
+    return successResponse(res, 200, 'Well functionality retrieved successfully', {
+      totals,
+      byCountry,
+      nonFunctionalWells,
+    });
+  } catch (error) {
+    return errorResponse(res, 500, 'Server error', error.message);
+  }
+};
+
 // Export data (CSV/Excel)
 exports.exportData = async (req, res) => {
   try {
-    const { type = 'projects', format = 'csv' } = req.query;
+    const { type = 'projects', format = 'csv', organization } = req.query;
+
+    // Map formats only apply to wells
+    if (GEO_FORMATS.includes(format) && type !== 'projects') {
+      return errorResponse(res, 400, `${format} export is only available for projects`);
+    }
 
     let data = [];
 
     if (type === 'projects') {
-      data = await Project.find({ isArchived: false })
+      // Same filters and role scoping as the project list
+      const projectFilter = await projectFilterService.build(req.user, req.query);
+      data = await Project.find(projectFilter)
         .populate('contractor', 'fullName email')
         .populate('projectManager', 'fullName email')
         .lean();
     } else if (type === 'reports') {
-      data = await Report.find()
+      data = await Report.find(await accessPolicy.getFilter(req.user, 'report', { tenant: organization }))
         .populate('project', 'projectNumber projectName')
         .populate('submittedBy', 'fullName email')
         .lean();
@@ -286,6 +415,14 @@ exports.exportData = async (req, res) => {
 
       await workbook.xlsx.write(res);
       res.end();
+    } else if (format === 'geojson') {
+      res.setHeader('Content-Type', 'application/geo+json');
+      res.setHeader('Content-Disposition', 'attachment; filename=wells-export.geojson');
+      return res.send(JSON.stringify(projectGeoService.toExportGeoJSON(data)));
+    } else if (format === 'kml') {
+      res.setHeader('Content-Type', 'application/vnd.google-earth.kml+xml');
+      res.setHeader('Content-Disposition', 'attachment; filename=wells-export.kml');
+      return res.send(projectGeoService.toKml(data));
     } else {
       return successResponse(res, 200, 'Data retrieved successfully', data);
     }
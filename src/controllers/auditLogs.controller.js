@@ -0,0 +1,251 @@
+const mongoose = require('mongoose');
+const AuditLog = require('../models/AuditLog');
+const { successResponse, errorResponse, paginate } = require('../utils/helpers');
+const accessPolicy = require('../services/accessPolicy.service');
+
+// Maximum number of rows written to a single export file
+const EXPORT_LIMIT = 10000;
+
+// Helper: Upper bound of a date filter; a date without a time covers that whole day (UTC)
+const endDateFilter = (endDate) => {
+  if (/^\d{4}-\d{2}-\d{2}$/.test(endDate)) {
+    const nextDay = new Date(endDate);
+    nextDay.setUTCDate(nextDay.getUTCDate() + 1);
+    return { $lt: nextDay };
+  }
+  return { $lte: new Date(endDate) };
+};
+
+// Helper: Build audit log query from request filters (limited to the viewer's organization)
+const buildAuditLogQuery = (filters, viewer) => {
+  const { user, action, entityType, entityId, field, startDate, endDate, success, organization } = filters;
+
+  if (organization && organization !== '' && !mongoose.Types.ObjectId.isValid(organization)) {
+    throw new Error('Invalid organization ID');
+  }
+  const query = { ...accessPolicy.getTenantFilter(viewer, organization || null) };
+
+  if (user && user !== '') {
+    if (!mongoose.Types.ObjectId.isValid(user)) {
+      throw new Error('Invalid user ID');
+    }
+    query.user = user;
+  }
+
+  if (action && action !== '') query.action = action;
+  if (entityType && entityType !== '') query.entityType = entityType;
+
+  if (entityId && entityId !== '') {
+    if (!mongoose.Types.ObjectId.isValid(entityId)) {
+      throw new Error('Invalid entity ID');
+    }
+    query.entityId = entityId;
+  }
+
+  // Only entries whose recorded diff touches the given field (e.g. "budget.amount")
+  if (field && field !== '') query['changes.diff.field'] = field;
+
+  if (startDate || endDate) {
+    query.createdAt = {
+      ...(startDate && { $gte: new Date(startDate) }),
+      ...(endDate && endDateFilter(endDate)),
+    };
+  }
+
+  if (success !== undefined && success !== '') {
+    query.success = success === 'true';
+  }
+
+  return query;
+};
+
+// Helper: Render the recorded changes of an entry as a single spreadsheet cell
+const formatChanges = (changes) => {
+  if (!changes) return '';
+  if (Array.isArray(changes.diff)) {
+    return changes.diff
+      .map((d) => `${d.field}: ${JSON.stringify(d.before)} -> ${JSON.stringify(d.after)}`)
+      .join('; ');
+  }
+  return JSON.stringify(changes);
+};
+
+// Get audit logs with pagination and filters
+exports.getAuditLogs = async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const { skip, limit: pageLimit } = paginate(page, limit);
+
+    let query;
+    try {
+      query = buildAuditLogQuery(req.query, req.user);
+    } catch (filterError) {
+      return errorResponse(res, 400, filterError.message);
+    }
+
+    const logs = await AuditLog.find(query)
+      .populate('user', 'fullName email role')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(pageLimit);
+
+    const total = await AuditLog.countDocuments(query);
+
+    return successResponse(res, 200, 'Audit logs retrieved successfully', {
+      logs,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        totalPages: Math.ceil(total / pageLimit),
+      },
+    });
+  } catch (error) {
+    return errorResponse(res, 500, 'Server error', error.message);
+  }
+};
+
+// Get single audit log entry
+exports.getAuditLog = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return errorResponse(res, 400, 'Invalid audit log ID');
+    }
+
+    const log = await accessPolicy
+      .findInTenant(AuditLog, req.user, req.params.id)
+      .populate('user', 'fullName email role');
+    if (!log) {
+      return errorResponse(res, 404, 'Audit log not found');
+    }
+
+    return successResponse(res, 200, 'Audit log retrieved successfully', log);
+  } catch (error) {
+    return errorResponse(res, 500, 'Server error', error.message);
+  }
+};
+
+// Get full history of a single entity (e.g. all entries for one project)
+exports.getEntityHistory = async (req, res) => {
+  try {
+    const { entityType, entityId } = req.params;
+    const { page = 1, limit = 50 } = req.query;
+    const { skip, limit: pageLimit } = paginate(page, limit);
+
+    if (!mongoose.Types.ObjectId.isValid(entityId)) {
+      return errorResponse(res, 400, 'Invalid entity ID');
+    }
+
+    const query = { ...accessPolicy.getTenantFilter(req.user), entityType, entityId };
+
+    const logs = await AuditLog.find(query)
+      .populate('user', 'fullName email role')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(pageLimit);
+
+    const total = await AuditLog.countDocuments(query);
+
+    return successResponse(res, 200, 'Entity history retrieved successfully', {
+      entityType,
+      entityId,
+      logs,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        totalPages: Math.ceil(total / pageLimit),
+      },
+    });
+  } catch (error) {
+    return errorResponse(res, 500, 'Server error', error.message);
+  }
+};
+
+// Get distinct actions and entity types (for filter dropdowns)
+exports.getAuditLogFilters = async (req, res) => {
+  try {
+    const actions = await AuditLog.distinct('action');
+    const entityTypes = await AuditLog.distinct('entityType');
+
+    return successResponse(res, 200, 'Audit log filters retrieved successfully', {
+      actions: actions.sort(),
+      entityTypes: entityTypes.sort(),
+    });
+  } catch (error) {
+    return errorResponse(res, 500, 'Server error', error.message);
+  }
+};
+
+// Export audit logs (Excel/CSV)
+exports.exportAuditLogs = async (req, res) => {
+  try {
+    const { format = 'xlsx' } = req.query;
+
+    let query;
+    try {
+      query = buildAuditLogQuery(req.query, req.user);
+    } catch (filterError) {
+      return errorResponse(res, 400, filterError.message);
+    }
+
+    const logs = await AuditLog.find(query)
+      .populate('user', 'fullName email role')
+      .sort({ createdAt: -1 })
+      .limit(EXPORT_LIMIT)
+      .lean();
+
+    const ExcelJS = require('exceljs');
+    const workbook = new ExcelJS.Workbook();
+    const worksheet = workbook.addWorksheet('audit-logs');
+
+    worksheet.columns = [
+      { header: 'Date', key: 'createdAt', width: 22 },
+      { header: 'User', key: 'user', width: 25 },
+      { header: 'Email', key: 'email', width: 30 },
+      { header: 'Role', key: 'role', width: 15 },
+      { header: 'Action', key: 'action', width: 25 },
+      { header: 'Entity Type', key: 'entityType', width: 15 },
+      { header: 'Entity ID', key: 'entityId', width: 26 },
+      { header: 'Success', key: 'success', width: 10 },
+      { header: 'Error Message', key: 'errorMessage', width: 30 },
+      { header: 'IP Address', key: 'ipAddress', width: 18 },
+      { header: 'User Agent', key: 'userAgent', width: 40 },
+      { header: 'Changes', key: 'changes', width: 60 },
+    ];
+
+    logs.forEach((log) => {
+      worksheet.addRow({
+        createdAt: log.createdAt ? new Date(log.createdAt).toISOString() : '',
+        user: log.user?.fullName || 'N/A',
+        email: log.user?.email || '',
+        role: log.user?.role || '',
+        action: log.action,
+        entityType: log.entityType,
+        entityId: log.entityId ? log.entityId.toString() : '',
+        success: log.success ? 'Yes' : 'No',
+        errorMessage: log.errorMessage || '',
+        ipAddress: log.ipAddress || '',
+        userAgent: log.userAgent || '',
+        changes: formatChanges(log.changes),
+      });
+    });
+
+    if (format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', 'attachment; filename=audit-logs-export.csv');
+      await workbook.csv.write(res);
+    } else {
+      res.setHeader(
+        'Content-Type',
+        'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+      );
+      res.setHeader('Content-Disposition', 'attachment; filename=audit-logs-export.xlsx');
+      await workbook.xlsx.write(res);
+    }
+
+    res.end();
+  } catch (error) {
+    return errorResponse(res, 500, 'Server error', error.message);
+  }
+};
@@ -1,11 +1,129 @@
 const User = require('../models/User');
-const Project = require('../models/Project');
-const { generateToken } = require('../config/jwt');
 const { successResponse, errorResponse, sanitizeUser } = require('../utils/helpers');
-const { ROLES } = require('../utils/constants');
 const emailService = require('../services/email.service');
+const sessionService = require('../services/session.service');
+const settingsService = require('../services/settings.service');
+const otpService = require('../services/otp.service');
+const messagingService = require('../services/messaging.service');
+const clientService = require('../services/client.service');
+const passwordPolicyService = require('../services/passwordPolicy.service');
+const invitationService = require('../services/invitation.service');
+const organizationService = require('../services/organization.service');
+const { recordAuditEvent } = require('../middlewares/auditLog');
+const { generateTwoFactorToken, verifyToken, hashToken } = require('../config/jwt');
+const { generateSecret, verifyTOTP, buildOtpAuthUri } = require('../utils/totp');
 const crypto = require('crypto');
 
+const TWO_FACTOR_SECRET_FIELDS =
+  '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep';
+const RECOVERY_CODE_COUNT = 10;
+
+// Helper: Record a failed login attempt in the audit trail
+const recordLoginFailure = (req, user, email, reason) => {
+  recordAuditEvent(req, {
+    user: user?._id,
+    tenant: user?.tenant || null,
+    action: 'login_failed',
+    entityType: 'auth',
+    entityId: user?._id,
+    changes: { email },
+    success: false,
+    errorMessage: reason,
+  });
+};
+
+// Helper: Finish a login - update last login and start a session
+const completeLogin = async (req, res, user, extra = {}) => {
+  user.lastLogin = new Date();
+  user.resetFailedLogins();
+  await user.save();
+
+  const { token, refreshToken } = await sessionService.createSession({ user: user._id }, req);
+
+  return successResponse(res, 200, 'Login successful', {
+    user: sanitizeUser(user),
+    token,
+    refreshToken,
+    ...extra,
+  });
+};
+
+// Helper: Reject a login for a locked account
+const lockedResponse = (res, user) => {
+  return errorResponse(res, 423, 'Account is temporarily locked due to repeated failed login attempts', {
+    lockUntil: user.lockUntil,
+  });
+};
+
+// Helper: Whether the user's role must use two-factor authentication
+const isTwoFactorRequired = async (user) => {
+  const requiredRoles = await settingsService.get('two_factor_required_roles', [], user.tenant);
+  return Array.isArray(requiredRoles) && requiredRoles.includes(user.role);
+};
+
+// Helper: Generate recovery codes (plain codes are shown once, hashes are stored)
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+};
+
+const hashRecoveryCode = (code) => hashToken(String(code).toLowerCase().replace(/[^a-f0-9]/g, ''));
+
+// Helper: Check a TOTP code against the user's secret, rejecting replays
+const checkTotpCode = (user, secret, code) => {
+  const step = verifyTOTP(secret, code, { lastUsedStep: user.twoFactor.lastUsedStep });
+  if (step === null) return false;
+  user.twoFactor.lastUsedStep = step;
+  return true;
+};
+
+// Helper: Resolve the user for enrollment - logged in, or mid-login via a setup token
+const resolveTwoFactorUser = async (req) => {
+  if (req.user) {
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_SECRET_FIELDS);
+    return { user, viaToken: false };
+  }
+
+  const decoded = req.body.twoFactorToken ? verifyToken(req.body.twoFactorToken) : null;
+  if (!decoded || decoded.purpose !== '2fa_setup') {
+    return { user: null, viaToken: false };
+  }
+
+  const user = await User.findById(decoded.id).select(TWO_FACTOR_SECRET_FIELDS);
+  return { user: user && user.isActive ? user : null, viaToken: true };
+};
+
+// Helper: Why the user must change their password before logging in, if at all
+const getPasswordChangeReason = async (user) => {
+  if (user.mustChangePassword) return 'temporary_password';
+  const policy = await passwordPolicyService.getPolicy();
+  return passwordPolicyService.isExpired(user, policy) ? 'password_expired' : null;
+};
+
+// Helper: Second-factor steps after the password has been accepted, then finish the login
+const continueLogin = async (req, res, user) => {
+  // Second factor required - hand out a short-lived token for the verification step
+  if (user.twoFactor?.enabled) {
+    return successResponse(res, 200, 'Two-factor authentication required', {
+      twoFactorRequired: true,
+      twoFactorToken: generateTwoFactorToken(user._id, '2fa_verify'),
+    });
+  }
+
+  // Role enforces 2FA but the user has not enrolled yet
+  if (await isTwoFactorRequired(user)) {
+    return successResponse(res, 200, 'Two-factor authentication setup required', {
+      twoFactorSetupRequired: true,
+      twoFactorToken: generateTwoFactorToken(user._id, '2fa_setup'),
+    });
+  }
+
+  return await completeLogin(req, res, user);
+};
+
 // Login
 exports.login = async (req, res) => {
   try {
@@ -13,33 +131,99 @@ exports.login = async (req, res) => {
 
     // Find user with password
     const user = await User.findOne({ email }).select('+password');
-    if (!user) {
+    if (!user || user.isDeleted()) {
+      recordLoginFailure(req, null, email, 'Unknown email');
       return errorResponse(res, 401, 'Invalid email or password');
     }
 
     // Check if account is active
     if (!user.isActive) {
+      recordLoginFailure(req, user, email, 'Account is deactivated');
       return errorResponse(res, 403, 'Account is deactivated');
     }
 
+    // Members of a deactivated organization cannot sign in
+    if (!(await organizationService.isActive(user.tenant))) {
+      recordLoginFailure(req, user, email, 'Organization is deactivated');
+      return errorResponse(res, 403, 'Organization is deactivated');
+    }
+
+    // Check if account is locked after repeated failures
+    if (user.isLocked()) {
+      recordLoginFailure(req, user, email, 'Account is locked');
+      return lockedResponse(res, user);
+    }
+
     // Verify password
     const isPasswordValid = await user.comparePassword(password);
     if (!isPasswordValid) {
-      return errorResponse(res, 401, 'Invalid email or password');
+      const locked = await user.registerFailedLogin();
+      recordLoginFailure(req, user, email, locked ? 'Invalid password - account locked' : 'Invalid password');
+      return locked ? lockedResponse(res, user) : errorResponse(res, 401, 'Invalid email or password');
     }
 
-    // Update last login
-    user.lastLogin = new Date();
+    // Temporary or expired passwords must be replaced before the login can continue
+    const passwordChangeReason = await getPasswordChangeReason(user);
+    if (passwordChangeReason) {
+      return successResponse(res, 200, 'Password change required', {
+        passwordChangeRequired: true,
+        reason: passwordChangeReason,
+        passwordChangeToken: generateTwoFactorToken(user._id, 'password_change'),
+      });
+    }
+
+    return await continueLogin(req, res, user);
+  } catch (error) {
+    return errorResponse(res, 500, 'Server error', error.message);
+  }
+};
+
+// Login with a temporary or expired password: set a new one, then continue the login
+exports.changeExpiredPassword = async (req, res) => {
+  try {
+    const { passwordChangeToken, newPassword } = req.body;
+
+    const decoded = verifyToken(passwordChangeToken);
+    if (!decoded || decoded.purpose !== 'password_change') {
+      return errorResponse(res, 401, 'Invalid or expired password change token');
+    }
+
+    const user = await User.findById(decoded.id);
+    if (!user || !user.isActive) {
+      return errorResponse(res, 401, 'Invalid or expired password change token');
+    }
+
+    if (user.isLocked()) {
+      return lockedResponse(res, user);
+    }
+
+    // The token is only good while the change is still pending
+    if (!(await getPasswordChangeReason(user))) {
+      return errorResponse(res, 400, 'Password change is not required');
+    }
+
+    const policyErrors = await passwordPolicyService.validate(newPassword, user._id);
+    if (policyErrors.length > 0) {
+      return errorResponse(res, 400, 'Password does not meet the password policy', policyErrors);
+    }
+
+    user.password = newPassword;
+    user.mustChangePassword = false;
     await user.save();
 
-    // Generate token
-    const token = generateToken(user._id);
+    await sessionService.revokeAllSessions(user._id, 'password_changed');
 
-    // Return user data and token
-    return successResponse(res, 200, 'Login successful', {
-      user: sanitizeUser(user),
-      token,
-    });
+    return await continueLogin(req, res, user);
+  } catch (error) {
+    return errorResponse(res, 500, 'Server error', error.message);
+  }
+};
+
+// Get the password policy (public, so the rules can be shown on password forms)
+exports.getPasswordPolicy = async (req, res) => {
+  try {
+    const policy = await passwordPolicyService.getPolicy();
+    return successResponse(res, 200, 'Password policy retrieved successfully', policy);
   } catch (error) {
     return errorResponse(res, 500, 'Server error', error.message);
   }
@@ -48,7 +232,10 @@ exports.login = async (req, res) => {
 // Get current user profile
 exports.getProfile = async (req, res) => {
   try {
-    return successResponse(res, 200, 'Profile retrieved', sanitizeUser(req.user));
+    return successResponse(res, 200, 'Profile retrieved', {
+      ...sanitizeUser(req.user),
+      permissions: await req.user.getPermissions(),
+    });
   } catch (error) {
     return errorResponse(res, 500, 'Server error', error.message);
   }
@@ -85,10 +272,19 @@ exports.changePassword = async (req, res) => {
       return errorResponse(res, 401, 'Current password is incorrect');
     }
 
+    const policyErrors = await passwordPolicyService.validate(newPassword, user._id);
+    if (policyErrors.length > 0) {
+      return errorResponse(res, 400, 'Password does not meet the password policy', policyErrors);
+    }
+
     // Update password
     user.password = newPassword;
+    user.mustChangePassword = false;
     await user.save();
 
+    // Sign out every other device
+    await sessionService.revokeAllSessions(user._id, 'password_changed', req.authSession?._id);
+
     return successResponse(res, 200, 'Password changed successfully');
   } catch (error) {
     return errorResponse(res, 500, 'Server error', error.message);
@@ -101,7 +297,8 @@ exports.forgotPassword = async (req, res) => {
     const { email } = req.body;
 
     const user = await User.findOne({ email }).select('+passwordResetToken +passwordResetExpires');
-    if (!user) {
+    // Invited users set their first password through the invitation link
+    if (!user || user.isDeleted() || user.isInvitationOpen()) {
       // Don't reveal if user exists
       return successResponse(res, 200, 'If email exists, password reset link has been sent');
     }
@@ -133,78 +330,434 @@ exports.resetPassword = async (req, res) => {
     const user = await User.findOne({
       passwordResetToken: hashedToken,
       passwordResetExpires: { $gt: Date.now() },
+      deletedAt: null,
     }).select('+passwordResetToken +passwordResetExpires');
 
     if (!user) {
       return errorResponse(res, 400, 'Invalid or expired reset token');
     }
 
+    const policyErrors = await passwordPolicyService.validate(newPassword, user._id);
+    if (policyErrors.length > 0) {
+      return errorResponse(res, 400, 'Password does not meet the password policy', policyErrors);
+    }
+
     // Update password
     user.password = newPassword;
+    user.mustChangePassword = false;
     user.passwordResetToken = undefined;
     user.passwordResetExpires = undefined;
     await user.save();
 
+    // Sign out every device
+    await sessionService.revokeAllSessions(user._id, 'password_reset');
+
     return successResponse(res, 200, 'Password reset successful');
   } catch (error) {
     return errorResponse(res, 500, 'Server error', error.message);
   }
 };
 
-// Client login (by phone number, no password required)
+// Look up an invitation (to show who it is for before the password is set)
+exports.getInvitation = async (req, res) => {
+  try {
+    const user = await invitationService.findByToken(req.query.token);
+    if (!user) {
+      return errorResponse(res, 400, 'Invalid or expired invitation');
+    }
+
+    return successResponse(res, 200, 'Invitation retrieved successfully', {
+      fullName: user.fullName,
+      email: user.email,
+      role: user.role,
+      expiresAt: user.invitation.expiresAt,
+    });
+  } catch (error) {
+    return errorResponse(res, 500, 'Server error', error.message);
+  }
+};
+
+// Accept an invitation by choosing a password
+exports.acceptInvite = async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    const user = await invitationService.findByToken(token);
+    if (!user) {
+      return errorResponse(res, 400, 'Invalid or expired invitation');
+    }
+
+    const policyErrors = await passwordPolicyService.validate(password);
+    if (policyErrors.length > 0) {
+      return errorResponse(res, 400, 'Password does not meet the password policy', policyErrors);
+    }
+
+    await invitationService.accept(user, password);
+
+    recordAuditEvent(req, {
+      user: user._id,
+      action: 'accept_invite',
+      entityType: 'user',
+      entityId: user._id,
+    });
+
+    return successResponse(res, 200, 'Invitation accepted, you can now log in', sanitizeUser(user));
+  } catch (error) {
+    return errorResponse(res, 500, 'Server error', error.message);
+  }
+};
+
+// Client login step 1: send a one-time code to the client's phone (or email)
 exports.clientLogin = async (req, res) => {
   try {
-    const { phone } = req.body;
+    const { phone, channel = 'sms' } = req.body;
 
     if (!phone || !phone.trim()) {
       return errorResponse(res, 400, 'Phone number is required');
     }
 
-    // Normalize phone number (remove spaces, dashes, etc.)
-    const normalizedPhone = phone.trim().replace(/[\s\-\(\)]/g, '');
+    const normalizedPhone = clientService.normalizePhone(phone);
+
+    // Same response whether or not the number is known, so numbers cannot be enumerated
+    const genericMessage = 'If this phone number is registered, a verification code has been sent';
+
+    const client = await clientService.findByPhone(normalizedPhone);
+    if (!client || !client.isActive || !(await clientService.hasActiveProjects(client._id))) {
+      recordAuditEvent(req, {
+        user: client?._id,
+        action: 'client_login_failed',
+        entityType: 'auth',
+        changes: { phone: normalizedPhone },
+        success: false,
+        errorMessage: 'No active client account for this phone number',
+      });
+      return successResponse(res, 200, genericMessage, { channel });
+    }
 
-    // Escape special regex characters in the phone number
-    const escapedPhone = normalizedPhone.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const destination = channel === 'email' ? client.email : normalizedPhone;
+    if (!destination) {
+      return successResponse(res, 200, genericMessage, { channel });
+    }
 
-    // Find projects with this client phone number
-    // Use exact match or regex with escaped characters
-    const projects = await Project.find({
-      $or: [
-        { 'client.phone': normalizedPhone },
-        { 'client.phone': { $regex: escapedPhone, $options: 'i' } },
-      ],
-      isArchived: false,
-    }).select('_id projectNumber projectName client');
+    const { code, expiresAt } = await otpService.createCode(normalizedPhone, 'client_login', channel, req);
+    await messagingService.send(
+      channel,
+      destination,
+      `Your Wells Management verification code is ${code}. It expires in ${otpService.getExpiryMinutes()} minutes.`,
+      'Your verification code'
+    );
 
-    if (projects.length === 0) {
-      return errorResponse(res, 404, 'No projects found for this phone number');
+    return successResponse(res, 200, genericMessage, { channel, expiresAt });
+  } catch (error) {
+    return errorResponse(res, 500, 'Server error', error.message);
+  }
+};
+
+// Client login step 2: verify the one-time code and issue the client token
+exports.verifyClientLogin = async (req, res) => {
+  try {
+    const { phone, code } = req.body;
+    const normalizedPhone = clientService.normalizePhone(phone);
+
+    const result = await otpService.verifyCode(normalizedPhone, 'client_login', code);
+    if (!result.valid) {
+      recordAuditEvent(req, {
+        action: 'client_login_failed',
+        entityType: 'auth',
+        changes: { phone: normalizedPhone },
+        success: false,
+        errorMessage: result.reason,
+      });
+      return errorResponse(res, 401, result.reason);
     }
 
-    // Get client info from first project
-    const clientInfo = projects[0].client;
+    // Access may have been revoked while the code was pending
+    const client = await clientService.findByPhone(normalizedPhone);
+    if (!client || !client.isActive || !(await clientService.hasActiveProjects(client._id))) {
+      return errorResponse(res, 401, 'Client access revoked');
+    }
 
-    // Create a virtual client user object for token generation
-    // We'll use a special format: client_phone_number
-    const clientUserId = `client_${normalizedPhone}`;
+    client.lastLogin = new Date();
+    await client.save();
 
-    // Generate token with special client identifier
-    const token = generateToken(clientUserId, { isClient: true, phone: normalizedPhone });
+    const { token, refreshToken } = await sessionService.createSession({ user: client._id }, req);
 
-    // Return client data and token
     return successResponse(res, 200, 'Client login successful', {
-      user: {
-        _id: clientUserId,
-        fullName: clientInfo?.name || 'Client',
-        email: clientInfo?.email || '',
-        phone: normalizedPhone,
-        role: ROLES.CLIENT,
-        isClient: true,
-      },
+      user: { ...sanitizeUser(client), isClient: true },
       token,
-      projectsCount: projects.length,
+      refreshToken,
+    });
+  } catch (error) {
+    return errorResponse(res, 500, 'Server error', error.message);
+  }
+};
+
+// Refresh access token (rotates the refresh token)
+exports.refreshToken = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    const result = await sessionService.rotate(refreshToken, req);
+    if (!result) {
+      return errorResponse(res, 401, 'Invalid or expired refresh token');
+    }
+
+    if (result.reused) {
+      recordAuditEvent(req, {
+        user: result.session.user,
+        action: 'refresh_token_reuse',
+        entityType: 'auth',
+        entityId: result.session._id,
+        success: false,
+        errorMessage: 'Refresh token reused - session revoked',
+      });
+      return errorResponse(res, 401, 'Invalid or expired refresh token');
+    }
+
+    return successResponse(res, 200, 'Token refreshed successfully', {
+      token: result.token,
+      refreshToken: result.refreshToken,
+    });
+  } catch (error) {
+    return errorResponse(res, 500, 'Server error', error.message);
+  }
+};
+
+// Logout (revoke current session)
+exports.logout = async (req, res) => {
+  try {
+    await sessionService.revokeSession(req.authSession._id, 'logout');
+
+    return successResponse(res, 200, 'Logged out successfully');
+  } catch (error) {
+    return errorResponse(res, 500, 'Server error', error.message);
+  }
+};
+
+// Logout from all devices
+exports.logoutAll = async (req, res) => {
+  try {
+    await sessionService.revokeAllSessions(req.user._id, 'logout_all');
+
+    return successResponse(res, 200, 'Logged out from all devices successfully');
+  } catch (error) {
+    return errorResponse(res, 500, 'Server error', error.message);
+  }
+};
+
+// Get my active sessions
+exports.getSessions = async (req, res) => {
+  try {
+    const sessions = await sessionService.getActiveSessions({ user: req.user._id });
+
+    return successResponse(res, 200, 'Sessions retrieved successfully', {
+      sessions: sessions.map((session) => ({
+        _id: session._id,
+        ipAddress: session.ipAddress,
+        userAgent: session.userAgent,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        expiresAt: session.expiresAt,
+        current: session._id.toString() === req.authSession._id.toString(),
+      })),
     });
   } catch (error) {
     return errorResponse(res, 500, 'Server error', error.message);
   }
 };
 
+// Revoke one of my sessions
+exports.revokeSession = async (req, res) => {
+  try {
+    const session = await sessionService.revokeSession(req.params.sessionId, 'logout', {
+      user: req.user._id,
+    });
+
+    if (!session) {
+      return errorResponse(res, 404, 'Session not found');
+    }
+
+    return successResponse(res, 200, 'Session revoked successfully');
+  } catch (error) {
+    return errorResponse(res, 500, 'Server error', error.message);
+  }
+};
+
+// Verify second factor and complete login
+exports.verifyTwoFactor = async (req, res) => {
+  try {
+    const { twoFactorToken, code, recoveryCode } = req.body;
+
+    const decoded = verifyToken(twoFactorToken);
+    if (!decoded || decoded.purpose !== '2fa_verify') {
+      return errorResponse(res, 401, 'Invalid or expired two-factor token');
+    }
+
+    const user = await User.findById(decoded.id).select(TWO_FACTOR_SECRET_FIELDS);
+    if (!user || !user.isActive || !user.twoFactor?.enabled) {
+      return errorResponse(res, 401, 'Invalid or expired two-factor token');
+    }
+
+    if (user.isLocked()) {
+      recordLoginFailure(req, user, user.email, 'Account is locked');
+      return lockedResponse(res, user);
+    }
+
+    if (recoveryCode) {
+      // Recovery codes are single use
+      const codeHash = hashRecoveryCode(recoveryCode);
+      if (!user.twoFactor.recoveryCodes.includes(codeHash)) {
+        const locked = await user.registerFailedLogin();
+        recordLoginFailure(req, user, user.email, 'Invalid recovery code');
+        return locked ? lockedResponse(res, user) : errorResponse(res, 401, 'Invalid recovery code');
+      }
+      user.twoFactor.recoveryCodes = user.twoFactor.recoveryCodes.filter((h) => h !== codeHash);
+
+      return await completeLogin(req, res, user, {
+        remainingRecoveryCodes: user.twoFactor.recoveryCodes.length,
+      });
+    }
+
+    if (!checkTotpCode(user, user.twoFactor.secret, code)) {
+      const locked = await user.registerFailedLogin();
+      recordLoginFailure(req, user, user.email, 'Invalid two-factor code');
+      return locked ? lockedResponse(res, user) : errorResponse(res, 401, 'Invalid two-factor code');
+    }
+
+    return await completeLogin(req, res, user);
+  } catch (error) {
+    return errorResponse(res, 500, 'Server error', error.message);
+  }
+};
+
+// Start 2FA enrollment (returns provisioning URI for the QR code)
+exports.setupTwoFactor = async (req, res) => {
+  try {
+    const { user } = await resolveTwoFactorUser(req);
+    if (!user) {
+      return errorResponse(res, 401, 'Authentication required');
+    }
+
+    if (user.twoFactor?.enabled) {
+      return errorResponse(res, 400, 'Two-factor authentication is already enabled');
+    }
+
+    const secret = generateSecret();
+    user.twoFactor.pendingSecret = secret;
+    await user.save();
+
+    const issuer = process.env.TOTP_ISSUER || (await settingsService.get('app_name', 'Wells Management System'));
+
+    return successResponse(res, 200, 'Two-factor setup started', {
+      secret,
+      otpauthUrl: buildOtpAuthUri({ secret, accountName: user.email, issuer }),
+    });
+  } catch (error) {
+    return errorResponse(res, 500, 'Server error', error.message);
+  }
+};
+
+// Confirm 2FA enrollment with a code from the authenticator app
+exports.enableTwoFactor = async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    const { user, viaToken } = await resolveTwoFactorUser(req);
+    if (!user) {
+      return errorResponse(res, 401, 'Authentication required');
+    }
+
+    if (!user.twoFactor?.pendingSecret) {
+      return errorResponse(res, 400, 'Two-factor setup has not been started');
+    }
+
+    if (!checkTotpCode(user, user.twoFactor.pendingSecret, code)) {
+      return errorResponse(res, 400, 'Invalid two-factor code');
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    user.twoFactor.enabled = true;
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.recoveryCodes = hashes;
+    user.twoFactor.enabledAt = new Date();
+
+    recordAuditEvent(req, {
+      user: user._id,
+      action: 'enable_two_factor',
+      entityType: 'user',
+      entityId: user._id,
+    });
+
+    // Enrollment forced during login - finish the login now
+    if (viaToken) {
+      return await completeLogin(req, res, user, { recoveryCodes: codes });
+    }
+
+    await user.save();
+
+    return successResponse(res, 200, 'Two-factor authentication enabled', { recoveryCodes: codes });
+  } catch (error) {
+    return errorResponse(res, 500, 'Server error', error.message);
+  }
+};
+
+// Disable 2FA (requires password and a current code)
+exports.disableTwoFactor = async (req, res) => {
+  try {
+    const { password, code } = req.body;
+
+    const user = await User.findById(req.user._id).select(`+password ${TWO_FACTOR_SECRET_FIELDS}`);
+
+    if (!user.twoFactor?.enabled) {
+      return errorResponse(res, 400, 'Two-factor authentication is not enabled');
+    }
+
+    if (await isTwoFactorRequired(user)) {
+      return errorResponse(res, 400, 'Two-factor authentication is required for your role');
+    }
+
+    const isValid = await user.comparePassword(password);
+    if (!isValid || !checkTotpCode(user, user.twoFactor.secret, code)) {
+      return errorResponse(res, 401, 'Invalid password or two-factor code');
+    }
+
+    user.twoFactor = { enabled: false };
+    await user.save();
+
+    recordAuditEvent(req, {
+      action: 'disable_two_factor',
+      entityType: 'user',
+      entityId: user._id,
+    });
+
+    return successResponse(res, 200, 'Two-factor authentication disabled');
+  } catch (error) {
+    return errorResponse(res, 500, 'Server error', error.message);
+  }
+};
+
+// Regenerate recovery codes (invalidates the old ones)
+exports.regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_SECRET_FIELDS);
+
+    if (!user.twoFactor?.enabled) {
+      return errorResponse(res, 400, 'Two-factor authentication is not enabled');
+    }
+
+    if (!checkTotpCode(user, user.twoFactor.secret, code)) {
+      return errorResponse(res, 401, 'Invalid two-factor code');
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    user.twoFactor.recoveryCodes = hashes;
+    await user.save();
+
+    return successResponse(res, 200, 'Recovery codes regenerated', { recoveryCodes: codes });
+  } catch (error) {
+    return errorResponse(res, 500, 'Server error', error.message);
+  }
+};
@@ -0,0 +1,373 @@
+const User = require('../models/User');
+const ContractorProfile = require('../models/ContractorProfile');
+const contractorProfileService = require('../services/contractorProfile.service');
+const contractorScorecardService = require('../services/contractorScorecard.service');
+const cloudinaryService = require('../services/cloudinary.service');
+const permissionService = require('../services/permission.service');
+const accessPolicy = require('../services/accessPolicy.service');
+const { successResponse, errorResponse } = require('../utils/helpers');
+const { ROLES, COUNTRIES } = require('../utils/constants');
+
+// Editable fields of each profile section
+const SECTIONS = {
+  documents: {
+    label: 'Document',
+    fields: ['type', 'name', 'documentNumber', 'issuingBody', 'issuedAt', 'expiresAt'],
+    hasFile: true,
+  },
+  insurance: {
+    label: 'Insurance policy',
+    fields: ['provider', 'policyNumber', 'coverageType', 'coverageAmount', 'currency', 'startsAt', 'expiresAt'],
+    hasFile: true,
+  },
+  equipment: {
+    label: 'Equipment',
+    fields: ['type', 'name', 'manufacturer', 'model', 'serialNumber', 'year', 'maxDepth', 'condition', 'notes'],
+    hasFile: false,
+  },
+};
+
+// Helper: Load the contractor a request targets, enforcing who may read or edit the profile.
+// Contractors manage their own profile; others need view_projects to read and manage_projects to edit.
+const loadContractor = async (req, res, { write = false } = {}) => {
+  const contractor = await accessPolicy
+    .findInTenant(User, req.user, req.params.userId)
+    .where({ deletedAt: null })
+    .select('fullName email phone role tenant isActive');
+  if (!contractor || contractor.role !== ROLES.CONTRACTOR) {
+    errorResponse(res, 404, 'Contractor not found');
+    return null;
+  }
+
+  const isSelf = contractor._id.equals(req.user._id);
+  const permission = write ? 'manage_projects' : 'view_projects';
+  if (!isSelf && !(await permissionService.hasPermission(req.user.role, permission))) {
+    errorResponse(res, 403, 'Access denied');
+    return null;
+  }
+
+  return contractor;
+};
+
+// Helper: Upload an attached file for a profile entry
+const uploadEntryFile = async (file, contractorId, section) => {
+  const uploadResult = await cloudinaryService.uploadFile(
+    file.buffer,
+    file.originalname,
+    `users/${contractorId}/${section}`
+  );
+  return {
+    url: uploadResult.secure_url,
+    publicId: uploadResult.public_id,
+    fileType: file.mimetype,
+  };
+};
+
+// Helper: Remove a stored file, continuing if Cloudinary fails
+const deleteEntryFile = async (publicId) => {
+  if (!publicId) return;
+  try {
+    await cloudinaryService.deleteFile(publicId);
+  } catch (cloudinaryError) {
+    console.error('Cloudinary delete error:', cloudinaryError);
+  }
+};
+
+// Helper: Section fields present in the request body
+const pickFields = (section, body) =>
+  Object.fromEntries(SECTIONS[section].fields.filter((f) => body[f] !== undefined).map((f) => [f, body[f]]));
+
+// Helper: Profile with its compliance summary
+const profileResponse = async (profile, contractor) => ({
+  contractor,
+  profile,
+  compliance: await contractorProfileService.getCompliance(profile, contractor.tenant),
+});
+
+// Add an entry to a profile section (with an optional file)
+const addEntry = (section) => async (req, res) => {
+  try {
+    const contractor = await loadContractor(req, res, { write: true });
+    if (!contractor) return;
+
+    const profile = await contractorProfileService.getOrInit(contractor);
+    const entry = pickFields(section, req.body);
+    if (SECTIONS[section].hasFile && req.file) {
+      Object.assign(entry, await uploadEntryFile(req.file, contractor._id, section));
+    }
+
+    profile[section].push(entry);
+    profile.updatedBy = req.user._id;
+    await profile.save();
+
+    return successResponse(res, 201, `${SECTIONS[section].label} added successfully`, {
+      entry: profile[section][profile[section].length - 1],
+      ...(await profileResponse(profile, contractor)),
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return errorResponse(res, 400, error.message);
+    }
+    return errorResponse(res, 500, 'Server error', error.message);
+  }
+};
+
+// Update an entry of a profile section (a new file replaces the old one)
+const updateEntry = (section) => async (req, res) => {
+  try {
+    const contractor = await loadContractor(req, res, { write: true });
+    if (!contractor) return;
+
+    const profile = await ContractorProfile.findOne({ user: contractor._id });
+    const entry = profile?.[section].id(req.params.entryId);
+    if (!entry) {
+      return errorResponse(res, 404, `${SECTIONS[section].label} not found`);
+    }
+
+    const updates = pickFields(section, req.body);
+    Object.assign(entry, updates);
+
+    if (SECTIONS[section].hasFile && req.file) {
+      const previousFile = entry.publicId;
+      Object.assign(entry, await uploadEntryFile(req.file, contractor._id, section));
+      await deleteEntryFile(previousFile);
+    }
+
+    // A renewed expiry date restarts the reminders; changed documents need verifying again
+    if (updates.expiresAt !== undefined) {
+      entry.lastReminderDays = null;
+    }
+    if (section === 'documents' && (Object.keys(updates).length > 0 || req.file)) {
+      entry.verifiedBy = undefined;
+      entry.verifiedAt = undefined;
+    }
+
+    profile.updatedBy = req.user._id;
+    await profile.save();
+
+    return successResponse(res, 200, `${SECTIONS[section].label} updated successfully`, {
+      entry,
+      ...(await profileResponse(profile, contractor)),
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return errorResponse(res, 400, error.message);
+    }
+    return errorResponse(res, 500, 'Server error', error.message);
+  }
+};
+
+// Remove an entry from a profile section
+const removeEntry = (section) => async (req, res) => {
+  try {
+    const contractor = await loadContractor(req, res, { write: true });
+    if (!contractor) return;
+
+    const profile = await ContractorProfile.findOne({ user: contractor._id });
+    const entry = profile?.[section].id(req.params.entryId);
+    if (!entry) {
+      return errorResponse(res, 404, `${SECTIONS[section].label} not found`);
+    }
+
+    await deleteEntryFile(entry.publicId);
+    profile[section].pull(entry._id);
+    profile.updatedBy = req.user._id;
+    await profile.save();
+
+    return successResponse(
+      res,
+      200,
+      `${SECTIONS[section].label} deleted successfully`,
+      await profileResponse(profile, contractor)
+    );
+  } catch (error) {
+    return errorResponse(res, 500, 'Server error', error.message);
+  }
+};
+
+// Get contractor profile with compliance status
+exports.getProfile = async (req, res) => {
+  try {
+    const contractor = await loadContractor(req, res);
+    if (!contractor) return;
+
+    const profile = await contractorProfileService.getOrInit(contractor);
+
+    return successResponse(
+      res,
+      200,
+      'Contractor profile retrieved successfully',
+      await profileResponse(profile, contractor)
+    );
+  } catch (error) {
+    return errorResponse(res, 500, 'Server error', error.message);
+  }
+};
+
+// Update contractor company details and service countries
+exports.updateProfile = async (req, res) => {
+  try {
+    const contractor = await loadContractor(req, res, { write: true });
+    if (!contractor) return;
+
+    const { companyName, registrationNumber, yearsOfExperience, serviceCountries } = req.body;
+
+    if (serviceCountries !== undefined) {
+      const unknown = serviceCountries.filter((country) => !COUNTRIES.includes(country));
+      if (unknown.length > 0) {
+        return errorResponse(res, 400, 'Unknown service countries', unknown);
+      }
+    }
+
+    const profile = await contractorProfileService.getOrInit(contractor);
+    if (companyName !== undefined) profile.companyName = companyName;
+    if (registrationNumber !== undefined) profile.registrationNumber = registrationNumber;
+    if (yearsOfExperience !== undefined) profile.yearsOfExperience = yearsOfExperience;
+    if (serviceCountries !== undefined) profile.serviceCountries = [...new Set(serviceCountries)];
+    profile.updatedBy = req.user._id;
+    await profile.save();
+
+    return successResponse(
+      res,
+      200,
+      'Contractor profile updated successfully',
+      await profileResponse(profile, contractor)
+    );
+  } catch (error) {
+    return errorResponse(res, 500, 'Server error', error.message);
+  }
+};
+
+// Mark a document as checked against the original (admin action)
+exports.verifyDocument = async (req, res) => {
+  try {
+    const contractor = await loadContractor(req, res, { write: true });
+    if (!contractor) return;
+
+    if (contractor._id.equals(req.user._id)) {
+      return errorResponse(res, 403, 'Contractors cannot verify their own documents');
+    }
+
+    const profile = await ContractorProfile.findOne({ user: contractor._id });
+    const document = profile?.documents.id(req.params.entryId);
+    if (!document) {
+      return errorResponse(res, 404, 'Document not found');
+    }
+
+    document.verifiedBy = req.user._id;
+    document.verifiedAt = new Date();
+    await profile.save();
+
+    return successResponse(res, 200, 'Document verified successfully', document);
+  } catch (error) {
+    return errorResponse(res, 500, 'Server error', error.message);
+  }
+};
+
+// Documents and insurance policies expiring soon (or already expired) across the organization
+exports.getExpiringDocuments = async (req, res) => {
+  try {
+    const days = parseInt(req.query.days) || 30;
+    const tenantFilter = accessPolicy.getTenantFilter(req.user, req.query.organization);
+
+    const expiring = await contractorProfileService.getExpiring(tenantFilter, days);
+
+    return successResponse(res, 200, 'Expiring documents retrieved successfully', {
+      days,
+      total: expiring.length,
+      expired: expiring.filter((item) => item.daysLeft <= 0).length,
+      items: expiring,
+    });
+  } catch (error) {
+    return errorResponse(res, 500, 'Server error', error.message);
+  }
+};
+
+// Ranked contractor scorecards to support contractor selection
+exports.getScorecards = async (req, res) => {
+  try {
+    const { from, to, country, organization, includeInactive } = req.query;
+    const minCompleted = parseInt(req.query.minCompleted) || 0;
+
+    const query = {
+      ...(await accessPolicy.getFilter(req.user, 'user', { tenant: organization })),
+      role: ROLES.CONTRACTOR,
+      deletedAt: null,
+    };
+    if (includeInactive !== 'true') query.isActive = true;
+
+    // Only contractors serving the country of the planned project
+    if (country) {
+      query._id = { $in: await ContractorProfile.find({ serviceCountries: country }).distinct('user') };
+    }
+
+    const contractors = await User.find(query).select('fullName email phone organization tenant').lean();
+    const ranking = await contractorScorecardService.rank(contractors, { from, to, minCompleted });
+
+    // Flag contractors that cannot be assigned right now
+    const profiles = await ContractorProfile.find({ user: { $in: contractors.map((c) => c._id) } })
+      .select('user documents')
+      .lean();
+    const profileByUser = new Map(profiles.map((p) => [String(p.user), p]));
+    const mandatoryTypesByTenant = new Map();
+    for (const entry of ranking) {
+      const tenantKey = String(entry.contractor.tenant || null);
+      if (!mandatoryTypesByTenant.has(tenantKey)) {
+        mandatoryTypesByTenant.set(
+          tenantKey,
+          await contractorProfileService.getMandatoryDocumentTypes(entry.contractor.tenant)
+        );
+      }
+      const { expired } = contractorProfileService.checkMandatoryDocuments(
+        profileByUser.get(String(entry.contractor._id)),
+        mandatoryTypesByTenant.get(tenantKey)
+      );
+      entry.assignable = expired.length === 0;
+    }
+
+    return successResponse(res, 200, 'Contractor scorecards retrieved successfully', {
+      weights: contractorScorecardService.getWeights(),
+      total: ranking.length,
+      ranking,
+    });
+  } catch (error) {
+    return errorResponse(res, 500, 'Server error', error.message);
+  }
+};
+
+// Scorecard of one contractor with monthly trend
+exports.getScorecard = async (req, res) => {
+  try {
+    const contractor = await loadContractor(req, res);
+    if (!contractor) return;
+
+    const { from, to } = req.query;
+    const months = parseInt(req.query.months) || 12;
+
+    const [[scorecard], trend] = await Promise.all([
+      contractorScorecardService.rank([contractor], { from, to }),
+      contractorScorecardService.getTrend(contractor._id, months),
+    ]);
+    const { rank, ...overall } = scorecard;
+
+    return successResponse(res, 200, 'Contractor scorecard retrieved successfully', {
+      weights: contractorScorecardService.getWeights(),
+      ...overall,
+      trend,
+    });
+  } catch (error) {
+    return errorResponse(res, 500, 'Server error', error.message);
+  }
+};
+
+exports.addDocument = addEntry('documents');
+exports.updateDocument = updateEntry('documents');
+exports.deleteDocument = removeEntry('documents');
+
+exports.addInsurance = addEntry('insurance');
+exports.updateInsurance = updateEntry('insurance');
+exports.deleteInsurance = removeEntry('insurance');
+
+exports.addEquipment = addEntry('equipment');
+exports.updateEquipment = updateEntry('equipment');
+exports.deleteEquipment = removeEntry('equipment');
@@ -1,69 +1,16 @@
 const Message = require('../models/Message');
 const User = require('../models/User');
-const Project = require('../models/Project');
 const { successResponse, errorResponse, paginate } = require('../utils/helpers');
+const accessPolicy = require('../services/accessPolicy.service');
 const { ROLES } = require('../utils/constants');
 
-// Helper: Get allowed recipients based on user role
-const getAllowedRecipients = async (user) => {
-  const allowedRecipients = [];
-
-  if (user.role === ROLES.SUPER_ADMIN || user.role === ROLES.ADMIN) {
-    // Admins can message anyone
-    const allUsers = await User.find({ isActive: true }).select('_id fullName email role');
-    allowedRecipients.push(...allUsers);
-  } else if (user.role === ROLES.PROJECT_MANAGER) {
-    // Project Managers can message: Admins + Contractors assigned to their projects
-    const admins = await User.find({
-      role: { $in: [ROLES.SUPER_ADMIN, ROLES.ADMIN] },
-      isActive: true,
-    }).select('_id fullName email role');
-    allowedRecipients.push(...admins);
-
-    // Get contractors from projects managed by this PM
-    const projects = await Project.find({ projectManager: user._id }).select('contractor');
-    const contractorIds = [...new Set(projects.map((p) => p.contractor?.toString()).filter(Boolean))];
-    if (contractorIds.length > 0) {
-      const contractors = await User.find({
-        _id: { $in: contractorIds },
-        isActive: true,
-      }).select('_id fullName email role');
-      allowedRecipients.push(...contractors);
-    }
-  } else if (user.role === ROLES.CONTRACTOR) {
-    // Contractors can message: Admins + Project Managers who manage their projects
-    const admins = await User.find({
-      role: { $in: [ROLES.SUPER_ADMIN, ROLES.ADMIN] },
-      isActive: true,
-    }).select('_id fullName email role');
-    allowedRecipients.push(...admins);
-
-    // Get project managers from projects assigned to this contractor
-    const projects = await Project.find({ contractor: user._id }).select('projectManager');
-    const pmIds = [...new Set(projects.map((p) => p.projectManager?.toString()).filter(Boolean))];
-    if (pmIds.length > 0) {
-      const projectManagers = await User.find({
-        _id: { $in: pmIds },
-        isActive: true,
-      }).select('_id fullName email role');
-      allowedRecipients.push(...projectManagers);
-    }
-  }
-
-  return allowedRecipients;
-};
+// Helper: Get allowed recipients based on the access policy
+const getAllowedRecipients = async (user) =>
+  User.find(await accessPolicy.getFilter(user, 'recipient')).select('_id fullName email role');
 
 // Get all conversations (inbox)
 exports.getConversations = async (req, res) => {
   try {
-    // Clients don't have User records, so they can't have messages
-    if (req.user.isClient) {
-      return successResponse(res, 200, 'Conversations retrieved successfully', {
-        conversations: [],
-        pagination: { page: 1, limit: 20, total: 0, totalPages: 0 },
-      });
-    }
-
     const { page = 1, limit = 20 } = req.query;
     const { skip, limit: pageLimit } = paginate(page, limit);
     const userId = req.user._id;
@@ -204,11 +151,6 @@ exports.getConversationMessages = async (req, res) => {
 // Get allowed recipients for composing a message
 exports.getAllowedRecipients = async (req, res) => {
   try {
-    // Clients don't have User records, so they can't send messages
-    if (req.user.isClient) {
-      return successResponse(res, 200, 'Recipients retrieved successfully', { recipients: [] });
-    }
-
     const allowedRecipients = await getAllowedRecipients(req.user);
     return successResponse(res, 200, 'Recipients retrieved successfully', { recipients: allowedRecipients });
   } catch (error) {
@@ -260,6 +202,8 @@ exports.sendMessage = async (req, res) => {
       subject: subject.trim(),
       body: body.trim(),
       threadId: threadId || null,
+      // Organization of the conversation (messages from super admins belong to the platform)
+      tenant: req.user.tenant || null,
     };
 
     const message = await Message.create(messageData);
@@ -347,11 +291,6 @@ exports.deleteConversation = async (req, res) => {
 // Get unread message count
 exports.getUnreadCount = async (req, res) => {
   try {
-    // Clients don't have User records, so they can't have messages
-    if (req.user.isClient) {
-      return successResponse(res, 200, 'Unread count retrieved successfully', { count: 0 });
-    }
-
     const userId = req.user._id;
 
     const count = await Message.countDocuments({
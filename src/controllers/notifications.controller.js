@@ -4,14 +4,6 @@ const { successResponse, errorResponse } = require('../utils/helpers');
 // Get user notifications
 exports.getNotifications = async (req, res) => {
   try {
-    // Clients don't have User records, so they can't have notifications
-    if (req.user.isClient) {
-      return successResponse(res, 200, 'Notifications retrieved successfully', {
-        notifications: [],
-        pagination: { page: 1, limit: 20, total: 0, totalPages: 0 },
-      });
-    }
-
     const { page = 1, limit = 20, unreadOnly = 'false' } = req.query;
 
     const result = await notificationService.getUserNotifications(
@@ -30,11 +22,6 @@ exports.getNotifications = async (req, res) => {
 // Get unread count
 exports.getUnreadCount = async (req, res) => {
   try {
-    // Clients don't have User records, so they can't have notifications
-    if (req.user.isClient) {
-      return successResponse(res, 200, 'Unread count retrieved successfully', { count: 0 });
-    }
-
     const count = await notificationService.getUnreadCount(req.user._id);
 
     return successResponse(res, 200, 'Unread count retrieved successfully', { count });
@@ -0,0 +1,220 @@
+const Organization = require('../models/Organization');
+const User = require('../models/User');
+const Project = require('../models/Project');
+const Report = require('../models/Report');
+const Payment = require('../models/Payment');
+const organizationService = require('../services/organization.service');
+const { successResponse, errorResponse, paginate } = require('../utils/helpers');
+const { PROJECT_STATUS, REPORT_STATUS, ROLES } = require('../utils/constants');
+
+// Helper: Count documents per organization
+const countByTenant = async (Model, match = {}) => {
+  const counts = await Model.aggregate([
+    { $match: match },
+    { $group: { _id: '$tenant', count: { $sum: 1 } } },
+  ]);
+  return Object.fromEntries(counts.map((item) => [String(item._id), item.count]));
+};
+
+// Helper: Per-organization totals for the cross-tenant overview
+const getTenantStats = async (match = {}) => {
+  const [users, projects, activeProjects, pendingReports, pendingPayments] = await Promise.all([
+    countByTenant(User, match),
+    countByTenant(Project, { ...match, isArchived: false }),
+    countByTenant(Project, { ...match, isArchived: false, status: PROJECT_STATUS.IN_PROGRESS }),
+    countByTenant(Report, { ...match, status: { $in: [REPORT_STATUS.SUBMITTED, REPORT_STATUS.UNDER_REVIEW] } }),
+    countByTenant(Payment, { ...match, status: 'pending' }),
+  ]);
+
+  return (tenantId) => {
+    const key = String(tenantId);
+    return {
+      users: users[key] || 0,
+      projects: projects[key] || 0,
+      activeProjects: activeProjects[key] || 0,
+      pendingReports: pendingReports[key] || 0,
+      pendingPayments: pendingPayments[key] || 0,
+    };
+  };
+};
+
+// Get all organizations with their totals (super admin view across tenants)
+exports.getOrganizations = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, isActive, search } = req.query;
+    const { skip, limit: pageLimit } = paginate(page, limit);
+
+    const query = {};
+    if (isActive !== undefined && isActive !== '') {
+      query.isActive = isActive === 'true';
+    }
+    if (search && search.trim() !== '') {
+      query.$or = [
+        { name: { $regex: search, $options: 'i' } },
+        { nameAr: { $regex: search, $options: 'i' } },
+        { slug: { $regex: search, $options: 'i' } },
+      ];
+    }
+
+    const organizations = await Organization.find(query)
+      .sort({ name: 1 })
+      .skip(skip)
+      .limit(pageLimit)
+      .lean();
+    const total = await Organization.countDocuments(query);
+
+    const statsFor = await getTenantStats({ tenant: { $in: organizations.map((o) => o._id) } });
+    // Records not yet assigned to an organization
+    const unassigned = (await getTenantStats({ tenant: null }))(null);
+
+    return successResponse(res, 200, 'Organizations retrieved successfully', {
+      organizations: organizations.map((organization) => ({
+        ...organization,
+        stats: statsFor(organization._id),
+      })),
+      unassigned,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        totalPages: Math.ceil(total / pageLimit),
+      },
+    });
+  } catch (error) {
+    return errorResponse(res, 500, 'Server error', error.message);
+  }
+};
+
+// Get the current user's organization
+exports.getCurrentOrganization = async (req, res) => {
+  try {
+    if (!req.user.tenant) {
+      return successResponse(res, 200, 'User does not belong to an organization', null);
+    }
+
+    const organization = await Organization.findById(req.user.tenant).select('name nameAr slug country isActive');
+    if (!organization) {
+      return errorResponse(res, 404, 'Organization not found');
+    }
+
+    return successResponse(res, 200, 'Organization retrieved successfully', organization);
+  } catch (error) {
+    return errorResponse(res, 500, 'Server error', error.message);
+  }
+};
+
+// Get single organization with its totals
+exports.getOrganization = async (req, res) => {
+  try {
+    const organization = await Organization.findById(req.params.id)
+      .populate('createdBy', 'fullName email')
+      .lean();
+    if (!organization) {
+      return errorResponse(res, 404, 'Organization not found');
+    }
+
+    const statsFor = await getTenantStats({ tenant: organization._id });
+    const admins = await User.find({ tenant: organization._id, role: ROLES.ADMIN }).select('fullName email isActive');
+
+    return successResponse(res, 200, 'Organization retrieved successfully', {
+      ...organization,
+      stats: statsFor(organization._id),
+      admins,
+    });
+  } catch (error) {
+    return errorResponse(res, 500, 'Server error', error.message);
+  }
+};
+
+// Create organization
+exports.createOrganization = async (req, res) => {
+  try {
+    const { name, nameAr, description, contactEmail, contactPhone, country } = req.body;
+    const slug = req.body.slug || organizationService.slugify(name);
+
+    if (!slug) {
+      return errorResponse(res, 400, 'Slug is required');
+    }
+
+    if (await Organization.exists({ slug })) {
+      return errorResponse(res, 400, 'Slug is already in use');
+    }
+
+    const organization = await Organization.create({
+      name,
+      nameAr,
+      slug,
+      description,
+      contactEmail,
+      contactPhone,
+      country,
+      createdBy: req.user._id,
+    });
+
+    return successResponse(res, 201, 'Organization created successfully', organization);
+  } catch (error) {
+    return errorResponse(res, 500, 'Server error', error.message);
+  }
+};
+
+// Update organization (deactivating it blocks its members from signing in)
+exports.updateOrganization = async (req, res) => {
+  try {
+    const organization = await Organization.findById(req.params.id);
+    if (!organization) {
+      return errorResponse(res, 404, 'Organization not found');
+    }
+
+    const { name, nameAr, slug, description, contactEmail, contactPhone, country, isActive } = req.body;
+
+    if (slug && slug !== organization.slug) {
+      if (await Organization.exists({ slug, _id: { $ne: organization._id } })) {
+        return errorResponse(res, 400, 'Slug is already in use');
+      }
+      organization.slug = slug;
+    }
+
+    if (name) organization.name = name;
+    if (nameAr !== undefined) organization.nameAr = nameAr;
+    if (description !== undefined) organization.description = description;
+    if (contactEmail !== undefined) organization.contactEmail = contactEmail;
+    if (contactPhone !== undefined) organization.contactPhone = contactPhone;
+    if (country !== undefined) organization.country = country;
+    if (isActive !== undefined) organization.isActive = isActive;
+    organization.updatedBy = req.user._id;
+
+    await organization.save();
+
+    return successResponse(res, 200, 'Organization updated successfully', organization);
+  } catch (error) {
+    return errorResponse(res, 500, 'Server error', error.message);
+  }
+};
+
+// Delete organization (only while it has no users or projects)
+exports.deleteOrganization = async (req, res) => {
+  try {
+    const organization = await Organization.findById(req.params.id);
+    if (!organization) {
+      return errorResponse(res, 404, 'Organization not found');
+    }
+
+    const [userCount, projectCount] = await Promise.all([
+      User.countDocuments({ tenant: organization._id }),
+      Project.countDocuments({ tenant: organization._id }),
+    ]);
+    if (userCount > 0 || projectCount > 0) {
+      return errorResponse(
+        res,
+        400,
+        `Organization still has ${userCount} user(s) and ${projectCount} project(s); deactivate it instead`
+      );
+    }
+
+    await Organization.findByIdAndDelete(organization._id);
+
+    return successResponse(res, 200, 'Organization deleted successfully');
+  } catch (error) {
+    return errorResponse(res, 500, 'Server error', error.message);
+  }
+};
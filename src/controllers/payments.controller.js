@@ -1,31 +1,37 @@
 const Payment = require('../models/Payment');
 const Project = require('../models/Project');
 const { successResponse, errorResponse } = require('../utils/helpers');
-const { ROLES } = require('../utils/constants');
+const { PROJECT_MEMBER_ROLES } = require('../utils/constants');
 const notificationService = require('../services/notification.service');
+const accessPolicy = require('../services/accessPolicy.service');
 
 // Create payment request (Admin only)
 exports.createPayment = async (req, res) => {
   try {
     const { projectId, amount, currency, recipientId, recipientType, description } = req.body;
 
-    // Validate project exists
-    const project = await Project.findById(projectId);
+    // Validate project exists in the user's organization
+    const project = await accessPolicy.findInTenant(Project, req.user, projectId);
     if (!project) {
       return errorResponse(res, 404, 'Project not found');
     }
 
+    if (!(await accessPolicy.canWrite(req.user, 'project', project))) {
+      return errorResponse(res, 403, 'Cannot request payments on this project');
+    }
+
     // Validate recipient
     if (!recipientId || !recipientType) {
       return errorResponse(res, 400, 'Recipient and recipient type are required');
     }
 
-    // Validate recipient type matches project
-    if (recipientType === 'contractor' && project.contractor?.toString() !== recipientId) {
-      return errorResponse(res, 400, 'Recipient is not the project contractor');
+    // Validate recipient is on the project team in a matching role
+    const contractorRoles = [PROJECT_MEMBER_ROLES.LEAD_CONTRACTOR, PROJECT_MEMBER_ROLES.SUBCONTRACTOR];
+    if (recipientType === 'contractor' && !project.hasMember(recipientId, contractorRoles)) {
+      return errorResponse(res, 400, 'Recipient is not a contractor on this project');
     }
-    if (recipientType === 'project_manager' && project.projectManager?.toString() !== recipientId) {
-      return errorResponse(res, 400, 'Recipient is not the project manager');
+    if (recipientType === 'project_manager' && !project.hasMember(recipientId, [PROJECT_MEMBER_ROLES.PROJECT_MANAGER])) {
+      return errorResponse(res, 400, 'Recipient is not a project manager on this project');
     }
 
     const payment = new Payment({
@@ -74,12 +80,7 @@ exports.getProjectPayments = async (req, res) => {
       return errorResponse(res, 404, 'Project not found');
     }
 
-    // Check access based on role
-    if (req.user.role === ROLES.CONTRACTOR && project.contractor?.toString() !== req.user._id.toString()) {
-      return errorResponse(res, 403, 'Access denied');
-    }
-
-    if (req.user.role === ROLES.PROJECT_MANAGER && project.projectManager?.toString() !== req.user._id.toString()) {
+    if (!(await accessPolicy.canRead(req.user, 'project', project))) {
       return errorResponse(res, 403, 'Access denied');
     }
 
@@ -104,12 +105,7 @@ exports.getPaymentSummary = async (req, res) => {
       return errorResponse(res, 404, 'Project not found');
     }
 
-    // Check access based on role
-    if (req.user.role === ROLES.CONTRACTOR && project.contractor?.toString() !== req.user._id.toString()) {
-      return errorResponse(res, 403, 'Access denied');
-    }
-
-    if (req.user.role === ROLES.PROJECT_MANAGER && project.projectManager?.toString() !== req.user._id.toString()) {
+    if (!(await accessPolicy.canRead(req.user, 'project', project))) {
       return errorResponse(res, 403, 'Access denied');
     }
 
@@ -146,11 +142,15 @@ exports.approvePayment = async (req, res) => {
   try {
     const { paymentId } = req.params;
 
-    const payment = await Payment.findById(paymentId).populate('project');
+    const payment = await accessPolicy.findInTenant(Payment, req.user, paymentId).populate('project');
     if (!payment) {
       return errorResponse(res, 404, 'Payment not found');
     }
 
+    if (!(await accessPolicy.canWrite(req.user, 'payment', payment))) {
+      return errorResponse(res, 403, 'Only the recipient can approve this payment');
+    }
+
     // Check if user is the recipient
     if (payment.recipient.toString() !== req.user._id.toString()) {
       return errorResponse(res, 403, 'Only the recipient can approve this payment');
@@ -194,13 +194,17 @@ exports.rejectPayment = async (req, res) => {
     const { paymentId } = req.params;
     const { rejectionReason } = req.body;
 
-    const payment = await Payment.findById(paymentId)
+    const payment = await accessPolicy.findInTenant(Payment, req.user, paymentId)
       .populate('project', 'projectNumber projectName')
       .populate('requestedBy', 'fullName email');
     if (!payment) {
       return errorResponse(res, 404, 'Payment not found');
     }
 
+    if (!(await accessPolicy.canWrite(req.user, 'payment', payment))) {
+      return errorResponse(res, 403, 'Only the recipient can reject this payment');
+    }
+
     // Check if user is the recipient
     if (payment.recipient.toString() !== req.user._id.toString()) {
       return errorResponse(res, 403, 'Only the recipient can reject this payment');
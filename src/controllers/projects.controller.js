@@ -1,86 +1,171 @@
 const Project = require('../models/Project');
 const User = require('../models/User');
-const { successResponse, errorResponse, paginate } = require('../utils/helpers');
-const { PROJECT_STATUS, ROLES } = require('../utils/constants');
+const Report = require('../models/Report');
+const { successResponse, errorResponse, paginate, isTransactionUnsupported } = require('../utils/helpers');
+const {
+  PROJECT_STATUS,
+  PROJECT_MEMBER_ROLES,
+  ROLES,
+  MILESTONE_STATUS,
+  DEFAULT_MILESTONE_WEIGHTS,
+} = require('../utils/constants');
 const googleDriveService = require('../services/googleDrive.service');
 const notificationService = require('../services/notification.service');
 const emailService = require('../services/email.service');
+const clientService = require('../services/client.service');
+const accessPolicy = require('../services/accessPolicy.service');
+const organizationService = require('../services/organization.service');
+const contractorProfileService = require('../services/contractorProfile.service');
+const projectStatusService = require('../services/projectStatus.service');
+const projectImportService = require('../services/projectImport.service');
+const projectGeoService = require('../services/projectGeo.service');
+const projectFilterService = require('../services/projectFilter.service');
+const wellMonitoringService = require('../services/wellMonitoring.service');
+
+// System roles allowed to hold each project role
+const MEMBER_ROLE_ELIGIBILITY = {
+  [PROJECT_MEMBER_ROLES.LEAD_CONTRACTOR]: [ROLES.CONTRACTOR],
+  [PROJECT_MEMBER_ROLES.SUBCONTRACTOR]: [ROLES.CONTRACTOR],
+  [PROJECT_MEMBER_ROLES.PROJECT_MANAGER]: [ROLES.PROJECT_MANAGER, ROLES.ADMIN, ROLES.SUPER_ADMIN],
+};
 
-// Get all projects with pagination and filters
-exports.getProjects = async (req, res) => {
-  try {
-    const {
-      page = 1,
-      limit = 10,
-      status,
-      country,
-      contractor,
-      projectManager,
-      search,
-      isArchived = 'false',
-    } = req.query;
-    const { skip, limit: pageLimit } = paginate(page, limit);
-
-    // Build query based on user role
-    const query = {};
+// Helper: Reject assigning a contractor whose mandatory documents have expired
+const rejectExpiredContractor = async (res, contractorId, tenant) => {
+  const expired = await contractorProfileService.getExpiredMandatoryDocuments(contractorId, tenant);
+  if (expired.length === 0) return false;
+  errorResponse(res, 400, 'Contractor has expired mandatory documents', expired);
+  return true;
+};
 
-    // For Super Admin and Admin, apply archive filter if specified
-    // For Project Managers and Contractors, show all their projects (archived and non-archived)
-    if (req.user.role === ROLES.SUPER_ADMIN || req.user.role === ROLES.ADMIN || req.user.role === ROLES.VIEWER) {
-      query.isArchived = isArchived === 'true';
+// Helper: Create the project's Google Drive folders if Drive is configured (failures are logged)
+const createDriveFolder = async (project) => {
+  try {
+    if (googleDriveService.drive) {
+      const folderStructure = await googleDriveService.createProjectFolderStructure(
+        project.projectNumber,
+        project.projectName
+      );
+      project.googleDriveFolderId = folderStructure.projectFolder.id;
+      project.googleDriveFolderUrl = folderStructure.projectFolder.url;
+      await project.save();
+      return true;
     }
-    // Project Managers and Contractors see all their projects regardless of archive status
+  } catch (driveError) {
+    console.error('Google Drive folder creation failed:', driveError);
+  }
+  return false;
+};
 
-    // Contractors can only see their assigned projects
-    if (req.user.role === ROLES.CONTRACTOR) {
-      query.contractor = req.user._id;
-    }
+// Helper: Notify the lead contractor of a new project
+const notifyAssignedContractor = async (project) => {
+  if (!project.contractor) return;
+  const contractor = await User.findById(project.contractor);
+  if (contractor) {
+    await notificationService.notifyProjectAssignment(project._id, contractor._id, project.projectName);
+    await emailService.sendProjectAssignedEmail(project, contractor);
+  }
+};
 
-    // Project Managers can only see projects where they are the project manager
-    if (req.user.role === ROLES.PROJECT_MANAGER) {
-      query.projectManager = req.user._id;
-    }
+// Fields clients may not set when creating or updating a project: the team, milestones, status
+// history and pump history have their own endpoints, projects cannot move between organizations
+// or change creator, and the water test and monitoring summaries are derived from their records
+const PROTECTED_FIELDS = [
+  'members',
+  'milestones',
+  'statusHistory',
+  'tenant',
+  'createdBy',
+  'latestWaterTest',
+  'monitoring',
+  'pumpHistory',
+];
+
+// Helper: Request body without protected fields (including dotted paths into them)
+const omitProtectedFields = (body) =>
+  Object.fromEntries(Object.entries(body).filter(([key]) => !PROTECTED_FIELDS.includes(key.split('.')[0])));
+
+// Milestone fields editable through the milestone endpoints
+const MILESTONE_FIELDS = [
+  'type',
+  'name',
+  'weight',
+  'status',
+  'progress',
+  'plannedStartDate',
+  'plannedEndDate',
+  'actualStartDate',
+  'actualEndDate',
+  'notes',
+];
+
+// Helper: Milestones with their delay, plus a summary
+const describeMilestones = (project, now = new Date()) => {
+  const milestones = project.milestones.map((m) => ({
+    ...m.toObject(),
+    delay: Project.getMilestoneDelay(m, now),
+  }));
+  return {
+    progress: project.progress,
+    milestones,
+    delayed: milestones.filter((m) => m.delay).length,
+  };
+};
 
-    // Clients can only see projects with their phone number
-    if (req.user.role === ROLES.CLIENT && req.clientPhone) {
-      // Normalize phone for comparison (remove spaces, dashes, parentheses)
-      const normalizedPhone = req.clientPhone.replace(/[\s\-\(\)]/g, '');
-      // Escape special regex characters for safe regex matching
-      const escapedPhone = normalizedPhone.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+// Helper: Apply milestone changes, filling in actual dates on status changes (does not save)
+const applyMilestoneChanges = (milestone, changes, userId) => {
+  for (const field of MILESTONE_FIELDS) {
+    if (changes[field] !== undefined) milestone[field] = changes[field];
+  }
 
-      // Match phone numbers that contain the normalized phone (case-insensitive)
-      // This handles various formats like "+1234567890", "123-456-7890", etc.
-      query['client.phone'] = { $regex: escapedPhone, $options: 'i' };
-      query.isArchived = false; // Clients only see active projects
-    }
+  if (changes.status === MILESTONE_STATUS.IN_PROGRESS && !milestone.actualStartDate) {
+    milestone.actualStartDate = new Date();
+  }
+  if (changes.status === MILESTONE_STATUS.COMPLETED) {
+    milestone.actualStartDate = milestone.actualStartDate || new Date();
+    milestone.actualEndDate = milestone.actualEndDate || new Date();
+    milestone.progress = 100;
+    milestone.completedBy = userId;
+  } else if (changes.status && changes.actualEndDate === undefined) {
+    // Reopened milestones are no longer finished
+    milestone.actualEndDate = undefined;
+    milestone.completedBy = undefined;
+  }
+};
 
-    if (status) query.status = status;
-    if (country) query.country = country;
+// Helper: Check planned / actual date order of a milestone (returns an error message or null)
+const checkMilestoneDates = (milestone) => {
+  if (milestone.plannedStartDate && milestone.plannedEndDate && milestone.plannedStartDate > milestone.plannedEndDate) {
+    return 'Planned start date must be before the planned end date';
+  }
+  if (milestone.actualStartDate && milestone.actualEndDate && milestone.actualStartDate > milestone.actualEndDate) {
+    return 'Actual start date must be before the actual end date';
+  }
+  return null;
+};
 
-    // Apply contractor filter only if user is not restricted by role
-    if (contractor && req.user.role !== ROLES.CONTRACTOR) {
-      query.contractor = contractor;
-    }
+// Helper: Project in the user's organization that the user may change
+// (sends the error response and returns null otherwise)
+const loadWritableProject = async (req, res) => {
+  const project = await accessPolicy.findInTenant(Project, req.user, req.params.id);
+  if (!project) {
+    errorResponse(res, 404, 'Project not found');
+    return null;
+  }
+  if (!(await accessPolicy.canWrite(req.user, 'project', project))) {
+    errorResponse(res, 403, 'Cannot edit this project');
+    return null;
+  }
+  return project;
+};
 
-    // Apply projectManager filter only if user is not restricted by role
-    if (projectManager && req.user.role !== ROLES.PROJECT_MANAGER) {
-      query.projectManager = projectManager;
-    }
+// Get all projects with pagination and filters
+exports.getProjects = async (req, res) => {
+  try {
+    const { page = 1, limit = 10 } = req.query;
+    const { skip, limit: pageLimit } = paginate(page, limit);
 
-    // Search functionality (only if not a client, as clients have restricted access)
-    if (search && search.trim() !== '' && req.user.role !== ROLES.CLIENT) {
-      query.$or = [
-        { projectNumber: { $regex: search, $options: 'i' } },
-        { projectName: { $regex: search, $options: 'i' } },
-        { projectNameAr: { $regex: search, $options: 'i' } },
-        { description: { $regex: search, $options: 'i' } },
-        { descriptionAr: { $regex: search, $options: 'i' } },
-        { country: { $regex: search, $options: 'i' } },
-        { region: { $regex: search, $options: 'i' } },
-        { city: { $regex: search, $options: 'i' } },
-        { notes: { $regex: search, $options: 'i' } },
-      ];
-    }
+    // What the user may see, narrowed by the list filters
+    const query = await projectFilterService.build(req.user, req.query);
 
     const projects = await Project.find(query)
       .populate('contractor', 'fullName email')
@@ -106,6 +191,57 @@ exports.getProjects = async (req, res) => {
   }
 };
 
+// Get projects on the map (GeoJSON), optionally within a radius, bounding box or polygon
+exports.getProjectsGeo = async (req, res) => {
+  try {
+    const { format, limit = 1000 } = req.query;
+
+    const area = projectGeoService.parseArea(req.query);
+    if (area.error) {
+      return errorResponse(res, 400, area.error);
+    }
+
+    // Same filters as the project list
+    const query = await projectFilterService.build(req.user, req.query);
+
+    const projects = await projectGeoService.findInArea(query, area, parseInt(limit));
+    const featureCollection = projectGeoService.toFeatureCollection(projects);
+
+    // Plain GeoJSON for mapping tools
+    if (format === 'geojson') {
+      res.setHeader('Content-Type', 'application/geo+json');
+      return res.json(featureCollection);
+    }
+
+    return successResponse(res, 200, 'Project locations retrieved successfully', featureCollection);
+  } catch (error) {
+    return errorResponse(res, 500, 'Server error', error.message);
+  }
+};
+
+// Get existing wells near a site (duplicate-site check before creating a project)
+exports.getNearbySites = async (req, res) => {
+  try {
+    const { lat, lng, radius, organization, excludeId } = req.query;
+
+    const tenant = await organizationService.resolveTenant(req.user, organization);
+    if (tenant === undefined) {
+      return errorResponse(res, 400, 'Organization not found');
+    }
+
+    const meters = radius ? Number(radius) : await projectGeoService.getDuplicateDistance(tenant);
+    const sites = await projectGeoService.findNearbySites(Number(lat), Number(lng), { tenant, excludeId, meters });
+
+    return successResponse(res, 200, 'Nearby sites retrieved successfully', {
+      distanceMeters: meters,
+      sites,
+      isDuplicateSite: sites.length > 0,
+    });
+  } catch (error) {
+    return errorResponse(res, 500, 'Server error', error.message);
+  }
+};
+
 // Get single project
 exports.getProject = async (req, res) => {
   try {
@@ -114,31 +250,18 @@ exports.getProject = async (req, res) => {
       .populate('projectManager', 'fullName email phone')
       .populate('createdBy', 'fullName email')
       .populate('reviewedBy', 'fullName email')
-      .populate('evaluation.evaluatedBy', 'fullName email');
+      .populate('evaluation.evaluatedBy', 'fullName email')
+      .populate('members.user', 'fullName email phone role organization')
+      .populate('statusHistory.changedBy', 'fullName email');
 
     if (!project) {
       return errorResponse(res, 404, 'Project not found');
     }
 
-    // Check access based on role
-    if (req.user.role === ROLES.CONTRACTOR && project.contractor?._id.toString() !== req.user._id.toString()) {
-      return errorResponse(res, 403, 'Access denied');
-    }
-
-    if (req.user.role === ROLES.PROJECT_MANAGER && project.projectManager?._id.toString() !== req.user._id.toString()) {
+    if (!(await accessPolicy.canRead(req.user, 'project', project))) {
       return errorResponse(res, 403, 'Access denied');
     }
 
-    // Clients can only access projects with their phone number
-    if (req.user.role === ROLES.CLIENT && req.clientPhone) {
-      const normalizedPhone = req.clientPhone.replace(/[\s\-\(\)]/g, '');
-      const projectPhone = project.client?.phone?.replace(/[\s\-\(\)]/g, '') || '';
-      // Compare normalized phone numbers (case-insensitive)
-      if (projectPhone.toLowerCase() !== normalizedPhone.toLowerCase()) {
-        return errorResponse(res, 403, 'Access denied');
-      }
-    }
-
     return successResponse(res, 200, 'Project retrieved successfully', project);
   } catch (error) {
     return errorResponse(res, 500, 'Server error', error.message);
@@ -148,47 +271,155 @@ exports.getProject = async (req, res) => {
 // Create project
 exports.createProject = async (req, res) => {
   try {
+    // Protected fields are set by the server or through their own endpoints
     const projectData = {
-      ...req.body,
+      ...omitProtectedFields(req.body),
       createdBy: req.user._id,
     };
 
+    // Later statuses are reached through the status endpoint and its rules
+    if (projectData.status && !projectStatusService.getInitialStatuses().includes(projectData.status)) {
+      return errorResponse(res, 400, `Projects cannot be created as ${projectData.status}`);
+    }
+
+    // New projects start with the standard milestones, planned across the project period
+    projectData.milestones = Project.defaultMilestones(projectData.startDate, projectData.expectedEndDate);
+
+    // Projects belong to the creator's organization (super admins may pick one)
+    projectData.tenant = await organizationService.resolveTenant(req.user, req.body.tenant);
+    if (projectData.tenant === undefined) {
+      return errorResponse(res, 400, 'Organization not found');
+    }
+
+    const foreignUsers = await organizationService.findForeignUsers(
+      [projectData.contractor, projectData.projectManager],
+      projectData.tenant
+    );
+    if (foreignUsers.length > 0) {
+      return errorResponse(res, 400, "Contractor and project manager must belong to the project's organization");
+    }
+
+    if (await rejectExpiredContractor(res, projectData.contractor, projectData.tenant)) return;
+
     // Remove projectNumber if it's empty (to trigger auto-generation)
     if (!projectData.projectNumber || projectData.projectNumber.trim() === '') {
       delete projectData.projectNumber;
     }
 
+    // Link (or create) the client account from the client details
+    await clientService.syncProjectClient(projectData);
+
     const project = await Project.create(projectData);
 
     // Create Google Drive folder if configured
+    await createDriveFolder(project);
+
+    // Notify contractor if assigned
+    await notifyAssignedContractor(project);
+
+    // Flag existing wells close to the new site
+    const warnings = await projectGeoService.getDuplicateSiteWarnings(project.location, project.tenant, project._id);
+
+    return successResponse(res, 201, 'Project created successfully', { ...project.toObject(), warnings });
+  } catch (error) {
+    return errorResponse(res, 500, 'Server error', error.message);
+  }
+};
+
+// Import projects from XLSX/CSV (preview unless commit=true)
+exports.importProjects = async (req, res) => {
+  try {
+    if (!req.file) {
+      return errorResponse(res, 400, 'No file uploaded');
+    }
+
+    const commit = req.body.commit === 'true' || req.body.commit === true;
+    const skipInvalid = req.body.skipInvalid === 'true' || req.body.skipInvalid === true;
+    const createDriveFolders = req.body.createDriveFolders === 'true' || req.body.createDriveFolders === true;
+
+    // Projects belong to the importer's organization (super admins may pick one)
+    const tenant = await organizationService.resolveTenant(req.user, req.body.tenant);
+    if (tenant === undefined) {
+      return errorResponse(res, 400, 'Organization not found');
+    }
+
+    let parsed;
     try {
-      if (googleDriveService.drive) {
-        const folderStructure = await googleDriveService.createProjectFolderStructure(
-          project.projectNumber,
-          project.projectName
-        );
-        project.googleDriveFolderId = folderStructure.projectFolder.id;
-        project.googleDriveFolderUrl = folderStructure.projectFolder.url;
-        await project.save();
-      }
-    } catch (driveError) {
-      console.error('Google Drive folder creation failed:', driveError);
+      parsed = await projectImportService.parse(req.file);
+    } catch (error) {
+      return errorResponse(res, 400, 'Could not read the spreadsheet', error.message);
     }
 
-    // Notify contractor if assigned
-    if (project.contractor) {
-      const contractor = await User.findById(project.contractor);
-      if (contractor) {
-        await notificationService.notifyProjectAssignment(
-          project._id,
-          contractor._id,
-          project.projectName
-        );
-        await emailService.sendProjectAssignedEmail(project, contractor);
+    if (parsed.missingColumns.length > 0) {
+      return errorResponse(res, 400, 'Missing required columns', parsed.missingColumns);
+    }
+    if (parsed.rows.length === 0) {
+      return errorResponse(res, 400, 'The file has no rows to import');
+    }
+    if (parsed.rows.length > projectImportService.getLimit()) {
+      return errorResponse(res, 400, `A single import is limited to ${projectImportService.getLimit()} rows`);
+    }
+
+    const preview = await projectImportService.validate(parsed.rows, tenant);
+
+    if (!commit) {
+      return successResponse(res, 200, 'Import preview generated', preview);
+    }
+
+    if (preview.summary.invalid > 0 && !skipInvalid) {
+      return errorResponse(res, 400, 'Some rows are invalid; fix them or import with skipInvalid=true', preview);
+    }
+
+    const validRows = preview.rows.filter((row) => row.errors.length === 0);
+    if (validRows.length === 0) {
+      return errorResponse(res, 400, 'No valid rows to import', preview);
+    }
+
+    let projects;
+    try {
+      projects = await projectImportService.commit(validRows, req.user, tenant);
+    } catch (error) {
+      if (isTransactionUnsupported(error)) {
+        return errorResponse(res, 503, 'Importing projects requires MongoDB to run as a replica set', error.message);
       }
+      return errorResponse(res, 400, 'Import failed; no projects were created', error.message);
+    }
+
+    // Drive folders and notifications follow the committed import
+    let driveFolders = 0;
+    for (const project of projects) {
+      if (createDriveFolders && (await createDriveFolder(project))) driveFolders += 1;
+      await notifyAssignedContractor(project);
     }
 
-    return successResponse(res, 201, 'Project created successfully', project);
+    return successResponse(res, 201, `${projects.length} project(s) imported successfully`, {
+      summary: {
+        ...preview.summary,
+        created: projects.length,
+        skipped: preview.summary.invalid,
+        driveFolders,
+      },
+      projects: projects.map((project, index) => ({
+        rowNumber: validRows[index].rowNumber,
+        _id: project._id,
+        projectNumber: project.projectNumber,
+        projectName: project.projectName,
+        googleDriveFolderUrl: project.googleDriveFolderUrl,
+      })),
+    });
+  } catch (error) {
+    return errorResponse(res, 500, 'Server error', error.message);
+  }
+};
+
+// Download the project import template
+exports.getImportTemplate = async (req, res) => {
+  try {
+    const buffer = await projectImportService.getTemplate();
+
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', 'attachment; filename=projects-import-template.xlsx');
+    return res.send(Buffer.from(buffer));
   } catch (error) {
     return errorResponse(res, 500, 'Server error', error.message);
   }
@@ -197,16 +428,40 @@ exports.createProject = async (req, res) => {
 // Update project
 exports.updateProject = async (req, res) => {
   try {
-    const project = await Project.findById(req.params.id);
-    if (!project) {
-      return errorResponse(res, 404, 'Project not found');
+    const project = await loadWritableProject(req, res);
+    if (!project) return;
+
+    if (req.body.status !== undefined && req.body.status !== project.status) {
+      return errorResponse(res, 400, 'Use the status endpoint to change the project status');
     }
 
     const oldContractor = project.contractor?.toString();
     const newContractor = req.body.contractor;
 
-    // Update project
-    Object.assign(project, req.body);
+    const foreignUsers = await organizationService.findForeignUsers(
+      [req.body.contractor, req.body.projectManager],
+      project.tenant
+    );
+    if (foreignUsers.length > 0) {
+      return errorResponse(res, 400, "Contractor and project manager must belong to the project's organization");
+    }
+
+    if (newContractor && oldContractor !== newContractor.toString()) {
+      if (await rejectExpiredContractor(res, newContractor, project.tenant)) return;
+    }
+
+    // Update project (protected fields are left out)
+    const updates = omitProtectedFields(req.body);
+
+    // Progress is derived from milestones when the project has them
+    if (project.milestones.length > 0) {
+      delete updates.progress;
+    }
+
+    Object.assign(project, updates);
+    if (req.body.client) {
+      await clientService.syncProjectClient(project);
+    }
     await project.save();
 
     // Notify if contractor changed
@@ -235,10 +490,8 @@ exports.updateProject = async (req, res) => {
 // Delete project
 exports.deleteProject = async (req, res) => {
   try {
-    const project = await Project.findById(req.params.id);
-    if (!project) {
-      return errorResponse(res, 404, 'Project not found');
-    }
+    const project = await loadWritableProject(req, res);
+    if (!project) return;
 
     await Project.findByIdAndDelete(req.params.id);
 
@@ -251,10 +504,8 @@ exports.deleteProject = async (req, res) => {
 // Archive/Unarchive project
 exports.toggleArchiveProject = async (req, res) => {
   try {
-    const project = await Project.findById(req.params.id);
-    if (!project) {
-      return errorResponse(res, 404, 'Project not found');
-    }
+    const project = await loadWritableProject(req, res);
+    if (!project) return;
 
     project.isArchived = !project.isArchived;
     await project.save();
@@ -270,24 +521,48 @@ exports.toggleArchiveProject = async (req, res) => {
   }
 };
 
-// Update project status
-exports.updateProjectStatus = async (req, res) => {
+// Get the statuses a project can move to next
+exports.getProjectStatusTransitions = async (req, res) => {
   try {
-    const { status } = req.body;
-    const project = await Project.findById(req.params.id);
-
+    const project = await accessPolicy.findInTenant(Project, req.user, req.params.id);
     if (!project) {
       return errorResponse(res, 404, 'Project not found');
     }
 
-    project.status = status;
-    if (status === PROJECT_STATUS.COMPLETED) {
-      project.actualEndDate = new Date();
-      project.progress = 100;
+    const transitions = await projectStatusService.getTransitions(project);
+
+    return successResponse(res, 200, 'Project status transitions retrieved successfully', {
+      status: project.status,
+      transitions,
+    });
+  } catch (error) {
+    return errorResponse(res, 500, 'Server error', error.message);
+  }
+};
+
+// Update project status (following the status rules)
+exports.updateProjectStatus = async (req, res) => {
+  try {
+    const { status, reason } = req.body;
+    const project = await loadWritableProject(req, res);
+    if (!project) return;
+
+    const rejection = await projectStatusService.checkTransition(project, status, { reason });
+    if (rejection) {
+      return errorResponse(res, 400, rejection.message, rejection.errors);
     }
 
+    const previousStatus = project.status;
+    projectStatusService.applyTransition(project, status, { reason, userId: req.user._id });
     await project.save();
 
+    // A handed-over well starts its monitoring schedule
+    if (status === PROJECT_STATUS.COMPLETED) {
+      project.monitoring = await wellMonitoringService.syncProjectMonitoring(project._id);
+    }
+
+    await projectStatusService.notifyChange(project, previousStatus, req.user._id);
+
     return successResponse(res, 200, 'Project status updated successfully', project);
   } catch (error) {
     return errorResponse(res, 500, 'Server error', error.message);
@@ -297,22 +572,23 @@ exports.updateProjectStatus = async (req, res) => {
 // Get project statistics
 exports.getProjectStats = async (req, res) => {
   try {
-    const total = await Project.countDocuments({ isArchived: false });
-    const completed = await Project.countDocuments({ status: PROJECT_STATUS.COMPLETED, isArchived: false });
-    const inProgress = await Project.countDocuments({ status: PROJECT_STATUS.IN_PROGRESS, isArchived: false });
-    const planned = await Project.countDocuments({ status: PROJECT_STATUS.PLANNED, isArchived: false });
-    const onHold = await Project.countDocuments({ status: PROJECT_STATUS.ON_HOLD, isArchived: false });
+    const scope = { ...accessPolicy.getTenantFilter(req.user, req.query.organization), isArchived: false };
+    const total = await Project.countDocuments(scope);
+    const completed = await Project.countDocuments({ ...scope, status: PROJECT_STATUS.COMPLETED });
+    const inProgress = await Project.countDocuments({ ...scope, status: PROJECT_STATUS.IN_PROGRESS });
+    const planned = await Project.countDocuments({ ...scope, status: PROJECT_STATUS.PLANNED });
+    const onHold = await Project.countDocuments({ ...scope, status: PROJECT_STATUS.ON_HOLD });
 
     // Projects by country
     const byCountry = await Project.aggregate([
-      { $match: { isArchived: false } },
+      { $match: scope },
       { $group: { _id: '$country', count: { $sum: 1 } } },
       { $sort: { count: -1 } },
     ]);
 
     // Projects by status
     const byStatus = await Project.aggregate([
-      { $match: { isArchived: false } },
+      { $match: scope },
       { $group: { _id: '$status', count: { $sum: 1 } } },
     ]);
 
@@ -323,6 +599,7 @@ exports.getProjectStats = async (req, res) => {
     const monthlyCompletions = await Project.aggregate([
       {
         $match: {
+          ...scope,
           status: PROJECT_STATUS.COMPLETED,
           actualEndDate: { $gte: twelveMonthsAgo },
         },
@@ -341,9 +618,9 @@ exports.getProjectStats = async (req, res) => {
 
     // Delayed projects
     const delayed = await Project.countDocuments({
+      ...scope,
       status: { $in: [PROJECT_STATUS.IN_PROGRESS, PROJECT_STATUS.PLANNED] },
       expectedEndDate: { $lt: new Date() },
-      isArchived: false,
     });
 
     return successResponse(res, 200, 'Project statistics retrieved successfully', {
@@ -365,13 +642,8 @@ exports.getProjectStats = async (req, res) => {
 // Get projects for dropdown (simple list)
 exports.getProjectsList = async (req, res) => {
   try {
-    // Build query based on user role
-    const query = { isArchived: false };
-
-    // Contractors can only see their assigned projects
-    if (req.user.role === ROLES.CONTRACTOR) {
-      query.contractor = req.user._id;
-    }
+    // Build query based on what the user may see
+    const query = { ...(await accessPolicy.getFilter(req.user, 'project')), isArchived: false };
 
     const projects = await Project.find(query)
       .select('projectNumber projectName status country')
@@ -389,10 +661,8 @@ exports.reviewProject = async (req, res) => {
     const { reviewNotes, reviewStatus } = req.body;
     const projectId = req.params.id;
 
-    const project = await Project.findById(projectId);
-    if (!project) {
-      return errorResponse(res, 404, 'Project not found');
-    }
+    const project = await loadWritableProject(req, res);
+    if (!project) return;
 
     // Update review information
     project.reviewStatus = reviewStatus || 'reviewed';
@@ -422,10 +692,8 @@ exports.evaluateProject = async (req, res) => {
     const { overallScore, qualityScore, timelineScore, budgetScore, evaluationNotes } = req.body;
     const projectId = req.params.id;
 
-    const project = await Project.findById(projectId);
-    if (!project) {
-      return errorResponse(res, 404, 'Project not found');
-    }
+    const project = await loadWritableProject(req, res);
+    if (!project) return;
 
     // Initialize evaluation object if it doesn't exist
     if (!project.evaluation) {
@@ -457,3 +725,285 @@ exports.evaluateProject = async (req, res) => {
   }
 };
 
+
+// Get project team members
+exports.getProjectMembers = async (req, res) => {
+  try {
+    const project = await Project.findById(req.params.id)
+      .select('tenant projectNumber projectName contractor projectManager members clientAccount isArchived')
+      .populate('members.user', 'fullName email phone role organization isActive')
+      .populate('members.addedBy', 'fullName');
+
+    if (!project) {
+      return errorResponse(res, 404, 'Project not found');
+    }
+
+    if (!(await accessPolicy.canRead(req.user, 'project', project))) {
+      return errorResponse(res, 403, 'Access denied');
+    }
+
+    return successResponse(res, 200, 'Project members retrieved successfully', project.members);
+  } catch (error) {
+    return errorResponse(res, 500, 'Server error', error.message);
+  }
+};
+
+// Add a member to the project team, or change an existing member's role
+exports.addProjectMember = async (req, res) => {
+  try {
+    const { userId, role } = req.body;
+
+    const project = await loadWritableProject(req, res);
+    if (!project) return;
+
+    const user = await User.findById(userId);
+    if (!user || !user.isActive) {
+      return errorResponse(res, 404, 'User not found');
+    }
+
+    if ((await organizationService.findForeignUsers([user._id], project.tenant)).length > 0) {
+      return errorResponse(res, 400, "User does not belong to the project's organization");
+    }
+
+    if (user.role === ROLES.CLIENT) {
+      return errorResponse(res, 400, 'Clients cannot be project team members');
+    }
+
+    const eligibleRoles = MEMBER_ROLE_ELIGIBILITY[role];
+    if (eligibleRoles && !eligibleRoles.includes(user.role)) {
+      return errorResponse(res, 400, `A ${user.role} cannot be assigned as ${role}`);
+    }
+
+    const previousRole = project.getMemberRole(user._id);
+    const isNewLead =
+      role === PROJECT_MEMBER_ROLES.LEAD_CONTRACTOR && project.contractor?.toString() !== user._id.toString();
+
+    // Contractors with expired mandatory documents cannot take on new assignments
+    if (user.role === ROLES.CONTRACTOR && (!previousRole || isNewLead)) {
+      if (await rejectExpiredContractor(res, user._id, project.tenant)) return;
+    }
+
+    if (isNewLead) {
+      // The current lead stays on the team as a subcontractor
+      const currentLead = project.members.find((m) => m.role === PROJECT_MEMBER_ROLES.LEAD_CONTRACTOR);
+      if (currentLead) {
+        currentLead.role = PROJECT_MEMBER_ROLES.SUBCONTRACTOR;
+      }
+      project.contractor = user._id;
+    }
+
+    project.setMemberRole(user._id, role, req.user._id);
+
+    // Keep the lead / primary manager fields pointing at current members
+    if (previousRole === PROJECT_MEMBER_ROLES.LEAD_CONTRACTOR && role !== PROJECT_MEMBER_ROLES.LEAD_CONTRACTOR) {
+      project.contractor = undefined;
+    }
+    if (role === PROJECT_MEMBER_ROLES.PROJECT_MANAGER && !project.projectManager) {
+      project.projectManager = user._id;
+    }
+    if (project.projectManager?.toString() === user._id.toString() && role !== PROJECT_MEMBER_ROLES.PROJECT_MANAGER) {
+      project.projectManager = project.members.find(
+        (m) => m.role === PROJECT_MEMBER_ROLES.PROJECT_MANAGER && m.user.toString() !== user._id.toString()
+      )?.user;
+    }
+
+    await project.save();
+
+    // Notify newly added members
+    if (!previousRole) {
+      await notificationService.notifyProjectAssignment(project._id, user._id, project.projectName);
+      await emailService.sendProjectAssignedEmail(project, user);
+    }
+
+    await project.populate('members.user', 'fullName email phone role organization isActive');
+
+    return successResponse(
+      res,
+      previousRole ? 200 : 201,
+      previousRole ? 'Project member updated successfully' : 'Project member added successfully',
+      project.members
+    );
+  } catch (error) {
+    return errorResponse(res, 500, 'Server error', error.message);
+  }
+};
+
+// Remove a member from the project team
+exports.removeProjectMember = async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    const project = await loadWritableProject(req, res);
+    if (!project) return;
+
+    if (!project.hasMember(userId)) {
+      return errorResponse(res, 404, 'User is not a member of this project');
+    }
+
+    project.members = project.members.filter((m) => m.user.toString() !== userId);
+
+    if (project.contractor?.toString() === userId) {
+      project.contractor = undefined;
+    }
+    if (project.projectManager?.toString() === userId) {
+      project.projectManager = project.members.find((m) => m.role === PROJECT_MEMBER_ROLES.PROJECT_MANAGER)?.user;
+    }
+
+    await project.save();
+
+    return successResponse(res, 200, 'Project member removed successfully', project.members);
+  } catch (error) {
+    return errorResponse(res, 500, 'Server error', error.message);
+  }
+};
+
+// Get project milestones with delay detection
+exports.getProjectMilestones = async (req, res) => {
+  try {
+    const project = await Project.findById(req.params.id)
+      .select('tenant projectNumber projectName status progress milestones members clientAccount isArchived')
+      .populate('milestones.completedBy', 'fullName email');
+
+    if (!project) {
+      return errorResponse(res, 404, 'Project not found');
+    }
+
+    if (!(await accessPolicy.canRead(req.user, 'project', project))) {
+      return errorResponse(res, 403, 'Access denied');
+    }
+
+    return successResponse(res, 200, 'Project milestones retrieved successfully', describeMilestones(project));
+  } catch (error) {
+    return errorResponse(res, 500, 'Server error', error.message);
+  }
+};
+
+// Add the standard milestones to a project that has none
+exports.initializeProjectMilestones = async (req, res) => {
+  try {
+    const project = await loadWritableProject(req, res);
+    if (!project) return;
+
+    if (project.milestones.length > 0) {
+      return errorResponse(res, 400, 'Project already has milestones');
+    }
+
+    project.milestones = Project.defaultMilestones(project.startDate, project.expectedEndDate);
+    await project.save();
+
+    return successResponse(res, 201, 'Project milestones created successfully', describeMilestones(project));
+  } catch (error) {
+    return errorResponse(res, 500, 'Server error', error.message);
+  }
+};
+
+// Add a milestone
+exports.addProjectMilestone = async (req, res) => {
+  try {
+    const project = await loadWritableProject(req, res);
+    if (!project) return;
+
+    project.milestones.push({ type: req.body.type, weight: DEFAULT_MILESTONE_WEIGHTS[req.body.type] });
+    const milestone = project.milestones[project.milestones.length - 1];
+    applyMilestoneChanges(milestone, req.body, req.user._id);
+
+    const dateError = checkMilestoneDates(milestone);
+    if (dateError) {
+      return errorResponse(res, 400, dateError);
+    }
+
+    await project.save();
+
+    return successResponse(res, 201, 'Project milestone added successfully', describeMilestones(project));
+  } catch (error) {
+    return errorResponse(res, 500, 'Server error', error.message);
+  }
+};
+
+// Update a milestone
+exports.updateProjectMilestone = async (req, res) => {
+  try {
+    const project = await loadWritableProject(req, res);
+    if (!project) return;
+
+    const milestone = project.milestones.id(req.params.milestoneId);
+    if (!milestone) {
+      return errorResponse(res, 404, 'Milestone not found');
+    }
+
+    applyMilestoneChanges(milestone, req.body, req.user._id);
+
+    const dateError = checkMilestoneDates(milestone);
+    if (dateError) {
+      return errorResponse(res, 400, dateError);
+    }
+
+    await project.save();
+
+    return successResponse(res, 200, 'Project milestone updated successfully', describeMilestones(project));
+  } catch (error) {
+    return errorResponse(res, 500, 'Server error', error.message);
+  }
+};
+
+// Delete a milestone (milestones with reports must be skipped instead)
+exports.deleteProjectMilestone = async (req, res) => {
+  try {
+    const project = await loadWritableProject(req, res);
+    if (!project) return;
+
+    const milestone = project.milestones.id(req.params.milestoneId);
+    if (!milestone) {
+      return errorResponse(res, 404, 'Milestone not found');
+    }
+
+    if (await Report.exists({ project: project._id, milestone: milestone._id })) {
+      return errorResponse(res, 400, 'Milestone has reports; mark it as skipped instead');
+    }
+
+    milestone.deleteOne();
+    await project.save();
+
+    return successResponse(res, 200, 'Project milestone deleted successfully', describeMilestones(project));
+  } catch (error) {
+    return errorResponse(res, 500, 'Server error', error.message);
+  }
+};
+
+// Get milestones behind schedule across the projects the user may see
+exports.getDelayedMilestones = async (req, res) => {
+  try {
+    const { country, organization } = req.query;
+    const now = new Date();
+
+    const query = {
+      ...(await accessPolicy.getFilter(req.user, 'project', { tenant: organization })),
+      ...Project.delayedMilestoneFilter(now),
+      status: { $in: [PROJECT_STATUS.PLANNED, PROJECT_STATUS.IN_PROGRESS, PROJECT_STATUS.ON_HOLD] },
+      isArchived: false,
+    };
+    if (country) query.country = country;
+
+    const projects = await Project.find(query)
+      .select('projectNumber projectName country status progress contractor projectManager milestones')
+      .populate('contractor', 'fullName email')
+      .populate('projectManager', 'fullName email')
+      .lean();
+
+    const delayed = [];
+    for (const { milestones, ...project } of projects) {
+      for (const milestone of milestones) {
+        const delay = Project.getMilestoneDelay(milestone, now);
+        if (delay) delayed.push({ project, milestone, delay });
+      }
+    }
+    delayed.sort((a, b) => b.delay.days - a.delay.days);
+
+    return successResponse(res, 200, 'Delayed milestones retrieved successfully', {
+      milestones: delayed,
+      total: delayed.length,
+    });
+  } catch (error) {
+    return errorResponse(res, 500, 'Server error', error.message);
+  }
+};
@@ -2,12 +2,87 @@ const Report = require('../models/Report');
 const Project = require('../models/Project');
 const User = require('../models/User');
 const { successResponse, errorResponse, paginate } = require('../utils/helpers');
-const { REPORT_STATUS, ROLES } = require('../utils/constants');
+const {
+  REPORT_STATUS,
+  REPORT_TYPES,
+  PROJECT_MEMBER_ROLES,
+  ROLES,
+  MILESTONE_STATUS,
+} = require('../utils/constants');
 const googleDriveService = require('../services/googleDrive.service');
 const notificationService = require('../services/notification.service');
 const emailService = require('../services/email.service');
+const accessPolicy = require('../services/accessPolicy.service');
 const fs = require('fs');
 
+// Project roles that may submit reports, and that may review them
+const REPORTING_MEMBER_ROLES = [
+  PROJECT_MEMBER_ROLES.LEAD_CONTRACTOR,
+  PROJECT_MEMBER_ROLES.SUBCONTRACTOR,
+  PROJECT_MEMBER_ROLES.SUPERVISOR,
+];
+const REVIEWING_MEMBER_ROLES = [PROJECT_MEMBER_ROLES.PROJECT_MANAGER, PROJECT_MEMBER_ROLES.SUPERVISOR];
+
+// Report content a client may write (project, tenant, author, status and review
+// fields are set by the server or the submit/review actions)
+const REPORT_FIELDS = [
+  'reportType',
+  'milestone',
+  'title',
+  'titleAr',
+  'description',
+  'descriptionAr',
+  'workCompleted',
+  'workCompletedAr',
+  'progressPercentage',
+  'workDate',
+  'laborers',
+  'equipment',
+  'materials',
+  'challenges',
+  'challengesAr',
+  'nextSteps',
+  'nextStepsAr',
+  'weather',
+  'safetyIncidents',
+];
+
+// Helper: Writable report fields present in the request body
+const pickReportFields = (body) =>
+  Object.fromEntries(REPORT_FIELDS.filter((f) => body[f] !== undefined).map((f) => [f, body[f]]));
+
+// Helper: Check the milestone link of a report (returns an error message or null)
+const checkMilestoneLink = (project, reportType, milestoneId) => {
+  if (reportType === REPORT_TYPES.MILESTONE && !milestoneId) {
+    return 'Milestone reports must reference a project milestone';
+  }
+  if (milestoneId && reportType !== REPORT_TYPES.MILESTONE) {
+    return 'Only milestone reports can reference a milestone';
+  }
+  if (milestoneId && !project.milestones.id(milestoneId)) {
+    return 'Milestone not found on this project';
+  }
+  return null;
+};
+
+// Helper: Advance a milestone with an approved report (does not save)
+const applyMilestoneReport = (milestone, report, reviewerId) => {
+  if (milestone.status === MILESTONE_STATUS.COMPLETED || milestone.status === MILESTONE_STATUS.SKIPPED) return;
+
+  if (milestone.status === MILESTONE_STATUS.PENDING) {
+    milestone.status = MILESTONE_STATUS.IN_PROGRESS;
+    milestone.actualStartDate = milestone.actualStartDate || report.workDate;
+  }
+  if (report.progressPercentage !== undefined && report.progressPercentage !== null) {
+    milestone.progress = report.progressPercentage;
+  }
+  if (milestone.progress >= 100) {
+    milestone.status = MILESTONE_STATUS.COMPLETED;
+    milestone.actualEndDate = report.workDate;
+    milestone.completedBy = reviewerId;
+  }
+};
+
 // Get all reports with pagination and filters
 exports.getReports = async (req, res) => {
   try {
@@ -17,53 +92,17 @@ exports.getReports = async (req, res) => {
       status,
       project,
       reportType,
+      milestone,
       submittedBy,
       startDate,
       endDate,
       search,
+      organization,
     } = req.query;
     const { skip, limit: pageLimit } = paginate(page, limit);
 
-    // Build query based on user role
-    const query = {};
-    const andConditions = [];
-
-    // Role-based access control
-    // Contractors can only see their own reports or reports for their projects
-    if (req.user.role === ROLES.CONTRACTOR) {
-      // Get projects where user is contractor
-      const userProjects = await Project.find({ contractor: req.user._id }).select('_id');
-      const projectIds = userProjects.map(p => p._id);
-
-      andConditions.push({
-        $or: [
-          { submittedBy: req.user._id },
-          { project: { $in: projectIds } }
-        ]
-      });
-    }
-
-    // Project Managers can only see reports for projects where they are the project manager
-    if (req.user.role === ROLES.PROJECT_MANAGER) {
-      // Get projects where user is project manager
-      const userProjects = await Project.find({ projectManager: req.user._id }).select('_id');
-      const projectIds = userProjects.map(p => p._id);
-
-      if (projectIds.length > 0) {
-        andConditions.push({ project: { $in: projectIds } });
-      } else {
-        // No projects assigned, return empty result
-        return successResponse(res, 200, 'Reports retrieved successfully', {
-          reports: [],
-          pagination: {
-            page: parseInt(page),
-            limit: parseInt(limit),
-            total: 0,
-            totalPages: 0,
-          },
-        });
-      }
-    }
+    // Start from the reports the user may see
+    const andConditions = [await accessPolicy.getFilter(req.user, 'report', { tenant: organization })];
 
     // Apply other filters
     if (status) {
@@ -71,50 +110,18 @@ exports.getReports = async (req, res) => {
     }
 
     if (project) {
-      // Validate project filter against role restrictions
-      if (req.user.role === ROLES.PROJECT_MANAGER) {
-        // Check if project is in allowed list (already filtered above)
-        andConditions.push({ project });
-      } else if (req.user.role === ROLES.CONTRACTOR) {
-        // For contractors, validate project is in their allowed projects
-        const userProjects = await Project.find({ contractor: req.user._id }).select('_id');
-        const projectIds = userProjects.map(p => p._id.toString());
-        if (projectIds.includes(project)) {
-          andConditions.push({ project });
-        } else {
-          // Project not in allowed list, return empty
-          return successResponse(res, 200, 'Reports retrieved successfully', {
-            reports: [],
-            pagination: {
-              page: parseInt(page),
-              limit: parseInt(limit),
-              total: 0,
-              totalPages: 0,
-            },
-          });
-        }
-      } else {
-        andConditions.push({ project });
-      }
+      andConditions.push({ project });
     }
 
     if (reportType) {
       andConditions.push({ reportType });
     }
 
+    if (milestone) {
+      andConditions.push({ milestone });
+    }
+
     if (submittedBy) {
-      // For contractors, ensure they can only filter by themselves
-      if (req.user.role === ROLES.CONTRACTOR && submittedBy !== req.user._id.toString()) {
-        return successResponse(res, 200, 'Reports retrieved successfully', {
-          reports: [],
-          pagination: {
-            page: parseInt(page),
-            limit: parseInt(limit),
-            total: 0,
-            totalPages: 0,
-          },
-        });
-      }
       andConditions.push({ submittedBy });
     }
 
@@ -145,7 +152,7 @@ exports.getReports = async (req, res) => {
     }
 
     // Build final query
-    const finalQuery = andConditions.length > 1 ? { $and: andConditions } : (andConditions[0] || {});
+    const finalQuery = { $and: andConditions };
 
     const reports = await Report.find(finalQuery)
       .populate('project', 'projectNumber projectName country')
@@ -183,24 +190,8 @@ exports.getReport = async (req, res) => {
       return errorResponse(res, 404, 'Report not found');
     }
 
-    // Check access based on role
-    if (req.user.role === ROLES.CONTRACTOR) {
-      // Contractors can view reports they submitted or reports for their projects
-      const isSubmittedByUser = report.submittedBy?._id.toString() === req.user._id.toString();
-      const isProjectContractor = report.project?.contractor?.toString() === req.user._id.toString();
-
-      if (!isSubmittedByUser && !isProjectContractor) {
-        return errorResponse(res, 403, 'Access denied');
-      }
-    }
-
-    if (req.user.role === ROLES.PROJECT_MANAGER) {
-      // Project Managers can view reports for projects where they are the project manager
-      const isProjectManager = report.project?.projectManager?.toString() === req.user._id.toString();
-
-      if (!isProjectManager) {
-        return errorResponse(res, 403, 'Access denied');
-      }
+    if (!(await accessPolicy.canRead(req.user, 'report', report))) {
+      return errorResponse(res, 403, 'Access denied');
     }
 
     return successResponse(res, 200, 'Report retrieved successfully', report);
@@ -212,20 +203,29 @@ exports.getReport = async (req, res) => {
 // Create report
 exports.createReport = async (req, res) => {
   try {
+    // Verify project exists in the user's organization
+    const project = await accessPolicy.findInTenant(Project, req.user, req.body.project);
+    if (!project) {
+      return errorResponse(res, 404, 'Project not found');
+    }
+
+    // A new report is either a draft or submitted; review states come from the review action
     const reportData = {
-      ...req.body,
+      ...pickReportFields(req.body),
+      project: project._id,
+      tenant: project.tenant || null,
+      status: req.body.status === REPORT_STATUS.DRAFT ? REPORT_STATUS.DRAFT : REPORT_STATUS.SUBMITTED,
       submittedBy: req.user._id,
     };
 
-    // Verify project exists
-    const project = await Project.findById(req.body.project);
-    if (!project) {
-      return errorResponse(res, 404, 'Project not found');
+    // Verify contractor is on the project team in a role that reports work
+    if (req.user.role === ROLES.CONTRACTOR && !project.hasMember(req.user._id, REPORTING_MEMBER_ROLES)) {
+      return errorResponse(res, 403, 'You are not assigned to this project');
     }
 
-    // Verify contractor is assigned to project
-    if (req.user.role === ROLES.CONTRACTOR && project.contractor?.toString() !== req.user._id.toString()) {
-      return errorResponse(res, 403, 'You are not assigned to this project');
+    const milestoneError = checkMilestoneLink(project, reportData.reportType || REPORT_TYPES.DAILY, reportData.milestone);
+    if (milestoneError) {
+      return errorResponse(res, 400, milestoneError);
     }
 
     const report = await Report.create(reportData);
@@ -239,24 +239,35 @@ exports.createReport = async (req, res) => {
 // Update report
 exports.updateReport = async (req, res) => {
   try {
-    const report = await Report.findById(req.params.id);
+    const report = await accessPolicy.findInTenant(Report, req.user, req.params.id);
     if (!report) {
       return errorResponse(res, 404, 'Report not found');
     }
 
-    // Check permissions
-    if (req.user.role === ROLES.CONTRACTOR) {
-      // Contractors can only edit their own draft/rejected reports
-      if (
-        report.submittedBy.toString() !== req.user._id.toString() ||
-        ![REPORT_STATUS.DRAFT, REPORT_STATUS.REJECTED].includes(report.status)
-      ) {
-        return errorResponse(res, 403, 'Cannot edit this report');
+    if (!(await accessPolicy.canWrite(req.user, 'report', report))) {
+      return errorResponse(res, 403, 'Cannot edit this report');
+    }
+
+    const updates = pickReportFields(req.body);
+
+    // Re-check the milestone link when the type or milestone changes
+    if (updates.reportType !== undefined || updates.milestone !== undefined) {
+      const project = await Project.findById(report.project).select('milestones');
+      if (!project) {
+        return errorResponse(res, 404, 'Project not found');
+      }
+      const milestoneError = checkMilestoneLink(
+        project,
+        updates.reportType ?? report.reportType,
+        updates.milestone !== undefined ? updates.milestone : report.milestone
+      );
+      if (milestoneError) {
+        return errorResponse(res, 400, milestoneError);
       }
     }
 
     // Update report
-    Object.assign(report, req.body);
+    Object.assign(report, updates);
     await report.save();
 
     const updatedReport = await Report.findById(report._id)
@@ -272,7 +283,7 @@ exports.updateReport = async (req, res) => {
 // Delete report
 exports.deleteReport = async (req, res) => {
   try {
-    const report = await Report.findById(req.params.id);
+    const report = await accessPolicy.findInTenant(Report, req.user, req.params.id);
     if (!report) {
       return errorResponse(res, 404, 'Report not found');
     }
@@ -310,7 +321,7 @@ exports.deleteReport = async (req, res) => {
 // Submit report for review
 exports.submitReport = async (req, res) => {
   try {
-    const report = await Report.findById(req.params.id).populate('project');
+    const report = await accessPolicy.findInTenant(Report, req.user, req.params.id).populate('project');
     if (!report) {
       return errorResponse(res, 404, 'Report not found');
     }
@@ -326,10 +337,14 @@ exports.submitReport = async (req, res) => {
     await report.save();
 
     // Notify project managers and admins
+    const projectManagerIds = report.project.members
+      .filter((m) => m.role === PROJECT_MEMBER_ROLES.PROJECT_MANAGER)
+      .map((m) => m.user);
     const managers = await User.find({
       $or: [
-        { role: { $in: [ROLES.ADMIN, ROLES.SUPER_ADMIN, ROLES.PROJECT_MANAGER] } },
-        { _id: report.project.projectManager },
+        { role: { $in: [ROLES.ADMIN, ROLES.PROJECT_MANAGER] }, tenant: report.tenant || null },
+        { role: ROLES.SUPER_ADMIN },
+        { _id: { $in: projectManagerIds } },
       ],
       isActive: true,
     });
@@ -352,12 +367,23 @@ exports.submitReport = async (req, res) => {
 exports.reviewReport = async (req, res) => {
   try {
     const { action, reviewNotes, rejectionReason } = req.body;
-    const report = await Report.findById(req.params.id).populate('project').populate('submittedBy');
+    const report = await accessPolicy
+      .findInTenant(Report, req.user, req.params.id)
+      .populate('project')
+      .populate('submittedBy');
 
     if (!report) {
       return errorResponse(res, 404, 'Report not found');
     }
 
+    // Project Managers review reports of their own projects only
+    if (
+      req.user.role === ROLES.PROJECT_MANAGER &&
+      !report.project?.hasMember(req.user._id, REVIEWING_MEMBER_ROLES)
+    ) {
+      return errorResponse(res, 403, 'Access denied');
+    }
+
     if (![REPORT_STATUS.SUBMITTED, REPORT_STATUS.UNDER_REVIEW].includes(report.status)) {
       return errorResponse(res, 400, 'Report is not pending review');
     }
@@ -376,9 +402,15 @@ exports.reviewReport = async (req, res) => {
       );
       await emailService.sendReportApprovedEmail(report, report.project, report.submittedBy);
 
-      // Update project progress if provided
-      if (report.progressPercentage !== undefined) {
-        await Project.findByIdAndUpdate(report.project._id, {
+      // Milestone reports advance their milestone and project progress follows from the
+      // milestone weights; only projects without milestones take the reported progress as is
+      const project = report.project;
+      const milestone = report.milestone && project?.milestones.id(report.milestone);
+      if (milestone) {
+        applyMilestoneReport(milestone, report, req.user._id);
+        await project.save();
+      } else if (project && report.progressPercentage !== undefined && project.milestones.length === 0) {
+        await Project.findByIdAndUpdate(project._id, {
           progress: report.progressPercentage,
         });
       }
@@ -416,7 +448,7 @@ exports.reviewReport = async (req, res) => {
 // Upload attachments to report
 exports.uploadAttachments = async (req, res) => {
   try {
-    const report = await Report.findById(req.params.id).populate('project');
+    const report = await accessPolicy.findInTenant(Report, req.user, req.params.id).populate('project');
     if (!report) {
       return errorResponse(res, 404, 'Report not found');
     }
@@ -477,7 +509,7 @@ exports.uploadAttachments = async (req, res) => {
 exports.deleteAttachment = async (req, res) => {
   try {
     const { reportId, attachmentId } = req.params;
-    const report = await Report.findById(reportId);
+    const report = await accessPolicy.findInTenant(Report, req.user, reportId);
 
     if (!report) {
       return errorResponse(res, 404, 'Report not found');
@@ -510,14 +542,16 @@ exports.deleteAttachment = async (req, res) => {
 // Get report statistics
 exports.getReportStats = async (req, res) => {
   try {
-    const total = await Report.countDocuments();
-    const submitted = await Report.countDocuments({ status: REPORT_STATUS.SUBMITTED });
-    const underReview = await Report.countDocuments({ status: REPORT_STATUS.UNDER_REVIEW });
-    const approved = await Report.countDocuments({ status: REPORT_STATUS.APPROVED });
-    const rejected = await Report.countDocuments({ status: REPORT_STATUS.REJECTED });
+    const scope = await accessPolicy.getFilter(req.user, 'report', { tenant: req.query.organization });
+    const total = await Report.countDocuments(scope);
+    const submitted = await Report.countDocuments({ ...scope, status: REPORT_STATUS.SUBMITTED });
+    const underReview = await Report.countDocuments({ ...scope, status: REPORT_STATUS.UNDER_REVIEW });
+    const approved = await Report.countDocuments({ ...scope, status: REPORT_STATUS.APPROVED });
+    const rejected = await Report.countDocuments({ ...scope, status: REPORT_STATUS.REJECTED });
 
     // Reports by type
     const byType = await Report.aggregate([
+      { $match: scope },
       { $group: { _id: '$reportType', count: { $sum: 1 } } },
     ]);
 
@@ -0,0 +1,232 @@
+const Role = require('../models/Role');
+const Permission = require('../models/Permission');
+const User = require('../models/User');
+const permissionService = require('../services/permission.service');
+const { successResponse, errorResponse } = require('../utils/helpers');
+const { ROLES } = require('../utils/constants');
+
+// Helper: Normalize a permission list from the request body
+const normalizeKeys = (keys) => [...new Set((keys || []).map((key) => String(key).trim()).filter(Boolean))];
+
+// Get all roles with effective permissions and user counts
+exports.getRoles = async (req, res) => {
+  try {
+    const roles = await Role.find().sort({ isSystem: -1, name: 1 }).lean();
+
+    const userCounts = await User.aggregate([{ $group: { _id: '$role', count: { $sum: 1 } } }]);
+    const countByRole = Object.fromEntries(userCounts.map((item) => [item._id, item.count]));
+
+    const rolesWithDetails = await Promise.all(
+      roles.map(async (role) => ({
+        ...role,
+        effectivePermissions: [...(await permissionService.getRolePermissions(role.name))].sort(),
+        userCount: countByRole[role.name] || 0,
+      }))
+    );
+
+    return successResponse(res, 200, 'Roles retrieved successfully', rolesWithDetails);
+  } catch (error) {
+    return errorResponse(res, 500, 'Server error', error.message);
+  }
+};
+
+// Get single role
+exports.getRole = async (req, res) => {
+  try {
+    const role = await Role.findById(req.params.id).lean();
+    if (!role) {
+      return errorResponse(res, 404, 'Role not found');
+    }
+
+    return successResponse(res, 200, 'Role retrieved successfully', {
+      ...role,
+      effectivePermissions: [...(await permissionService.getRolePermissions(role.name))].sort(),
+      userCount: await User.countDocuments({ role: role.name }),
+    });
+  } catch (error) {
+    return errorResponse(res, 500, 'Server error', error.message);
+  }
+};
+
+// Create custom role
+exports.createRole = async (req, res) => {
+  try {
+    const { name, displayName, displayNameAr, description } = req.body;
+    const permissions = normalizeKeys(req.body.permissions);
+
+    if (await Role.exists({ name })) {
+      return errorResponse(res, 400, 'Role already exists');
+    }
+
+    const unknown = await permissionService.findUnknownPermissions(permissions);
+    if (unknown.length > 0) {
+      return errorResponse(res, 400, 'Unknown permissions', unknown);
+    }
+
+    const role = await Role.create({
+      name,
+      displayName,
+      displayNameAr,
+      description,
+      permissions,
+      createdBy: req.user._id,
+    });
+    permissionService.invalidate();
+
+    return successResponse(res, 201, 'Role created successfully', role);
+  } catch (error) {
+    return errorResponse(res, 500, 'Server error', error.message);
+  }
+};
+
+// Update role (the name is fixed because users reference it)
+exports.updateRole = async (req, res) => {
+  try {
+    const { displayName, displayNameAr, description, permissions } = req.body;
+
+    const role = await Role.findById(req.params.id);
+    if (!role) {
+      return errorResponse(res, 404, 'Role not found');
+    }
+
+    if (permissions !== undefined) {
+      // Super admin always keeps every permission
+      if (role.name === ROLES.SUPER_ADMIN) {
+        return errorResponse(res, 403, 'Cannot change super admin permissions');
+      }
+
+      const keys = normalizeKeys(permissions);
+      const unknown = await permissionService.findUnknownPermissions(keys);
+      if (unknown.length > 0) {
+        return errorResponse(res, 400, 'Unknown permissions', unknown);
+      }
+      role.permissions = keys;
+    }
+
+    if (displayName) role.displayName = displayName;
+    if (displayNameAr !== undefined) role.displayNameAr = displayNameAr;
+    if (description !== undefined) role.description = description;
+    role.updatedBy = req.user._id;
+
+    await role.save();
+    permissionService.invalidate();
+
+    return successResponse(res, 200, 'Role updated successfully', role);
+  } catch (error) {
+    return errorResponse(res, 500, 'Server error', error.message);
+  }
+};
+
+// Delete custom role
+exports.deleteRole = async (req, res) => {
+  try {
+    const role = await Role.findById(req.params.id);
+    if (!role) {
+      return errorResponse(res, 404, 'Role not found');
+    }
+
+    if (role.isSystem) {
+      return errorResponse(res, 403, 'Cannot delete a built-in role');
+    }
+
+    const userCount = await User.countDocuments({ role: role.name });
+    if (userCount > 0) {
+      return errorResponse(res, 400, `Role is assigned to ${userCount} user(s); reassign them first`);
+    }
+
+    await Role.findByIdAndDelete(role._id);
+    permissionService.invalidate();
+
+    return successResponse(res, 200, 'Role deleted successfully');
+  } catch (error) {
+    return errorResponse(res, 500, 'Server error', error.message);
+  }
+};
+
+// Get all permissions with their implications
+exports.getPermissions = async (req, res) => {
+  try {
+    const permissions = await Permission.find().sort({ key: 1 });
+
+    return successResponse(res, 200, 'Permissions retrieved successfully', permissions);
+  } catch (error) {
+    return errorResponse(res, 500, 'Server error', error.message);
+  }
+};
+
+// Create custom permission (e.g. a bundle implying several built-in permissions)
+exports.createPermission = async (req, res) => {
+  try {
+    const { key, description } = req.body;
+    const implies = normalizeKeys(req.body.implies);
+
+    if (await Permission.exists({ key })) {
+      return errorResponse(res, 400, 'Permission already exists');
+    }
+
+    const unknown = await permissionService.findUnknownPermissions(implies, { allowWildcard: true });
+    if (unknown.length > 0) {
+      return errorResponse(res, 400, 'Unknown permissions', unknown);
+    }
+
+    const permission = await Permission.create({ key, description, implies });
+    permissionService.invalidate();
+
+    return successResponse(res, 201, 'Permission created successfully', permission);
+  } catch (error) {
+    return errorResponse(res, 500, 'Server error', error.message);
+  }
+};
+
+// Update permission description or implications
+exports.updatePermission = async (req, res) => {
+  try {
+    const { description, implies } = req.body;
+
+    const permission = await Permission.findOne({ key: req.params.key });
+    if (!permission) {
+      return errorResponse(res, 404, 'Permission not found');
+    }
+
+    if (implies !== undefined) {
+      const keys = normalizeKeys(implies).filter((key) => key !== permission.key);
+      const unknown = await permissionService.findUnknownPermissions(keys, { allowWildcard: true });
+      if (unknown.length > 0) {
+        return errorResponse(res, 400, 'Unknown permissions', unknown);
+      }
+      permission.implies = keys;
+    }
+
+    if (description !== undefined) permission.description = description;
+
+    await permission.save();
+    permissionService.invalidate();
+
+    return successResponse(res, 200, 'Permission updated successfully', permission);
+  } catch (error) {
+    return errorResponse(res, 500, 'Server error', error.message);
+  }
+};
+
+// Delete custom permission and remove it from roles and implications
+exports.deletePermission = async (req, res) => {
+  try {
+    const permission = await Permission.findOne({ key: req.params.key });
+    if (!permission) {
+      return errorResponse(res, 404, 'Permission not found');
+    }
+
+    if (permission.isSystem) {
+      return errorResponse(res, 403, 'Cannot delete a built-in permission');
+    }
+
+    await Role.updateMany({ permissions: permission.key }, { $pull: { permissions: permission.key } });
+    await Permission.updateMany({ implies: permission.key }, { $pull: { implies: permission.key } });
+    await Permission.deleteOne({ _id: permission._id });
+    permissionService.invalidate();
+
+    return successResponse(res, 200, 'Permission deleted successfully');
+  } catch (error) {
+    return errorResponse(res, 500, 'Server error', error.message);
+  }
+};
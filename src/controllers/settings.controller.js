@@ -1,6 +1,15 @@
 const Settings = require('../models/Settings');
 const { successResponse, errorResponse } = require('../utils/helpers');
 const googleDriveService = require('../services/googleDrive.service');
+const settingsService = require('../services/settings.service');
+const { ROLES } = require('../utils/constants');
+
+// Helper: Global settings overlaid with the organization's overrides
+const findEffectiveSettings = async (query, tenant) => {
+  const settings = await Settings.find({ ...query, tenant: { $in: [null, tenant] } });
+  // Global values first so organization overrides win
+  return settings.sort((a, b) => (a.tenant ? 1 : 0) - (b.tenant ? 1 : 0));
+};
 
 // Get all settings or by category
 exports.getSettings = async (req, res) => {
@@ -17,7 +26,8 @@ exports.getSettings = async (req, res) => {
       query.isPublic = true;
     }
 
-    const settings = await Settings.find(query);
+    const tenant = settingsService.getTargetTenant(req.user, req.query.organization);
+    const settings = await findEffectiveSettings(query, tenant);
 
     // Convert to key-value object
     const settingsObj = {};
@@ -34,7 +44,8 @@ exports.getSettings = async (req, res) => {
 // Get single setting by key
 exports.getSetting = async (req, res) => {
   try {
-    const setting = await Settings.findOne({ key: req.params.key });
+    const tenant = settingsService.getTargetTenant(req.user, req.query.organization);
+    const setting = (await findEffectiveSettings({ key: req.params.key }, tenant)).pop();
 
     if (!setting) {
       return errorResponse(res, 404, 'Setting not found');
@@ -58,11 +69,13 @@ exports.getSetting = async (req, res) => {
 exports.updateSetting = async (req, res) => {
   try {
     const { key, value, category, description, isPublic } = req.body;
+    const tenant = settingsService.getTargetTenant(req.user, req.query.organization);
 
     const setting = await Settings.findOneAndUpdate(
-      { key },
+      { key, tenant },
       {
         key,
+        tenant,
         value,
         category,
         description,
@@ -82,12 +95,14 @@ exports.updateSetting = async (req, res) => {
 exports.updateMultipleSettings = async (req, res) => {
   try {
     const { settings } = req.body;
+    const tenant = settingsService.getTargetTenant(req.user, req.query.organization);
 
     const updatePromises = Object.entries(settings).map(([key, value]) =>
       Settings.findOneAndUpdate(
-        { key },
+        { key, tenant },
         {
           key,
+          tenant,
           value,
           updatedBy: req.user._id,
         },
@@ -103,10 +118,11 @@ exports.updateMultipleSettings = async (req, res) => {
   }
 };
 
-// Delete setting
+// Delete setting (deleting an organization override restores the global value)
 exports.deleteSetting = async (req, res) => {
   try {
-    const setting = await Settings.findOneAndDelete({ key: req.params.key });
+    const tenant = settingsService.getTargetTenant(req.user, req.query.organization);
+    const setting = await Settings.findOneAndDelete({ key: req.params.key, tenant });
 
     if (!setting) {
       return errorResponse(res, 404, 'Setting not found');
@@ -123,6 +139,11 @@ exports.initializeGoogleDrive = async (req, res) => {
   try {
     const { type, credentials } = req.body;
 
+    // The Drive connection is shared by every organization
+    if (req.user.role !== ROLES.SUPER_ADMIN) {
+      return errorResponse(res, 403, 'Only super admins can configure Google Drive');
+    }
+
     let credentialsData = {
       type,
     };
@@ -146,7 +167,7 @@ exports.initializeGoogleDrive = async (req, res) => {
 
     // Save credentials to settings
     await Settings.findOneAndUpdate(
-      { key: 'google_drive_credentials' },
+      { key: 'google_drive_credentials', tenant: null },
       {
         key: 'google_drive_credentials',
         value: credentialsData,
@@ -158,7 +179,7 @@ exports.initializeGoogleDrive = async (req, res) => {
     );
 
     await Settings.findOneAndUpdate(
-      { key: 'google_drive_enabled' },
+      { key: 'google_drive_enabled', tenant: null },
       {
         key: 'google_drive_enabled',
         value: true,
@@ -178,7 +199,7 @@ exports.initializeGoogleDrive = async (req, res) => {
 // Get Google Drive status
 exports.getGoogleDriveStatus = async (req, res) => {
   try {
-    const enabledSetting = await Settings.findOne({ key: 'google_drive_enabled' });
+    const enabledSetting = await Settings.findOne({ key: 'google_drive_enabled', tenant: null });
     const enabled = enabledSetting?.value || false;
 
     return successResponse(res, 200, 'Google Drive status retrieved', {
@@ -194,11 +215,13 @@ exports.getGoogleDriveStatus = async (req, res) => {
 exports.updateTheme = async (req, res) => {
   try {
     const { primaryColor, secondaryColor, mode } = req.body;
+    const tenant = settingsService.getTargetTenant(req.user, req.query.organization);
 
     await Settings.findOneAndUpdate(
-      { key: 'theme_settings' },
+      { key: 'theme_settings', tenant },
       {
         key: 'theme_settings',
+        tenant,
         value: {
           primaryColor,
           secondaryColor,
@@ -1,21 +1,36 @@
 const User = require('../models/User');
-const { successResponse, errorResponse, sanitizeUser, paginate, generatePassword } = require('../utils/helpers');
+const { successResponse, errorResponse, sanitizeUser, paginate, isTransactionUnsupported } = require('../utils/helpers');
 const { ROLES } = require('../utils/constants');
-const emailService = require('../services/email.service');
 const cloudinaryService = require('../services/cloudinary.service');
+const sessionService = require('../services/session.service');
+const passwordPolicyService = require('../services/passwordPolicy.service');
+const invitationService = require('../services/invitation.service');
+const accessPolicy = require('../services/accessPolicy.service');
+const organizationService = require('../services/organization.service');
+const userImportService = require('../services/userImport.service');
+const userDeletionService = require('../services/userDeletion.service');
+const { resetRateLimit, accountKey } = require('../middlewares/rateLimit');
+
+// Helper: Find a user of the viewer's organization that has not been deleted
+const findUser = (viewer, id) => accessPolicy.findInTenant(User, viewer, id).where({ deletedAt: null });
 
 // Get all users with pagination and filters
 exports.getUsers = async (req, res) => {
   try {
-    const { page = 1, limit = 10, role, isActive, search } = req.query;
+    const { page = 1, limit = 10, role, isActive, invitationStatus, search, organization, deleted } = req.query;
     const { skip, limit: pageLimit } = paginate(page, limit);
 
-    // Build query
-    const query = {};
+    // Build query (limited to the user's organization)
+    const tenantFilter = await accessPolicy.getFilter(req.user, 'user', { tenant: organization });
+    // Deleted users are only listed on request (to restore them)
+    const query = { ...tenantFilter, deletedAt: deleted === 'true' ? { $ne: null } : null };
     if (role && role !== '') query.role = role;
     if (isActive !== undefined && isActive !== '') {
       query.isActive = isActive === 'true';
     }
+    if (invitationStatus && invitationStatus !== '') {
+      query['invitation.status'] = invitationStatus;
+    }
     if (search && search.trim() !== '') {
       query.$or = [
         { fullName: { $regex: search, $options: 'i' } },
@@ -43,6 +58,11 @@ exports.getUsers = async (req, res) => {
       .limit(pageLimit);
 
     const total = await User.countDocuments(query);
+    const pendingInvitations = await User.countDocuments({
+      ...tenantFilter,
+      deletedAt: null,
+      'invitation.status': 'pending',
+    });
 
     // Debug logging in development
     // if (process.env.NODE_ENV === 'development') {
@@ -55,6 +75,7 @@ exports.getUsers = async (req, res) => {
 
     return successResponse(res, 200, 'Users retrieved successfully', {
       users: users.map(sanitizeUser),
+      pendingInvitations,
       pagination: {
         page: parseInt(page),
         limit: parseInt(limit),
@@ -70,7 +91,7 @@ exports.getUsers = async (req, res) => {
 // Get single user
 exports.getUser = async (req, res) => {
   try {
-    const user = await User.findById(req.params.id);
+    const user = await accessPolicy.findInTenant(User, req.user, req.params.id);
     if (!user) {
       return errorResponse(res, 404, 'User not found');
     }
@@ -86,27 +107,52 @@ exports.createUser = async (req, res) => {
   try {
     const { fullName, email, role, phone, organization, country, password, media } = req.body;
 
+    if (role === ROLES.SUPER_ADMIN && req.user.role !== ROLES.SUPER_ADMIN) {
+      return errorResponse(res, 403, 'Only super admins can grant the super admin role');
+    }
+
+    // New users join the creator's organization (super admins may pick one)
+    const tenant = await organizationService.resolveTenant(req.user, req.body.tenant);
+    if (tenant === undefined) {
+      return errorResponse(res, 400, 'Organization not found');
+    }
+
     // Check if email already exists
     const existingUser = await User.findOne({ email });
+    if (existingUser?.isDeleted()) {
+      return errorResponse(res, 400, 'Email belongs to a deleted user; restore the account instead');
+    }
     if (existingUser) {
       return errorResponse(res, 400, 'Email already exists');
     }
 
-    // Use provided password or generate temporary password
-    const userPassword = password || generatePassword();
+    if (password) {
+      const policyErrors = await passwordPolicyService.validate(password);
+      if (policyErrors.length > 0) {
+        return errorResponse(res, 400, 'Password does not meet the password policy', policyErrors);
+      }
+    }
 
-    // Create user
+    // Create user - without a password the account stays pending until the invitation is accepted
     const userData = {
       fullName,
       email,
-      password: userPassword,
       role: role || ROLES.VIEWER,
       phone,
       organization,
+      tenant,
       country,
       isActive: true,
     };
 
+    if (password) {
+      userData.password = password;
+      // Admin-chosen passwords are temporary and must be replaced at first login
+      userData.mustChangePassword = true;
+    } else {
+      userData.invitation = { status: 'pending', invitedBy: req.user._id };
+    }
+
     // Add media if provided
     if (media && Array.isArray(media) && media.length > 0) {
       userData.media = media;
@@ -114,9 +160,8 @@ exports.createUser = async (req, res) => {
 
     const user = await User.create(userData);
 
-    // Send welcome email only if password was auto-generated
     if (!password) {
-      await emailService.sendWelcomeEmail(user, userPassword);
+      await invitationService.send(user, req.user);
     }
 
     return successResponse(res, 201, 'User created successfully', sanitizeUser(user));
@@ -125,12 +170,88 @@ exports.createUser = async (req, res) => {
   }
 };
 
+// Import users from an XLSX/CSV file: returns a per-row preview, and creates the
+// valid rows and emails them when commit=true
+exports.importUsers = async (req, res) => {
+  try {
+    if (!req.file) {
+      return errorResponse(res, 400, 'No file uploaded');
+    }
+
+    const { defaultRole } = req.body;
+    const commit = req.body.commit === 'true' || req.body.commit === true;
+    const skipInvalid = req.body.skipInvalid === 'true' || req.body.skipInvalid === true;
+
+    // Imported users join the importer's organization (super admins may pick one)
+    const tenant = await organizationService.resolveTenant(req.user, req.body.tenant);
+    if (tenant === undefined) {
+      return errorResponse(res, 400, 'Organization not found');
+    }
+
+    let parsed;
+    try {
+      parsed = await userImportService.parse(req.file);
+    } catch (error) {
+      return errorResponse(res, 400, 'Could not read the spreadsheet', error.message);
+    }
+
+    if (parsed.missingColumns.length > 0) {
+      return errorResponse(res, 400, 'Missing required columns', parsed.missingColumns);
+    }
+    if (parsed.rows.length === 0) {
+      return errorResponse(res, 400, 'The file has no rows to import');
+    }
+    if (parsed.rows.length > userImportService.getLimit()) {
+      return errorResponse(res, 400, `A single import is limited to ${userImportService.getLimit()} rows`);
+    }
+
+    const preview = await userImportService.validate(parsed.rows, req.user, { defaultRole });
+
+    if (!commit) {
+      return successResponse(res, 200, 'Import preview generated', userImportService.toPreview(preview));
+    }
+
+    if (preview.summary.invalid > 0 && !skipInvalid) {
+      return errorResponse(res, 400, 'Some rows are invalid; fix them or import with skipInvalid=true', userImportService.toPreview(preview));
+    }
+
+    const validRows = preview.rows.filter((row) => row.errors.length === 0);
+    const results = await userImportService.commit(validRows, req.user, tenant);
+    const created = results.filter((result) => !result.error).length;
+
+    return successResponse(res, 201, `${created} user(s) imported successfully`, {
+      summary: {
+        ...preview.summary,
+        created,
+        failed: results.length - created,
+        skipped: preview.summary.invalid,
+      },
+      results,
+    });
+  } catch (error) {
+    return errorResponse(res, 500, 'Server error', error.message);
+  }
+};
+
+// Download the user import template
+exports.getImportTemplate = async (req, res) => {
+  try {
+    const buffer = await userImportService.getTemplate();
+
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', 'attachment; filename=users-import-template.xlsx');
+    return res.send(Buffer.from(buffer));
+  } catch (error) {
+    return errorResponse(res, 500, 'Server error', error.message);
+  }
+};
+
 // Update user
 exports.updateUser = async (req, res) => {
   try {
     const { fullName, role, phone, organization, country, isActive, password, media } = req.body;
 
-    const user = await User.findById(req.params.id);
+    const user = await findUser(req.user, req.params.id);
     if (!user) {
       return errorResponse(res, 404, 'User not found');
     }
@@ -140,6 +261,10 @@ exports.updateUser = async (req, res) => {
       return errorResponse(res, 403, 'Cannot modify super admin');
     }
 
+    if (role === ROLES.SUPER_ADMIN && req.user.role !== ROLES.SUPER_ADMIN) {
+      return errorResponse(res, 403, 'Only super admins can grant the super admin role');
+    }
+
     // Update fields
     if (fullName) user.fullName = fullName;
     if (role) user.role = role;
@@ -148,9 +273,25 @@ exports.updateUser = async (req, res) => {
     if (country !== undefined) user.country = country;
     if (isActive !== undefined) user.isActive = isActive;
 
+    // Only super admins move users between organizations
+    if (req.body.tenant !== undefined && accessPolicy.isCrossTenant(req.user)) {
+      const tenant = await organizationService.resolveTenant(req.user, req.body.tenant);
+      if (tenant === undefined) {
+        return errorResponse(res, 400, 'Organization not found');
+      }
+      user.tenant = tenant;
+    }
+
     // Update password if provided
-    if (password && password.trim() !== '') {
+    const passwordChanged = !!password && password.trim() !== '';
+    if (passwordChanged) {
+      const policyErrors = await passwordPolicyService.validate(password, user._id);
+      if (policyErrors.length > 0) {
+        return errorResponse(res, 400, 'Password does not meet the password policy', policyErrors);
+      }
       user.password = password;
+      // Admin-chosen passwords are temporary and must be replaced at next login
+      user.mustChangePassword = true;
     }
 
     // Update media if provided
@@ -160,16 +301,39 @@ exports.updateUser = async (req, res) => {
 
     await user.save();
 
+    // A password set by an admin signs the user out everywhere, as in changePassword
+    if (passwordChanged) {
+      await sessionService.revokeAllSessions(user._id, 'password_changed');
+    }
+
     return successResponse(res, 200, 'User updated successfully', sanitizeUser(user));
   } catch (error) {
     return errorResponse(res, 500, 'Server error', error.message);
   }
 };
 
-// Delete user
+// Open work a user holds (must be reassigned before the user can be deleted)
+exports.getUserOpenWork = async (req, res) => {
+  try {
+    const user = await findUser(req.user, req.params.id);
+    if (!user) {
+      return errorResponse(res, 404, 'User not found');
+    }
+
+    const openWork = await userDeletionService.getOpenWork(user._id);
+
+    return successResponse(res, 200, 'Open work retrieved successfully', openWork);
+  } catch (error) {
+    return errorResponse(res, 500, 'Server error', error.message);
+  }
+};
+
+// Delete user (soft delete; open projects, pending payments and draft reports move to reassignTo)
 exports.deleteUser = async (req, res) => {
   try {
-    const user = await User.findById(req.params.id);
+    const { reassignTo } = req.body;
+
+    const user = await findUser(req.user, req.params.id);
     if (!user) {
       return errorResponse(res, 404, 'User not found');
     }
@@ -184,9 +348,50 @@ exports.deleteUser = async (req, res) => {
       return errorResponse(res, 403, 'Cannot delete your own account');
     }
 
-    await User.findByIdAndDelete(req.params.id);
+    const openWork = await userDeletionService.getOpenWork(user._id);
+    if (openWork.total > 0 && !reassignTo) {
+      return errorResponse(res, 400, 'User has open work; choose a user to reassign it to', openWork);
+    }
+
+    let target = null;
+    if (reassignTo) {
+      target = await accessPolicy.findInTenant(User, req.user, reassignTo);
+      const targetError = userDeletionService.checkTarget(user, target);
+      if (targetError) {
+        return errorResponse(res, 400, targetError);
+      }
+    }
+
+    const moved = await userDeletionService.softDelete(user, { target, actor: req.user });
+    await sessionService.revokeAllSessions(user._id, 'account_deleted');
 
-    return successResponse(res, 200, 'User deleted successfully');
+    return successResponse(res, 200, 'User deleted successfully', {
+      reassignedTo: target ? { _id: target._id, fullName: target.fullName, email: target.email } : null,
+      moved,
+    });
+  } catch (error) {
+    if (isTransactionUnsupported(error)) {
+      return errorResponse(res, 503, 'Deleting users requires MongoDB to run as a replica set', error.message);
+    }
+    return errorResponse(res, 500, 'Server error', error.message);
+  }
+};
+
+// Restore a deleted user (reassigned work stays with its new owner)
+exports.restoreUser = async (req, res) => {
+  try {
+    const user = await accessPolicy.findInTenant(User, req.user, req.params.id);
+    if (!user) {
+      return errorResponse(res, 404, 'User not found');
+    }
+
+    if (!user.isDeleted()) {
+      return errorResponse(res, 400, 'User is not deleted');
+    }
+
+    await userDeletionService.restore(user);
+
+    return successResponse(res, 200, 'User restored successfully', sanitizeUser(user));
   } catch (error) {
     return errorResponse(res, 500, 'Server error', error.message);
   }
@@ -195,7 +400,7 @@ exports.deleteUser = async (req, res) => {
 // Activate/Deactivate user
 exports.toggleUserStatus = async (req, res) => {
   try {
-    const user = await User.findById(req.params.id);
+    const user = await findUser(req.user, req.params.id);
     if (!user) {
       return errorResponse(res, 404, 'User not found');
     }
@@ -208,6 +413,11 @@ exports.toggleUserStatus = async (req, res) => {
     user.isActive = !user.isActive;
     await user.save();
 
+    // Deactivated accounts are signed out everywhere immediately
+    if (!user.isActive) {
+      await sessionService.revokeAllSessions(user._id, 'account_deactivated');
+    }
+
     return successResponse(
       res,
       200,
@@ -224,7 +434,7 @@ exports.getUsersByRole = async (req, res) => {
   try {
     const { role } = req.params;
 
-    const users = await User.find({ role, isActive: true })
+    const users = await User.find({ ...(await accessPolicy.getFilter(req.user, 'user')), role, isActive: true })
       .select('fullName email role')
       .sort({ fullName: 1 });
 
@@ -244,11 +454,7 @@ exports.changePassword = async (req, res) => {
       return errorResponse(res, 400, 'Password is required');
     }
 
-    if (password.length < 8) {
-      return errorResponse(res, 400, 'Password must be at least 8 characters');
-    }
-
-    const user = await User.findById(id);
+    const user = await findUser(req.user, id);
     if (!user) {
       return errorResponse(res, 404, 'User not found');
     }
@@ -258,20 +464,153 @@ exports.changePassword = async (req, res) => {
       return errorResponse(res, 403, 'Cannot change super admin password');
     }
 
-    // Update password
+    const policyErrors = await passwordPolicyService.validate(password, user._id);
+    if (policyErrors.length > 0) {
+      return errorResponse(res, 400, 'Password does not meet the password policy', policyErrors);
+    }
+
+    // Update password (temporary until the user replaces it at next login)
     user.password = password;
+    user.mustChangePassword = true;
     await user.save();
 
+    await sessionService.revokeAllSessions(user._id, 'password_changed');
+
     return successResponse(res, 200, 'Password changed successfully', sanitizeUser(user));
   } catch (error) {
     return errorResponse(res, 500, 'Server error', error.message);
   }
 };
 
+// Get active sessions of a user (admin action)
+exports.getUserSessions = async (req, res) => {
+  try {
+    const user = await findUser(req.user, req.params.id);
+    if (!user) {
+      return errorResponse(res, 404, 'User not found');
+    }
+
+    const sessions = await sessionService.getActiveSessions({ user: user._id });
+
+    return successResponse(res, 200, 'Sessions retrieved successfully', { sessions });
+  } catch (error) {
+    return errorResponse(res, 500, 'Server error', error.message);
+  }
+};
+
+// Revoke all sessions of a user (admin action)
+exports.revokeUserSessions = async (req, res) => {
+  try {
+    const user = await findUser(req.user, req.params.id);
+    if (!user) {
+      return errorResponse(res, 404, 'User not found');
+    }
+
+    // Prevent revoking super admin sessions (except by super admin)
+    if (user.role === ROLES.SUPER_ADMIN && req.user.role !== ROLES.SUPER_ADMIN) {
+      return errorResponse(res, 403, 'Cannot revoke super admin sessions');
+    }
+
+    const revokedCount = await sessionService.revokeAllSessions(user._id, 'revoked_by_admin');
+
+    return successResponse(res, 200, 'Sessions revoked successfully', { revokedCount });
+  } catch (error) {
+    return errorResponse(res, 500, 'Server error', error.message);
+  }
+};
+
+// Reset two-factor authentication of a user (admin action, e.g. lost device)
+exports.resetTwoFactor = async (req, res) => {
+  try {
+    const user = await findUser(req.user, req.params.id);
+    if (!user) {
+      return errorResponse(res, 404, 'User not found');
+    }
+
+    // Prevent resetting super admin 2FA (except by super admin)
+    if (user.role === ROLES.SUPER_ADMIN && req.user.role !== ROLES.SUPER_ADMIN) {
+      return errorResponse(res, 403, 'Cannot reset super admin two-factor authentication');
+    }
+
+    user.twoFactor = { enabled: false };
+    await user.save();
+
+    // Existing sessions were established with the old factor
+    await sessionService.revokeAllSessions(user._id, 'two_factor_reset');
+
+    return successResponse(res, 200, 'Two-factor authentication reset successfully', sanitizeUser(user));
+  } catch (error) {
+    return errorResponse(res, 500, 'Server error', error.message);
+  }
+};
+
+// Resend an invitation with a fresh link (admin action)
+exports.resendInvitation = async (req, res) => {
+  try {
+    const user = await findUser(req.user, req.params.id);
+    if (!user) {
+      return errorResponse(res, 404, 'User not found');
+    }
+
+    if (!user.isInvitationOpen()) {
+      return errorResponse(res, 400, 'User has no open invitation');
+    }
+
+    const { emailSent } = await invitationService.send(user, req.user);
+
+    return successResponse(res, 200, 'Invitation sent successfully', { user: sanitizeUser(user), emailSent });
+  } catch (error) {
+    return errorResponse(res, 500, 'Server error', error.message);
+  }
+};
+
+// Revoke a pending invitation (admin action)
+exports.revokeInvitation = async (req, res) => {
+  try {
+    const user = await findUser(req.user, req.params.id);
+    if (!user) {
+      return errorResponse(res, 404, 'User not found');
+    }
+
+    if (user.invitation?.status !== 'pending') {
+      return errorResponse(res, 400, 'User has no pending invitation');
+    }
+
+    await invitationService.revoke(user);
+
+    return successResponse(res, 200, 'Invitation revoked successfully', sanitizeUser(user));
+  } catch (error) {
+    return errorResponse(res, 500, 'Server error', error.message);
+  }
+};
+
+// Unlock a user locked out after failed logins (admin action)
+exports.unlockUser = async (req, res) => {
+  try {
+    const user = await findUser(req.user, req.params.id);
+    if (!user) {
+      return errorResponse(res, 404, 'User not found');
+    }
+
+    user.resetFailedLogins();
+    await user.save();
+
+    // Also clear the per-account throttle so the user can retry immediately
+    await resetRateLimit('login', accountKey('email', user.email));
+
+    return successResponse(res, 200, 'User unlocked successfully', sanitizeUser(user));
+  } catch (error) {
+    return errorResponse(res, 500, 'Server error', error.message);
+  }
+};
+
 // Get user statistics
 exports.getUserStats = async (req, res) => {
   try {
+    const tenantFilter = await accessPolicy.getFilter(req.user, 'user', { tenant: req.query.organization });
+    const scope = { ...tenantFilter, deletedAt: null };
     const stats = await User.aggregate([
+      { $match: scope },
       {
         $group: {
           _id: '$role',
@@ -282,13 +621,15 @@ exports.getUserStats = async (req, res) => {
       },
     ]);
 
-    const total = await User.countDocuments();
-    const active = await User.countDocuments({ isActive: true });
+    const total = await User.countDocuments(scope);
+    const active = await User.countDocuments({ ...scope, isActive: true });
+    const deleted = await User.countDocuments({ ...tenantFilter, deletedAt: { $ne: null } });
 
     return successResponse(res, 200, 'User statistics retrieved successfully', {
       total,
       active,
       inactive: total - active,
+      deleted,
       byRole: stats,
     });
   } catch (error) {
@@ -310,7 +651,7 @@ exports.uploadMedia = async (req, res) => {
       return errorResponse(res, 400, 'Media name is required');
     }
 
-    const user = await User.findById(userId);
+    const user = await findUser(req.user, userId);
     if (!user) {
       return errorResponse(res, 404, 'User not found');
     }
@@ -356,7 +697,7 @@ exports.deleteMedia = async (req, res) => {
   try {
     const { userId, mediaId } = req.params;
 
-    const user = await User.findById(userId);
+    const user = await findUser(req.user, userId);
     if (!user) {
       return errorResponse(res, 404, 'User not found');
     }
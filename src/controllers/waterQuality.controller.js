@@ -0,0 +1,271 @@
+const Project = require('../models/Project');
+const WaterQualityTest = require('../models/WaterQualityTest');
+const { successResponse, errorResponse } = require('../utils/helpers');
+const { PROJECT_MEMBER_ROLES, WATER_TEST_RESULTS } = require('../utils/constants');
+const accessPolicy = require('../services/accessPolicy.service');
+const cloudinaryService = require('../services/cloudinary.service');
+const waterQualityService = require('../services/waterQuality.service');
+
+// Project roles that may record water tests
+const RECORDING_MEMBER_ROLES = [
+  PROJECT_MEMBER_ROLES.LEAD_CONTRACTOR,
+  PROJECT_MEMBER_ROLES.SUBCONTRACTOR,
+  PROJECT_MEMBER_ROLES.SUPERVISOR,
+];
+
+// Editable fields of a test (parameters are evaluated separately)
+const TEST_FIELDS = ['sampleDate', 'sampledBy', 'samplePoint', 'lab', 'analyzedAt', 'notes'];
+
+// Helper: Fields present in the request body; nested JSON arrives as a string in multipart requests
+const pickTestFields = (body) => {
+  const data = Object.fromEntries(TEST_FIELDS.filter((f) => body[f] !== undefined).map((f) => [f, body[f]]));
+  if (typeof data.lab === 'string') data.lab = JSON.parse(data.lab);
+  return data;
+};
+
+// Helper: Measured parameters from the request body (undefined when not sent)
+const parseParameters = (body) => {
+  if (body.parameters === undefined) return undefined;
+  return typeof body.parameters === 'string' ? JSON.parse(body.parameters) : body.parameters;
+};
+
+// Helper: Upload a lab certificate
+const uploadCertificate = async (file, projectId) => {
+  const uploadResult = await cloudinaryService.uploadFile(
+    file.buffer,
+    file.originalname,
+    `projects/${projectId}/water-tests`
+  );
+  return {
+    url: uploadResult.secure_url,
+    publicId: uploadResult.public_id,
+    fileType: file.mimetype,
+  };
+};
+
+// Helper: Remove a stored certificate, continuing if Cloudinary fails
+const deleteCertificate = async (publicId) => {
+  if (!publicId) return;
+  try {
+    await cloudinaryService.deleteFile(publicId);
+  } catch (cloudinaryError) {
+    console.error('Cloudinary delete error:', cloudinaryError);
+  }
+};
+
+// Helper: Project the user may read (sends the error response and returns null otherwise)
+const loadReadableProject = async (req, res) => {
+  const project = await Project.findById(req.params.id).select(
+    'tenant projectNumber projectName projectNameAr members clientAccount isArchived latestWaterTest'
+  );
+  if (!project) {
+    errorResponse(res, 404, 'Project not found');
+    return null;
+  }
+  if (!(await accessPolicy.canRead(req.user, 'project', project))) {
+    errorResponse(res, 403, 'Access denied');
+    return null;
+  }
+  return project;
+};
+
+// Helper: Project the user may record water tests on: team members in a recording role, and
+// those the access policy lets change the project (sends the error response and returns null otherwise)
+const loadRecordingProject = async (req, res) => {
+  const project = await accessPolicy.findInTenant(Project, req.user, req.params.id);
+  if (!project) {
+    errorResponse(res, 404, 'Project not found');
+    return null;
+  }
+  if (
+    !project.hasMember(req.user._id, RECORDING_MEMBER_ROLES) &&
+    !(await accessPolicy.canWrite(req.user, 'project', project))
+  ) {
+    errorResponse(res, 403, 'You are not assigned to this project');
+    return null;
+  }
+  return project;
+};
+
+// Get the thresholds tests are evaluated against
+exports.getThresholds = async (req, res) => {
+  try {
+    const thresholds = await waterQualityService.getThresholds(req.user.tenant);
+    return successResponse(res, 200, 'Water quality thresholds retrieved successfully', thresholds);
+  } catch (error) {
+    return errorResponse(res, 500, 'Server error', error.message);
+  }
+};
+
+// Get the water test history of a well
+exports.getWaterTests = async (req, res) => {
+  try {
+    const project = await loadReadableProject(req, res);
+    if (!project) return;
+
+    const query = { project: project._id };
+    if (req.query.result) query.result = req.query.result;
+
+    const tests = await WaterQualityTest.find(query)
+      .populate('recordedBy', 'fullName email')
+      .sort({ sampleDate: -1, createdAt: -1 });
+
+    return successResponse(res, 200, 'Water quality tests retrieved successfully', {
+      project: {
+        _id: project._id,
+        projectNumber: project.projectNumber,
+        projectName: project.projectName,
+        latestWaterTest: project.latestWaterTest,
+      },
+      tests,
+      thresholds: await waterQualityService.getThresholds(project.tenant),
+    });
+  } catch (error) {
+    return errorResponse(res, 500, 'Server error', error.message);
+  }
+};
+
+// Get a single water test
+exports.getWaterTest = async (req, res) => {
+  try {
+    const project = await loadReadableProject(req, res);
+    if (!project) return;
+
+    const test = await WaterQualityTest.findOne({ _id: req.params.testId, project: project._id })
+      .populate('recordedBy', 'fullName email')
+      .populate('updatedBy', 'fullName email');
+
+    if (!test) {
+      return errorResponse(res, 404, 'Water quality test not found');
+    }
+
+    return successResponse(res, 200, 'Water quality test retrieved successfully', test);
+  } catch (error) {
+    return errorResponse(res, 500, 'Server error', error.message);
+  }
+};
+
+// Record a water test (evaluated against the organization's thresholds)
+exports.createWaterTest = async (req, res) => {
+  try {
+    const project = await loadRecordingProject(req, res);
+    if (!project) return;
+
+    let data;
+    let parameters;
+    try {
+      data = pickTestFields(req.body);
+      parameters = parseParameters(req.body);
+    } catch (parseError) {
+      return errorResponse(res, 400, 'lab and parameters must be valid JSON');
+    }
+
+    if (!Array.isArray(parameters) || parameters.length === 0) {
+      return errorResponse(res, 400, 'At least one parameter is required');
+    }
+
+    const thresholds = await waterQualityService.getThresholds(project.tenant);
+    const test = new WaterQualityTest({
+      ...data,
+      ...waterQualityService.evaluate(parameters, thresholds),
+      project: project._id,
+      tenant: project.tenant || null,
+      recordedBy: req.user._id,
+    });
+    await test.validate();
+
+    if (req.file) {
+      test.file = await uploadCertificate(req.file, project._id);
+    }
+    await test.save();
+
+    await waterQualityService.syncProjectSummary(project._id);
+
+    if (test.result === WATER_TEST_RESULTS.FAIL) {
+      await waterQualityService.notifyFailure(test, project);
+    }
+
+    return successResponse(res, 201, 'Water quality test recorded successfully', test);
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return errorResponse(res, 400, error.message);
+    }
+    return errorResponse(res, 500, 'Server error', error.message);
+  }
+};
+
+// Update a water test (re-evaluated when parameters change)
+exports.updateWaterTest = async (req, res) => {
+  try {
+    const project = await loadRecordingProject(req, res);
+    if (!project) return;
+
+    const test = await WaterQualityTest.findOne({ _id: req.params.testId, project: project._id });
+    if (!test) {
+      return errorResponse(res, 404, 'Water quality test not found');
+    }
+
+    let data;
+    let parameters;
+    try {
+      data = pickTestFields(req.body);
+      parameters = parseParameters(req.body);
+    } catch (parseError) {
+      return errorResponse(res, 400, 'lab and parameters must be valid JSON');
+    }
+
+    if (data.lab) data.lab = { ...test.lab.toObject(), ...data.lab };
+    Object.assign(test, data);
+
+    const previousResult = test.result;
+    if (parameters !== undefined) {
+      if (!Array.isArray(parameters) || parameters.length === 0) {
+        return errorResponse(res, 400, 'At least one parameter is required');
+      }
+      const thresholds = await waterQualityService.getThresholds(project.tenant);
+      Object.assign(test, waterQualityService.evaluate(parameters, thresholds));
+    }
+    test.updatedBy = req.user._id;
+    await test.validate();
+
+    if (req.file) {
+      const previousFile = test.file?.publicId;
+      test.file = await uploadCertificate(req.file, project._id);
+      await deleteCertificate(previousFile);
+    }
+    await test.save();
+
+    await waterQualityService.syncProjectSummary(project._id);
+
+    if (test.result === WATER_TEST_RESULTS.FAIL && previousResult !== WATER_TEST_RESULTS.FAIL) {
+      await waterQualityService.notifyFailure(test, project);
+    }
+
+    return successResponse(res, 200, 'Water quality test updated successfully', test);
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return errorResponse(res, 400, error.message);
+    }
+    return errorResponse(res, 500, 'Server error', error.message);
+  }
+};
+
+// Delete a water test
+exports.deleteWaterTest = async (req, res) => {
+  try {
+    const project = await loadRecordingProject(req, res);
+    if (!project) return;
+
+    const test = await WaterQualityTest.findOneAndDelete({ _id: req.params.testId, project: project._id });
+    if (!test) {
+      return errorResponse(res, 404, 'Water quality test not found');
+    }
+
+    await deleteCertificate(test.file?.publicId);
+    await waterQualityService.syncProjectSummary(project._id);
+
+    return successResponse(res, 200, 'Water quality test deleted successfully');
+  } catch (error) {
+    return errorResponse(res, 500, 'Server error', error.message);
+  }
+};
@@ -0,0 +1,345 @@
+const Project = require('../models/Project');
+const User = require('../models/User');
+const WellInspection = require('../models/WellInspection');
+const RepairTicket = require('../models/RepairTicket');
+const { successResponse, errorResponse } = require('../utils/helpers');
+const { PROJECT_MEMBER_ROLES, INSPECTION_STATUS, REPAIR_TICKET_STATUS } = require('../utils/constants');
+const accessPolicy = require('../services/accessPolicy.service');
+const wellMonitoringService = require('../services/wellMonitoring.service');
+
+// Project roles that may record monitoring visits and repairs
+const RECORDING_MEMBER_ROLES = [
+  PROJECT_MEMBER_ROLES.LEAD_CONTRACTOR,
+  PROJECT_MEMBER_ROLES.SUBCONTRACTOR,
+  PROJECT_MEMBER_ROLES.SUPERVISOR,
+];
+
+// Editable fields of inspections and repair tickets
+const INSPECTION_FIELDS = [
+  'scheduledDate',
+  'status',
+  'inspector',
+  'inspectedAt',
+  'functionality',
+  'yieldLitersPerHour',
+  'findings',
+  'notes',
+];
+const TICKET_FIELDS = ['title', 'description', 'priority', 'status', 'assignedTo', 'inspection', 'resolution', 'functionalityAfter'];
+
+// Helper: Fields present in the request body
+const pickFields = (fields, body) =>
+  Object.fromEntries(fields.filter((f) => body[f] !== undefined).map((f) => [f, body[f]]));
+
+// Helper: Handed-over project the user may record monitoring on
+// (sends the error response and returns null otherwise)
+const loadMonitoredProject = async (req, res) => {
+  const project = await accessPolicy.findInTenant(Project, req.user, req.params.id);
+  if (!project) {
+    errorResponse(res, 404, 'Project not found');
+    return null;
+  }
+
+  // Team members in a recording role, and those the access policy lets change the project
+  if (
+    !project.hasMember(req.user._id, RECORDING_MEMBER_ROLES) &&
+    !(await accessPolicy.canWrite(req.user, 'project', project))
+  ) {
+    errorResponse(res, 403, 'You are not assigned to this project');
+    return null;
+  }
+
+  if (!wellMonitoringService.isMonitored(project)) {
+    errorResponse(res, 400, 'Monitoring is only available for completed projects');
+    return null;
+  }
+  return project;
+};
+
+// Helper: Check that a referenced user belongs to the project's organization (returns an error message or null)
+const checkUser = async (userId, project, label) => {
+  if (!userId) return null;
+  const exists = await User.exists({ _id: userId, tenant: project.tenant || null, isActive: true, deletedAt: null });
+  return exists ? null : `${label} not found`;
+};
+
+// Helper: Resolution fields follow the ticket status
+const applyTicketStatus = (ticket, userId) => {
+  const resolved = [REPAIR_TICKET_STATUS.RESOLVED, REPAIR_TICKET_STATUS.CLOSED].includes(ticket.status);
+  if (resolved && !ticket.resolvedAt) {
+    ticket.resolvedAt = new Date();
+    ticket.resolvedBy = userId;
+  } else if (!resolved) {
+    ticket.resolvedAt = undefined;
+    ticket.resolvedBy = undefined;
+  }
+};
+
+// Get the monitoring history of a well: summary, inspections, repairs and pump replacements
+exports.getWellMonitoring = async (req, res) => {
+  try {
+    const project = await Project.findById(req.params.id)
+      .select('tenant projectNumber projectName status actualEndDate members clientAccount isArchived wellDetails monitoring pumpHistory')
+      .populate('pumpHistory.recordedBy', 'fullName email');
+
+    if (!project) {
+      return errorResponse(res, 404, 'Project not found');
+    }
+
+    if (!(await accessPolicy.canRead(req.user, 'project', project))) {
+      return errorResponse(res, 403, 'Access denied');
+    }
+
+    const [inspections, repairTickets] = await Promise.all([
+      WellInspection.find({ project: project._id })
+        .populate('inspector', 'fullName email')
+        .populate('recordedBy', 'fullName email')
+        .sort({ scheduledDate: -1 }),
+      RepairTicket.find({ project: project._id })
+        .populate('reportedBy', 'fullName email')
+        .populate('assignedTo', 'fullName email')
+        .sort({ createdAt: -1 }),
+    ]);
+
+    const openTicketStatuses = wellMonitoringService.getOpenTicketStatuses();
+    return successResponse(res, 200, 'Well monitoring retrieved successfully', {
+      project: {
+        _id: project._id,
+        projectNumber: project.projectNumber,
+        projectName: project.projectName,
+        status: project.status,
+        handedOverAt: project.actualEndDate,
+        pumpType: project.wellDetails?.pumpType,
+      },
+      monitored: wellMonitoringService.isMonitored(project),
+      monitoring: project.monitoring,
+      inspections,
+      repairTickets,
+      pumpHistory: [...project.pumpHistory].sort((a, b) => b.replacedAt - a.replacedAt),
+      summary: {
+        inspections: inspections.filter((i) => i.status === INSPECTION_STATUS.COMPLETED).length,
+        openTickets: repairTickets.filter((t) => openTicketStatuses.includes(t.status)).length,
+        repairCost: repairTickets.reduce((sum, t) => sum + (t.totalCost || 0), 0),
+        pumpReplacements: project.pumpHistory.length,
+        pumpReplacementCost: project.pumpHistory.reduce((sum, p) => sum + (p.cost?.amount || 0), 0),
+      },
+    });
+  } catch (error) {
+    return errorResponse(res, 500, 'Server error', error.message);
+  }
+};
+
+// Schedule an inspection visit (or record a completed one)
+exports.createInspection = async (req, res) => {
+  try {
+    const project = await loadMonitoredProject(req, res);
+    if (!project) return;
+
+    const data = pickFields(INSPECTION_FIELDS, req.body);
+    const userError = await checkUser(data.inspector, project, 'Inspector');
+    if (userError) {
+      return errorResponse(res, 400, userError);
+    }
+
+    const inspection = await WellInspection.create({
+      ...data,
+      project: project._id,
+      tenant: project.tenant || null,
+      recordedBy: req.user._id,
+    });
+
+    const monitoring = await wellMonitoringService.syncProjectMonitoring(project._id);
+
+    return successResponse(res, 201, 'Inspection created successfully', { inspection, monitoring });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return errorResponse(res, 400, error.message);
+    }
+    return errorResponse(res, 500, 'Server error', error.message);
+  }
+};
+
+// Update an inspection (e.g. record the visit outcome)
+exports.updateInspection = async (req, res) => {
+  try {
+    const project = await loadMonitoredProject(req, res);
+    if (!project) return;
+
+    const inspection = await WellInspection.findOne({ _id: req.params.inspectionId, project: project._id });
+    if (!inspection) {
+      return errorResponse(res, 404, 'Inspection not found');
+    }
+
+    const data = pickFields(INSPECTION_FIELDS, req.body);
+    const userError = await checkUser(data.inspector, project, 'Inspector');
+    if (userError) {
+      return errorResponse(res, 400, userError);
+    }
+
+    Object.assign(inspection, data);
+    inspection.updatedBy = req.user._id;
+    await inspection.save();
+
+    const monitoring = await wellMonitoringService.syncProjectMonitoring(project._id);
+
+    return successResponse(res, 200, 'Inspection updated successfully', { inspection, monitoring });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return errorResponse(res, 400, error.message);
+    }
+    return errorResponse(res, 500, 'Server error', error.message);
+  }
+};
+
+// Delete an inspection
+exports.deleteInspection = async (req, res) => {
+  try {
+    const project = await loadMonitoredProject(req, res);
+    if (!project) return;
+
+    const inspection = await WellInspection.findOneAndDelete({ _id: req.params.inspectionId, project: project._id });
+    if (!inspection) {
+      return errorResponse(res, 404, 'Inspection not found');
+    }
+
+    // Tickets raised by the inspection stay, without the link
+    await RepairTicket.updateMany({ inspection: inspection._id }, { $unset: { inspection: 1 } });
+    const monitoring = await wellMonitoringService.syncProjectMonitoring(project._id);
+
+    return successResponse(res, 200, 'Inspection deleted successfully', { monitoring });
+  } catch (error) {
+    return errorResponse(res, 500, 'Server error', error.message);
+  }
+};
+
+// Open a repair ticket
+exports.createRepairTicket = async (req, res) => {
+  try {
+    const project = await loadMonitoredProject(req, res);
+    if (!project) return;
+
+    const data = pickFields(TICKET_FIELDS, req.body);
+    const userError = await checkUser(data.assignedTo, project, 'Assignee');
+    if (userError) {
+      return errorResponse(res, 400, userError);
+    }
+    if (data.inspection && !(await WellInspection.exists({ _id: data.inspection, project: project._id }))) {
+      return errorResponse(res, 400, 'Inspection not found on this project');
+    }
+
+    const ticket = new RepairTicket({
+      ...data,
+      costs: (req.body.costs || []).map((cost) => ({ ...cost, recordedBy: req.user._id })),
+      project: project._id,
+      tenant: project.tenant || null,
+      reportedBy: req.user._id,
+    });
+    applyTicketStatus(ticket, req.user._id);
+    await ticket.save();
+
+    const monitoring = await wellMonitoringService.syncProjectMonitoring(project._id);
+
+    return successResponse(res, 201, 'Repair ticket created successfully', { ticket, monitoring });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return errorResponse(res, 400, error.message);
+    }
+    return errorResponse(res, 500, 'Server error', error.message);
+  }
+};
+
+// Update a repair ticket (status, assignment, resolution)
+exports.updateRepairTicket = async (req, res) => {
+  try {
+    const project = await loadMonitoredProject(req, res);
+    if (!project) return;
+
+    const ticket = await RepairTicket.findOne({ _id: req.params.ticketId, project: project._id });
+    if (!ticket) {
+      return errorResponse(res, 404, 'Repair ticket not found');
+    }
+
+    const data = pickFields(TICKET_FIELDS, req.body);
+    const userError = await checkUser(data.assignedTo, project, 'Assignee');
+    if (userError) {
+      return errorResponse(res, 400, userError);
+    }
+    if (data.inspection && !(await WellInspection.exists({ _id: data.inspection, project: project._id }))) {
+      return errorResponse(res, 400, 'Inspection not found on this project');
+    }
+
+    Object.assign(ticket, data);
+    applyTicketStatus(ticket, req.user._id);
+    await ticket.save();
+
+    const monitoring = await wellMonitoringService.syncProjectMonitoring(project._id);
+
+    return successResponse(res, 200, 'Repair ticket updated successfully', { ticket, monitoring });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return errorResponse(res, 400, error.message);
+    }
+    return errorResponse(res, 500, 'Server error', error.message);
+  }
+};
+
+// Add a cost to a repair ticket
+exports.addRepairCost = async (req, res) => {
+  try {
+    const project = await loadMonitoredProject(req, res);
+    if (!project) return;
+
+    const ticket = await RepairTicket.findOne({ _id: req.params.ticketId, project: project._id });
+    if (!ticket) {
+      return errorResponse(res, 404, 'Repair ticket not found');
+    }
+
+    const { description, amount, currency, incurredAt } = req.body;
+    ticket.costs.push({ description, amount, currency, incurredAt, recordedBy: req.user._id });
+    await ticket.save();
+
+    return successResponse(res, 201, 'Repair cost added successfully', ticket);
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return errorResponse(res, 400, error.message);
+    }
+    return errorResponse(res, 500, 'Server error', error.message);
+  }
+};
+
+// Record a pump replacement (the new pump becomes the well's pump)
+exports.addPumpReplacement = async (req, res) => {
+  try {
+    const project = await loadMonitoredProject(req, res);
+    if (!project) return;
+
+    const { pumpType, model, serialNumber, reason, replacedAt, cost, repairTicket } = req.body;
+    if (repairTicket && !(await RepairTicket.exists({ _id: repairTicket, project: project._id }))) {
+      return errorResponse(res, 400, 'Repair ticket not found on this project');
+    }
+
+    project.pumpHistory.push({
+      replacedAt: replacedAt || new Date(),
+      previousPumpType: project.wellDetails?.pumpType,
+      pumpType,
+      model,
+      serialNumber,
+      reason,
+      cost,
+      repairTicket,
+      recordedBy: req.user._id,
+    });
+    project.set('wellDetails.pumpType', pumpType);
+    await project.save();
+
+    return successResponse(res, 201, 'Pump replacement recorded successfully', {
+      pumpType: project.wellDetails.pumpType,
+      pumpHistory: [...project.pumpHistory].sort((a, b) => b.replacedAt - a.replacedAt),
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return errorResponse(res, 400, error.message);
+    }
+    return errorResponse(res, 500, 'Server error', error.message);
+  }
+};
@@ -1,33 +1,157 @@
+const mongoose = require('mongoose');
 const AuditLog = require('../models/AuditLog');
+const Project = require('../models/Project');
+const Report = require('../models/Report');
+const User = require('../models/User');
+const Payment = require('../models/Payment');
+const Settings = require('../models/Settings');
+const Role = require('../models/Role');
+const Permission = require('../models/Permission');
+const Organization = require('../models/Organization');
+const settingsService = require('../services/settings.service');
+const { redact, snapshot, diffSnapshots } = require('../utils/auditDiff');
+
+// Entity types whose before/after state is captured
+const AUDITED_MODELS = {
+  project: Project,
+  report: Report,
+  user: User,
+  payment: Payment,
+  settings: Settings,
+  role: Role,
+  permission: Permission,
+  organization: Organization,
+};
+
+// Helper: Extract entity ID from route params
+const resolveEntityId = (req) =>
+  req.params.id || req.params.projectId || req.params.reportId || req.params.paymentId || req.params.userId;
+
+// Helper: Load the current state of the audited entity
+const loadEntity = async (entityType, req, fallbackId = null) => {
+  const Model = AUDITED_MODELS[entityType];
+  if (!Model) return null;
+
+  // Settings and permissions are addressed by key rather than by ID
+  if (entityType === 'settings') {
+    const key = req.params.key || req.body?.key;
+    const tenant = settingsService.getTargetTenant(req.user, req.query.organization);
+    return key ? Model.findOne({ key, tenant }).lean() : null;
+  }
+  if (entityType === 'permission') {
+    const key = req.params.key || req.body?.key;
+    return key ? Model.findOne({ key }).lean() : null;
+  }
+
+  const id = resolveEntityId(req) || fallbackId;
+  if (!id || !mongoose.Types.ObjectId.isValid(id)) return null;
+
+  const query = Model.findById(id);
+  if (entityType === 'user') {
+    // Include the hash so password changes show up (redacted) in the diff
+    query.select('+password');
+  }
+  return query.lean();
+};
+
+// Helper: Build an error message from a failed response body
+const extractErrorMessage = (data) => {
+  if (!data) return undefined;
+  if (typeof data.errors === 'string' && data.errors !== data.message) {
+    return `${data.message}: ${data.errors}`;
+  }
+  return data.message;
+};
+
+// Record an audit event outside of a mutating route (logins, permission denials)
+const recordAuditEvent = (req, { user, tenant, action, entityType, entityId, changes, success = true, errorMessage }) => {
+  AuditLog.create({
+    user: user || req.user?._id,
+    tenant: tenant !== undefined ? tenant : req.user?.tenant || null,
+    action,
+    entityType,
+    entityId: entityId && mongoose.Types.ObjectId.isValid(entityId) ? entityId : undefined,
+    changes: {
+      method: req.method,
+      path: req.originalUrl,
+      ...changes,
+    },
+    ipAddress: req.ip || req.connection?.remoteAddress,
+    userAgent: req.headers['user-agent'],
+    success,
+    errorMessage,
+  }).catch((err) => console.error('Audit log error:', err));
+};
 
 // Middleware to log critical actions
 const logAudit = (action, entityType) => {
   return async (req, res, next) => {
+    // Capture the entity before the controller modifies it
+    let before = null;
+    try {
+      before = await loadEntity(entityType, req);
+    } catch (err) {
+      console.error('Audit snapshot error:', err);
+    }
+
     // Store original json method
     const originalJson = res.json;
 
     // Override json method to capture response
     res.json = function (data) {
-      // Log only on successful operations (2xx status codes)
-      if (res.statusCode >= 200 && res.statusCode < 300 && req.user) {
+      if (req.user) {
         // Extract entity ID from params or body
-        const entityId = req.params.id || req.params.projectId || req.params.reportId || data?.data?._id;
-
-        // Create audit log (don't wait for it)
-        AuditLog.create({
-          user: req.user._id,
-          action,
-          entityType,
-          entityId,
-          changes: {
-            method: req.method,
-            body: req.body,
-            params: req.params,
-          },
-          ipAddress: req.ip || req.connection.remoteAddress,
-          userAgent: req.headers['user-agent'],
-          success: true,
-        }).catch((err) => console.error('Audit log error:', err));
+        const entityId = resolveEntityId(req) || data?.data?._id || before?._id;
+        const validEntityId = mongoose.Types.ObjectId.isValid(entityId) ? entityId : undefined;
+
+        if (res.statusCode >= 200 && res.statusCode < 300) {
+          // Load the after state and create audit log (don't wait for it)
+          loadEntity(entityType, req, data?.data?._id)
+            .catch((err) => {
+              console.error('Audit snapshot error:', err);
+              return null;
+            })
+            .then((after) =>
+              AuditLog.create({
+                user: req.user._id,
+                tenant: req.user.tenant || null,
+                action,
+                entityType,
+                entityId: validEntityId,
+                changes: {
+                  method: req.method,
+                  body: redact(req.body),
+                  params: req.params,
+                  before: snapshot(before),
+                  after: snapshot(after),
+                  diff: diffSnapshots(before, after),
+                },
+                ipAddress: req.ip || req.connection.remoteAddress,
+                userAgent: req.headers['user-agent'],
+                success: true,
+              })
+            )
+            .catch((err) => console.error('Audit log error:', err));
+        } else {
+          // Failed operation - record the attempt and the reason
+          AuditLog.create({
+            user: req.user._id,
+            tenant: req.user.tenant || null,
+            action,
+            entityType,
+            entityId: validEntityId,
+            changes: {
+              method: req.method,
+              body: redact(req.body),
+              params: req.params,
+              statusCode: res.statusCode,
+            },
+            ipAddress: req.ip || req.connection.remoteAddress,
+            userAgent: req.headers['user-agent'],
+            success: false,
+            errorMessage: extractErrorMessage(data),
+          }).catch((err) => console.error('Audit log error:', err));
+        }
       }
 
       // Call original json method
@@ -38,5 +162,4 @@ const logAudit = (action, entityType) => {
   };
 };
 
-module.exports = { logAudit };
-
+module.exports = { logAudit, recordAuditEvent };
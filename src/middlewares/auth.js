@@ -1,8 +1,18 @@
 const { verifyToken } = require('../config/jwt');
 const User = require('../models/User');
-const Project = require('../models/Project');
+const Session = require('../models/Session');
 const { errorResponse } = require('../utils/helpers');
 const { ROLES } = require('../utils/constants');
+const { recordAuditEvent } = require('./auditLog');
+const clientService = require('../services/client.service');
+const organizationService = require('../services/organization.service');
+
+// Helper: Load the server-side session an access token belongs to
+const loadActiveSession = async (decoded) => {
+  if (!decoded.sid) return null;
+  const session = await Session.findById(decoded.sid);
+  return session && session.isActive() ? session : null;
+};
 
 // Verify JWT token and attach user to request
 const authenticate = async (req, res, next) => {
@@ -20,49 +30,41 @@ const authenticate = async (req, res, next) => {
       return errorResponse(res, 401, 'Invalid or expired token');
     }
 
-    // Check if this is a client token
-    if (decoded.isClient && decoded.phone) {
-      // For clients, create a virtual user object
-      // Escape special regex characters
-      const escapedPhone = decoded.phone.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-
-      const projects = await Project.find({
-        $or: [
-          { 'client.phone': decoded.phone },
-          { 'client.phone': { $regex: escapedPhone, $options: 'i' } },
-        ],
-        isArchived: false,
-      }).select('client').limit(1);
-
-      if (projects.length === 0) {
-        return errorResponse(res, 401, 'Client access revoked');
-      }
-
-      const clientInfo = projects[0].client;
-      req.user = {
-        _id: decoded.id,
-        fullName: clientInfo?.name || 'Client',
-        email: clientInfo?.email || '',
-        phone: decoded.phone,
-        role: ROLES.CLIENT,
-        isClient: true,
-        isActive: true,
-      };
-      req.clientPhone = decoded.phone;
-      return next();
+    // Reject tokens whose session was logged out or revoked
+    const session = await loadActiveSession(decoded);
+    if (!session) {
+      return errorResponse(res, 401, 'Session expired or revoked');
     }
+    req.authSession = session;
 
-    // Regular user authentication
     const user = await User.findById(decoded.id).select('-password');
-    if (!user) {
+    if (!user || user.isDeleted()) {
       return errorResponse(res, 401, 'User not found');
     }
 
     // Check if user is active
     if (!user.isActive) {
+      recordAuditEvent(req, {
+        user: user._id,
+        action: 'access_denied',
+        entityType: 'auth',
+        entityId: user._id,
+        success: false,
+        errorMessage: 'Account is deactivated',
+      });
       return errorResponse(res, 403, 'Account is deactivated');
     }
 
+    // Members of a deactivated organization lose access
+    if (!(await organizationService.isActive(user.tenant))) {
+      return errorResponse(res, 403, 'Organization is deactivated');
+    }
+
+    // Clients lose access once none of their projects are active
+    if (user.role === ROLES.CLIENT && !(await clientService.hasActiveProjects(user._id))) {
+      return errorResponse(res, 401, 'Client access revoked');
+    }
+
     // Attach user to request
     req.user = user;
     next();
@@ -77,7 +79,7 @@ const optionalAuth = async (req, res, next) => {
     const token = req.headers.authorization?.replace('Bearer ', '');
     if (token) {
       const decoded = verifyToken(token);
-      if (decoded) {
+      if (decoded && (await loadActiveSession(decoded))) {
         const user = await User.findById(decoded.id).select('-password');
         if (user && user.isActive) {
           req.user = user;
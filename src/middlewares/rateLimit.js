@@ -0,0 +1,133 @@
+const RateLimit = require('../models/RateLimit');
+const { errorResponse } = require('../utils/helpers');
+const { recordAuditEvent } = require('./auditLog');
+
+// In-memory store (default) - counters live in this process only
+class MemoryStore {
+  constructor() {
+    this.hits = new Map();
+
+    // Periodically drop expired windows
+    this.cleanupTimer = setInterval(() => {
+      const now = Date.now();
+      for (const [key, entry] of this.hits) {
+        if (entry.resetAt <= now) this.hits.delete(key);
+      }
+    }, 60 * 1000);
+    this.cleanupTimer.unref();
+  }
+
+  async increment(key, windowMs) {
+    const now = Date.now();
+    let entry = this.hits.get(key);
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      this.hits.set(key, entry);
+    }
+    entry.count += 1;
+    return { count: entry.count, resetAt: new Date(entry.resetAt) };
+  }
+
+  async reset(key) {
+    this.hits.delete(key);
+  }
+}
+
+// MongoDB store - counters shared by every instance behind the load balancer
+class MongoStore {
+  async increment(key, windowMs, retried = false) {
+    const now = new Date();
+    const live = { $gt: ['$expiresAt', now] };
+
+    // One atomic update: count within a live window, or start a new one
+    try {
+      const entry = await RateLimit.findOneAndUpdate(
+        { key },
+        [
+          {
+            $set: {
+              count: { $cond: [live, { $add: ['$count', 1] }, 1] },
+              expiresAt: { $cond: [live, '$expiresAt', new Date(now.getTime() + windowMs)] },
+            },
+          },
+        ],
+        { new: true, upsert: true }
+      );
+      return { count: entry.count, resetAt: entry.expiresAt };
+    } catch (error) {
+      // Two requests created the same counter at once; the other insert won, so count against it
+      if (error.code === 11000 && !retried) {
+        return await this.increment(key, windowMs, true);
+      }
+      throw error;
+    }
+  }
+
+  async reset(key) {
+    await RateLimit.deleteOne({ key });
+  }
+}
+
+const store = process.env.RATE_LIMIT_STORE === 'mongo' ? new MongoStore() : new MemoryStore();
+
+// Key generators
+const byIp = (req) => `ip:${req.ip || req.connection?.remoteAddress}`;
+
+const accountKey = (field, value) => `${field}:${String(value).trim().toLowerCase().replace(/[\s\-\(\)]/g, '')}`;
+
+const byAccount = (field) => (req) => {
+  const value = req.body?.[field];
+  if (!value || typeof value !== 'string') return null;
+  return accountKey(field, value);
+};
+
+/**
+ * Create a rate limiting middleware
+ * @param {Object} options - { name, windowMs, max, keyGenerator, message }
+ * @returns {Function} Express middleware
+ */
+const rateLimit = ({ name, windowMs, max, keyGenerator = byIp, message = 'Too many requests, please try again later' }) => {
+  return async (req, res, next) => {
+    try {
+      const keySuffix = keyGenerator(req);
+      if (!keySuffix) return next();
+
+      const key = `${name}:${keySuffix}`;
+      const { count, resetAt } = await store.increment(key, windowMs);
+
+      res.setHeader('X-RateLimit-Limit', max);
+      res.setHeader('X-RateLimit-Remaining', Math.max(0, max - count));
+      res.setHeader('X-RateLimit-Reset', Math.ceil(resetAt.getTime() / 1000));
+
+      if (count > max) {
+        res.setHeader('Retry-After', Math.max(1, Math.ceil((resetAt.getTime() - Date.now()) / 1000)));
+
+        // Record only the first rejection of a window to keep the trail readable
+        if (count === max + 1) {
+          recordAuditEvent(req, {
+            action: 'rate_limited',
+            entityType: 'auth',
+            changes: { limiter: name, key: keySuffix },
+            success: false,
+            errorMessage: message,
+          });
+        }
+
+        return errorResponse(res, 429, message);
+      }
+
+      next();
+    } catch (error) {
+      // Never block authentication because the limiter store is unavailable
+      console.error('Rate limit error:', error);
+      next();
+    }
+  };
+};
+
+// Clear a counter (e.g. when an admin unlocks an account)
+const resetRateLimit = async (name, keySuffix) => {
+  await store.reset(`${name}:${keySuffix}`);
+};
+
+module.exports = { rateLimit, resetRateLimit, byIp, byAccount, accountKey, MemoryStore, MongoStore };
@@ -1,10 +1,36 @@
-const { hasPermission } = require('../utils/helpers');
 const { errorResponse } = require('../utils/helpers');
+const permissionService = require('../services/permission.service');
 const { ROLES } = require('../utils/constants');
+const { recordAuditEvent } = require('./auditLog');
+
+// Helper: Record a permission denial and reject the request
+const denyAccess = (req, res, reason) => {
+  recordAuditEvent(req, {
+    action: 'permission_denied',
+    entityType: 'auth',
+    changes: {
+      role: req.user.role,
+      ...reason,
+    },
+    success: false,
+    errorMessage: 'Insufficient permissions',
+  });
+  return errorResponse(res, 403, 'Insufficient permissions');
+};
+
+// Helper: Check if a role grants at least one of the permissions
+const hasAnyPermission = async (role, permissions) => {
+  for (const permission of permissions) {
+    if (await permissionService.hasPermission(role, permission)) {
+      return true;
+    }
+  }
+  return false;
+};
 
 // Check if user has required permission
 const authorize = (...requiredPermissions) => {
-  return (req, res, next) => {
+  return async (req, res, next) => {
     if (!req.user) {
       return errorResponse(res, 401, 'Authentication required');
     }
@@ -14,13 +40,13 @@ const authorize = (...requiredPermissions) => {
       return next();
     }
 
-    // Check if user has at least one of the required permissions
-    const hasRequiredPermission = requiredPermissions.some((permission) =>
-      hasPermission(req.user.role, permission)
-    );
-
-    if (!hasRequiredPermission) {
-      return errorResponse(res, 403, 'Insufficient permissions');
+    try {
+      // Check if user has at least one of the required permissions
+      if (!(await hasAnyPermission(req.user.role, requiredPermissions))) {
+        return denyAccess(req, res, { requiredPermissions });
+      }
+    } catch (error) {
+      return errorResponse(res, 500, 'Server error', error.message);
     }
 
     next();
@@ -35,7 +61,7 @@ const hasRole = (...roles) => {
     }
 
     if (!roles.includes(req.user.role)) {
-      return errorResponse(res, 403, 'Insufficient permissions');
+      return denyAccess(req, res, { requiredRoles: roles });
     }
 
     next();
@@ -44,7 +70,7 @@ const hasRole = (...roles) => {
 
 // Check if user is accessing their own resource or has permission
 const isOwnerOrHasPermission = (permission) => {
-  return (req, res, next) => {
+  return async (req, res, next) => {
     if (!req.user) {
       return errorResponse(res, 401, 'Authentication required');
     }
@@ -56,11 +82,15 @@ const isOwnerOrHasPermission = (permission) => {
     }
 
     // Check if has permission
-    if (hasPermission(req.user.role, permission)) {
-      return next();
+    try {
+      if (await permissionService.hasPermission(req.user.role, permission)) {
+        return next();
+      }
+    } catch (error) {
+      return errorResponse(res, 500, 'Server error', error.message);
     }
 
-    return errorResponse(res, 403, 'Insufficient permissions');
+    return denyAccess(req, res, { requiredPermissions: [permission] });
   };
 };
 
@@ -2,6 +2,7 @@ const multer = require('multer');
 const path = require('path');
 const { v4: uuidv4 } = require('uuid');
 const { errorResponse } = require('../utils/helpers');
+const { FILE_TYPES } = require('../utils/constants');
 
 // Memory storage for Cloudinary uploads
 const memoryStorage = multer.memoryStorage();
@@ -62,6 +63,25 @@ const uploadMemory = multer({
   fileFilter: fileFilter,
 });
 
+// Spreadsheet filter for imports (browsers report CSV files under several types, so the extension decides)
+const spreadsheetFilter = (req, file, cb) => {
+  const extension = path.extname(file.originalname).toLowerCase();
+  if (['.xlsx', '.csv'].includes(extension) || FILE_TYPES.SPREADSHEET.includes(file.mimetype)) {
+    cb(null, true);
+  } else {
+    cb(new Error('Only .xlsx and .csv files can be imported'), false);
+  }
+};
+
+// Memory storage upload for spreadsheet imports
+const uploadSpreadsheet = multer({
+  storage: memoryStorage,
+  limits: {
+    fileSize: (parseInt(process.env.MAX_IMPORT_FILE_SIZE) || 5) * 1024 * 1024,
+  },
+  fileFilter: spreadsheetFilter,
+});
+
 // Error handling middleware for multer
 const handleUploadError = (err, req, res, next) => {
   if (err instanceof multer.MulterError) {
@@ -75,4 +95,4 @@ const handleUploadError = (err, req, res, next) => {
   next();
 };
 
-module.exports = { upload, uploadMemory, handleUploadError };
+module.exports = { upload, uploadMemory, uploadSpreadsheet, handleUploadError };
@@ -2,10 +2,16 @@ const mongoose = require('mongoose');
 
 const auditLogSchema = new mongoose.Schema(
   {
+    // Not required - failed logins for unknown accounts have no user
     user: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User',
-      required: true,
+    },
+    // Organization of the acting user (null for platform-level events)
+    tenant: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Organization',
+      default: null,
     },
     action: {
       type: String,
@@ -41,9 +47,12 @@ const auditLogSchema = new mongoose.Schema(
 );
 
 // Indexes
+auditLogSchema.index({ tenant: 1, createdAt: -1 });
 auditLogSchema.index({ user: 1, createdAt: -1 });
 auditLogSchema.index({ entityType: 1, entityId: 1 });
 auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ action: 1, success: 1, createdAt: -1 });
+auditLogSchema.index({ ipAddress: 1, createdAt: -1 });
 
 module.exports = mongoose.model('AuditLog', auditLogSchema);
 
@@ -0,0 +1,199 @@
+const mongoose = require('mongoose');
+const { CONTRACTOR_DOCUMENT_TYPES, EQUIPMENT_TYPES } = require('../utils/constants');
+
+// Uploaded copy of a document or policy (stored in Cloudinary)
+const fileSchema = {
+  url: {
+    type: String,
+  },
+  publicId: {
+    type: String,
+  },
+  fileType: {
+    type: String,
+  },
+};
+
+// Smallest reminder threshold (days before expiry) already sent; 0 once the expiry notice went out
+const reminderSchema = {
+  lastReminderDays: {
+    type: Number,
+    default: null,
+  },
+};
+
+const documentSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: Object.values(CONTRACTOR_DOCUMENT_TYPES),
+      required: [true, 'Document type is required'],
+    },
+    name: {
+      type: String,
+      required: [true, 'Document name is required'],
+      trim: true,
+    },
+    documentNumber: {
+      type: String,
+      trim: true,
+    },
+    issuingBody: {
+      type: String,
+      trim: true,
+    },
+    issuedAt: {
+      type: Date,
+    },
+    expiresAt: {
+      type: Date,
+    },
+    ...fileSchema,
+    ...reminderSchema,
+    verifiedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    verifiedAt: {
+      type: Date,
+    },
+    uploadedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: true }
+);
+
+const insuranceSchema = new mongoose.Schema(
+  {
+    provider: {
+      type: String,
+      required: [true, 'Insurance provider is required'],
+      trim: true,
+    },
+    policyNumber: {
+      type: String,
+      trim: true,
+    },
+    coverageType: {
+      type: String,
+      trim: true,
+    },
+    coverageAmount: {
+      type: Number,
+      min: 0,
+    },
+    currency: {
+      type: String,
+      default: 'USD',
+    },
+    startsAt: {
+      type: Date,
+    },
+    expiresAt: {
+      type: Date,
+    },
+    ...fileSchema,
+    ...reminderSchema,
+  },
+  { _id: true }
+);
+
+const equipmentSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: EQUIPMENT_TYPES,
+      required: [true, 'Equipment type is required'],
+    },
+    name: {
+      type: String,
+      required: [true, 'Equipment name is required'],
+      trim: true,
+    },
+    manufacturer: {
+      type: String,
+      trim: true,
+    },
+    model: {
+      type: String,
+      trim: true,
+    },
+    serialNumber: {
+      type: String,
+      trim: true,
+    },
+    year: {
+      type: Number,
+    },
+    // Rated maximum drilling depth in meters (rigs)
+    maxDepth: {
+      type: Number,
+      min: 0,
+    },
+    condition: {
+      type: String,
+      enum: ['good', 'fair', 'needs_repair', 'out_of_service'],
+      default: 'good',
+    },
+    notes: {
+      type: String,
+      trim: true,
+    },
+  },
+  { _id: true }
+);
+
+const contractorProfileSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      unique: true,
+    },
+    // Organization (tenant) the contractor belongs to
+    tenant: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Organization',
+      default: null,
+    },
+    companyName: {
+      type: String,
+      trim: true,
+    },
+    registrationNumber: {
+      type: String,
+      trim: true,
+    },
+    yearsOfExperience: {
+      type: Number,
+      min: 0,
+    },
+    serviceCountries: [
+      {
+        type: String,
+        trim: true,
+      },
+    ],
+    documents: [documentSchema],
+    insurance: [insuranceSchema],
+    equipment: [equipmentSchema],
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+contractorProfileSchema.index({ tenant: 1 });
+contractorProfileSchema.index({ serviceCountries: 1 });
+contractorProfileSchema.index({ 'documents.expiresAt': 1 });
+contractorProfileSchema.index({ 'insurance.expiresAt': 1 });
+
+module.exports = mongoose.model('ContractorProfile', contractorProfileSchema);
@@ -23,6 +23,12 @@ const messageSchema = new mongoose.Schema(
       required: true,
     },
     recipients: [messageRecipientSchema],
+    // Organization (tenant) the record belongs to
+    tenant: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Organization',
+      default: null,
+    },
     subject: {
       type: String,
       required: [true, 'Message subject is required'],
@@ -61,6 +67,7 @@ const messageSchema = new mongoose.Schema(
 );
 
 // Indexes for efficient queries
+messageSchema.index({ tenant: 1, createdAt: -1 });
 messageSchema.index({ sender: 1, createdAt: -1 });
 messageSchema.index({ 'recipients.recipient': 1, createdAt: -1 });
 messageSchema.index({ threadId: 1, createdAt: 1 });
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+const oneTimeCodeSchema = new mongoose.Schema(
+  {
+    // Normalized identifier the code is bound to (e.g. client phone number)
+    target: {
+      type: String,
+      required: true,
+    },
+    purpose: {
+      type: String,
+      enum: ['client_login'],
+      required: true,
+    },
+    // SHA-256 of target + code (the raw code is never stored)
+    codeHash: {
+      type: String,
+      required: true,
+      select: false,
+    },
+    channel: {
+      type: String,
+      enum: ['sms', 'whatsapp', 'email'],
+      required: true,
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    maxAttempts: {
+      type: Number,
+      default: 5,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    consumedAt: {
+      type: Date,
+    },
+    ipAddress: {
+      type: String,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+oneTimeCodeSchema.index({ target: 1, purpose: 1, createdAt: -1 });
+oneTimeCodeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 3600 }); // Keep expired codes for an hour, then delete
+
+module.exports = mongoose.model('OneTimeCode', oneTimeCodeSchema);
@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+const organizationSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Organization name is required'],
+      trim: true,
+    },
+    nameAr: {
+      type: String,
+      trim: true,
+    },
+    // Short identifier used in URLs and imports (e.g. 'water-for-all')
+    slug: {
+      type: String,
+      required: [true, 'Slug is required'],
+      unique: true,
+      lowercase: true,
+      trim: true,
+      match: [/^[a-z0-9]+(-[a-z0-9]+)*$/, 'Slug may only contain lowercase letters, digits and dashes'],
+    },
+    description: {
+      type: String,
+      trim: true,
+    },
+    contactEmail: {
+      type: String,
+      lowercase: true,
+      trim: true,
+    },
+    contactPhone: {
+      type: String,
+      trim: true,
+    },
+    country: {
+      type: String,
+      trim: true,
+    },
+    // Members of inactive organizations cannot sign in
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+organizationSchema.index({ isActive: 1 });
+
+module.exports = mongoose.model('Organization', organizationSchema);
@@ -7,6 +7,12 @@ const paymentSchema = new mongoose.Schema(
       ref: 'Project',
       required: true,
     },
+    // Organization (tenant) the record belongs to
+    tenant: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Organization',
+      default: null,
+    },
     amount: {
       type: Number,
       required: true,
@@ -56,7 +62,17 @@ const paymentSchema = new mongoose.Schema(
   }
 );
 
+// Records inherit the tenant of their project
+paymentSchema.pre('validate', async function (next) {
+  if (this.isNew && !this.tenant && this.project) {
+    const project = await mongoose.model('Project').findById(this.project).select('tenant').lean();
+    this.tenant = project?.tenant || null;
+  }
+  next();
+});
+
 // Indexes
+paymentSchema.index({ tenant: 1, status: 1 });
 paymentSchema.index({ project: 1 });
 paymentSchema.index({ recipient: 1 });
 paymentSchema.index({ status: 1 });
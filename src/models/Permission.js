@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+const permissionSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: [true, 'Permission key is required'],
+      unique: true,
+      trim: true,
+      match: [/^[a-z][a-z0-9_]*$/, 'Permission key may only contain lowercase letters, digits and underscores'],
+    },
+    description: {
+      type: String,
+      trim: true,
+    },
+    // Permissions granted along with this one ('*' grants every permission)
+    implies: {
+      type: [String],
+      default: [],
+    },
+    // Built-in permissions are referenced by routes and cannot be deleted
+    isSystem: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+module.exports = mongoose.model('Permission', permissionSchema);
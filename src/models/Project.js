@@ -1,5 +1,160 @@
 const mongoose = require('mongoose');
-const { PROJECT_STATUS } = require('../utils/constants');
+const {
+  PROJECT_STATUS,
+  PROJECT_MEMBER_ROLES,
+  MILESTONE_TYPES,
+  MILESTONE_STATUS,
+  DEFAULT_MILESTONE_WEIGHTS,
+  WATER_TEST_RESULTS,
+  WELL_FUNCTIONALITY,
+} = require('../utils/constants');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const memberSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    role: {
+      type: String,
+      enum: Object.values(PROJECT_MEMBER_ROLES),
+      required: true,
+    },
+    addedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    addedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+const milestoneSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: Object.values(MILESTONE_TYPES),
+    required: true,
+  },
+  name: {
+    type: String,
+    trim: true,
+  },
+  // Share of the milestone in project progress (relative to the other milestones)
+  weight: {
+    type: Number,
+    min: 0,
+    default: 0,
+  },
+  status: {
+    type: String,
+    enum: Object.values(MILESTONE_STATUS),
+    default: MILESTONE_STATUS.PENDING,
+  },
+  // Progress within the milestone, from approved milestone reports
+  progress: {
+    type: Number,
+    min: 0,
+    max: 100,
+    default: 0,
+  },
+  plannedStartDate: Date,
+  plannedEndDate: Date,
+  actualStartDate: Date,
+  actualEndDate: Date,
+  completedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  notes: String,
+});
+
+const pointSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: ['Point'],
+      required: true,
+    },
+    // [longitude, latitude]
+    coordinates: {
+      type: [Number],
+      required: true,
+    },
+  },
+  { _id: false }
+);
+
+const statusChangeSchema = new mongoose.Schema(
+  {
+    from: {
+      type: String,
+      enum: [...Object.values(PROJECT_STATUS), null],
+      default: null,
+    },
+    to: {
+      type: String,
+      enum: Object.values(PROJECT_STATUS),
+      required: true,
+    },
+    reason: String,
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+// Pump installed on a handed-over well, replacing the previous one
+const pumpReplacementSchema = new mongoose.Schema({
+  replacedAt: {
+    type: Date,
+    required: true,
+  },
+  previousPumpType: String,
+  pumpType: {
+    type: String,
+    required: [true, 'Pump type is required'],
+    trim: true,
+  },
+  model: {
+    type: String,
+    trim: true,
+  },
+  serialNumber: {
+    type: String,
+    trim: true,
+  },
+  reason: String,
+  cost: {
+    amount: {
+      type: Number,
+      min: 0,
+    },
+    currency: {
+      type: String,
+      default: 'USD',
+    },
+  },
+  repairTicket: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RepairTicket',
+  },
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+});
 
 const projectSchema = new mongoose.Schema(
   {
@@ -8,6 +163,12 @@ const projectSchema = new mongoose.Schema(
       unique: true,
       // Not required - will be auto-generated by pre-save hook if not provided
     },
+    // Organization (tenant) the record belongs to
+    tenant: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Organization',
+      default: null,
+    },
     projectName: {
       type: String,
       required: [true, 'Project name is required'],
@@ -34,15 +195,33 @@ const projectSchema = new mongoose.Schema(
       type: String,
     },
     location: {
-      latitude: Number,
-      longitude: Number,
+      latitude: {
+        type: Number,
+        min: -90,
+        max: 90,
+      },
+      longitude: {
+        type: Number,
+        min: -180,
+        max: 180,
+      },
       address: String,
+      // GeoJSON copy of latitude / longitude for geospatial queries (kept in sync on save)
+      point: {
+        type: pointSchema,
+        default: undefined,
+      },
     },
     status: {
       type: String,
       enum: Object.values(PROJECT_STATUS),
       default: PROJECT_STATUS.PLANNED,
     },
+    // Status changes, oldest first (see projectStatus.service)
+    statusHistory: {
+      type: [statusChangeSchema],
+      default: [],
+    },
     budget: {
       amount: {
         type: Number,
@@ -53,6 +232,7 @@ const projectSchema = new mongoose.Schema(
         default: 'USD',
       },
     },
+    // Lead contractor and primary project manager (kept in sync with members)
     contractor: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User',
@@ -61,11 +241,21 @@ const projectSchema = new mongoose.Schema(
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User',
     },
+    // Project team with per-project roles
+    members: {
+      type: [memberSchema],
+      default: [],
+    },
     client: {
       name: String,
       email: String,
       phone: String,
     },
+    // Client user account derived from client details (see client.service)
+    clientAccount: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
     startDate: {
       type: Date,
     },
@@ -75,12 +265,18 @@ const projectSchema = new mongoose.Schema(
     actualEndDate: {
       type: Date,
     },
+    // Computed from milestone weights when the project has milestones
     progress: {
       type: Number,
       default: 0,
       min: 0,
       max: 100,
     },
+    // Project phases with planned and actual dates
+    milestones: {
+      type: [milestoneSchema],
+      default: [],
+    },
     wellDetails: {
       depth: Number,
       diameter: Number,
@@ -88,6 +284,32 @@ const projectSchema = new mongoose.Schema(
       pumpType: String,
       capacity: Number, // liters per hour
     },
+    // Latest water quality test (kept in sync by waterQuality.service)
+    latestWaterTest: {
+      test: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'WaterQualityTest',
+      },
+      result: {
+        type: String,
+        enum: Object.values(WATER_TEST_RESULTS),
+      },
+      sampleDate: Date,
+    },
+    // Post-handover monitoring summary (kept in sync by wellMonitoring.service)
+    monitoring: {
+      functionality: {
+        type: String,
+        enum: Object.values(WELL_FUNCTIONALITY),
+      },
+      functionalityUpdatedAt: Date,
+      lastInspectionAt: Date,
+      nextInspectionDue: Date,
+    },
+    pumpHistory: {
+      type: [pumpReplacementSchema],
+      default: [],
+    },
     beneficiaries: {
       estimatedFamilies: Number,
       estimatedPeople: Number,
@@ -174,22 +396,7 @@ projectSchema.pre('save', async function (next) {
   // Only generate if projectNumber is missing or empty
   if (!this.projectNumber || (typeof this.projectNumber === 'string' && this.projectNumber.trim() === '')) {
     try {
-      // Get the latest project number to generate the next sequential number
-      const latestProject = await mongoose.model('Project')
-        .findOne({ projectNumber: { $regex: /^WP-\d{4}-/ } })
-        .sort({ projectNumber: -1 })
-        .select('projectNumber');
-
-      let nextNumber = 1;
-      if (latestProject && latestProject.projectNumber) {
-        const match = latestProject.projectNumber.match(/^WP-\d{4}-(\d+)$/);
-        if (match) {
-          nextNumber = parseInt(match[1], 10) + 1;
-        }
-      }
-
-      const year = new Date().getFullYear();
-      this.projectNumber = `WP-${year}-${String(nextNumber).padStart(5, '0')}`;
+      [this.projectNumber] = await mongoose.model('Project').nextProjectNumbers(1, this.$session());
     } catch (error) {
       // Fallback if there's an error
       const count = await mongoose.model('Project').countDocuments();
@@ -200,13 +407,213 @@ projectSchema.pre('save', async function (next) {
   next();
 });
 
+// Keep the GeoJSON point in sync with latitude / longitude
+projectSchema.pre('save', function (next) {
+  if (this.isNew || this.isModified('location')) {
+    const { latitude, longitude } = this.location || {};
+    const hasCoordinates = typeof latitude === 'number' && typeof longitude === 'number';
+    this.set('location.point', hasCoordinates ? { type: 'Point', coordinates: [longitude, latitude] } : undefined);
+  }
+  next();
+});
+
+// Start the status history with the initial status
+projectSchema.pre('save', function (next) {
+  if (this.isNew && this.statusHistory.length === 0) {
+    this.statusHistory.push({ to: this.status, changedBy: this.createdBy });
+  }
+  next();
+});
+
+// Next sequential project numbers (several at once for bulk creation)
+projectSchema.statics.nextProjectNumbers = async function (count = 1, session = null) {
+  // Get the latest project number to generate the next sequential number
+  const latestProject = await this.findOne({ projectNumber: { $regex: /^WP-\d{4}-/ } })
+    .sort({ projectNumber: -1 })
+    .select('projectNumber')
+    .session(session);
+
+  let nextNumber = 1;
+  if (latestProject && latestProject.projectNumber) {
+    const match = latestProject.projectNumber.match(/^WP-\d{4}-(\d+)$/);
+    if (match) {
+      nextNumber = parseInt(match[1], 10) + 1;
+    }
+  }
+
+  const year = new Date().getFullYear();
+  return Array.from({ length: count }, (_, i) => `WP-${year}-${String(nextNumber + i).padStart(5, '0')}`);
+};
+
+// Remember lead assignments as loaded, so changes can be mirrored into members
+projectSchema.post('init', function () {
+  this.$locals.loadedLeads = {
+    contractor: this.contractor?.toString(),
+    projectManager: this.projectManager?.toString(),
+  };
+});
+
+// Keep members in sync when contractor / projectManager are set directly
+projectSchema.pre('save', function (next) {
+  const loaded = this.$locals.loadedLeads || {};
+
+  // A replaced lead contractor or manager leaves the team, as with the single fields before
+  if (this.isNew || this.isModified('contractor')) {
+    const contractor = this.contractor?.toString();
+    this.members = this.members.filter(
+      (m) => !(m.role === PROJECT_MEMBER_ROLES.LEAD_CONTRACTOR && m.user.toString() !== contractor)
+    );
+    if (contractor) {
+      this.setMemberRole(this.contractor, PROJECT_MEMBER_ROLES.LEAD_CONTRACTOR);
+    }
+  }
+
+  if (this.isNew || this.isModified('projectManager')) {
+    const projectManager = this.projectManager?.toString();
+    if (loaded.projectManager && loaded.projectManager !== projectManager) {
+      this.members = this.members.filter(
+        (m) => !(m.user.toString() === loaded.projectManager && m.role === PROJECT_MEMBER_ROLES.PROJECT_MANAGER)
+      );
+    }
+    if (projectManager) {
+      this.setMemberRole(this.projectManager, PROJECT_MEMBER_ROLES.PROJECT_MANAGER);
+    }
+  }
+
+  next();
+});
+
+// Derive progress from milestones whenever they change (completed projects stay at 100)
+projectSchema.pre('save', function (next) {
+  if (this.isModified('milestones') && this.status !== PROJECT_STATUS.COMPLETED) {
+    const progress = this.computeMilestoneProgress();
+    if (progress !== null) {
+      this.progress = progress;
+    }
+  }
+  next();
+});
+
+// Weighted progress over milestones (skipped ones left out), null without weighted milestones
+projectSchema.methods.computeMilestoneProgress = function () {
+  const counted = this.milestones.filter((m) => m.status !== MILESTONE_STATUS.SKIPPED);
+  const totalWeight = counted.reduce((sum, m) => sum + (m.weight || 0), 0);
+  if (totalWeight === 0) return null;
+
+  const done = counted.reduce(
+    (sum, m) => sum + (m.weight || 0) * (m.status === MILESTONE_STATUS.COMPLETED ? 100 : m.progress || 0),
+    0
+  );
+  return Math.round(done / totalWeight);
+};
+
+// Delay of a milestone: { kind: 'start' | 'finish', days, ongoing } or null when on schedule
+projectSchema.statics.getMilestoneDelay = function (milestone, now = new Date()) {
+  if (milestone.status === MILESTONE_STATUS.SKIPPED) return null;
+
+  const completed = milestone.status === MILESTONE_STATUS.COMPLETED;
+  const finishedAt = completed ? milestone.actualEndDate : now;
+  if (milestone.plannedEndDate && finishedAt && finishedAt > milestone.plannedEndDate) {
+    return {
+      kind: 'finish',
+      days: Math.ceil((finishedAt - milestone.plannedEndDate) / DAY_MS),
+      ongoing: !completed,
+    };
+  }
+
+  if (milestone.status === MILESTONE_STATUS.PENDING && milestone.plannedStartDate && now > milestone.plannedStartDate) {
+    return {
+      kind: 'start',
+      days: Math.ceil((now - milestone.plannedStartDate) / DAY_MS),
+      ongoing: true,
+    };
+  }
+
+  return null;
+};
+
+// Get a user's role on this project (null if not a member)
+projectSchema.methods.getMemberRole = function (userId) {
+  if (!userId) return null;
+  const id = (userId._id || userId).toString();
+  return this.members.find((m) => (m.user?._id || m.user).toString() === id)?.role || null;
+};
+
+// Check if a user is on the team, optionally with one of the given project roles
+projectSchema.methods.hasMember = function (userId, roles = null) {
+  const role = this.getMemberRole(userId);
+  return !!role && (!roles || roles.includes(role));
+};
+
+// Add a member or change their role (does not save)
+projectSchema.methods.setMemberRole = function (userId, role, addedBy = null) {
+  const id = (userId._id || userId).toString();
+  const member = this.members.find((m) => (m.user?._id || m.user).toString() === id);
+  if (member) {
+    member.role = role;
+  } else {
+    this.members.push({ user: userId, role, addedBy });
+  }
+};
+
+// Query filter for projects a user belongs to, optionally limited to project roles
+projectSchema.statics.memberFilter = function (userId, roles = null) {
+  return {
+    members: {
+      $elemMatch: { user: userId, ...(roles && { role: { $in: roles } }) },
+    },
+  };
+};
+
+// Standard milestones with default weights; planned dates split the project period by weight
+projectSchema.statics.defaultMilestones = function (startDate = null, endDate = null) {
+  const types = Object.values(MILESTONE_TYPES);
+  const totalWeight = types.reduce((sum, type) => sum + DEFAULT_MILESTONE_WEIGHTS[type], 0);
+  const start = startDate ? new Date(startDate).getTime() : null;
+  const span = start !== null && endDate ? new Date(endDate).getTime() - start : null;
+
+  let elapsed = 0;
+  return types.map((type) => {
+    const weight = DEFAULT_MILESTONE_WEIGHTS[type];
+    const milestone = { type, weight };
+    if (span > 0) {
+      milestone.plannedStartDate = new Date(start + (span * elapsed) / totalWeight);
+      milestone.plannedEndDate = new Date(start + (span * (elapsed + weight)) / totalWeight);
+    }
+    elapsed += weight;
+    return milestone;
+  });
+};
+
+// Query filter for projects with a milestone behind schedule
+projectSchema.statics.delayedMilestoneFilter = function (now = new Date()) {
+  return {
+    milestones: {
+      $elemMatch: {
+        $or: [
+          {
+            status: { $in: [MILESTONE_STATUS.PENDING, MILESTONE_STATUS.IN_PROGRESS] },
+            plannedEndDate: { $lt: now },
+          },
+          { status: MILESTONE_STATUS.PENDING, plannedStartDate: { $lt: now } },
+        ],
+      },
+    },
+  };
+};
+
 // Indexes for search and filtering
 projectSchema.index({ projectNumber: 1 });
 projectSchema.index({ status: 1 });
 projectSchema.index({ country: 1 });
 projectSchema.index({ contractor: 1 });
 projectSchema.index({ projectManager: 1 });
+projectSchema.index({ clientAccount: 1 });
+projectSchema.index({ 'members.user': 1, 'members.role': 1 });
+projectSchema.index({ tenant: 1, isArchived: 1 });
 projectSchema.index({ createdAt: -1 });
+projectSchema.index({ 'location.point': '2dsphere' });
+projectSchema.index({ tenant: 1, 'monitoring.functionality': 1 });
 
 module.exports = mongoose.model('Project', projectSchema);
 
@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+
+// Hit counters for the Mongo-backed rate limit store (shared across instances)
+const rateLimitSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  count: {
+    type: Number,
+    default: 0,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+});
+
+// Indexes
+rateLimitSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // Auto-delete expired windows
+
+module.exports = mongoose.model('RateLimit', rateLimitSchema);
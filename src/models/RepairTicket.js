@@ -0,0 +1,124 @@
+const mongoose = require('mongoose');
+const { REPAIR_TICKET_STATUS, WELL_FUNCTIONALITY } = require('../utils/constants');
+
+// Cost incurred on a repair
+const repairCostSchema = new mongoose.Schema({
+  description: {
+    type: String,
+    required: [true, 'Cost description is required'],
+    trim: true,
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Cost amount is required'],
+    min: 0,
+  },
+  currency: {
+    type: String,
+    default: 'USD',
+  },
+  incurredAt: {
+    type: Date,
+    default: Date.now,
+  },
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+});
+
+const repairTicketSchema = new mongoose.Schema(
+  {
+    ticketNumber: {
+      type: String,
+      unique: true,
+    },
+    project: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Project',
+      required: true,
+    },
+    // Organization (tenant) the record belongs to
+    tenant: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Organization',
+      default: null,
+    },
+    // Inspection that found the fault, if any
+    inspection: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'WellInspection',
+    },
+    title: {
+      type: String,
+      required: [true, 'Title is required'],
+      trim: true,
+    },
+    description: String,
+    priority: {
+      type: String,
+      enum: ['low', 'medium', 'high', 'urgent'],
+      default: 'medium',
+    },
+    status: {
+      type: String,
+      enum: Object.values(REPAIR_TICKET_STATUS),
+      default: REPAIR_TICKET_STATUS.OPEN,
+    },
+    reportedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    assignedTo: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    costs: {
+      type: [repairCostSchema],
+      default: [],
+    },
+    totalCost: {
+      type: Number,
+      default: 0,
+    },
+    resolution: String,
+    // Functionality of the well once repaired
+    functionalityAfter: {
+      type: String,
+      enum: Object.values(WELL_FUNCTIONALITY),
+    },
+    resolvedAt: Date,
+    resolvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Auto-generate ticket number
+repairTicketSchema.pre('save', async function (next) {
+  if (!this.ticketNumber) {
+    const count = await mongoose.model('RepairTicket').countDocuments();
+    const year = new Date().getFullYear();
+    this.ticketNumber = `RT-${year}-${String(count + 1).padStart(5, '0')}`;
+  }
+  next();
+});
+
+// Keep the cost total in line with the cost entries
+repairTicketSchema.pre('save', function (next) {
+  if (this.isNew || this.isModified('costs')) {
+    this.totalCost = this.costs.reduce((sum, cost) => sum + (cost.amount || 0), 0);
+  }
+  next();
+});
+
+// Indexes
+repairTicketSchema.index({ project: 1, createdAt: -1 });
+repairTicketSchema.index({ tenant: 1, status: 1 });
+
+module.exports = mongoose.model('RepairTicket', repairTicketSchema);
@@ -24,11 +24,21 @@ const reportSchema = new mongoose.Schema(
       ref: 'Project',
       required: true,
     },
+    // Organization (tenant) the record belongs to
+    tenant: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Organization',
+      default: null,
+    },
     reportType: {
       type: String,
       enum: Object.values(REPORT_TYPES),
       default: REPORT_TYPES.DAILY,
     },
+    // Project milestone a milestone report covers
+    milestone: {
+      type: mongoose.Schema.Types.ObjectId,
+    },
     title: {
       type: String,
       required: [true, 'Report title is required'],
@@ -135,6 +145,15 @@ const reportSchema = new mongoose.Schema(
   }
 );
 
+// Records inherit the tenant of their project
+reportSchema.pre('validate', async function (next) {
+  if (this.isNew && !this.tenant && this.project) {
+    const project = await mongoose.model('Project').findById(this.project).select('tenant').lean();
+    this.tenant = project?.tenant || null;
+  }
+  next();
+});
+
 // Auto-generate report number
 reportSchema.pre('save', async function (next) {
   if (!this.reportNumber) {
@@ -147,6 +166,7 @@ reportSchema.pre('save', async function (next) {
 });
 
 // Indexes
+reportSchema.index({ tenant: 1, createdAt: -1 });
 reportSchema.index({ project: 1, createdAt: -1 });
 reportSchema.index({ submittedBy: 1 });
 reportSchema.index({ status: 1 });
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+const roleSchema = new mongoose.Schema(
+  {
+    // Identifier stored on users (e.g. 'project_manager')
+    name: {
+      type: String,
+      required: [true, 'Role name is required'],
+      unique: true,
+      lowercase: true,
+      trim: true,
+      match: [/^[a-z][a-z0-9_]*$/, 'Role name may only contain lowercase letters, digits and underscores'],
+    },
+    displayName: {
+      type: String,
+      required: [true, 'Display name is required'],
+      trim: true,
+    },
+    displayNameAr: {
+      type: String,
+      trim: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+    },
+    permissions: {
+      type: [String],
+      default: [],
+    },
+    // Built-in roles cannot be renamed or deleted
+    isSystem: {
+      type: Boolean,
+      default: false,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+module.exports = mongoose.model('Role', roleSchema);
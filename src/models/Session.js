@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+const sessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    // SHA-256 of the current refresh token (the raw token is never stored)
+    refreshTokenHash: {
+      type: String,
+      required: true,
+      select: false,
+    },
+    // Hash of the token that was rotated out, kept to detect reuse
+    previousTokenHash: {
+      type: String,
+      select: false,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    lastUsedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    ipAddress: {
+      type: String,
+    },
+    userAgent: {
+      type: String,
+    },
+    revokedAt: {
+      type: Date,
+    },
+    revokedReason: {
+      type: String,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Session is usable until it expires or is revoked
+sessionSchema.methods.isActive = function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+// Indexes
+sessionSchema.index({ refreshTokenHash: 1 });
+sessionSchema.index({ previousTokenHash: 1 });
+sessionSchema.index({ user: 1, revokedAt: 1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // Auto-delete expired sessions
+
+module.exports = mongoose.model('Session', sessionSchema);
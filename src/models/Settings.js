@@ -4,12 +4,17 @@ const settingsSchema = new mongoose.Schema(
   {
     key: {
       type: String,
-      unique: true,
       required: true,
     },
+    // Organization overriding the global value (null for the global value)
+    tenant: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Organization',
+      default: null,
+    },
     category: {
       type: String,
-      enum: ['general', 'theme', 'email', 'google_drive', 'localization'],
+      enum: ['general', 'theme', 'email', 'google_drive', 'localization', 'security', 'contractors', 'projects', 'water_quality'],
       default: 'general',
     },
     value: {
@@ -34,7 +39,7 @@ const settingsSchema = new mongoose.Schema(
 );
 
 // Indexes
-settingsSchema.index({ key: 1 });
+settingsSchema.index({ key: 1, tenant: 1 }, { unique: true });
 settingsSchema.index({ category: 1 });
 
 module.exports = mongoose.model('Settings', settingsSchema);
@@ -1,6 +1,6 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
-const { ROLES } = require('../utils/constants');
+const { ROLES, LOGIN_LOCKOUT, PASSWORD_HISTORY_LIMIT } = require('../utils/constants');
 
 const userSchema = new mongoose.Schema(
   {
@@ -9,24 +9,86 @@ const userSchema = new mongoose.Schema(
       required: [true, 'Full name is required'],
       trim: true,
     },
+    // Optional for clients, who sign in with a one-time code sent to their phone
     email: {
       type: String,
-      required: [true, 'Email is required'],
+      required: [
+        function () {
+          return this.role !== ROLES.CLIENT;
+        },
+        'Email is required',
+      ],
       unique: true,
+      sparse: true,
       lowercase: true,
       trim: true,
       match: [/^\S+@\S+\.\S+$/, 'Please provide a valid email'],
     },
     password: {
       type: String,
-      required: [true, 'Password is required'],
-      minlength: 6,
+      // Clients and invited users who have not accepted yet have no password
+      required: [
+        function () {
+          return this.role !== ROLES.CLIENT && !this.isInvitationOpen();
+        },
+        'Password is required',
+      ],
+      // Length and complexity are enforced by the configurable password policy
+      select: false,
+    },
+    // Hashes of previous passwords, most recent first
+    passwordHistory: {
+      type: [String],
       select: false,
     },
+    passwordChangedAt: {
+      type: Date,
+    },
+    // Set when an admin-issued temporary password must be replaced at next login
+    mustChangePassword: {
+      type: Boolean,
+      default: false,
+    },
+    // Email invitation for accounts created without a password
+    invitation: {
+      status: {
+        type: String,
+        enum: ['pending', 'accepted', 'revoked'],
+      },
+      // SHA-256 of the current invite token; cleared when accepted or revoked
+      tokenHash: {
+        type: String,
+        select: false,
+      },
+      expiresAt: {
+        type: Date,
+      },
+      invitedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+      sentAt: {
+        type: Date,
+      },
+      sendCount: {
+        type: Number,
+        default: 0,
+      },
+      acceptedAt: {
+        type: Date,
+      },
+    },
     role: {
       type: String,
-      enum: Object.values(ROLES),
       default: ROLES.VIEWER,
+      // Built-in or custom role from the roles collection
+      validate: {
+        validator: async function (value) {
+          const permissionService = require('../services/permission.service');
+          return await permissionService.roleExists(value);
+        },
+        message: 'Role does not exist',
+      },
     },
     phone: {
       type: String,
@@ -36,6 +98,12 @@ const userSchema = new mongoose.Schema(
       type: String,
       trim: true,
     },
+    // Organization (tenant) the user belongs to (super admins have none and see every tenant)
+    tenant: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Organization',
+      default: null,
+    },
     country: {
       type: String,
       trim: true,
@@ -44,6 +112,20 @@ const userSchema = new mongoose.Schema(
       type: Boolean,
       default: true,
     },
+    // Soft deletion - the record stays so references to it keep resolving
+    deletedAt: {
+      type: Date,
+      default: null,
+    },
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    // User who took over the open work at deletion
+    reassignedTo: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
     profileImage: {
       type: String,
     },
@@ -79,6 +161,21 @@ const userSchema = new mongoose.Schema(
     lastLogin: {
       type: Date,
     },
+    // Login lockout tracking
+    failedLoginAttempts: {
+      type: Number,
+      default: 0,
+    },
+    lockoutCount: {
+      type: Number,
+      default: 0,
+    },
+    lockUntil: {
+      type: Date,
+    },
+    lastFailedLoginAt: {
+      type: Date,
+    },
     passwordResetToken: {
       type: String,
       select: false,
@@ -87,28 +184,134 @@ const userSchema = new mongoose.Schema(
       type: Date,
       select: false,
     },
+    // TOTP two-factor authentication
+    twoFactor: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      secret: {
+        type: String,
+        select: false,
+      },
+      // Secret awaiting confirmation during enrollment
+      pendingSecret: {
+        type: String,
+        select: false,
+      },
+      // SHA-256 hashes of unused recovery codes
+      recoveryCodes: {
+        type: [String],
+        select: false,
+      },
+      // Last accepted time step (prevents code replay)
+      lastUsedStep: {
+        type: Number,
+        select: false,
+      },
+      enabledAt: {
+        type: Date,
+      },
+    },
   },
   {
     timestamps: true,
   }
 );
 
-// Hash password before saving
+// Indexes
+userSchema.index({ role: 1, phone: 1 });
+userSchema.index({ 'invitation.status': 1 });
+userSchema.index({ tenant: 1, role: 1 });
+userSchema.index({ deletedAt: 1 });
+
+// Hash password before saving, keeping the previous hash in the history
 userSchema.pre('save', async function (next) {
   if (!this.isModified('password')) return next();
+
+  if (!this.isNew) {
+    const previous = await this.constructor.findById(this._id).select('+password +passwordHistory');
+    if (previous?.password) {
+      this.passwordHistory = [previous.password, ...(previous.passwordHistory || [])].slice(
+        0,
+        PASSWORD_HISTORY_LIMIT
+      );
+    }
+  }
+
   this.password = await bcrypt.hash(this.password, 12);
+  this.passwordChangedAt = new Date();
   next();
 });
 
 // Compare password method
 userSchema.methods.comparePassword = async function (candidatePassword) {
+  // Accounts without a password (clients) can never match
+  if (!this.password || !candidatePassword) return false;
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
-// Get user permissions
-userSchema.methods.getPermissions = function () {
-  const { PERMISSIONS } = require('../utils/constants');
-  return PERMISSIONS[this.role] || [];
+// Invitation sent (or revoked) but never accepted - the account has no password yet
+userSchema.methods.isInvitationOpen = function () {
+  return ['pending', 'revoked'].includes(this.invitation?.status);
+};
+
+// Soft-deleted accounts are kept for history but behave as if they did not exist
+userSchema.methods.isDeleted = function () {
+  return !!this.deletedAt;
+};
+
+// Check if account is temporarily locked
+userSchema.methods.isLocked = function () {
+  return !!(this.lockUntil && this.lockUntil > new Date());
+};
+
+// Lockout fields kept in step with the stored document
+const LOCKOUT_FIELDS = 'failedLoginAttempts lastFailedLoginAt lockUntil lockoutCount';
+
+// Register a failed login attempt, locking the account when the limit is reached
+// (atomic, so concurrent attempts cannot overwrite each other's count)
+userSchema.methods.registerFailedLogin = async function () {
+  const User = this.constructor;
+  let state = await User.findOneAndUpdate(
+    { _id: this._id },
+    { $inc: { failedLoginAttempts: 1 }, $set: { lastFailedLoginAt: new Date() } },
+    { new: true, projection: LOCKOUT_FIELDS }
+  );
+  if (!state) return this.isLocked();
+
+  if (state.failedLoginAttempts >= LOGIN_LOCKOUT.MAX_ATTEMPTS) {
+    const minutes = Math.min(
+      LOGIN_LOCKOUT.BASE_DURATION_MINUTES * 2 ** (state.lockoutCount || 0),
+      LOGIN_LOCKOUT.MAX_DURATION_MINUTES
+    );
+    // Only the attempt that still sees the full count applies the lock
+    const locked = await User.findOneAndUpdate(
+      { _id: this._id, failedLoginAttempts: { $gte: LOGIN_LOCKOUT.MAX_ATTEMPTS } },
+      {
+        $set: { lockUntil: new Date(Date.now() + minutes * 60 * 1000), failedLoginAttempts: 0 },
+        $inc: { lockoutCount: 1 },
+      },
+      { new: true, projection: LOCKOUT_FIELDS }
+    );
+    state = locked || (await User.findById(this._id).select(LOCKOUT_FIELDS));
+  }
+
+  LOCKOUT_FIELDS.split(' ').forEach((field) => this.set(field, state[field]));
+  return this.isLocked();
+};
+
+// Clear lockout state after a successful login or an admin unlock
+userSchema.methods.resetFailedLogins = function () {
+  this.failedLoginAttempts = 0;
+  this.lockoutCount = 0;
+  this.lockUntil = undefined;
+};
+
+// Get user permissions (effective, after implications)
+userSchema.methods.getPermissions = async function () {
+  const permissionService = require('../services/permission.service');
+  return [...(await permissionService.getRolePermissions(this.role))];
 };
 
 module.exports = mongoose.model('User', userSchema);
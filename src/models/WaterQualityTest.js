@@ -0,0 +1,117 @@
+const mongoose = require('mongoose');
+const { WATER_TEST_RESULTS } = require('../utils/constants');
+
+// Measured parameter with the limits it was evaluated against
+const parameterSchema = new mongoose.Schema(
+  {
+    // Threshold key (e.g. 'ph', 'e_coli'); other parameters are recorded without evaluation
+    parameter: {
+      type: String,
+      required: [true, 'Parameter is required'],
+      trim: true,
+      lowercase: true,
+    },
+    value: {
+      type: Number,
+      required: [true, 'Parameter value is required'],
+    },
+    unit: {
+      type: String,
+      trim: true,
+    },
+    // Limits applied at evaluation time, in the threshold unit
+    min: Number,
+    max: Number,
+    thresholdUnit: String,
+    result: {
+      type: String,
+      enum: ['pass', 'fail', 'not_evaluated'],
+      default: 'not_evaluated',
+    },
+  },
+  { _id: false }
+);
+
+const waterQualityTestSchema = new mongoose.Schema(
+  {
+    project: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Project',
+      required: true,
+    },
+    // Organization (tenant) the record belongs to
+    tenant: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Organization',
+      default: null,
+    },
+    sampleDate: {
+      type: Date,
+      required: [true, 'Sample date is required'],
+    },
+    sampledBy: {
+      type: String,
+      trim: true,
+    },
+    samplePoint: {
+      type: String,
+      trim: true,
+    },
+    lab: {
+      name: {
+        type: String,
+        required: [true, 'Lab name is required'],
+        trim: true,
+      },
+      reportNumber: {
+        type: String,
+        trim: true,
+      },
+      accreditation: {
+        type: String,
+        trim: true,
+      },
+    },
+    analyzedAt: {
+      type: Date,
+    },
+    parameters: {
+      type: [parameterSchema],
+      validate: {
+        validator: (parameters) => parameters.length > 0,
+        message: 'At least one parameter is required',
+      },
+    },
+    result: {
+      type: String,
+      enum: Object.values(WATER_TEST_RESULTS),
+      default: WATER_TEST_RESULTS.INCONCLUSIVE,
+    },
+    failedParameters: [String],
+    notes: String,
+    // Lab certificate (stored in Cloudinary)
+    file: {
+      url: String,
+      publicId: String,
+      fileType: String,
+    },
+    recordedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+waterQualityTestSchema.index({ project: 1, sampleDate: -1 });
+waterQualityTestSchema.index({ tenant: 1, result: 1 });
+
+module.exports = mongoose.model('WaterQualityTest', waterQualityTestSchema);
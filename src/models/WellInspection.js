@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+const { INSPECTION_STATUS, WELL_FUNCTIONALITY } = require('../utils/constants');
+
+const wellInspectionSchema = new mongoose.Schema(
+  {
+    project: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Project',
+      required: true,
+    },
+    // Organization (tenant) the record belongs to
+    tenant: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Organization',
+      default: null,
+    },
+    scheduledDate: {
+      type: Date,
+      required: [true, 'Scheduled date is required'],
+    },
+    status: {
+      type: String,
+      enum: Object.values(INSPECTION_STATUS),
+      default: INSPECTION_STATUS.SCHEDULED,
+    },
+    inspector: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    // Visit outcome (set when the inspection is completed)
+    inspectedAt: Date,
+    functionality: {
+      type: String,
+      enum: Object.values(WELL_FUNCTIONALITY),
+    },
+    yieldLitersPerHour: {
+      type: Number,
+      min: 0,
+    },
+    findings: String,
+    notes: String,
+    recordedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// A completed inspection records what was found
+wellInspectionSchema.pre('validate', function (next) {
+  if (this.status === INSPECTION_STATUS.COMPLETED) {
+    if (!this.functionality) {
+      this.invalidate('functionality', 'Functionality is required for a completed inspection');
+    }
+    if (!this.inspectedAt) this.inspectedAt = new Date();
+  }
+  next();
+});
+
+// Indexes
+wellInspectionSchema.index({ project: 1, scheduledDate: -1 });
+wellInspectionSchema.index({ tenant: 1, status: 1, scheduledDate: 1 });
+
+module.exports = mongoose.model('WellInspection', wellInspectionSchema);
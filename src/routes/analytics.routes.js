@@ -1,24 +1,49 @@
 const express = require('express');
 const router = express.Router();
+const { query } = require('express-validator');
 const analyticsController = require('../controllers/analytics.controller');
 const { authenticate } = require('../middlewares/auth');
 const { authorize } = require('../middlewares/rbac');
+const { validate } = require('../middlewares/validation');
+const { PROJECT_STATUS } = require('../utils/constants');
+
+// Super admins may narrow analytics to one organization
+const organizationQuery = query('organization').optional().isMongoId().withMessage('Invalid organization ID');
 
 // Get dashboard analytics
 router.get(
   '/dashboard',
   authenticate,
   authorize('view_analytics'),
+  [organizationQuery, validate],
   analyticsController.getDashboardAnalytics
 );
 
+// Get functionality of handed-over wells by country
+router.get(
+  '/wells/functionality',
+  authenticate,
+  authorize('view_analytics'),
+  [organizationQuery, query('country').optional().trim(), validate],
+  analyticsController.getWellFunctionality
+);
+
 // Export data
 router.get(
   '/export',
   authenticate,
   authorize('export_data'),
+  [
+    organizationQuery,
+    query('type').optional().isIn(['projects', 'reports']).withMessage('type must be projects or reports'),
+    query('format').optional().isIn(['csv', 'json', 'geojson', 'kml']).withMessage('format must be csv, json, geojson or kml'),
+    query('status').optional().isIn(Object.values(PROJECT_STATUS)).withMessage('Invalid status'),
+    query('contractor').optional().isMongoId().withMessage('Invalid contractor ID'),
+    query('projectManager').optional().isMongoId().withMessage('Invalid project manager ID'),
+    query('isArchived').optional().isBoolean().withMessage('isArchived must be a boolean'),
+    validate,
+  ],
   analyticsController.exportData
 );
 
 module.exports = router;
-
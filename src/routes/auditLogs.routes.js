@@ -0,0 +1,62 @@
+const express = require('express');
+const router = express.Router();
+const { query } = require('express-validator');
+const auditLogsController = require('../controllers/auditLogs.controller');
+const { authenticate } = require('../middlewares/auth');
+const { authorize } = require('../middlewares/rbac');
+const { validate } = require('../middlewares/validation');
+
+// Shared filter validation for list and export
+const filterValidation = [
+  query('startDate').optional({ checkFalsy: true }).isISO8601().withMessage('Invalid start date'),
+  query('endDate').optional({ checkFalsy: true }).isISO8601().withMessage('Invalid end date'),
+  query('success').optional({ checkFalsy: true }).isIn(['true', 'false']),
+  validate,
+];
+
+// Get all audit logs
+router.get(
+  '/',
+  authenticate,
+  authorize('view_audit_logs'),
+  filterValidation,
+  auditLogsController.getAuditLogs
+);
+
+// Get available filter values
+router.get(
+  '/filters',
+  authenticate,
+  authorize('view_audit_logs'),
+  auditLogsController.getAuditLogFilters
+);
+
+// Export audit logs
+router.get(
+  '/export',
+  authenticate,
+  authorize('view_audit_logs'),
+  [
+    query('format').optional().isIn(['xlsx', 'csv']).withMessage('Format must be xlsx or csv'),
+    ...filterValidation,
+  ],
+  auditLogsController.exportAuditLogs
+);
+
+// Get history of a single entity
+router.get(
+  '/entity/:entityType/:entityId',
+  authenticate,
+  authorize('view_audit_logs'),
+  auditLogsController.getEntityHistory
+);
+
+// Get single audit log
+router.get(
+  '/:id',
+  authenticate,
+  authorize('view_audit_logs'),
+  auditLogsController.getAuditLog
+);
+
+module.exports = router;
@@ -1,13 +1,19 @@
 const express = require('express');
 const router = express.Router();
-const { body } = require('express-validator');
+const { body, param, query } = require('express-validator');
 const authController = require('../controllers/auth.controller');
-const { authenticate } = require('../middlewares/auth');
+const { authenticate, optionalAuth } = require('../middlewares/auth');
 const { validate } = require('../middlewares/validation');
+const { rateLimit, byAccount } = require('../middlewares/rateLimit');
+
+const FIFTEEN_MINUTES = 15 * 60 * 1000;
+const ONE_HOUR = 60 * 60 * 1000;
 
 // Login
 router.post(
   '/login',
+  rateLimit({ name: 'login', windowMs: FIFTEEN_MINUTES, max: 20 }),
+  rateLimit({ name: 'login', windowMs: FIFTEEN_MINUTES, max: 10, keyGenerator: byAccount('email') }),
   [
     body('email').isEmail().withMessage('Valid email is required'),
     body('password').notEmpty().withMessage('Password is required'),
@@ -39,7 +45,7 @@ router.post(
   authenticate,
   [
     body('currentPassword').notEmpty().withMessage('Current password is required'),
-    body('newPassword').isLength({ min: 6 }).withMessage('New password must be at least 6 characters'),
+    body('newPassword').notEmpty().withMessage('New password is required'),
     validate,
   ],
   authController.changePassword
@@ -48,6 +54,8 @@ router.post(
 // Forgot password
 router.post(
   '/forgot-password',
+  rateLimit({ name: 'forgot-password', windowMs: ONE_HOUR, max: 10 }),
+  rateLimit({ name: 'forgot-password', windowMs: ONE_HOUR, max: 3, keyGenerator: byAccount('email') }),
   [body('email').isEmail().withMessage('Valid email is required'), validate],
   authController.forgotPassword
 );
@@ -55,23 +63,142 @@ router.post(
 // Reset password
 router.post(
   '/reset-password',
+  rateLimit({ name: 'reset-password', windowMs: FIFTEEN_MINUTES, max: 10 }),
   [
     body('token').notEmpty().withMessage('Token is required'),
-    body('newPassword').isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
+    body('newPassword').notEmpty().withMessage('Password is required'),
     validate,
   ],
   authController.resetPassword
 );
 
-// Client login (by phone number, no password)
+// Get the password policy
+router.get('/password-policy', authController.getPasswordPolicy);
+
+// Replace a temporary or expired password during login
+router.post(
+  '/change-expired-password',
+  rateLimit({ name: 'change-expired-password', windowMs: FIFTEEN_MINUTES, max: 10 }),
+  [
+    body('passwordChangeToken').notEmpty().withMessage('Password change token is required'),
+    body('newPassword').notEmpty().withMessage('New password is required'),
+    validate,
+  ],
+  authController.changeExpiredPassword
+);
+
+// Look up an invitation
+router.get(
+  '/accept-invite',
+  rateLimit({ name: 'accept-invite', windowMs: FIFTEEN_MINUTES, max: 20 }),
+  [query('token').notEmpty().withMessage('Token is required'), validate],
+  authController.getInvitation
+);
+
+// Accept an invitation and set a password
+router.post(
+  '/accept-invite',
+  rateLimit({ name: 'accept-invite', windowMs: FIFTEEN_MINUTES, max: 20 }),
+  [
+    body('token').notEmpty().withMessage('Token is required'),
+    body('password').notEmpty().withMessage('Password is required'),
+    validate,
+  ],
+  authController.acceptInvite
+);
+
+// Client login step 1: request a one-time code (by phone number, no password)
 router.post(
   '/client-login',
+  rateLimit({ name: 'client-login', windowMs: FIFTEEN_MINUTES, max: 10 }),
+  rateLimit({ name: 'client-login', windowMs: FIFTEEN_MINUTES, max: 5, keyGenerator: byAccount('phone') }),
   [
     body('phone').trim().notEmpty().withMessage('Phone number is required'),
+    body('channel').optional().isIn(['sms', 'whatsapp', 'email']).withMessage('Invalid delivery channel'),
     validate,
   ],
   authController.clientLogin
 );
 
+// Client login step 2: verify the one-time code
+router.post(
+  '/client-login/verify',
+  rateLimit({ name: 'client-login-verify', windowMs: FIFTEEN_MINUTES, max: 20 }),
+  [
+    body('phone').trim().notEmpty().withMessage('Phone number is required'),
+    body('code').trim().notEmpty().withMessage('Code is required'),
+    validate,
+  ],
+  authController.verifyClientLogin
+);
+
+// Refresh access token
+router.post(
+  '/refresh',
+  rateLimit({ name: 'refresh', windowMs: FIFTEEN_MINUTES, max: 60 }),
+  [body('refreshToken').notEmpty().withMessage('Refresh token is required'), validate],
+  authController.refreshToken
+);
+
+// Logout (current session)
+router.post('/logout', authenticate, authController.logout);
+
+// Logout from all devices
+router.post('/logout-all', authenticate, authController.logoutAll);
+
+// Get my active sessions
+router.get('/sessions', authenticate, authController.getSessions);
+
+// Revoke one of my sessions
+router.delete(
+  '/sessions/:sessionId',
+  authenticate,
+  [param('sessionId').isMongoId().withMessage('Invalid session ID'), validate],
+  authController.revokeSession
+);
+
+// Verify two-factor code after password login
+router.post(
+  '/2fa/verify',
+  rateLimit({ name: '2fa-verify', windowMs: FIFTEEN_MINUTES, max: 20 }),
+  [
+    body('twoFactorToken').notEmpty().withMessage('Two-factor token is required'),
+    body('code').if(body('recoveryCode').not().exists()).notEmpty().withMessage('Code is required'),
+    validate,
+  ],
+  authController.verifyTwoFactor
+);
+
+// Start two-factor enrollment (logged in, or with a setup token during login)
+router.post('/2fa/setup', optionalAuth, authController.setupTwoFactor);
+
+// Confirm two-factor enrollment
+router.post(
+  '/2fa/enable',
+  optionalAuth,
+  [body('code').notEmpty().withMessage('Code is required'), validate],
+  authController.enableTwoFactor
+);
+
+// Disable two-factor authentication
+router.post(
+  '/2fa/disable',
+  authenticate,
+  [
+    body('password').notEmpty().withMessage('Password is required'),
+    body('code').notEmpty().withMessage('Code is required'),
+    validate,
+  ],
+  authController.disableTwoFactor
+);
+
+// Regenerate recovery codes
+router.post(
+  '/2fa/recovery-codes',
+  authenticate,
+  [body('code').notEmpty().withMessage('Code is required'), validate],
+  authController.regenerateRecoveryCodes
+);
+
 module.exports = router;
 
@@ -0,0 +1,218 @@
+const express = require('express');
+const router = express.Router();
+const { body, param, query } = require('express-validator');
+const contractorsController = require('../controllers/contractors.controller');
+const { authenticate } = require('../middlewares/auth');
+const { authorize } = require('../middlewares/rbac');
+const { validate } = require('../middlewares/validation');
+const { logAudit } = require('../middlewares/auditLog');
+const { uploadMemory, handleUploadError } = require('../middlewares/upload');
+const { CONTRACTOR_DOCUMENT_TYPES, EQUIPMENT_TYPES } = require('../utils/constants');
+
+const userIdParam = param('userId').isMongoId().withMessage('Invalid contractor ID');
+const entryIdParam = param('entryId').isMongoId().withMessage('Invalid entry ID');
+
+// Helper: Validators for a document; required fields only when adding
+const documentValidators = (adding) => [
+  (adding ? body('type') : body('type').optional())
+    .isIn(Object.values(CONTRACTOR_DOCUMENT_TYPES))
+    .withMessage('Invalid document type'),
+  (adding ? body('name') : body('name').optional()).trim().notEmpty().withMessage('Document name is required'),
+  body('documentNumber').optional().trim(),
+  body('issuingBody').optional().trim(),
+  body('issuedAt').optional().isISO8601().withMessage('Invalid issue date'),
+  body('expiresAt').optional().isISO8601().withMessage('Invalid expiry date'),
+];
+
+// Helper: Validators for an insurance policy
+const insuranceValidators = (adding) => [
+  (adding ? body('provider') : body('provider').optional()).trim().notEmpty().withMessage('Insurance provider is required'),
+  body('policyNumber').optional().trim(),
+  body('coverageType').optional().trim(),
+  body('coverageAmount').optional().isFloat({ min: 0 }).withMessage('Coverage amount must be a positive number'),
+  body('currency').optional().trim().isLength({ min: 3, max: 3 }).withMessage('Currency must be a 3-letter code'),
+  body('startsAt').optional().isISO8601().withMessage('Invalid start date'),
+  body('expiresAt').optional().isISO8601().withMessage('Invalid expiry date'),
+];
+
+// Helper: Validators for an equipment item
+const equipmentValidators = (adding) => [
+  (adding ? body('type') : body('type').optional()).isIn(EQUIPMENT_TYPES).withMessage('Invalid equipment type'),
+  (adding ? body('name') : body('name').optional()).trim().notEmpty().withMessage('Equipment name is required'),
+  body('manufacturer').optional().trim(),
+  body('model').optional().trim(),
+  body('serialNumber').optional().trim(),
+  body('year').optional().isInt({ min: 1900, max: 2100 }).withMessage('Invalid year'),
+  body('maxDepth').optional().isFloat({ min: 0 }).withMessage('Max depth must be a positive number'),
+  body('condition').optional().isIn(['good', 'fair', 'needs_repair', 'out_of_service']).withMessage('Invalid condition'),
+  body('notes').optional().trim(),
+];
+
+// Get documents expiring soon
+router.get(
+  '/expiring-documents',
+  authenticate,
+  authorize('manage_projects'),
+  [
+    query('days').optional().isInt({ min: 1, max: 365 }).withMessage('days must be between 1 and 365'),
+    query('organization').optional().isMongoId().withMessage('Invalid organization ID'),
+    validate,
+  ],
+  contractorsController.getExpiringDocuments
+);
+
+// Get ranked contractor scorecards
+router.get(
+  '/scorecards',
+  authenticate,
+  authorize('view_projects'),
+  [
+    query('from').optional().isISO8601().withMessage('Invalid from date'),
+    query('to').optional().isISO8601().withMessage('Invalid to date'),
+    query('minCompleted').optional().isInt({ min: 0 }).withMessage('minCompleted must be a positive number'),
+    query('country').optional().trim(),
+    query('includeInactive').optional().isBoolean().withMessage('includeInactive must be a boolean'),
+    query('organization').optional().isMongoId().withMessage('Invalid organization ID'),
+    validate,
+  ],
+  contractorsController.getScorecards
+);
+
+// Get contractor scorecard with trend
+router.get(
+  '/:userId/scorecard',
+  authenticate,
+  [
+    userIdParam,
+    query('from').optional().isISO8601().withMessage('Invalid from date'),
+    query('to').optional().isISO8601().withMessage('Invalid to date'),
+    query('months').optional().isInt({ min: 1, max: 36 }).withMessage('months must be between 1 and 36'),
+    validate,
+  ],
+  contractorsController.getScorecard
+);
+
+// Get contractor profile
+router.get(
+  '/:userId/profile',
+  authenticate,
+  [userIdParam, validate],
+  contractorsController.getProfile
+);
+
+// Update contractor profile
+router.put(
+  '/:userId/profile',
+  authenticate,
+  [
+    userIdParam,
+    body('companyName').optional().trim(),
+    body('registrationNumber').optional().trim(),
+    body('yearsOfExperience').optional().isInt({ min: 0 }).withMessage('Years of experience must be a positive number'),
+    body('serviceCountries').optional().isArray().withMessage('Service countries must be an array'),
+    validate,
+  ],
+  logAudit('update_contractor_profile', 'user'),
+  contractorsController.updateProfile
+);
+
+// Add licence / certification document
+router.post(
+  '/:userId/profile/documents',
+  authenticate,
+  uploadMemory.single('file'),
+  handleUploadError,
+  [userIdParam, ...documentValidators(true), validate],
+  logAudit('add_contractor_document', 'user'),
+  contractorsController.addDocument
+);
+
+// Update document
+router.put(
+  '/:userId/profile/documents/:entryId',
+  authenticate,
+  uploadMemory.single('file'),
+  handleUploadError,
+  [userIdParam, entryIdParam, ...documentValidators(false), validate],
+  logAudit('update_contractor_document', 'user'),
+  contractorsController.updateDocument
+);
+
+// Verify document
+router.post(
+  '/:userId/profile/documents/:entryId/verify',
+  authenticate,
+  authorize('manage_projects'),
+  [userIdParam, entryIdParam, validate],
+  logAudit('verify_contractor_document', 'user'),
+  contractorsController.verifyDocument
+);
+
+// Delete document
+router.delete(
+  '/:userId/profile/documents/:entryId',
+  authenticate,
+  [userIdParam, entryIdParam, validate],
+  logAudit('delete_contractor_document', 'user'),
+  contractorsController.deleteDocument
+);
+
+// Add insurance policy
+router.post(
+  '/:userId/profile/insurance',
+  authenticate,
+  uploadMemory.single('file'),
+  handleUploadError,
+  [userIdParam, ...insuranceValidators(true), validate],
+  logAudit('add_contractor_insurance', 'user'),
+  contractorsController.addInsurance
+);
+
+// Update insurance policy
+router.put(
+  '/:userId/profile/insurance/:entryId',
+  authenticate,
+  uploadMemory.single('file'),
+  handleUploadError,
+  [userIdParam, entryIdParam, ...insuranceValidators(false), validate],
+  logAudit('update_contractor_insurance', 'user'),
+  contractorsController.updateInsurance
+);
+
+// Delete insurance policy
+router.delete(
+  '/:userId/profile/insurance/:entryId',
+  authenticate,
+  [userIdParam, entryIdParam, validate],
+  logAudit('delete_contractor_insurance', 'user'),
+  contractorsController.deleteInsurance
+);
+
+// Add equipment
+router.post(
+  '/:userId/profile/equipment',
+  authenticate,
+  [userIdParam, ...equipmentValidators(true), validate],
+  logAudit('add_contractor_equipment', 'user'),
+  contractorsController.addEquipment
+);
+
+// Update equipment
+router.put(
+  '/:userId/profile/equipment/:entryId',
+  authenticate,
+  [userIdParam, entryIdParam, ...equipmentValidators(false), validate],
+  logAudit('update_contractor_equipment', 'user'),
+  contractorsController.updateEquipment
+);
+
+// Delete equipment
+router.delete(
+  '/:userId/profile/equipment/:entryId',
+  authenticate,
+  [userIdParam, entryIdParam, validate],
+  logAudit('delete_contractor_equipment', 'user'),
+  contractorsController.deleteEquipment
+);
+
+module.exports = router;
@@ -11,6 +11,10 @@ const analyticsRoutes = require('./analytics.routes');
 const settingsRoutes = require('./settings.routes');
 const messagesRoutes = require('./messages.routes');
 const paymentsRoutes = require('./payments.routes');
+const auditLogsRoutes = require('./auditLogs.routes');
+const rolesRoutes = require('./roles.routes');
+const organizationsRoutes = require('./organizations.routes');
+const contractorsRoutes = require('./contractors.routes');
 
 // Mount routes
 router.use('/auth', authRoutes);
@@ -22,6 +26,10 @@ router.use('/analytics', analyticsRoutes);
 router.use('/settings', settingsRoutes);
 router.use('/messages', messagesRoutes);
 router.use('/payments', paymentsRoutes);
+router.use('/audit-logs', auditLogsRoutes);
+router.use('/roles', rolesRoutes);
+router.use('/organizations', organizationsRoutes);
+router.use('/contractors', contractorsRoutes);
 
 // Health check
 router.get('/health', (req, res) => {
@@ -0,0 +1,86 @@
+const express = require('express');
+const router = express.Router();
+const { body, param } = require('express-validator');
+const organizationsController = require('../controllers/organizations.controller');
+const { authenticate } = require('../middlewares/auth');
+const { authorize } = require('../middlewares/rbac');
+const { validate } = require('../middlewares/validation');
+const { logAudit } = require('../middlewares/auditLog');
+
+const SLUG_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+
+// Get current user's organization
+router.get(
+  '/current',
+  authenticate,
+  organizationsController.getCurrentOrganization
+);
+
+// Get all organizations
+router.get(
+  '/',
+  authenticate,
+  authorize('manage_organizations'),
+  organizationsController.getOrganizations
+);
+
+// Get single organization
+router.get(
+  '/:id',
+  authenticate,
+  authorize('manage_organizations'),
+  [param('id').isMongoId().withMessage('Invalid organization ID'), validate],
+  organizationsController.getOrganization
+);
+
+// Create organization
+router.post(
+  '/',
+  authenticate,
+  authorize('manage_organizations'),
+  [
+    body('name').trim().notEmpty().withMessage('Name is required'),
+    body('nameAr').optional().trim(),
+    body('slug').optional().trim().matches(SLUG_PATTERN).withMessage('Slug may only contain lowercase letters, digits and dashes'),
+    body('description').optional().trim(),
+    body('contactEmail').optional().isEmail().withMessage('Invalid contact email'),
+    body('contactPhone').optional().trim(),
+    body('country').optional().trim(),
+    validate,
+  ],
+  logAudit('create_organization', 'organization'),
+  organizationsController.createOrganization
+);
+
+// Update organization
+router.put(
+  '/:id',
+  authenticate,
+  authorize('manage_organizations'),
+  [
+    param('id').isMongoId().withMessage('Invalid organization ID'),
+    body('name').optional().trim().notEmpty(),
+    body('nameAr').optional().trim(),
+    body('slug').optional().trim().matches(SLUG_PATTERN).withMessage('Slug may only contain lowercase letters, digits and dashes'),
+    body('description').optional().trim(),
+    body('contactEmail').optional().isEmail().withMessage('Invalid contact email'),
+    body('contactPhone').optional().trim(),
+    body('country').optional().trim(),
+    body('isActive').optional().isBoolean().withMessage('isActive must be a boolean'),
+    validate,
+  ],
+  logAudit('update_organization', 'organization'),
+  organizationsController.updateOrganization
+);
+
+// Delete organization
+router.delete(
+  '/:id',
+  authenticate,
+  authorize('manage_organizations'),
+  [param('id').isMongoId().withMessage('Invalid organization ID'), validate],
+  logAudit('delete_organization', 'organization'),
+  organizationsController.deleteOrganization
+);
+
+module.exports = router;
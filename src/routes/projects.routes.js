@@ -1,17 +1,90 @@
 const express = require('express');
 const router = express.Router();
-const { body } = require('express-validator');
+const { body, param, query } = require('express-validator');
 const projectsController = require('../controllers/projects.controller');
+const waterQualityController = require('../controllers/waterQuality.controller');
+const wellMonitoringController = require('../controllers/wellMonitoring.controller');
 const { authenticate } = require('../middlewares/auth');
 const { authorize } = require('../middlewares/rbac');
 const { validate } = require('../middlewares/validation');
 const { logAudit } = require('../middlewares/auditLog');
+const { uploadMemory, uploadSpreadsheet, handleUploadError } = require('../middlewares/upload');
+const {
+  PROJECT_MEMBER_ROLES,
+  MILESTONE_TYPES,
+  MILESTONE_STATUS,
+  WATER_TEST_RESULTS,
+  WELL_FUNCTIONALITY,
+  INSPECTION_STATUS,
+  REPAIR_TICKET_STATUS,
+} = require('../utils/constants');
+
+// Helper: Validators for a water quality test; sample date and lab required only when recording.
+// lab and parameters may arrive as JSON strings when a certificate is uploaded
+const waterTestValidators = (recording) => [
+  (recording ? body('sampleDate') : body('sampleDate').optional()).isISO8601().withMessage('Invalid sample date'),
+  body('analyzedAt').optional().isISO8601().withMessage('Invalid analysis date'),
+  (recording ? body('lab') : body('lab').optional()).notEmpty().withMessage('Lab is required'),
+  (recording ? body('parameters') : body('parameters').optional()).notEmpty().withMessage('Parameters are required'),
+  body('sampledBy').optional().trim(),
+  body('samplePoint').optional().trim(),
+  body('notes').optional().trim(),
+];
+
+// Helper: Validators for an inspection; scheduled date required only when creating
+const inspectionValidators = (creating) => [
+  (creating ? body('scheduledDate') : body('scheduledDate').optional()).isISO8601().withMessage('Invalid scheduled date'),
+  body('status').optional().isIn(Object.values(INSPECTION_STATUS)).withMessage('Invalid inspection status'),
+  body('inspector').optional().isMongoId().withMessage('Invalid inspector ID'),
+  body('inspectedAt').optional().isISO8601().withMessage('Invalid inspection date'),
+  body('functionality').optional().isIn(Object.values(WELL_FUNCTIONALITY)).withMessage('Invalid functionality status'),
+  body('yieldLitersPerHour').optional().isFloat({ min: 0 }).withMessage('Yield must be a positive number'),
+  body('findings').optional().trim(),
+  body('notes').optional().trim(),
+];
+
+// Helper: Validators for a repair cost (prefix 'costs.*.' for costs sent with a new ticket)
+const repairCostValidators = (prefix = '') => [
+  body(`${prefix}description`).trim().notEmpty().withMessage('Cost description is required'),
+  body(`${prefix}amount`).isFloat({ min: 0 }).withMessage('Cost amount must be a positive number'),
+  body(`${prefix}currency`).optional().trim(),
+  body(`${prefix}incurredAt`).optional().isISO8601().withMessage('Invalid cost date'),
+];
+
+// Helper: Validators for a repair ticket; title required only when opening
+const repairTicketValidators = (opening) => [
+  (opening ? body('title') : body('title').optional()).trim().notEmpty().withMessage('Title is required'),
+  body('description').optional().trim(),
+  body('priority').optional().isIn(['low', 'medium', 'high', 'urgent']).withMessage('Invalid priority'),
+  body('status').optional().isIn(Object.values(REPAIR_TICKET_STATUS)).withMessage('Invalid ticket status'),
+  body('assignedTo').optional().isMongoId().withMessage('Invalid assignee ID'),
+  body('inspection').optional().isMongoId().withMessage('Invalid inspection ID'),
+  body('resolution').optional().trim(),
+  body('functionalityAfter').optional().isIn(Object.values(WELL_FUNCTIONALITY)).withMessage('Invalid functionality status'),
+];
+
+// Helper: Validators for a milestone; type required only when adding
+const milestoneValidators = (adding) => [
+  (adding ? body('type') : body('type').optional())
+    .isIn(Object.values(MILESTONE_TYPES))
+    .withMessage('Invalid milestone type'),
+  body('name').optional().trim(),
+  body('weight').optional().isFloat({ min: 0 }).withMessage('Weight must be a positive number'),
+  body('status').optional().isIn(Object.values(MILESTONE_STATUS)).withMessage('Invalid milestone status'),
+  body('progress').optional().isFloat({ min: 0, max: 100 }).withMessage('Progress must be between 0 and 100'),
+  body('plannedStartDate').optional().isISO8601().withMessage('Invalid planned start date'),
+  body('plannedEndDate').optional().isISO8601().withMessage('Invalid planned end date'),
+  body('actualStartDate').optional().isISO8601().withMessage('Invalid actual start date'),
+  body('actualEndDate').optional().isISO8601().withMessage('Invalid actual end date'),
+  body('notes').optional().trim(),
+];
 
 // Get all projects
 router.get(
   '/',
   authenticate,
   authorize('view_projects', 'view_assigned_projects', 'view_own_projects'),
+  [query('organization').optional().isMongoId().withMessage('Invalid organization ID'), validate],
   projectsController.getProjects
 );
 
@@ -20,9 +93,92 @@ router.get(
   '/stats',
   authenticate,
   authorize('view_analytics'),
+  [query('organization').optional().isMongoId().withMessage('Invalid organization ID'), validate],
   projectsController.getProjectStats
 );
 
+// Get project locations as GeoJSON (radius, bounding box or polygon)
+router.get(
+  '/geo',
+  authenticate,
+  authorize('view_projects', 'view_assigned_projects', 'view_own_projects'),
+  [
+    query('lat').optional().isFloat({ min: -90, max: 90 }).withMessage('lat must be between -90 and 90'),
+    query('lng').optional().isFloat({ min: -180, max: 180 }).withMessage('lng must be between -180 and 180'),
+    query('radius').optional().isFloat({ gt: 0 }).withMessage('radius must be a positive number of kilometers'),
+    query('bbox').optional().trim(),
+    query('polygon').optional().trim(),
+    query('format').optional().isIn(['json', 'geojson']).withMessage('format must be json or geojson'),
+    query('limit').optional().isInt({ min: 1, max: 5000 }).withMessage('limit must be between 1 and 5000'),
+    query('organization').optional().isMongoId().withMessage('Invalid organization ID'),
+    validate,
+  ],
+  projectsController.getProjectsGeo
+);
+
+// Get existing wells near a site (duplicate-site check)
+router.get(
+  '/geo/nearby',
+  authenticate,
+  authorize('create_project', 'manage_projects'),
+  [
+    query('lat').isFloat({ min: -90, max: 90 }).withMessage('lat must be between -90 and 90'),
+    query('lng').isFloat({ min: -180, max: 180 }).withMessage('lng must be between -180 and 180'),
+    query('radius').optional().isFloat({ gt: 0 }).withMessage('radius must be a positive number of meters'),
+    query('excludeId').optional().isMongoId().withMessage('Invalid project ID'),
+    query('organization').optional().isMongoId().withMessage('Invalid organization ID'),
+    validate,
+  ],
+  projectsController.getNearbySites
+);
+
+// Get milestones behind schedule
+router.get(
+  '/milestones/delayed',
+  authenticate,
+  authorize('view_projects', 'view_assigned_projects'),
+  [
+    query('country').optional().trim(),
+    query('organization').optional().isMongoId().withMessage('Invalid organization ID'),
+    validate,
+  ],
+  projectsController.getDelayedMilestones
+);
+
+// Download the project import template
+router.get(
+  '/import/template',
+  authenticate,
+  authorize('create_project', 'manage_projects'),
+  projectsController.getImportTemplate
+);
+
+// Import projects from XLSX/CSV (preview unless commit=true)
+router.post(
+  '/import',
+  authenticate,
+  authorize('create_project', 'manage_projects'),
+  uploadSpreadsheet.single('file'),
+  handleUploadError,
+  [
+    body('tenant').optional().isMongoId().withMessage('Invalid organization ID'),
+    body('commit').optional().isBoolean().withMessage('commit must be a boolean'),
+    body('skipInvalid').optional().isBoolean().withMessage('skipInvalid must be a boolean'),
+    body('createDriveFolders').optional().isBoolean().withMessage('createDriveFolders must be a boolean'),
+    validate,
+  ],
+  logAudit('import_projects', 'project'),
+  projectsController.importProjects
+);
+
+// Get water quality thresholds
+router.get(
+  '/water-tests/thresholds',
+  authenticate,
+  authorize('view_projects', 'view_assigned_projects', 'view_own_projects'),
+  waterQualityController.getThresholds
+);
+
 // Get projects list (simple)
 router.get(
   '/list',
@@ -61,6 +217,85 @@ router.post(
   projectsController.evaluateProject
 );
 
+// Get project team members
+router.get(
+  '/:id/members',
+  authenticate,
+  authorize('view_projects', 'view_assigned_projects'),
+  projectsController.getProjectMembers
+);
+
+// Add or update project team member
+router.post(
+  '/:id/members',
+  authenticate,
+  authorize('manage_projects'),
+  [
+    body('userId').isMongoId().withMessage('Valid user ID is required'),
+    body('role').isIn(Object.values(PROJECT_MEMBER_ROLES)).withMessage('Invalid project role'),
+    validate,
+  ],
+  logAudit('add_project_member', 'project'),
+  projectsController.addProjectMember
+);
+
+// Remove project team member
+router.delete(
+  '/:id/members/:userId',
+  authenticate,
+  authorize('manage_projects'),
+  [param('userId').isMongoId().withMessage('Invalid user ID'), validate],
+  logAudit('remove_project_member', 'project'),
+  projectsController.removeProjectMember
+);
+
+// Get project milestones
+router.get(
+  '/:id/milestones',
+  authenticate,
+  authorize('view_projects', 'view_assigned_projects', 'view_own_projects'),
+  projectsController.getProjectMilestones
+);
+
+// Add the standard milestones
+router.post(
+  '/:id/milestones/defaults',
+  authenticate,
+  authorize('edit_project', 'manage_projects'),
+  logAudit('initialize_project_milestones', 'project'),
+  projectsController.initializeProjectMilestones
+);
+
+// Add milestone
+router.post(
+  '/:id/milestones',
+  authenticate,
+  authorize('edit_project', 'manage_projects'),
+  [...milestoneValidators(true), validate],
+  logAudit('add_project_milestone', 'project'),
+  projectsController.addProjectMilestone
+);
+
+// Update milestone
+router.put(
+  '/:id/milestones/:milestoneId',
+  authenticate,
+  authorize('edit_project', 'manage_projects'),
+  [param('milestoneId').isMongoId().withMessage('Invalid milestone ID'), ...milestoneValidators(false), validate],
+  logAudit('update_project_milestone', 'project'),
+  projectsController.updateProjectMilestone
+);
+
+// Delete milestone
+router.delete(
+  '/:id/milestones/:milestoneId',
+  authenticate,
+  authorize('edit_project', 'manage_projects'),
+  [param('milestoneId').isMongoId().withMessage('Invalid milestone ID'), validate],
+  logAudit('delete_project_milestone', 'project'),
+  projectsController.deleteProjectMilestone
+);
+
 // Get single project
 router.get(
   '/:id',
@@ -77,6 +312,7 @@ router.post(
   [
     body('projectName').trim().notEmpty().withMessage('Project name is required'),
     body('country').trim().notEmpty().withMessage('Country is required'),
+    body('tenant').optional().isMongoId().withMessage('Invalid organization ID'),
     body('status').optional().isIn(['planned', 'in_progress', 'completed', 'on_hold', 'cancelled', 'archived']),
     body('startDate').optional().isISO8601(),
     body('expectedEndDate').optional().isISO8601(),
@@ -121,6 +357,162 @@ router.patch(
   projectsController.toggleArchiveProject
 );
 
+// Get the water quality test history of a well
+router.get(
+  '/:id/water-tests',
+  authenticate,
+  authorize('view_projects', 'view_assigned_projects', 'view_own_projects'),
+  [
+    query('result').optional().isIn(Object.values(WATER_TEST_RESULTS)).withMessage('Invalid test result'),
+    validate,
+  ],
+  waterQualityController.getWaterTests
+);
+
+// Record a water quality test (optional lab certificate as "file")
+router.post(
+  '/:id/water-tests',
+  authenticate,
+  authorize('submit_reports', 'edit_project', 'manage_projects'),
+  uploadMemory.single('file'),
+  handleUploadError,
+  [...waterTestValidators(true), validate],
+  logAudit('create_water_test', 'project'),
+  waterQualityController.createWaterTest
+);
+
+// Get a water quality test
+router.get(
+  '/:id/water-tests/:testId',
+  authenticate,
+  authorize('view_projects', 'view_assigned_projects', 'view_own_projects'),
+  [param('testId').isMongoId().withMessage('Invalid test ID'), validate],
+  waterQualityController.getWaterTest
+);
+
+// Update a water quality test
+router.put(
+  '/:id/water-tests/:testId',
+  authenticate,
+  authorize('edit_project', 'manage_projects'),
+  uploadMemory.single('file'),
+  handleUploadError,
+  [param('testId').isMongoId().withMessage('Invalid test ID'), ...waterTestValidators(false), validate],
+  logAudit('update_water_test', 'project'),
+  waterQualityController.updateWaterTest
+);
+
+// Delete a water quality test
+router.delete(
+  '/:id/water-tests/:testId',
+  authenticate,
+  authorize('edit_project', 'manage_projects'),
+  [param('testId').isMongoId().withMessage('Invalid test ID'), validate],
+  logAudit('delete_water_test', 'project'),
+  waterQualityController.deleteWaterTest
+);
+
+// Get the post-handover monitoring of a well
+router.get(
+  '/:id/monitoring',
+  authenticate,
+  authorize('view_projects', 'view_assigned_projects', 'view_own_projects'),
+  wellMonitoringController.getWellMonitoring
+);
+
+// Schedule (or record) an inspection visit
+router.post(
+  '/:id/inspections',
+  authenticate,
+  authorize('submit_reports', 'edit_project', 'manage_projects'),
+  [...inspectionValidators(true), validate],
+  logAudit('create_well_inspection', 'project'),
+  wellMonitoringController.createInspection
+);
+
+// Update an inspection (record the visit outcome)
+router.put(
+  '/:id/inspections/:inspectionId',
+  authenticate,
+  authorize('submit_reports', 'edit_project', 'manage_projects'),
+  [param('inspectionId').isMongoId().withMessage('Invalid inspection ID'), ...inspectionValidators(false), validate],
+  logAudit('update_well_inspection', 'project'),
+  wellMonitoringController.updateInspection
+);
+
+// Delete an inspection
+router.delete(
+  '/:id/inspections/:inspectionId',
+  authenticate,
+  authorize('edit_project', 'manage_projects'),
+  [param('inspectionId').isMongoId().withMessage('Invalid inspection ID'), validate],
+  logAudit('delete_well_inspection', 'project'),
+  wellMonitoringController.deleteInspection
+);
+
+// Open a repair ticket
+router.post(
+  '/:id/repair-tickets',
+  authenticate,
+  authorize('submit_reports', 'edit_project', 'manage_projects'),
+  [
+    ...repairTicketValidators(true),
+    body('costs').optional().isArray().withMessage('costs must be an array'),
+    ...repairCostValidators('costs.*.'),
+    validate,
+  ],
+  logAudit('create_repair_ticket', 'project'),
+  wellMonitoringController.createRepairTicket
+);
+
+// Update a repair ticket
+router.put(
+  '/:id/repair-tickets/:ticketId',
+  authenticate,
+  authorize('submit_reports', 'edit_project', 'manage_projects'),
+  [param('ticketId').isMongoId().withMessage('Invalid ticket ID'), ...repairTicketValidators(false), validate],
+  logAudit('update_repair_ticket', 'project'),
+  wellMonitoringController.updateRepairTicket
+);
+
+// Add a cost to a repair ticket
+router.post(
+  '/:id/repair-tickets/:ticketId/costs',
+  authenticate,
+  authorize('submit_reports', 'edit_project', 'manage_projects'),
+  [param('ticketId').isMongoId().withMessage('Invalid ticket ID'), ...repairCostValidators(), validate],
+  logAudit('add_repair_cost', 'project'),
+  wellMonitoringController.addRepairCost
+);
+
+// Record a pump replacement
+router.post(
+  '/:id/pump-replacements',
+  authenticate,
+  authorize('submit_reports', 'edit_project', 'manage_projects'),
+  [
+    body('pumpType').trim().notEmpty().withMessage('Pump type is required'),
+    body('model').optional().trim(),
+    body('serialNumber').optional().trim(),
+    body('reason').optional().trim(),
+    body('replacedAt').optional().isISO8601().withMessage('Invalid replacement date'),
+    body('cost.amount').optional().isFloat({ min: 0 }).withMessage('Cost amount must be a positive number'),
+    body('cost.currency').optional().trim(),
+    body('repairTicket').optional().isMongoId().withMessage('Invalid repair ticket ID'),
+    validate,
+  ],
+  logAudit('replace_well_pump', 'project'),
+  wellMonitoringController.addPumpReplacement
+);
+
+// Get allowed next statuses
+router.get(
+  '/:id/status/transitions',
+  authenticate,
+  authorize('edit_project', 'manage_projects'),
+  projectsController.getProjectStatusTransitions
+);
+
 // Update project status
 router.patch(
   '/:id/status',
@@ -128,6 +520,7 @@ router.patch(
   authorize('edit_project', 'manage_projects'),
   [
     body('status').isIn(['planned', 'in_progress', 'completed', 'on_hold', 'cancelled', 'archived']),
+    body('reason').optional().trim(),
     validate,
   ],
   logAudit('update_project_status', 'project'),
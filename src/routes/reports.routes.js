@@ -1,6 +1,6 @@
 const express = require('express');
 const router = express.Router();
-const { body } = require('express-validator');
+const { body, query } = require('express-validator');
 const reportsController = require('../controllers/reports.controller');
 const { authenticate } = require('../middlewares/auth');
 const { authorize } = require('../middlewares/rbac');
@@ -13,6 +13,11 @@ router.get(
   '/',
   authenticate,
   authorize('view_reports', 'view_own_reports', 'view_projects'),
+  [
+    query('organization').optional().isMongoId().withMessage('Invalid organization ID'),
+    query('milestone').optional().isMongoId().withMessage('Invalid milestone ID'),
+    validate,
+  ],
   reportsController.getReports
 );
 
@@ -21,6 +26,7 @@ router.get(
   '/stats',
   authenticate,
   authorize('view_analytics'),
+  [query('organization').optional().isMongoId().withMessage('Invalid organization ID'), validate],
   reportsController.getReportStats
 );
 
@@ -42,6 +48,7 @@ router.post(
     body('title').trim().notEmpty().withMessage('Title is required'),
     body('workDate').isISO8601().withMessage('Work date is required'),
     body('reportType').optional().isIn(['daily', 'weekly', 'monthly', 'milestone', 'final']),
+    body('milestone').optional({ nullable: true }).isMongoId().withMessage('Invalid milestone ID'),
     validate,
   ],
   logAudit('create_report', 'report'),
@@ -57,6 +64,7 @@ router.put(
     body('title').optional().trim().notEmpty(),
     body('workDate').optional().isISO8601(),
     body('reportType').optional().isIn(['daily', 'weekly', 'monthly', 'milestone', 'final']),
+    body('milestone').optional({ nullable: true }).isMongoId().withMessage('Invalid milestone ID'),
     validate,
   ],
   logAudit('update_report', 'report'),
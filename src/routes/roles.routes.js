@@ -0,0 +1,119 @@
+const express = require('express');
+const router = express.Router();
+const { body, param } = require('express-validator');
+const rolesController = require('../controllers/roles.controller');
+const { authenticate } = require('../middlewares/auth');
+const { authorize } = require('../middlewares/rbac');
+const { validate } = require('../middlewares/validation');
+const { logAudit } = require('../middlewares/auditLog');
+
+const KEY_PATTERN = /^[a-z][a-z0-9_]*$/;
+
+// Get all permissions
+router.get(
+  '/permissions',
+  authenticate,
+  authorize('manage_roles'),
+  rolesController.getPermissions
+);
+
+// Create permission
+router.post(
+  '/permissions',
+  authenticate,
+  authorize('manage_roles'),
+  [
+    body('key').trim().matches(KEY_PATTERN).withMessage('Key may only contain lowercase letters, digits and underscores'),
+    body('description').optional().trim(),
+    body('implies').optional().isArray().withMessage('Implies must be an array'),
+    validate,
+  ],
+  logAudit('create_permission', 'permission'),
+  rolesController.createPermission
+);
+
+// Update permission
+router.put(
+  '/permissions/:key',
+  authenticate,
+  authorize('manage_roles'),
+  [
+    body('description').optional().trim(),
+    body('implies').optional().isArray().withMessage('Implies must be an array'),
+    validate,
+  ],
+  logAudit('update_permission', 'permission'),
+  rolesController.updatePermission
+);
+
+// Delete permission
+router.delete(
+  '/permissions/:key',
+  authenticate,
+  authorize('manage_roles'),
+  logAudit('delete_permission', 'permission'),
+  rolesController.deletePermission
+);
+
+// Get all roles
+router.get(
+  '/',
+  authenticate,
+  authorize('manage_roles'),
+  rolesController.getRoles
+);
+
+// Get single role
+router.get(
+  '/:id',
+  authenticate,
+  authorize('manage_roles'),
+  [param('id').isMongoId().withMessage('Invalid role ID'), validate],
+  rolesController.getRole
+);
+
+// Create role
+router.post(
+  '/',
+  authenticate,
+  authorize('manage_roles'),
+  [
+    body('name').trim().matches(KEY_PATTERN).withMessage('Name may only contain lowercase letters, digits and underscores'),
+    body('displayName').trim().notEmpty().withMessage('Display name is required'),
+    body('displayNameAr').optional().trim(),
+    body('description').optional().trim(),
+    body('permissions').optional().isArray().withMessage('Permissions must be an array'),
+    validate,
+  ],
+  logAudit('create_role', 'role'),
+  rolesController.createRole
+);
+
+// Update role
+router.put(
+  '/:id',
+  authenticate,
+  authorize('manage_roles'),
+  [
+    param('id').isMongoId().withMessage('Invalid role ID'),
+    body('displayName').optional().trim().notEmpty(),
+    body('displayNameAr').optional().trim(),
+    body('description').optional().trim(),
+    body('permissions').optional().isArray().withMessage('Permissions must be an array'),
+    validate,
+  ],
+  logAudit('update_role', 'role'),
+  rolesController.updateRole
+);
+
+// Delete role
+router.delete(
+  '/:id',
+  authenticate,
+  authorize('manage_roles'),
+  [param('id').isMongoId().withMessage('Invalid role ID'), validate],
+  logAudit('delete_role', 'role'),
+  rolesController.deleteRole
+);
+
+module.exports = router;
@@ -1,6 +1,9 @@
 const express = require('express');
 const router = express.Router();
-const { body } = require('express-validator');
+const { body, query } = require('express-validator');
+
+// Super admins may target one organization's settings
+const organizationQuery = query('organization').optional().isMongoId().withMessage('Invalid organization ID');
 const settingsController = require('../controllers/settings.controller');
 const { authenticate, optionalAuth } = require('../middlewares/auth');
 const { authorize } = require('../middlewares/rbac');
@@ -11,6 +14,7 @@ const { logAudit } = require('../middlewares/auditLog');
 router.get(
   '/',
   optionalAuth,
+  [organizationQuery, validate],
   settingsController.getSettings
 );
 
@@ -18,6 +22,7 @@ router.get(
 router.get(
   '/:key',
   optionalAuth,
+  [organizationQuery, validate],
   settingsController.getSetting
 );
 
@@ -27,6 +32,7 @@ router.put(
   authenticate,
   authorize('manage_settings'),
   [
+    organizationQuery,
     body('key').trim().notEmpty().withMessage('Key is required'),
     body('value').exists().withMessage('Value is required'),
     validate,
@@ -40,7 +46,7 @@ router.post(
   '/bulk',
   authenticate,
   authorize('manage_settings'),
-  [body('settings').isObject().withMessage('Settings object is required'), validate],
+  [organizationQuery, body('settings').isObject().withMessage('Settings object is required'), validate],
   logAudit('update_multiple_settings', 'settings'),
   settingsController.updateMultipleSettings
 );
@@ -50,6 +56,7 @@ router.delete(
   '/:key',
   authenticate,
   authorize('manage_settings'),
+  [organizationQuery, validate],
   logAudit('delete_setting', 'settings'),
   settingsController.deleteSetting
 );
@@ -82,6 +89,7 @@ router.post(
   authenticate,
   authorize('manage_settings'),
   [
+    organizationQuery,
     body('primaryColor').optional().trim(),
     body('secondaryColor').optional().trim(),
     body('mode').optional().isIn(['light', 'dark']),
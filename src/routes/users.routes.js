@@ -1,18 +1,32 @@
 const express = require('express');
 const router = express.Router();
-const { body } = require('express-validator');
+const { body, query } = require('express-validator');
 const usersController = require('../controllers/users.controller');
 const { authenticate } = require('../middlewares/auth');
 const { authorize } = require('../middlewares/rbac');
 const { validate } = require('../middlewares/validation');
 const { logAudit } = require('../middlewares/auditLog');
-const { uploadMemory, handleUploadError } = require('../middlewares/upload');
+const permissionService = require('../services/permission.service');
+
+// Helper: Validate a role against the roles collection (built-in and custom roles)
+const roleExists = async (value) => {
+  if (!(await permissionService.roleExists(value))) {
+    throw new Error('Invalid role');
+  }
+  return true;
+};
+const { uploadMemory, uploadSpreadsheet, handleUploadError } = require('../middlewares/upload');
 
 // Get all users
 router.get(
   '/',
   authenticate,
   authorize('manage_users'),
+  [
+    query('organization').optional().isMongoId().withMessage('Invalid organization ID'),
+    query('deleted').optional().isBoolean().withMessage('deleted must be a boolean'),
+    validate,
+  ],
   usersController.getUsers
 );
 
@@ -21,6 +35,7 @@ router.get(
   '/stats',
   authenticate,
   authorize('manage_users'),
+  [query('organization').optional().isMongoId().withMessage('Invalid organization ID'), validate],
   usersController.getUserStats
 );
 
@@ -31,6 +46,32 @@ router.get(
   usersController.getUsersByRole
 );
 
+// Download the user import template
+router.get(
+  '/import/template',
+  authenticate,
+  authorize('manage_users'),
+  usersController.getImportTemplate
+);
+
+// Import users from XLSX/CSV (dry-run preview unless commit=true)
+router.post(
+  '/import',
+  authenticate,
+  authorize('manage_users'),
+  uploadSpreadsheet.single('file'),
+  handleUploadError,
+  [
+    body('defaultRole').optional().custom(roleExists),
+    body('tenant').optional().isMongoId().withMessage('Invalid organization ID'),
+    body('commit').optional().isBoolean().withMessage('commit must be a boolean'),
+    body('skipInvalid').optional().isBoolean().withMessage('skipInvalid must be a boolean'),
+    validate,
+  ],
+  logAudit('import_users', 'user'),
+  usersController.importUsers
+);
+
 // Get single user
 router.get(
   '/:id',
@@ -47,9 +88,10 @@ router.post(
   [
     body('fullName').trim().notEmpty().withMessage('Full name is required'),
     body('email').isEmail().withMessage('Valid email is required'),
-    body('role').optional().isIn(['super_admin', 'admin', 'project_manager', 'contractor', 'viewer']),
+    body('role').optional().custom(roleExists),
     body('phone').optional().trim(),
     body('organization').optional().trim(),
+    body('tenant').optional().isMongoId().withMessage('Invalid organization ID'),
     body('country').optional().trim(),
     validate,
   ],
@@ -64,27 +106,46 @@ router.put(
   authorize('manage_users'),
   [
     body('fullName').optional().trim().notEmpty(),
-    body('role').optional().isIn(['super_admin', 'admin', 'project_manager', 'contractor', 'viewer']),
+    body('role').optional().custom(roleExists),
     body('phone').optional().trim(),
     body('organization').optional().trim(),
+    body('tenant').optional().isMongoId().withMessage('Invalid organization ID'),
     body('country').optional().trim(),
     body('isActive').optional().isBoolean(),
-    body('password').optional().isLength({ min: 8 }).withMessage('Password must be at least 8 characters'),
+    body('password').optional().isString().withMessage('Password must be a string'),
     validate,
   ],
   logAudit('update_user', 'user'),
   usersController.updateUser
 );
 
-// Delete user
+// Get the open work a user must hand over before deletion
+router.get(
+  '/:id/open-work',
+  authenticate,
+  authorize('manage_users'),
+  usersController.getUserOpenWork
+);
+
+// Delete user (soft delete with reassignment)
 router.delete(
   '/:id',
   authenticate,
   authorize('manage_users'),
+  [body('reassignTo').optional().isMongoId().withMessage('Invalid reassignment user ID'), validate],
   logAudit('delete_user', 'user'),
   usersController.deleteUser
 );
 
+// Restore deleted user
+router.post(
+  '/:id/restore',
+  authenticate,
+  authorize('manage_users'),
+  logAudit('restore_user', 'user'),
+  usersController.restoreUser
+);
+
 // Toggle user status
 router.patch(
   '/:id/toggle-status',
@@ -94,19 +155,72 @@ router.patch(
   usersController.toggleUserStatus
 );
 
+// Unlock user after failed logins
+router.patch(
+  '/:id/unlock',
+  authenticate,
+  authorize('manage_users'),
+  logAudit('unlock_user', 'user'),
+  usersController.unlockUser
+);
+
 // Change user password
 router.patch(
   '/:id/change-password',
   authenticate,
   authorize('manage_users'),
   [
-    body('password').trim().isLength({ min: 8 }).withMessage('Password must be at least 8 characters'),
+    body('password').trim().notEmpty().withMessage('Password is required'),
     validate,
   ],
   logAudit('change_user_password', 'user'),
   usersController.changePassword
 );
 
+// Get user sessions
+router.get(
+  '/:id/sessions',
+  authenticate,
+  authorize('manage_users'),
+  usersController.getUserSessions
+);
+
+// Revoke all user sessions
+router.post(
+  '/:id/revoke-sessions',
+  authenticate,
+  authorize('manage_users'),
+  logAudit('revoke_user_sessions', 'user'),
+  usersController.revokeUserSessions
+);
+
+// Resend user invitation
+router.post(
+  '/:id/invitation/resend',
+  authenticate,
+  authorize('manage_users'),
+  logAudit('resend_user_invitation', 'user'),
+  usersController.resendInvitation
+);
+
+// Revoke user invitation
+router.delete(
+  '/:id/invitation',
+  authenticate,
+  authorize('manage_users'),
+  logAudit('revoke_user_invitation', 'user'),
+  usersController.revokeInvitation
+);
+
+// Reset user two-factor authentication
+router.post(
+  '/:id/reset-2fa',
+  authenticate,
+  authorize('manage_users'),
+  logAudit('reset_user_two_factor', 'user'),
+  usersController.resetTwoFactor
+);
+
 // Upload user media
 router.post(
   '/:userId/media',
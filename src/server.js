@@ -3,6 +3,7 @@ const express = require('express');
 const cors = require('cors');
 const connectDB = require('./config/database');
 const routes = require('./routes');
+const contractorProfileService = require('./services/contractorProfile.service');
 const fs = require('fs');
 const path = require('path');
 
@@ -162,6 +163,9 @@ const server = app.listen(PORT, () => {
   }
 });
 
+// Background jobs
+contractorProfileService.startExpiryReminders();
+
 // Handle graceful shutdown
 process.on('SIGTERM', () => {
   console.log('SIGTERM received. Shutting down gracefully...');
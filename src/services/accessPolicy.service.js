@@ -0,0 +1,276 @@
+const mongoose = require('mongoose');
+const Project = require('../models/Project');
+const { ROLES, REPORT_STATUS, PROJECT_MEMBER_ROLES } = require('../utils/constants');
+
+// Roles that can read every record
+const READ_ALL_ROLES = [ROLES.SUPER_ADMIN, ROLES.ADMIN, ROLES.VIEWER];
+
+// Roles that can change every record (route permissions still apply)
+const WRITE_ALL_ROLES = [ROLES.SUPER_ADMIN, ROLES.ADMIN];
+
+// Filter that matches no documents
+const MATCH_NOTHING = { _id: { $in: [] } };
+
+// Helper: Compare ids that may be ObjectIds, strings or populated documents
+const sameId = (a, b) => !!a && !!b && (a._id || a).toString() === (b._id || b).toString();
+
+// Helper: Project role of a user on a project (works for documents and lean objects)
+const getMemberRole = (project, userId) =>
+  (project?.members || []).find((m) => sameId(m.user, userId))?.role || null;
+
+/**
+ * Resource-level access policy: which records a user may see, read and change.
+ *
+ * Every record belongs to an organization (tenant). Users only see records of their own
+ * organization; super admins work across organizations and may narrow to one of them.
+ *
+ * Within an organization, roles fall into three scopes:
+ * - Admins and viewers see everything (only admins may change everything)
+ * - Clients see the active projects linked to their account
+ * - Everyone else (contractors, project managers, custom roles) sees the projects
+ *   they are team members of, and the reports and payments of those projects
+ */
+class AccessPolicyService {
+  // Whether the user works across organizations
+  isCrossTenant(user) {
+    return user.role === ROLES.SUPER_ADMIN;
+  }
+
+  /**
+   * Mongo filter restricting records to the user's organization
+   * @param {Object} user - req.user
+   * @param {String} tenant - Organization a super admin narrows the view to (optional)
+   * @returns {Object}
+   */
+  getTenantFilter(user, tenant = null) {
+    if (this.isCrossTenant(user)) {
+      // Cast so the filter also works in aggregation pipelines
+      return tenant ? { tenant: new mongoose.Types.ObjectId(String(tenant)) } : {};
+    }
+    return { tenant: user.tenant || null };
+  }
+
+  /**
+   * Look up a record by id within the user's organization (records of other
+   * organizations are reported as not found)
+   * @param {Model} Model - Mongoose model with a tenant field
+   * @param {Object} user - req.user
+   * @param {String} id - Record id
+   * @returns {Query}
+   */
+  findInTenant(Model, user, id) {
+    return Model.findOne({ _id: id, ...this.getTenantFilter(user) });
+  }
+
+  // Whether a record belongs to the user's organization
+  inTenant(user, doc) {
+    if (this.isCrossTenant(user)) return true;
+    return String(doc?.tenant || null) === String(user.tenant || null);
+  }
+
+  getScope(user) {
+    if (READ_ALL_ROLES.includes(user.role)) return 'all';
+    if (user.role === ROLES.CLIENT) return 'client';
+    return 'team';
+  }
+
+  // Ids of the projects a user can see (team members and clients)
+  async getProjectIds(user) {
+    const filter = await this.getProjectFilter(user);
+    return await Project.find(filter).distinct('_id');
+  }
+
+  // Mongo filter for projects
+  async getProjectFilter(user, tenant = null) {
+    const tenantFilter = this.getTenantFilter(user, tenant);
+    switch (this.getScope(user)) {
+      case 'all':
+        return tenantFilter;
+      case 'client':
+        return { ...tenantFilter, clientAccount: user._id, isArchived: false };
+      default:
+        return { ...tenantFilter, ...Project.memberFilter(user._id) };
+    }
+  }
+
+  // Mongo filter for reports
+  async getReportFilter(user, tenant = null) {
+    const tenantFilter = this.getTenantFilter(user, tenant);
+    const scope = this.getScope(user);
+    if (scope === 'all') return tenantFilter;
+    if (scope === 'client') return MATCH_NOTHING;
+
+    const projectIds = await this.getProjectIds(user);
+    // Contractors also keep access to reports they wrote after leaving a team
+    if (user.role === ROLES.CONTRACTOR) {
+      return { ...tenantFilter, $or: [{ submittedBy: user._id }, { project: { $in: projectIds } }] };
+    }
+    return { ...tenantFilter, project: { $in: projectIds } };
+  }
+
+  // Mongo filter for payments
+  async getPaymentFilter(user, tenant = null) {
+    const tenantFilter = this.getTenantFilter(user, tenant);
+    const scope = this.getScope(user);
+    if (scope === 'all') return tenantFilter;
+    if (scope === 'client') return MATCH_NOTHING;
+
+    const projectIds = await this.getProjectIds(user);
+    return { ...tenantFilter, $or: [{ recipient: user._id }, { project: { $in: projectIds } }] };
+  }
+
+  // Mongo filter for user accounts (user management is limited to the organization)
+  async getUserFilter(user, tenant = null) {
+    return this.getTenantFilter(user, tenant);
+  }
+
+  // Mongo filter for users this user may message
+  async getRecipientFilter(user) {
+    const base = { isActive: true, _id: { $ne: user._id } };
+    if (this.isCrossTenant(user)) return base;
+
+    // Everyone may reach the platform's super admins
+    const superAdmins = { role: ROLES.SUPER_ADMIN };
+    if (WRITE_ALL_ROLES.includes(user.role)) {
+      return { ...base, $or: [superAdmins, { tenant: user.tenant || null }] };
+    }
+
+    const admins = {
+      $or: [superAdmins, { role: ROLES.ADMIN, tenant: user.tenant || null }],
+    };
+    let projects = [];
+    let memberRoles = null;
+    let includeClients = false;
+
+    if (user.role === ROLES.CLIENT) {
+      // Clients: project managers of their active projects
+      projects = await Project.find(await this.getProjectFilter(user)).select('members');
+      memberRoles = [PROJECT_MEMBER_ROLES.PROJECT_MANAGER];
+    } else if (user.role === ROLES.PROJECT_MANAGER) {
+      // Project managers: the whole team and the client of projects they manage
+      projects = await Project.find({
+        ...this.getTenantFilter(user),
+        ...Project.memberFilter(user._id, [PROJECT_MEMBER_ROLES.PROJECT_MANAGER]),
+      }).select('members clientAccount');
+      includeClients = true;
+    } else if (this.getScope(user) === 'team') {
+      // Other team members: project managers and supervisors of their projects
+      projects = await Project.find(await this.getProjectFilter(user)).select('members');
+      memberRoles = [PROJECT_MEMBER_ROLES.PROJECT_MANAGER, PROJECT_MEMBER_ROLES.SUPERVISOR];
+    } else {
+      return MATCH_NOTHING;
+    }
+
+    const ids = new Set();
+    projects.forEach((project) => {
+      project.members
+        .filter((m) => !memberRoles || memberRoles.includes(m.role))
+        .forEach((m) => ids.add(m.user.toString()));
+      if (includeClients && project.clientAccount) {
+        ids.add(project.clientAccount.toString());
+      }
+    });
+
+    return { ...base, $or: [admins, { _id: { $in: [...ids] } }] };
+  }
+
+  /**
+   * Mongo filter for an entity type
+   * @param {Object} user - req.user
+   * @param {String} entityType - project, report, payment, user or recipient
+   * @param {Object} options - { tenant } organization a super admin narrows the view to
+   * @returns {Promise<Object>} Filter to combine with the request's own filters
+   */
+  async getFilter(user, entityType, { tenant = null } = {}) {
+    switch (entityType) {
+      case 'project':
+        return this.getProjectFilter(user, tenant);
+      case 'report':
+        return this.getReportFilter(user, tenant);
+      case 'payment':
+        return this.getPaymentFilter(user, tenant);
+      case 'user':
+        return this.getUserFilter(user, tenant);
+      case 'recipient':
+        return this.getRecipientFilter(user);
+      default:
+        throw new Error(`No access policy for entity type: ${entityType}`);
+    }
+  }
+
+  // Helper: Load the project a report or payment belongs to, unless already populated
+  async resolveProject(projectRef) {
+    if (!projectRef) return null;
+    if (projectRef.members) return projectRef;
+    return mongoose.Types.ObjectId.isValid(projectRef)
+      ? await Project.findById(projectRef).select('tenant members clientAccount isArchived').lean()
+      : null;
+  }
+
+  /**
+   * Whether the user may read a record
+   * @param {Object} user - req.user
+   * @param {String} entityType - project, report, payment or user
+   * @param {Object} doc - The record (document or lean object)
+   * @returns {Promise<Boolean>}
+   */
+  async canRead(user, entityType, doc) {
+    if (!doc || !this.inTenant(user, doc)) return false;
+    if (entityType === 'user') return true;
+    const scope = this.getScope(user);
+    if (scope === 'all') return true;
+
+    switch (entityType) {
+      case 'project':
+        if (scope === 'client') return sameId(doc.clientAccount, user._id) && !doc.isArchived;
+        return !!getMemberRole(doc, user._id);
+      case 'report':
+        if (scope === 'client') return false;
+        if (user.role === ROLES.CONTRACTOR && sameId(doc.submittedBy, user._id)) return true;
+        return !!getMemberRole(await this.resolveProject(doc.project), user._id);
+      case 'payment':
+        if (scope === 'client') return false;
+        if (sameId(doc.recipient, user._id)) return true;
+        return !!getMemberRole(await this.resolveProject(doc.project), user._id);
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Whether the user may change a record (on top of the route's permission check)
+   * @param {Object} user - req.user
+   * @param {String} entityType - project, report, payment or user
+   * @param {Object} doc - The record (document or lean object)
+   * @returns {Promise<Boolean>}
+   */
+  async canWrite(user, entityType, doc) {
+    if (!doc || !this.inTenant(user, doc)) return false;
+    if (WRITE_ALL_ROLES.includes(user.role)) return true;
+    if (this.getScope(user) !== 'team') return false;
+
+    switch (entityType) {
+      case 'project':
+        // Project managers manage their own projects
+        return getMemberRole(doc, user._id) === PROJECT_MEMBER_ROLES.PROJECT_MANAGER;
+      case 'report': {
+        // Authors edit their own drafts and rejected reports
+        if (sameId(doc.submittedBy, user._id)) {
+          return [REPORT_STATUS.DRAFT, REPORT_STATUS.REJECTED].includes(doc.status);
+        }
+        // Managers and supervisors handle the reports of their projects
+        const role = getMemberRole(await this.resolveProject(doc.project), user._id);
+        return user.role !== ROLES.CONTRACTOR &&
+          [PROJECT_MEMBER_ROLES.PROJECT_MANAGER, PROJECT_MEMBER_ROLES.SUPERVISOR].includes(role);
+      }
+      case 'payment':
+        // Recipients approve or reject their own payment requests
+        return sameId(doc.recipient, user._id);
+      default:
+        return false;
+    }
+  }
+}
+
+// Export singleton instance
+module.exports = new AccessPolicyService();
@@ -0,0 +1,95 @@
+const User = require('../models/User');
+const Project = require('../models/Project');
+const { ROLES } = require('../utils/constants');
+
+class ClientService {
+  // Normalize phone number (remove spaces, dashes, parentheses)
+  normalizePhone(phone) {
+    return (phone || '').trim().replace(/[\s\-\(\)]/g, '');
+  }
+
+  // Find a client account by phone number; a phone may have an account in several
+  // organizations, so the one with active projects is preferred
+  async findByPhone(phone) {
+    const normalizedPhone = this.normalizePhone(phone);
+    if (!normalizedPhone) return null;
+
+    const clients = await User.find({ role: ROLES.CLIENT, phone: normalizedPhone, deletedAt: null }).sort({
+      lastLogin: -1,
+    });
+    for (const client of clients) {
+      if (await this.hasActiveProjects(client._id)) return client;
+    }
+    return clients[0] || null;
+  }
+
+  /**
+   * Find the client account for the given details, creating it if needed
+   * @param {Object} clientInfo - { name, email, phone } as stored on a project
+   * @param {ObjectId} tenant - Organization the client belongs to (null for none)
+   * @param {Object} session - Optional transaction session
+   * @returns {Promise<Object|null>} Client user, or null when no phone is given
+   */
+  async findOrCreate(clientInfo, tenant = null, session = null) {
+    const phone = this.normalizePhone(clientInfo?.phone);
+    if (!phone) return null;
+
+    let client = await User.findOne({ role: ROLES.CLIENT, phone, tenant: tenant || null, deletedAt: null }).session(
+      session
+    );
+    const email = clientInfo.email?.trim().toLowerCase() || undefined;
+
+    // Only attach the email if no other account already uses it
+    const emailAvailable = email
+      ? !(await User.exists({ email, ...(client && { _id: { $ne: client._id } }) }).session(session))
+      : false;
+
+    if (!client) {
+      [client] = await User.create(
+        [
+          {
+            fullName: clientInfo.name?.trim() || 'Client',
+            email: emailAvailable ? email : undefined,
+            phone,
+            role: ROLES.CLIENT,
+            tenant: tenant || null,
+            isActive: true,
+          },
+        ],
+        { session }
+      );
+      return client;
+    }
+
+    // Fill in details that were missing when the account was created
+    let changed = false;
+    if (clientInfo.name && client.fullName === 'Client') {
+      client.fullName = clientInfo.name.trim();
+      changed = true;
+    }
+    if (!client.email && emailAvailable) {
+      client.email = email;
+      changed = true;
+    }
+    if (changed) {
+      await client.save({ session });
+    }
+
+    return client;
+  }
+
+  // Link a project to the client account matching its client details (does not save the project)
+  async syncProjectClient(project, session = null) {
+    const client = await this.findOrCreate(project.client, project.tenant, session);
+    project.clientAccount = client ? client._id : undefined;
+    return client;
+  }
+
+  // Whether a client still has at least one active project
+  async hasActiveProjects(clientId) {
+    return !!(await Project.exists({ clientAccount: clientId, isArchived: false }));
+  }
+}
+
+// Export singleton instance
+module.exports = new ClientService();
@@ -0,0 +1,218 @@
+const ContractorProfile = require('../models/ContractorProfile');
+const User = require('../models/User');
+const settingsService = require('./settings.service');
+const notificationService = require('./notification.service');
+const emailService = require('./email.service');
+const {
+  ROLES,
+  DEFAULT_MANDATORY_CONTRACTOR_DOCUMENTS,
+  DEFAULT_DOCUMENT_EXPIRY_REMINDER_DAYS,
+} = require('../utils/constants');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Longest reminder threshold honoured (days before expiry)
+const MAX_REMINDER_DAYS = 365;
+
+// Profile sections whose entries expire
+const EXPIRING_SECTIONS = ['documents', 'insurance'];
+
+// Helper: Whole days until a date (0 or less once it has passed)
+const daysUntil = (date) => Math.ceil((new Date(date).getTime() - Date.now()) / DAY_MS);
+
+// Helper: Label of an expiring entry in notifications
+const entryName = (section, entry) => (section === 'insurance' ? `${entry.provider} insurance` : entry.name);
+
+class ContractorProfileService {
+  /**
+   * Profile of a contractor (a new, unsaved profile when none exists yet)
+   * @param {Object} user - Contractor user
+   * @returns {Promise<Object>} ContractorProfile document
+   */
+  async getOrInit(user) {
+    const profile = await ContractorProfile.findOne({ user: user._id });
+    return profile || new ContractorProfile({ user: user._id, tenant: user.tenant || null });
+  }
+
+  // Document types a contractor needs (unexpired) to be assigned to projects
+  async getMandatoryDocumentTypes(tenant = null) {
+    return await settingsService.get('contractor_mandatory_documents', DEFAULT_MANDATORY_CONTRACTOR_DOCUMENTS, tenant);
+  }
+
+  // Reminder thresholds in days before expiry, largest first
+  async getReminderDays(tenant = null) {
+    const days = await settingsService.get('document_expiry_reminder_days', DEFAULT_DOCUMENT_EXPIRY_REMINDER_DAYS, tenant);
+    return [...new Set((Array.isArray(days) ? days : []).map(Number).filter((d) => d > 0))].sort((a, b) => b - a);
+  }
+
+  /**
+   * Mandatory document status of a profile
+   * @param {Object} profile - ContractorProfile (document or lean object)
+   * @param {Array} mandatoryTypes - Required document types
+   * @returns {Object} { missing: [type], expired: [{ type, name, expiresAt }] } - a type counts as
+   * expired only when every copy on file has expired, so a renewed copy lifts the block
+   */
+  checkMandatoryDocuments(profile, mandatoryTypes) {
+    const documents = profile?.documents || [];
+    const now = new Date();
+    const missing = [];
+    const expired = [];
+
+    for (const type of mandatoryTypes) {
+      const copies = documents.filter((d) => d.type === type);
+      if (copies.length === 0) {
+        missing.push(type);
+        continue;
+      }
+      if (copies.some((d) => !d.expiresAt || d.expiresAt > now)) continue;
+
+      const latest = [...copies].sort((a, b) => b.expiresAt - a.expiresAt)[0];
+      expired.push({ type, name: latest.name, expiresAt: latest.expiresAt });
+    }
+
+    return { missing, expired };
+  }
+
+  // Compliance summary shown with a profile (missing documents are reported but do not block assignment)
+  async getCompliance(profile, tenant = null) {
+    const mandatoryTypes = await this.getMandatoryDocumentTypes(tenant);
+    const { missing, expired } = this.checkMandatoryDocuments(profile, mandatoryTypes);
+    return { mandatoryTypes, missing, expired, assignable: expired.length === 0 };
+  }
+
+  /**
+   * Expired mandatory documents that block assigning a contractor to projects
+   * @param {ObjectId} contractorId - Contractor user id
+   * @param {ObjectId} tenant - Organization whose mandatory types apply
+   * @returns {Promise<Array>} [{ type, name, expiresAt }] of the latest expired copy per type
+   */
+  async getExpiredMandatoryDocuments(contractorId, tenant = null) {
+    if (!contractorId) return [];
+
+    const profile = await ContractorProfile.findOne({ user: contractorId }).select('documents').lean();
+    if (!profile) return [];
+
+    return this.checkMandatoryDocuments(profile, await this.getMandatoryDocumentTypes(tenant)).expired;
+  }
+
+  /**
+   * Documents and insurance policies expiring within the given number of days (or already expired)
+   * @param {Object} filter - Profile filter (tenant scope)
+   * @param {Number} days - Look-ahead window
+   * @returns {Promise<Array>} [{ contractor, tenant, section, entry, daysLeft }] soonest first
+   */
+  async getExpiring(filter = {}, days = 30) {
+    const horizon = new Date(Date.now() + days * DAY_MS);
+    const profiles = await ContractorProfile.find({
+      ...filter,
+      $or: EXPIRING_SECTIONS.map((section) => ({ [`${section}.expiresAt`]: { $lte: horizon } })),
+    })
+      .populate('user', 'fullName email phone isActive deletedAt')
+      .lean();
+
+    const expiring = [];
+    for (const profile of profiles) {
+      if (!profile.user || profile.user.deletedAt) continue;
+      const { deletedAt, ...contractor } = profile.user;
+
+      for (const section of EXPIRING_SECTIONS) {
+        for (const entry of profile[section]) {
+          if (entry.expiresAt && entry.expiresAt <= horizon) {
+            expiring.push({
+              contractor,
+              tenant: profile.tenant,
+              section,
+              entry,
+              daysLeft: daysUntil(entry.expiresAt),
+            });
+          }
+        }
+      }
+    }
+
+    return expiring.sort((a, b) => a.daysLeft - b.daysLeft);
+  }
+
+  /**
+   * Remind contractors and their organization's admins about expiring documents.
+   * Each threshold is sent once per document; the expiry notice is the last reminder.
+   * @returns {Promise<Number>} Reminders sent
+   */
+  async sendExpiryReminders() {
+    const reminderDaysByTenant = new Map();
+    const adminsByTenant = new Map();
+    let sent = 0;
+
+    // Helper: Cached per-organization lookups
+    const reminderDaysFor = async (tenant) => {
+      const key = String(tenant || null);
+      if (!reminderDaysByTenant.has(key)) reminderDaysByTenant.set(key, await this.getReminderDays(tenant));
+      return reminderDaysByTenant.get(key);
+    };
+    const adminsFor = async (tenant) => {
+      const key = String(tenant || null);
+      if (!adminsByTenant.has(key)) {
+        adminsByTenant.set(
+          key,
+          await User.find({ role: ROLES.ADMIN, tenant: tenant || null, isActive: true, deletedAt: null }).distinct('_id')
+        );
+      }
+      return adminsByTenant.get(key);
+    };
+
+    const expiring = await this.getExpiring({}, MAX_REMINDER_DAYS);
+
+    for (const { contractor, tenant, section, entry, daysLeft } of expiring) {
+      if (!contractor.isActive) continue;
+
+      const thresholds = await reminderDaysFor(tenant);
+
+      // Stage reached: 0 once expired, otherwise the smallest threshold passed
+      const stage = daysLeft <= 0 ? 0 : thresholds.filter((days) => daysLeft <= days).pop();
+      if (stage === undefined) continue;
+      if (entry.lastReminderDays !== null && entry.lastReminderDays !== undefined && entry.lastReminderDays <= stage) {
+        continue;
+      }
+
+      // Claim the reminder atomically so concurrent instances do not send it twice
+      const claimed = await ContractorProfile.updateOne(
+        {
+          user: contractor._id,
+          [section]: { $elemMatch: { _id: entry._id, lastReminderDays: entry.lastReminderDays ?? null } },
+        },
+        { $set: { [`${section}.$.lastReminderDays`]: stage } }
+      );
+      if (claimed.modifiedCount === 0) continue;
+
+      const name = entryName(section, entry);
+      const admins = await adminsFor(tenant);
+      await notificationService.notifyDocumentExpiry([contractor._id, ...admins], contractor, name, daysLeft);
+      if (contractor.email) {
+        await emailService.sendDocumentExpiryEmail(contractor, name, entry.expiresAt, daysLeft);
+      }
+      sent += 1;
+    }
+
+    return sent;
+  }
+
+  // Run the expiry reminders periodically in this process
+  startExpiryReminders() {
+    const intervalHours = parseFloat(process.env.DOCUMENT_EXPIRY_CHECK_INTERVAL_HOURS) || 24;
+
+    const run = async () => {
+      try {
+        await this.sendExpiryReminders();
+      } catch (error) {
+        console.error('Document expiry reminder error:', error);
+      }
+    };
+
+    // First run shortly after startup, then on the interval
+    setTimeout(run, 60 * 1000).unref();
+    setInterval(run, intervalHours * 60 * 60 * 1000).unref();
+  }
+}
+
+// Export singleton instance
+module.exports = new ContractorProfileService();
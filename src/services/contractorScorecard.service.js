@@ -0,0 +1,270 @@
+const Project = require('../models/Project');
+const Report = require('../models/Report');
+const Payment = require('../models/Payment');
+const { PROJECT_STATUS, REPORT_STATUS } = require('../utils/constants');
+
+// Share of each component in the overall score (components without data are left out
+// and the remaining weights rescaled)
+const SCORE_WEIGHTS = {
+  evaluation: 0.4,
+  onTime: 0.25,
+  reportQuality: 0.15,
+  safety: 0.1,
+  payments: 0.1,
+};
+
+// Helper: Date window on a field ({} when unbounded)
+const dateRange = (field, from, to) => {
+  if (!from && !to) return {};
+  return {
+    [field]: {
+      ...(from && { $gte: new Date(from) }),
+      ...(to && { $lte: new Date(to) }),
+    },
+  };
+};
+
+// Helper: Group key - per contractor for rankings, per month for trends
+const groupKey = (ownerField, dateField, byMonth) =>
+  byMonth ? { year: { $year: `$${dateField}` }, month: { $month: `$${dateField}` } } : `$${ownerField}`;
+
+// Helper: Key under which a group result is merged
+const keyOf = (id, byMonth) => (byMonth ? `${id.year}-${String(id.month).padStart(2, '0')}` : String(id));
+
+// Helper: Round to one decimal (null stays null)
+const round = (value) => (value === null || value === undefined ? null : Math.round(value * 10) / 10);
+
+// Helper: Ratio as a percentage, null without data
+const percent = (part, whole) => (whole > 0 ? round((part / whole) * 100) : null);
+
+class ContractorScorecardService {
+  /**
+   * Raw metrics per contractor (or per month of one contractor)
+   * @param {Array} contractorIds - Contractor user ids
+   * @param {Object} options - { from, to, byMonth }
+   * @returns {Promise<Map>} key -> metrics
+   */
+  async collectMetrics(contractorIds, { from, to, byMonth = false } = {}) {
+    const [evaluations, completions, reviews, safety, payments] = await Promise.all([
+      Project.aggregate([
+        {
+          $match: {
+            contractor: { $in: contractorIds },
+            'evaluation.evaluatedAt': { $ne: null },
+            ...dateRange('evaluation.evaluatedAt', from, to),
+          },
+        },
+        {
+          $group: {
+            _id: groupKey('contractor', 'evaluation.evaluatedAt', byMonth),
+            evaluated: { $sum: 1 },
+            overallScore: { $avg: '$evaluation.overallScore' },
+            qualityScore: { $avg: '$evaluation.qualityScore' },
+            timelineScore: { $avg: '$evaluation.timelineScore' },
+            budgetScore: { $avg: '$evaluation.budgetScore' },
+          },
+        },
+      ]),
+      Project.aggregate([
+        {
+          $match: {
+            contractor: { $in: contractorIds },
+            status: PROJECT_STATUS.COMPLETED,
+            actualEndDate: { $ne: null },
+            ...dateRange('actualEndDate', from, to),
+          },
+        },
+        {
+          $group: {
+            _id: groupKey('contractor', 'actualEndDate', byMonth),
+            completed: { $sum: 1 },
+            withDeadline: { $sum: { $cond: [{ $ifNull: ['$expectedEndDate', false] }, 1, 0] } },
+            onTime: {
+              $sum: {
+                $cond: [
+                  {
+                    $and: [
+                      { $ifNull: ['$expectedEndDate', false] },
+                      { $lte: ['$actualEndDate', '$expectedEndDate'] },
+                    ],
+                  },
+                  1,
+                  0,
+                ],
+              },
+            },
+          },
+        },
+      ]),
+      Report.aggregate([
+        {
+          $match: {
+            submittedBy: { $in: contractorIds },
+            status: { $in: [REPORT_STATUS.APPROVED, REPORT_STATUS.REJECTED] },
+            reviewedAt: { $ne: null },
+            ...dateRange('reviewedAt', from, to),
+          },
+        },
+        {
+          $group: {
+            _id: groupKey('submittedBy', 'reviewedAt', byMonth),
+            reviewed: { $sum: 1 },
+            rejected: { $sum: { $cond: [{ $eq: ['$status', REPORT_STATUS.REJECTED] }, 1, 0] } },
+          },
+        },
+      ]),
+      Report.aggregate([
+        {
+          $match: {
+            submittedBy: { $in: contractorIds },
+            status: { $ne: REPORT_STATUS.DRAFT },
+            ...dateRange('createdAt', from, to),
+          },
+        },
+        {
+          $group: {
+            _id: groupKey('submittedBy', 'createdAt', byMonth),
+            reportsFiled: { $sum: 1 },
+            safetyIncidents: { $sum: { $size: { $ifNull: ['$safetyIncidents', []] } } },
+          },
+        },
+      ]),
+      // Rejected payment requests count as disputes
+      Payment.aggregate([
+        {
+          $match: {
+            recipient: { $in: contractorIds },
+            recipientType: 'contractor',
+            ...dateRange('createdAt', from, to),
+          },
+        },
+        {
+          $group: {
+            _id: groupKey('recipient', 'createdAt', byMonth),
+            paymentRequests: { $sum: 1 },
+            paymentDisputes: { $sum: { $cond: [{ $eq: ['$status', 'rejected'] }, 1, 0] } },
+          },
+        },
+      ]),
+    ]);
+
+    const metrics = new Map();
+    for (const results of [evaluations, completions, reviews, safety, payments]) {
+      for (const { _id, ...values } of results) {
+        if (_id === null) continue;
+        const key = keyOf(_id, byMonth);
+        metrics.set(key, { ...(metrics.get(key) || {}), ...values });
+      }
+    }
+    return metrics;
+  }
+
+  /**
+   * Turn raw metrics into scorecard figures and an overall 0-100 score
+   * @param {Object} raw - Metrics from collectMetrics
+   * @returns {Object} Scorecard
+   */
+  buildScorecard(raw = {}) {
+    const evaluated = raw.evaluated || 0;
+    const subScores = [raw.qualityScore, raw.timelineScore, raw.budgetScore].filter((s) => s !== null && s !== undefined);
+    const evaluationAverage =
+      raw.overallScore ?? (subScores.length ? subScores.reduce((a, b) => a + b, 0) / subScores.length : null);
+
+    const reviewed = raw.reviewed || 0;
+    const reportsFiled = raw.reportsFiled || 0;
+    const paymentRequests = raw.paymentRequests || 0;
+
+    const scorecard = {
+      evaluations: {
+        count: evaluated,
+        overall: round(evaluationAverage),
+        quality: round(raw.qualityScore),
+        timeline: round(raw.timelineScore),
+        budget: round(raw.budgetScore),
+      },
+      completedProjects: raw.completed || 0,
+      onTimeRatio: percent(raw.onTime || 0, raw.withDeadline || 0),
+      reportsReviewed: reviewed,
+      reportRejectionRate: percent(raw.rejected || 0, reviewed),
+      reportsFiled,
+      safetyIncidents: raw.safetyIncidents || 0,
+      paymentRequests,
+      paymentDisputes: raw.paymentDisputes || 0,
+    };
+
+    // Components on a 0-1 scale
+    const components = {
+      evaluation: evaluated && evaluationAverage !== null ? evaluationAverage / 10 : null,
+      onTime: raw.withDeadline ? raw.onTime / raw.withDeadline : null,
+      reportQuality: reviewed ? 1 - raw.rejected / reviewed : null,
+      safety: reportsFiled ? Math.max(0, 1 - scorecard.safetyIncidents / reportsFiled) : null,
+      payments: paymentRequests ? 1 - scorecard.paymentDisputes / paymentRequests : null,
+    };
+
+    let weighted = 0;
+    let totalWeight = 0;
+    for (const [component, value] of Object.entries(components)) {
+      if (value === null) continue;
+      weighted += SCORE_WEIGHTS[component] * value;
+      totalWeight += SCORE_WEIGHTS[component];
+    }
+    scorecard.score = totalWeight > 0 ? round((weighted / totalWeight) * 100) : null;
+
+    return scorecard;
+  }
+
+  getWeights() {
+    return SCORE_WEIGHTS;
+  }
+
+  /**
+   * Scorecards of several contractors, ranked by score
+   * @param {Array} contractors - Contractor users ({ _id, fullName, ... })
+   * @param {Object} options - { from, to, minCompleted }
+   * @returns {Promise<Array>} [{ rank, contractor, ...scorecard }] best first; unscored contractors last
+   */
+  async rank(contractors, { from, to, minCompleted = 0 } = {}) {
+    const metrics = await this.collectMetrics(
+      contractors.map((c) => c._id),
+      { from, to }
+    );
+
+    const ranked = contractors
+      .map((contractor) => ({ contractor, ...this.buildScorecard(metrics.get(String(contractor._id))) }))
+      .filter((entry) => entry.completedProjects >= minCompleted)
+      .sort(
+        (a, b) =>
+          (b.score ?? -1) - (a.score ?? -1) ||
+          b.evaluations.count - a.evaluations.count ||
+          b.completedProjects - a.completedProjects
+      );
+
+    let rank = 0;
+    return ranked.map((entry) => ({ rank: entry.score === null ? null : ++rank, ...entry }));
+  }
+
+  /**
+   * Monthly scorecards of one contractor
+   * @param {ObjectId} contractorId - Contractor user id
+   * @param {Number} months - Number of months, including the current one
+   * @returns {Promise<Array>} [{ period: 'YYYY-MM', ...scorecard }] oldest first
+   */
+  async getTrend(contractorId, months = 12) {
+    // Months are UTC, as grouped by $year / $month
+    const now = new Date();
+    const from = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - (months - 1), 1));
+
+    const metrics = await this.collectMetrics([contractorId], { from, byMonth: true });
+
+    const trend = [];
+    for (let i = 0; i < months; i += 1) {
+      const date = new Date(Date.UTC(from.getUTCFullYear(), from.getUTCMonth() + i, 1));
+      const period = `${date.getUTCFullYear()}-${String(date.getUTCMonth() + 1).padStart(2, '0')}`;
+      trend.push({ period, ...this.buildScorecard(metrics.get(period)) });
+    }
+    return trend;
+  }
+}
+
+// Export singleton instance
+module.exports = new ContractorScorecardService();
@@ -69,6 +69,25 @@ class EmailService {
     return await this.sendEmail(user.email, subject, html);
   }
 
+  // Invitation email
+  async sendInvitationEmail(user, inviteToken, expiresAt, invitedBy = null) {
+    const inviteUrl = `${process.env.FRONTEND_URL}/accept-invite?token=${inviteToken}`;
+    const subject = 'You have been invited to Wells Management System';
+    const html = `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2>You're Invited</h2>
+        <p>Hello ${user.fullName},</p>
+        <p>${invitedBy ? `${invitedBy.fullName} has invited you` : 'You have been invited'} to join Wells Management System as <strong>${user.role}</strong>.</p>
+        <p>Click the button below to set your password and activate your account:</p>
+        <p><a href="${inviteUrl}" style="background: #2563eb; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px; display: inline-block; margin-top: 10px;">Accept Invitation</a></p>
+        <p>This invitation expires on ${new Date(expiresAt).toUTCString()}.</p>
+        <p>Best regards,<br>Wells Management Team</p>
+      </div>
+    `;
+
+    return await this.sendEmail(user.email, subject, html);
+  }
+
   // Password reset email
   async sendPasswordResetEmail(user, resetToken) {
     const resetUrl = `${process.env.FRONTEND_URL}/reset-password?token=${resetToken}`;
@@ -169,6 +188,58 @@ class EmailService {
 
     return await this.sendEmail(contractor.email, subject, html);
   }
+
+  // Contractor document expiry reminder
+  async sendDocumentExpiryEmail(contractor, documentName, expiresAt, daysLeft) {
+    const expired = daysLeft <= 0;
+    const subject = expired ? `Document Expired - ${documentName}` : `Document Expiring Soon - ${documentName}`;
+    const html = `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2>${expired ? 'Document Expired' : 'Document Expiring Soon'}</h2>
+        <p>Hello ${contractor.fullName},</p>
+        <p>${expired ? 'The following document has expired' : `The following document expires in ${daysLeft} day(s)`}:</p>
+        <div style="background: #f5f5f5; padding: 15px; border-radius: 5px; margin: 20px 0;">
+          <p><strong>Document:</strong> ${documentName}</p>
+          <p><strong>Expiry Date:</strong> ${new Date(expiresAt).toLocaleDateString()}</p>
+        </div>
+        <p>Please upload a renewed copy to keep your profile eligible for project assignments.</p>
+        <p><a href="${process.env.FRONTEND_URL}/contractors/${contractor._id}/profile" style="background: #2563eb; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px; display: inline-block; margin-top: 10px;">Update Profile</a></p>
+      </div>
+    `;
+
+    return await this.sendEmail(contractor.email, subject, html);
+  }
+
+  async sendWaterQualityFailureEmail(user, project, test) {
+    const failed = test.parameters.filter((p) => p.result === 'fail');
+    const rows = failed
+      .map(
+        (p) =>
+          `<tr><td style="padding: 4px 8px;">${p.parameter}</td><td style="padding: 4px 8px;">${p.value} ${p.unit || ''}</td><td style="padding: 4px 8px;">${[p.min, p.max].filter((v) => v !== undefined && v !== null).join(' - ')} ${p.thresholdUnit || ''}</td></tr>`
+      )
+      .join('');
+    const subject = `Water Quality Test Failed - ${project.projectNumber}`;
+    const html = `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2>Water Quality Test Failed</h2>
+        <p>Hello ${user.fullName},</p>
+        <p>A water sample from the following well did not meet the drinking water thresholds:</p>
+        <div style="background: #f5f5f5; padding: 15px; border-radius: 5px; margin: 20px 0;">
+          <p><strong>Project:</strong> ${project.projectNumber} - ${project.projectName}</p>
+          <p><strong>Sample Date:</strong> ${new Date(test.sampleDate).toLocaleDateString()}</p>
+          <p><strong>Lab:</strong> ${test.lab.name}</p>
+          <table style="border-collapse: collapse;">
+            <tr><th style="padding: 4px 8px; text-align: left;">Parameter</th><th style="padding: 4px 8px; text-align: left;">Measured</th><th style="padding: 4px 8px; text-align: left;">Allowed</th></tr>
+            ${rows}
+          </table>
+        </div>
+        <p>Please arrange treatment or a repeat test before the well is handed over or used.</p>
+        <p><a href="${process.env.FRONTEND_URL}/projects/${project._id}/water-tests/${test._id}" style="background: #2563eb; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px; display: inline-block; margin-top: 10px;">View Test</a></p>
+      </div>
+    `;
+
+    return await this.sendEmail(user.email, subject, html);
+  }
 }
 
 // Export singleton instance
@@ -0,0 +1,74 @@
+const User = require('../models/User');
+const emailService = require('./email.service');
+const { generateInviteToken, getInviteExpiryHours, verifyToken, hashToken } = require('../config/jwt');
+
+class InvitationService {
+  /**
+   * Issue a fresh invite link for a pending user and email it (invalidates earlier links)
+   * @param {Object} user - User document
+   * @param {Object} invitedBy - Admin sending the invitation
+   * @returns {Promise<Object>} { user, emailSent }
+   */
+  async send(user, invitedBy = null) {
+    const token = generateInviteToken(user._id);
+    const expiresAt = new Date(Date.now() + getInviteExpiryHours() * 60 * 60 * 1000);
+
+    user.invitation = {
+      status: 'pending',
+      tokenHash: hashToken(token),
+      expiresAt,
+      invitedBy: invitedBy?._id || user.invitation?.invitedBy,
+      sentAt: new Date(),
+      sendCount: (user.invitation?.sendCount || 0) + 1,
+    };
+    user.isActive = true;
+    await user.save();
+
+    const emailSent = await emailService.sendInvitationEmail(user, token, expiresAt, invitedBy);
+    return { user, emailSent };
+  }
+
+  // Withdraw a pending invitation; the account stays inactive until invited again
+  async revoke(user) {
+    user.invitation.status = 'revoked';
+    user.invitation.tokenHash = undefined;
+    user.isActive = false;
+    await user.save();
+    return user;
+  }
+
+  /**
+   * Resolve the pending user an invite token belongs to
+   * @param {String} token - Raw invite token from the link
+   * @returns {Promise<Object|null>} User document, or null if the link is invalid, used, revoked or expired
+   */
+  async findByToken(token) {
+    const decoded = token ? verifyToken(token) : null;
+    if (!decoded || decoded.purpose !== 'invite') return null;
+
+    const user = await User.findById(decoded.id).select('+invitation.tokenHash');
+    if (
+      !user ||
+      user.isDeleted() ||
+      user.invitation?.status !== 'pending' ||
+      user.invitation.tokenHash !== hashToken(token) ||
+      user.invitation.expiresAt < new Date()
+    ) {
+      return null;
+    }
+    return user;
+  }
+
+  // Set the invitee's password and close the invitation
+  async accept(user, password) {
+    user.password = password;
+    user.invitation.status = 'accepted';
+    user.invitation.tokenHash = undefined;
+    user.invitation.acceptedAt = new Date();
+    await user.save();
+    return user;
+  }
+}
+
+// Export singleton instance
+module.exports = new InvitationService();
@@ -0,0 +1,115 @@
+const fs = require('fs');
+const path = require('path');
+const emailService = require('./email.service');
+
+// Development stand-in: print messages to the server console
+const consoleTransport = {
+  async send({ channel, to, subject, text }) {
+    console.log(`📨 [${channel}] to ${to}${subject ? ` (${subject})` : ''}: ${text}`);
+    return true;
+  },
+};
+
+// Development stand-in: append messages to a local file
+const fileTransport = {
+  async send({ channel, to, subject, text }) {
+    const filePath = process.env.MESSAGING_FILE_PATH || path.join(__dirname, '../../uploads/messages.log');
+    const line = JSON.stringify({ at: new Date().toISOString(), channel, to, subject, text });
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.appendFile(filePath, `${line}\n`);
+    return true;
+  },
+};
+
+// Email via the existing SMTP configuration
+const emailTransport = {
+  async send({ to, subject, text }) {
+    const html = `<div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;"><p>${text}</p></div>`;
+    return await emailService.sendEmail(to, subject, html, text);
+  },
+};
+
+// Generic HTTP gateway (SMS / WhatsApp providers or an internal relay)
+const webhookTransport = {
+  async send({ channel, to, subject, text }) {
+    const url = process.env[`${channel.toUpperCase()}_WEBHOOK_URL`] || process.env.MESSAGING_WEBHOOK_URL;
+    if (!url) {
+      console.warn(`Messaging webhook for ${channel} not configured. Skipping message send.`);
+      return false;
+    }
+
+    try {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(process.env.MESSAGING_WEBHOOK_TOKEN && {
+            Authorization: `Bearer ${process.env.MESSAGING_WEBHOOK_TOKEN}`,
+          }),
+        },
+        body: JSON.stringify({ channel, to, subject, text }),
+      });
+      return response.ok;
+    } catch (error) {
+      console.error('Messaging webhook error:', error);
+      return false;
+    }
+  },
+};
+
+// Stand-ins that expose message contents (codes, phone numbers); development only
+const DEVELOPMENT_TRANSPORTS = ['console', 'file'];
+
+class MessagingService {
+  constructor() {
+    this.transports = {
+      console: consoleTransport,
+      file: fileTransport,
+      email: emailTransport,
+      webhook: webhookTransport,
+    };
+  }
+
+  // Register a custom transport (e.g. a provider SDK) under a name
+  registerTransport(name, transport) {
+    this.transports[name] = transport;
+  }
+
+  // Resolve the transport for a channel, e.g. SMS_TRANSPORT=webhook. Outside development there is
+  // no console fallback and the development stand-ins are refused (null when none is usable)
+  getTransport(channel) {
+    const development = process.env.NODE_ENV === 'development';
+    const defaultName = channel === 'email' ? 'email' : development ? 'console' : null;
+    const name = process.env[`${channel.toUpperCase()}_TRANSPORT`] || defaultName;
+
+    if (!name || !this.transports[name]) return null;
+    if (!development && DEVELOPMENT_TRANSPORTS.includes(name)) return null;
+    return this.transports[name];
+  }
+
+  /**
+   * Send a short message over a channel
+   * @param {String} channel - sms, whatsapp or email
+   * @param {String} to - Phone number or email address
+   * @param {String} text - Message body
+   * @param {String} subject - Subject (email only)
+   * @returns {Promise<Boolean>} Whether the message was handed off
+   */
+  async send(channel, to, text, subject = null) {
+    const transport = this.getTransport(channel);
+    if (!transport) {
+      console.error(`No usable ${channel} transport configured. Message not sent.`);
+      return false;
+    }
+
+    try {
+      return await transport.send({ channel, to, subject, text });
+    } catch (error) {
+      console.error('Message send error:', error);
+      return false;
+    }
+  }
+}
+
+// Export singleton instance
+module.exports = new MessagingService();
@@ -1,5 +1,5 @@
 const Notification = require('../models/Notification');
-const { NOTIFICATION_TYPES } = require('../utils/constants');
+const { NOTIFICATION_TYPES, PROJECT_STATUS } = require('../utils/constants');
 
 class NotificationService {
   // Create a notification
@@ -155,6 +155,84 @@ class NotificationService {
     });
   }
 
+  // Helper: Notify about a project status change
+  async notifyProjectStatusChange(recipientIds, project, previousStatus, reason = null) {
+    const notifications = recipientIds.map((recipientId) => ({
+      recipient: recipientId,
+      type: NOTIFICATION_TYPES.PROJECT_STATUS_CHANGED,
+      title: {
+        en: `Project Status Changed: ${project.projectName}`,
+        ar: `تغيير حالة المشروع: ${project.projectNameAr || project.projectName}`,
+      },
+      message: {
+        en: `Project ${project.projectNumber} changed from ${previousStatus} to ${project.status}${reason ? `. Reason: ${reason}` : ''}`,
+        ar: `تم تغيير حالة المشروع ${project.projectNumber} من ${previousStatus} إلى ${project.status}${reason ? `. السبب: ${reason}` : ''}`,
+      },
+      relatedEntity: {
+        entityType: 'project',
+        entityId: project._id,
+      },
+      actionUrl: `/projects/${project._id}`,
+      priority: project.status === PROJECT_STATUS.CANCELLED ? 'high' : 'medium',
+    }));
+
+    return await this.createMany(notifications);
+  }
+
+  // Helper: Notify about a failed water quality test
+  async notifyWaterQualityFailure(recipientIds, project, test) {
+    const parameters = test.failedParameters.join(', ');
+    const notifications = recipientIds.map((recipientId) => ({
+      recipient: recipientId,
+      type: NOTIFICATION_TYPES.WATER_QUALITY_FAILED,
+      title: {
+        en: `Water Quality Test Failed: ${project.projectName}`,
+        ar: `فشل اختبار جودة المياه: ${project.projectNameAr || project.projectName}`,
+      },
+      message: {
+        en: `The water sample of ${project.projectNumber} taken on ${test.sampleDate.toISOString().slice(0, 10)} failed: ${parameters}`,
+        ar: `فشلت عينة المياه للمشروع ${project.projectNumber} المأخوذة في ${test.sampleDate.toISOString().slice(0, 10)}: ${parameters}`,
+      },
+      relatedEntity: {
+        entityType: 'project',
+        entityId: project._id,
+      },
+      actionUrl: `/projects/${project._id}/water-tests/${test._id}`,
+      priority: 'high',
+    }));
+
+    return await this.createMany(notifications);
+  }
+
+  // Helper: Notify about a contractor document or insurance policy nearing (or past) expiry
+  async notifyDocumentExpiry(recipientIds, contractor, documentName, daysLeft) {
+    const expired = daysLeft <= 0;
+    const notifications = recipientIds.map((recipientId) => ({
+      recipient: recipientId,
+      type: expired ? NOTIFICATION_TYPES.DOCUMENT_EXPIRED : NOTIFICATION_TYPES.DOCUMENT_EXPIRING,
+      title: {
+        en: expired ? 'Document Expired' : 'Document Expiring Soon',
+        ar: expired ? 'انتهت صلاحية مستند' : 'مستند على وشك الانتهاء',
+      },
+      message: {
+        en: expired
+          ? `${documentName} of ${contractor.fullName} has expired`
+          : `${documentName} of ${contractor.fullName} expires in ${daysLeft} day(s)`,
+        ar: expired
+          ? `انتهت صلاحية ${documentName} الخاص بـ ${contractor.fullName}`
+          : `تنتهي صلاحية ${documentName} الخاص بـ ${contractor.fullName} خلال ${daysLeft} يوم`,
+      },
+      relatedEntity: {
+        entityType: 'user',
+        entityId: contractor._id,
+      },
+      actionUrl: `/contractors/${contractor._id}/profile`,
+      priority: expired ? 'high' : 'medium',
+    }));
+
+    return await this.createMany(notifications);
+  }
+
   // Helper: Notify about report submission
   async notifyReportSubmission(reportId, projectManagerIds, reportTitle, projectName) {
     const notifications = projectManagerIds.map((pmId) => ({
@@ -0,0 +1,55 @@
+const Organization = require('../models/Organization');
+const User = require('../models/User');
+const { ROLES } = require('../utils/constants');
+const accessPolicy = require('./accessPolicy.service');
+
+class OrganizationService {
+  // Whether members of an organization may use the system (users without one belong to the platform)
+  async isActive(tenantId) {
+    if (!tenantId) return true;
+    return !!(await Organization.exists({ _id: tenantId, isActive: true }));
+  }
+
+  /**
+   * Organization a new record is created in: super admins may pick one, everyone else
+   * always creates records in their own organization
+   * @param {Object} user - req.user
+   * @param {String} requested - Organization id from the request (optional)
+   * @returns {Promise<ObjectId|null|undefined>} Organization id, null for none, undefined if the requested one does not exist
+   */
+  async resolveTenant(user, requested) {
+    if (!accessPolicy.isCrossTenant(user) || !requested) {
+      return user.tenant || null;
+    }
+    const organization = await Organization.findById(requested).select('_id');
+    return organization ? organization._id : undefined;
+  }
+
+  /**
+   * Users that do not belong to the given organization
+   * @param {Array} userIds - User ids to check
+   * @param {ObjectId} tenant - Organization id (null for none)
+   * @returns {Promise<Array>} Ids of users from other organizations (super admins are allowed everywhere)
+   */
+  async findForeignUsers(userIds, tenant) {
+    const ids = userIds.filter(Boolean);
+    if (ids.length === 0) return [];
+    return await User.find({
+      _id: { $in: ids },
+      tenant: { $ne: tenant || null },
+      role: { $ne: ROLES.SUPER_ADMIN },
+    }).distinct('_id');
+  }
+
+  // Create a URL-friendly slug from an organization name
+  slugify(name) {
+    return (name || '')
+      .toLowerCase()
+      .normalize('NFKD')
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '');
+  }
+}
+
+// Export singleton instance
+module.exports = new OrganizationService();
@@ -0,0 +1,95 @@
+const crypto = require('crypto');
+const OneTimeCode = require('../models/OneTimeCode');
+const { hashToken } = require('../config/jwt');
+
+const CODE_LENGTH = 6;
+const MAX_ATTEMPTS = 5;
+
+class OtpService {
+  // Code lifetime in minutes
+  getExpiryMinutes() {
+    return parseInt(process.env.OTP_EXPIRES_MINUTES) || 5;
+  }
+
+  hashCode(target, code) {
+    return hashToken(`${target}:${code}`);
+  }
+
+  /**
+   * Issue a new code for a target, invalidating any earlier unused codes
+   * @param {String} target - Normalized identifier (e.g. phone)
+   * @param {String} purpose - What the code authorizes
+   * @param {String} channel - Delivery channel
+   * @param {Object} req - Express request (for IP)
+   * @returns {Promise<Object>} { code, expiresAt }
+   */
+  async createCode(target, purpose, channel, req) {
+    await OneTimeCode.updateMany(
+      { target, purpose, consumedAt: null },
+      { consumedAt: new Date() }
+    );
+
+    const code = String(crypto.randomInt(0, 10 ** CODE_LENGTH)).padStart(CODE_LENGTH, '0');
+    const expiresAt = new Date(Date.now() + this.getExpiryMinutes() * 60 * 1000);
+
+    await OneTimeCode.create({
+      target,
+      purpose,
+      channel,
+      codeHash: this.hashCode(target, code),
+      maxAttempts: MAX_ATTEMPTS,
+      expiresAt,
+      ipAddress: req.ip || req.connection?.remoteAddress,
+    });
+
+    return { code, expiresAt };
+  }
+
+  /**
+   * Check a code; consumes it on success and counts attempts. Both steps are conditional
+   * atomic updates, so parallel guesses cannot exceed the attempt limit or reuse a code
+   * @returns {Promise<Object>} { valid: true } or { valid: false, reason }
+   */
+  async verifyCode(target, purpose, code) {
+    const record = await OneTimeCode.findOne({
+      target,
+      purpose,
+      consumedAt: null,
+      expiresAt: { $gt: new Date() },
+    })
+      .sort({ createdAt: -1 })
+      .select('+codeHash');
+
+    if (!record) {
+      return { valid: false, reason: 'Code is invalid or has expired' };
+    }
+
+    // Take an attempt before comparing, so concurrent requests each use one up
+    const attempt = await OneTimeCode.findOneAndUpdate(
+      { _id: record._id, attempts: { $lt: record.maxAttempts }, consumedAt: null },
+      { $inc: { attempts: 1 } }
+    );
+    if (!attempt) {
+      return { valid: false, reason: 'Too many attempts, please request a new code' };
+    }
+
+    const expected = Buffer.from(record.codeHash);
+    const actual = Buffer.from(this.hashCode(target, String(code).trim()));
+    if (!crypto.timingSafeEqual(expected, actual)) {
+      return { valid: false, reason: 'Code is invalid or has expired' };
+    }
+
+    // Only one request can consume the code
+    const consumed = await OneTimeCode.findOneAndUpdate(
+      { _id: record._id, consumedAt: null },
+      { $set: { consumedAt: new Date() } }
+    );
+    if (!consumed) {
+      return { valid: false, reason: 'Code is invalid or has expired' };
+    }
+    return { valid: true };
+  }
+}
+
+// Export singleton instance
+module.exports = new OtpService();
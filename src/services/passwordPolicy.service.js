@@ -0,0 +1,97 @@
+const bcrypt = require('bcryptjs');
+const User = require('../models/User');
+const settingsService = require('./settings.service');
+const { DEFAULT_PASSWORD_POLICY, PASSWORD_HISTORY_LIMIT } = require('../utils/constants');
+
+class PasswordPolicyService {
+  // Effective policy: the 'password_policy' setting merged over the defaults
+  async getPolicy() {
+    const configured = (await settingsService.get('password_policy', {})) || {};
+    const policy = { ...DEFAULT_PASSWORD_POLICY, ...configured };
+
+    return {
+      minLength: Math.max(parseInt(policy.minLength) || DEFAULT_PASSWORD_POLICY.minLength, 1),
+      requireUppercase: !!policy.requireUppercase,
+      requireLowercase: !!policy.requireLowercase,
+      requireNumber: !!policy.requireNumber,
+      requireSymbol: !!policy.requireSymbol,
+      maxAgeDays: Math.max(parseInt(policy.maxAgeDays) || 0, 0),
+      historyDepth: Math.min(Math.max(parseInt(policy.historyDepth) || 0, 0), PASSWORD_HISTORY_LIMIT + 1),
+    };
+  }
+
+  // Check length and character classes; returns a list of violations
+  checkStrength(password, policy) {
+    const errors = [];
+    const value = password || '';
+
+    if (value.length < policy.minLength) {
+      errors.push(`Password must be at least ${policy.minLength} characters`);
+    }
+    if (policy.requireUppercase && !/[A-Z]/.test(value)) {
+      errors.push('Password must contain an uppercase letter');
+    }
+    if (policy.requireLowercase && !/[a-z]/.test(value)) {
+      errors.push('Password must contain a lowercase letter');
+    }
+    if (policy.requireNumber && !/[0-9]/.test(value)) {
+      errors.push('Password must contain a number');
+    }
+    if (policy.requireSymbol && !/[^A-Za-z0-9]/.test(value)) {
+      errors.push('Password must contain a symbol');
+    }
+
+    return errors;
+  }
+
+  // Whether the password matches the current one or one of the last (historyDepth - 1) passwords
+  async isReused(userId, password, policy) {
+    if (!userId || policy.historyDepth === 0) return false;
+
+    const user = await User.findById(userId).select('+password +passwordHistory');
+    if (!user) return false;
+
+    const hashes = [user.password, ...(user.passwordHistory || []).slice(0, policy.historyDepth - 1)];
+    for (const hash of hashes.filter(Boolean)) {
+      if (await bcrypt.compare(password, hash)) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Validate a new password against the policy
+   * @param {String} password - Candidate password
+   * @param {String} userId - Account the password is for (omit for new accounts)
+   * @returns {Promise<Array>} Violations (empty when the password is acceptable)
+   */
+  async validate(password, userId = null) {
+    const policy = await this.getPolicy();
+    const errors = this.checkStrength(password, policy);
+
+    if (errors.length === 0 && (await this.isReused(userId, password, policy))) {
+      errors.push(`Password cannot match any of your last ${policy.historyDepth} passwords`);
+    }
+
+    return errors;
+  }
+
+  // Whether a user's password is older than the maximum age
+  isExpired(user, policy) {
+    // Accounts created before passwords were dated count from their creation
+    const changedAt = user.passwordChangedAt || user.createdAt;
+    if (!policy.maxAgeDays || !changedAt) return false;
+    const ageMs = Date.now() - new Date(changedAt).getTime();
+    return ageMs > policy.maxAgeDays * 24 * 60 * 60 * 1000;
+  }
+
+  // Temporary password length that satisfies the policy
+  async getTemporaryPasswordLength() {
+    const policy = await this.getPolicy();
+    return Math.max(policy.minLength, 12);
+  }
+}
+
+// Export singleton instance
+module.exports = new PasswordPolicyService();
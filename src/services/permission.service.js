@@ -0,0 +1,154 @@
+const Role = require('../models/Role');
+const Permission = require('../models/Permission');
+const { PERMISSIONS, PERMISSION_IMPLICATIONS } = require('../utils/constants');
+
+// Wildcard implication granting every permission
+const ALL_PERMISSIONS = '*';
+
+// Helper: 'project_manager' -> 'Project Manager'
+const toDisplayName = (name) =>
+  name
+    .split('_')
+    .map((word) => word.charAt(0).toUpperCase() + word.slice(1))
+    .join(' ');
+
+class PermissionService {
+  constructor() {
+    this.cache = null;
+    this.loadedAt = 0;
+    this.loading = null;
+  }
+
+  // How long resolved role permissions are reused before reloading from the database
+  getCacheTtlMs() {
+    return (parseInt(process.env.ROLE_CACHE_TTL_SECONDS) || 60) * 1000;
+  }
+
+  // Every permission known to the code base (role grants and implication targets)
+  getBuiltInPermissions() {
+    const keys = new Set([...Object.values(PERMISSIONS).flat(), ...Object.keys(PERMISSION_IMPLICATIONS)]);
+    Object.values(PERMISSION_IMPLICATIONS)
+      .flat()
+      .filter((key) => key !== ALL_PERMISSIONS)
+      .forEach((key) => keys.add(key));
+    return [...keys].sort();
+  }
+
+  /**
+   * Expand a permission list through the implication graph
+   * @param {Array} permissions - Directly granted permissions
+   * @param {Object} implications - { permission: [implied permissions] }
+   * @returns {Set} Effective permissions (contains '*' when everything is granted)
+   */
+  expand(permissions, implications) {
+    const effective = new Set();
+    const queue = [...permissions];
+
+    while (queue.length > 0) {
+      const permission = queue.shift();
+      if (effective.has(permission)) continue;
+      effective.add(permission);
+      queue.push(...(implications[permission] || []));
+    }
+
+    return effective;
+  }
+
+  // Load roles and implications; stored rows override the built-in definitions, which stay in
+  // effect for anything not (yet) seeded so a single custom row cannot hide the system roles
+  async load() {
+    const [roles, permissions] = await Promise.all([Role.find().lean(), Permission.find().lean()]);
+
+    const roleEntries = Object.entries({
+      ...PERMISSIONS,
+      ...Object.fromEntries(roles.map((role) => [role.name, role.permissions])),
+    });
+    const implications = {
+      ...PERMISSION_IMPLICATIONS,
+      ...Object.fromEntries(permissions.map((permission) => [permission.key, permission.implies])),
+    };
+
+    return new Map(roleEntries.map(([name, granted]) => [name, this.expand(granted, implications)]));
+  }
+
+  // Resolved permissions per role, cached for a short time
+  async getRoleMap() {
+    if (this.cache && Date.now() - this.loadedAt < this.getCacheTtlMs()) {
+      return this.cache;
+    }
+
+    // Concurrent requests share one reload
+    if (!this.loading) {
+      this.loading = this.load()
+        .then((roleMap) => {
+          this.cache = roleMap;
+          this.loadedAt = Date.now();
+          return roleMap;
+        })
+        .finally(() => {
+          this.loading = null;
+        });
+    }
+    return this.loading;
+  }
+
+  // Drop cached permissions after roles or permissions change
+  invalidate() {
+    this.cache = null;
+  }
+
+  // Effective permissions of a role
+  async getRolePermissions(role) {
+    const roleMap = await this.getRoleMap();
+    return roleMap.get(role) || new Set();
+  }
+
+  // Check if a role grants a permission (directly or through an implication)
+  async hasPermission(role, permission) {
+    const permissions = await this.getRolePermissions(role);
+    return permissions.has(ALL_PERMISSIONS) || permissions.has(permission);
+  }
+
+  // Check if a role is defined
+  async roleExists(role) {
+    const roleMap = await this.getRoleMap();
+    return roleMap.has(role);
+  }
+
+  // Entries that are not known permission keys ('*' is accepted when allowed)
+  async findUnknownPermissions(keys, { allowWildcard = false } = {}) {
+    const stored = await Permission.find({ key: { $in: keys } }).distinct('key');
+    const known = new Set([...stored, ...this.getBuiltInPermissions()]);
+    return keys.filter((key) => !known.has(key) && !(allowWildcard && key === ALL_PERMISSIONS));
+  }
+
+  // Create any missing built-in roles and permissions (existing ones keep their customizations)
+  async ensureDefaults() {
+    for (const key of this.getBuiltInPermissions()) {
+      await Permission.updateOne(
+        { key },
+        {
+          $set: { isSystem: true },
+          $setOnInsert: { implies: PERMISSION_IMPLICATIONS[key] || [] },
+        },
+        { upsert: true }
+      );
+    }
+
+    for (const [name, permissions] of Object.entries(PERMISSIONS)) {
+      await Role.updateOne(
+        { name },
+        {
+          $set: { isSystem: true },
+          $setOnInsert: { displayName: toDisplayName(name), permissions },
+        },
+        { upsert: true }
+      );
+    }
+
+    this.invalidate();
+  }
+}
+
+// Export singleton instance
+module.exports = new PermissionService();
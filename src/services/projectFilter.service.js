@@ -0,0 +1,58 @@
+const accessPolicy = require('./accessPolicy.service');
+const { ROLES } = require('../utils/constants');
+
+// Fields matched by the free-text search
+const SEARCH_FIELDS = [
+  'projectNumber',
+  'projectName',
+  'projectNameAr',
+  'description',
+  'descriptionAr',
+  'country',
+  'region',
+  'city',
+  'notes',
+];
+
+class ProjectFilterService {
+  /**
+   * Mongo filter for project lists: the projects a user may see, narrowed by the list
+   * query parameters (shared by the project list, the map and the exports)
+   * @param {Object} user - req.user
+   * @param {Object} params - { status, country, contractor, projectManager, search, isArchived, organization }
+   * @returns {Promise<Object>} Filter
+   */
+  async build(user, { status, country, contractor, projectManager, search, isArchived = 'false', organization } = {}) {
+    // Build query based on what the user may see
+    const query = { ...(await accessPolicy.getFilter(user, 'project', { tenant: organization })) };
+
+    // Admins and viewers filter by archive status; team members see all their projects,
+    // clients only their active ones (already part of the policy filter)
+    if (accessPolicy.getScope(user) === 'all') {
+      query.isArchived = isArchived === 'true' || isArchived === true;
+    }
+
+    if (status) query.status = status;
+    if (country) query.country = country;
+
+    // Apply contractor filter only if user is not restricted by role
+    if (contractor && user.role !== ROLES.CONTRACTOR) {
+      query.contractor = contractor;
+    }
+
+    // Apply projectManager filter only if user is not restricted by role
+    if (projectManager && user.role !== ROLES.PROJECT_MANAGER) {
+      query.projectManager = projectManager;
+    }
+
+    // Search functionality (only if not a client, as clients have restricted access)
+    if (search && search.trim() !== '' && user.role !== ROLES.CLIENT) {
+      query.$or = SEARCH_FIELDS.map((field) => ({ [field]: { $regex: search, $options: 'i' } }));
+    }
+
+    return query;
+  }
+}
+
+// Export singleton instance
+module.exports = new ProjectFilterService();
@@ -0,0 +1,312 @@
+const Project = require('../models/Project');
+const settingsService = require('./settings.service');
+const { DEFAULT_DUPLICATE_SITE_DISTANCE_METERS } = require('../utils/constants');
+
+// Radius used by MongoDB for spherical geometry
+const EARTH_RADIUS_KM = 6378.1;
+
+// Fields exposed as feature properties on the map
+const FEATURE_FIELDS =
+  'projectNumber projectName projectNameAr country region city location status progress priority contractor beneficiaries';
+
+// Helper: Escape text for XML
+const xml = (value) =>
+  String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+
+// Helper: Date as YYYY-MM-DD (null when missing)
+const isoDate = (date) => (date ? new Date(date).toISOString().slice(0, 10) : null);
+
+// Helper: Parse a coordinate, null when missing or out of range
+const coordinate = (value, limit) => {
+  if (value === undefined || value === null || value === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) && Math.abs(number) <= limit ? number : null;
+};
+
+// Helper: Close a polygon ring when the last point does not repeat the first
+const closeRing = (ring) => {
+  const [first] = ring;
+  const last = ring[ring.length - 1];
+  return first[0] === last[0] && first[1] === last[1] ? ring : [...ring, first];
+};
+
+class ProjectGeoService {
+  // Duplicate-site distance in meters for an organization
+  async getDuplicateDistance(tenant = null) {
+    const meters = Number(
+      await settingsService.get('duplicate_site_distance_meters', DEFAULT_DUPLICATE_SITE_DISTANCE_METERS, tenant)
+    );
+    return meters > 0 ? meters : DEFAULT_DUPLICATE_SITE_DISTANCE_METERS;
+  }
+
+  /**
+   * Build a geospatial filter from query parameters. One of:
+   *  - lat, lng, radius (km)          wells within a circle
+   *  - bbox=minLng,minLat,maxLng,maxLat  wells within a bounding box
+   *  - polygon=[[lng,lat],...]        wells within a polygon (JSON)
+   * @param {Object} query - Request query
+   * @returns {Object} { filter, center } or { error }
+   */
+  parseArea({ lat, lng, radius, bbox, polygon } = {}) {
+    if (lat !== undefined || lng !== undefined || radius !== undefined) {
+      const latitude = coordinate(lat, 90);
+      const longitude = coordinate(lng, 180);
+      const radiusKm = Number(radius);
+      if (latitude === null || longitude === null) return { error: 'lat and lng must be valid coordinates' };
+      if (!(radiusKm > 0)) return { error: 'radius must be a positive number of kilometers' };
+
+      return {
+        filter: { $geoWithin: { $centerSphere: [[longitude, latitude], radiusKm / EARTH_RADIUS_KM] } },
+        center: [longitude, latitude],
+      };
+    }
+
+    if (bbox !== undefined) {
+      const values = String(bbox).split(',').map(Number);
+      if (values.length !== 4 || values.some((v) => !Number.isFinite(v))) {
+        return { error: 'bbox must be minLng,minLat,maxLng,maxLat' };
+      }
+      const [minLng, minLat, maxLng, maxLat] = values;
+      if (minLng >= maxLng || minLat >= maxLat || Math.abs(minLat) > 90 || Math.abs(maxLat) > 90) {
+        return { error: 'bbox must be minLng,minLat,maxLng,maxLat' };
+      }
+      if (Math.abs(minLng) > 180 || Math.abs(maxLng) > 180) {
+        return { error: 'bbox longitudes must be between -180 and 180' };
+      }
+
+      const ring = [
+        [minLng, minLat],
+        [maxLng, minLat],
+        [maxLng, maxLat],
+        [minLng, maxLat],
+        [minLng, minLat],
+      ];
+      return { filter: { $geoWithin: { $geometry: { type: 'Polygon', coordinates: [ring] } } } };
+    }
+
+    if (polygon !== undefined) {
+      let points;
+      try {
+        points = typeof polygon === 'string' ? JSON.parse(polygon) : polygon;
+      } catch (error) {
+        return { error: 'polygon must be a JSON array of [lng, lat] points' };
+      }
+      // Accept a GeoJSON Polygon geometry as well as a bare ring
+      if (points?.type === 'Polygon') points = points.coordinates?.[0];
+
+      const valid =
+        Array.isArray(points) &&
+        points.every(
+          (p) => Array.isArray(p) && p.length === 2 && coordinate(p[0], 180) !== null && coordinate(p[1], 90) !== null
+        );
+      if (!valid || points.length < 3) {
+        return { error: 'polygon must be a JSON array of at least 3 [lng, lat] points' };
+      }
+
+      const ring = closeRing(points.map(([x, y]) => [Number(x), Number(y)]));
+      return { filter: { $geoWithin: { $geometry: { type: 'Polygon', coordinates: [ring] } } } };
+    }
+
+    return { filter: null };
+  }
+
+  /**
+   * Great-circle distance between two [lng, lat] points
+   * @returns {Number} Kilometers
+   */
+  distanceKm([lng1, lat1], [lng2, lat2]) {
+    const rad = (deg) => (deg * Math.PI) / 180;
+    const a =
+      Math.sin(rad(lat2 - lat1) / 2) ** 2 +
+      Math.cos(rad(lat1)) * Math.cos(rad(lat2)) * Math.sin(rad(lng2 - lng1) / 2) ** 2;
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(a)));
+  }
+
+  /**
+   * Projects located in an area
+   * @param {Object} baseFilter - Access and attribute filters
+   * @param {Object} area - Result of parseArea
+   * @param {Number} limit - Maximum number of projects
+   * @returns {Promise<Array>} Lean projects (nearest first when a center is given)
+   */
+  async findInArea(baseFilter, area, limit) {
+    const query = {
+      ...baseFilter,
+      'location.point': area.filter || { $exists: true },
+    };
+
+    const projects = await Project.find(query)
+      .select(FEATURE_FIELDS)
+      .populate('contractor', 'fullName')
+      .limit(limit)
+      .lean();
+
+    if (area.center) {
+      projects.forEach((project) => {
+        project.distanceKm = Math.round(this.distanceKm(area.center, project.location.point.coordinates) * 100) / 100;
+      });
+      projects.sort((a, b) => a.distanceKm - b.distanceKm);
+    }
+    return projects;
+  }
+
+  /**
+   * Existing wells close to a site, nearest first
+   * @param {Number} latitude - Site latitude
+   * @param {Number} longitude - Site longitude
+   * @param {Object} options - { tenant, excludeId, meters }
+   * @returns {Promise<Array>} [{ _id, projectNumber, projectName, status, distanceMeters }]
+   */
+  async findNearbySites(latitude, longitude, { tenant = null, excludeId = null, meters } = {}) {
+    if (typeof latitude !== 'number' || typeof longitude !== 'number') return [];
+    const maxDistance = meters || (await this.getDuplicateDistance(tenant));
+    const center = [longitude, latitude];
+
+    const projects = await Project.find({
+      tenant: tenant || null,
+      ...(excludeId && { _id: { $ne: excludeId } }),
+      'location.point': {
+        $nearSphere: { $geometry: { type: 'Point', coordinates: center }, $maxDistance: maxDistance },
+      },
+    })
+      .select('projectNumber projectName status country location')
+      .limit(20)
+      .lean();
+
+    return projects.map(({ location, ...project }) => ({
+      ...project,
+      location: { latitude: location.latitude, longitude: location.longitude, address: location.address },
+      distanceMeters: Math.round(this.distanceKm(center, location.point.coordinates) * 1000),
+    }));
+  }
+
+  /**
+   * Duplicate-site warnings for a new project location
+   * @returns {Promise<Array>} Warning messages with the nearby wells
+   */
+  async getDuplicateSiteWarnings(location, tenant = null, excludeId = null) {
+    const meters = await this.getDuplicateDistance(tenant);
+    const nearby = await this.findNearbySites(location?.latitude, location?.longitude, { tenant, excludeId, meters });
+    return nearby.map((site) => ({
+      type: 'duplicate_site',
+      message: `${site.projectNumber} (${site.projectName}) is ${site.distanceMeters} m away`,
+      project: site,
+    }));
+  }
+
+  /**
+   * Flat export properties of a well. Keys stay within 10 characters so GIS tools can
+   * convert the GeoJSON to a Shapefile without truncating field names.
+   * @param {Object} project - Lean project (contractor populated)
+   * @returns {Object} Properties
+   */
+  exportProperties(project) {
+    return {
+      projectNo: project.projectNumber,
+      name: project.projectName,
+      status: project.status,
+      country: project.country,
+      region: project.region || null,
+      city: project.city || null,
+      progress: project.progress ?? null,
+      depth: project.wellDetails?.depth ?? null,
+      capacity: project.wellDetails?.capacity ?? null,
+      pumpType: project.wellDetails?.pumpType || null,
+      waterQual: project.latestWaterTest?.result || project.wellDetails?.waterQuality || null,
+      families: project.beneficiaries?.estimatedFamilies ?? null,
+      people: project.beneficiaries?.estimatedPeople ?? null,
+      started: isoDate(project.startDate),
+      completed: isoDate(project.actualEndDate),
+      contractor: project.contractor?.fullName || null,
+    };
+  }
+
+  /**
+   * GeoJSON export of wells (projects without coordinates are left out)
+   * @param {Array} projects - Lean projects
+   * @returns {Object} FeatureCollection
+   */
+  toExportGeoJSON(projects) {
+    return {
+      type: 'FeatureCollection',
+      features: projects
+        .filter((project) => project.location?.point)
+        .map((project) => ({
+          type: 'Feature',
+          id: project._id.toString(),
+          geometry: project.location.point,
+          properties: this.exportProperties(project),
+        })),
+    };
+  }
+
+  /**
+   * KML export of wells (projects without coordinates are left out)
+   * @param {Array} projects - Lean projects
+   * @param {String} name - Document name
+   * @returns {String} KML document
+   */
+  toKml(projects, name = 'Wells') {
+    const placemarks = projects
+      .filter((project) => project.location?.point)
+      .map((project) => {
+        const properties = this.exportProperties(project);
+        const [longitude, latitude] = project.location.point.coordinates;
+        const data = Object.entries(properties)
+          .filter(([, value]) => value !== null && value !== undefined)
+          .map(([key, value]) => `        <Data name="${key}"><value>${xml(value)}</value></Data>`)
+          .join('\n');
+
+        return [
+          `    <Placemark id="project-${project._id}">`,
+          `      <name>${xml(`${project.projectNumber} - ${project.projectName}`)}</name>`,
+          `      <description>${xml(project.location.address || `${project.city || ''} ${project.country}`.trim())}</description>`,
+          '      <ExtendedData>',
+          data,
+          '      </ExtendedData>',
+          `      <Point><coordinates>${longitude},${latitude},0</coordinates></Point>`,
+          '    </Placemark>',
+        ].join('\n');
+      });
+
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<kml xmlns="http://www.opengis.net/kml/2.2">',
+      '  <Document>',
+      `    <name>${xml(name)}</name>`,
+      ...placemarks,
+      '  </Document>',
+      '</kml>',
+      '',
+    ].join('\n');
+  }
+
+  /**
+   * GeoJSON FeatureCollection of projects for mapping tools
+   * @param {Array} projects - Lean projects with location.point
+   * @returns {Object} FeatureCollection
+   */
+  toFeatureCollection(projects) {
+    return {
+      type: 'FeatureCollection',
+      features: projects.map(({ _id, location, contractor, ...properties }) => ({
+        type: 'Feature',
+        id: _id.toString(),
+        geometry: location.point,
+        properties: {
+          ...properties,
+          address: location.address,
+          contractor: contractor?.fullName,
+        },
+      })),
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new ProjectGeoService();
@@ -0,0 +1,363 @@
+const mongoose = require('mongoose');
+const Project = require('../models/Project');
+const User = require('../models/User');
+const clientService = require('./client.service');
+const contractorProfileService = require('./contractorProfile.service');
+const projectStatusService = require('./projectStatus.service');
+const projectGeoService = require('./projectGeo.service');
+const { readSpreadsheet, buildTemplate } = require('../utils/spreadsheet');
+const { ROLES, COUNTRIES } = require('../utils/constants');
+
+// Maximum number of rows accepted in one import
+const IMPORT_LIMIT = 500;
+
+// Accepted headers per field
+const COLUMNS = {
+  projectName: ['Project Name', 'Name'],
+  projectNameAr: ['Project Name (Arabic)', 'Arabic Name'],
+  description: ['Description'],
+  country: ['Country'],
+  region: ['Region', 'Governorate'],
+  city: ['City', 'Village'],
+  address: ['Address'],
+  latitude: ['Latitude', 'Lat'],
+  longitude: ['Longitude', 'Lng', 'Long'],
+  status: ['Status'],
+  priority: ['Priority'],
+  startDate: ['Start Date'],
+  expectedEndDate: ['Expected End Date', 'End Date'],
+  budgetAmount: ['Budget', 'Budget Amount'],
+  budgetCurrency: ['Currency', 'Budget Currency'],
+  contractorEmail: ['Contractor Email', 'Contractor'],
+  projectManagerEmail: ['Project Manager Email', 'Project Manager'],
+  clientName: ['Client Name'],
+  clientPhone: ['Client Phone'],
+  clientEmail: ['Client Email'],
+  estimatedFamilies: ['Estimated Families', 'Families'],
+  estimatedPeople: ['Estimated People', 'Beneficiaries'],
+  tags: ['Tags'],
+  notes: ['Notes'],
+};
+const REQUIRED_COLUMNS = ['projectName', 'country'];
+
+const PRIORITIES = ['low', 'medium', 'high', 'urgent'];
+const PROJECT_MANAGER_ROLES = [ROLES.PROJECT_MANAGER, ROLES.ADMIN, ROLES.SUPER_ADMIN];
+
+// Helper: Cell value as a trimmed string
+const text = (value) => (value === undefined || value === null ? '' : String(value).trim());
+
+// Helper: Cell value as a date (undefined when blank, null when unreadable)
+const toDate = (value) => {
+  if (value === '' || value === undefined || value === null) return undefined;
+  const date = value instanceof Date ? value : new Date(text(value));
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+// Helper: Cell value as a number (undefined when blank, null when unreadable)
+const toNumber = (value) => {
+  if (value === '' || value === undefined || value === null) return undefined;
+  const number = typeof value === 'number' ? value : Number(text(value).replace(/,/g, ''));
+  return Number.isFinite(number) ? number : null;
+};
+
+class ProjectImportService {
+  getLimit() {
+    return IMPORT_LIMIT;
+  }
+
+  // XLSX template with the accepted columns and an example row
+  async getTemplate() {
+    return await buildTemplate(
+      'Projects',
+      [
+        { header: 'Project Name', key: 'projectName', width: 30 },
+        { header: 'Project Name (Arabic)', key: 'projectNameAr', width: 30 },
+        { header: 'Description', key: 'description', width: 40 },
+        { header: 'Country', key: 'country', width: 18 },
+        { header: 'Region', key: 'region', width: 18 },
+        { header: 'City', key: 'city', width: 18 },
+        { header: 'Address', key: 'address', width: 30 },
+        { header: 'Latitude', key: 'latitude', width: 12 },
+        { header: 'Longitude', key: 'longitude', width: 12 },
+        { header: 'Status', key: 'status', width: 14 },
+        { header: 'Priority', key: 'priority', width: 12 },
+        { header: 'Start Date', key: 'startDate', width: 14 },
+        { header: 'Expected End Date', key: 'expectedEndDate', width: 18 },
+        { header: 'Budget', key: 'budgetAmount', width: 14 },
+        { header: 'Currency', key: 'budgetCurrency', width: 10 },
+        { header: 'Contractor Email', key: 'contractorEmail', width: 30 },
+        { header: 'Project Manager Email', key: 'projectManagerEmail', width: 30 },
+        { header: 'Client Name', key: 'clientName', width: 25 },
+        { header: 'Client Phone', key: 'clientPhone', width: 18 },
+        { header: 'Client Email', key: 'clientEmail', width: 30 },
+        { header: 'Estimated Families', key: 'estimatedFamilies', width: 18 },
+        { header: 'Estimated People', key: 'estimatedPeople', width: 18 },
+        { header: 'Tags', key: 'tags', width: 25 },
+        { header: 'Notes', key: 'notes', width: 40 },
+      ],
+      [
+        {
+          projectName: 'Al-Hudaydah Village Well',
+          projectNameAr: 'بئر قرية الحديدة',
+          description: 'Borehole with solar pump for the village',
+          country: COUNTRIES[1],
+          region: 'Al Hudaydah',
+          city: 'Bajil',
+          address: 'North of the market',
+          latitude: 14.9725,
+          longitude: 43.2856,
+          status: 'planned',
+          priority: 'medium',
+          startDate: new Date('2025-03-01'),
+          expectedEndDate: new Date('2025-06-30'),
+          budgetAmount: 12000,
+          budgetCurrency: 'USD',
+          contractorEmail: 'contractor@example.com',
+          projectManagerEmail: 'manager@example.com',
+          clientName: 'Village Committee',
+          clientPhone: '+967700000000',
+          clientEmail: '',
+          estimatedFamilies: 120,
+          estimatedPeople: 800,
+          tags: 'solar, borehole',
+          notes: '',
+        },
+      ]
+    );
+  }
+
+  /**
+   * Read the rows of an uploaded file
+   * @param {Object} file - Multer file (memory storage)
+   * @returns {Promise<Object>} { rows, missingColumns } (only required columns are reported missing)
+   */
+  async parse(file) {
+    const { rows, missingColumns } = await readSpreadsheet(file, COLUMNS);
+    return {
+      rows,
+      missingColumns: missingColumns.filter((field) => REQUIRED_COLUMNS.includes(field)),
+    };
+  }
+
+  /**
+   * Look up the contractors and project managers referenced by email
+   * @param {Array} rows - Parsed rows
+   * @returns {Promise<Map>} email -> user
+   */
+  async findUsersByEmail(rows) {
+    const emails = new Set();
+    rows.forEach(({ data }) => {
+      [data.contractorEmail, data.projectManagerEmail].forEach((email) => {
+        if (text(email)) emails.add(text(email).toLowerCase());
+      });
+    });
+    if (emails.size === 0) return new Map();
+
+    const users = await User.find({ email: { $in: [...emails] }, deletedAt: null }).select(
+      'fullName email role tenant isActive'
+    );
+    return new Map(users.map((user) => [user.email, user]));
+  }
+
+  /**
+   * Validate every row and build the preview
+   * @param {Array} rows - Parsed rows ({ rowNumber, data })
+   * @param {ObjectId} tenant - Organization the projects are created in
+   * @returns {Promise<Object>} { rows: [{ rowNumber, data, errors, warnings }], summary }
+   */
+  async validate(rows, tenant = null) {
+    const countries = new Map(COUNTRIES.map((country) => [country.toLowerCase(), country]));
+    const initialStatuses = projectStatusService.getInitialStatuses();
+    const usersByEmail = await this.findUsersByEmail(rows);
+    const expiredByContractor = new Map();
+
+    // Helper: User referenced by a row, checked against role and organization
+    const lookupUser = (email, label, roles, errors) => {
+      if (!email) return undefined;
+      const user = usersByEmail.get(email);
+      if (!user || !user.isActive) {
+        errors.push(`${label} not found: ${email}`);
+      } else if (!roles.includes(user.role)) {
+        errors.push(`${email} is not a ${label.toLowerCase()}`);
+      } else if (user.role !== ROLES.SUPER_ADMIN && String(user.tenant || null) !== String(tenant || null)) {
+        errors.push(`${label} ${email} belongs to another organization`);
+      } else {
+        return user;
+      }
+      return undefined;
+    };
+
+    const results = [];
+    for (const row of rows) {
+      const raw = row.data;
+      const errors = [];
+
+      const data = {
+        projectName: text(raw.projectName),
+        projectNameAr: text(raw.projectNameAr) || undefined,
+        description: text(raw.description) || undefined,
+        country: text(raw.country),
+        region: text(raw.region) || undefined,
+        city: text(raw.city) || undefined,
+        status: text(raw.status).toLowerCase() || undefined,
+        priority: text(raw.priority).toLowerCase() || undefined,
+        contractorEmail: text(raw.contractorEmail).toLowerCase() || undefined,
+        projectManagerEmail: text(raw.projectManagerEmail).toLowerCase() || undefined,
+        tags: text(raw.tags) ? text(raw.tags).split(',').map((tag) => tag.trim()).filter(Boolean) : undefined,
+        notes: text(raw.notes) || undefined,
+      };
+
+      if (!data.projectName) errors.push('Project name is required');
+
+      if (!data.country) {
+        errors.push('Country is required');
+      } else if (countries.has(data.country.toLowerCase())) {
+        data.country = countries.get(data.country.toLowerCase());
+      } else {
+        errors.push(`Unknown country: ${data.country}`);
+      }
+
+      if (data.status && !initialStatuses.includes(data.status)) {
+        errors.push(`Status must be one of: ${initialStatuses.join(', ')}`);
+      }
+      if (data.priority && !PRIORITIES.includes(data.priority)) {
+        errors.push(`Priority must be one of: ${PRIORITIES.join(', ')}`);
+      }
+
+      // Dates
+      const startDate = toDate(raw.startDate);
+      const expectedEndDate = toDate(raw.expectedEndDate);
+      if (startDate === null) errors.push('Invalid start date');
+      if (expectedEndDate === null) errors.push('Invalid expected end date');
+      if (startDate && expectedEndDate && startDate > expectedEndDate) {
+        errors.push('Expected end date must be after the start date');
+      }
+      data.startDate = startDate || undefined;
+      data.expectedEndDate = expectedEndDate || undefined;
+
+      // Budget
+      const budgetAmount = toNumber(raw.budgetAmount);
+      const currency = text(raw.budgetCurrency).toUpperCase();
+      if (budgetAmount === null || budgetAmount < 0) {
+        errors.push('Budget must be a positive number');
+      } else if (budgetAmount !== undefined) {
+        data.budget = { amount: budgetAmount, currency: currency || 'USD' };
+      }
+      if (currency && !/^[A-Z]{3}$/.test(currency)) {
+        errors.push('Currency must be a 3-letter code');
+      }
+
+      // Location coordinates come in pairs
+      const latitude = toNumber(raw.latitude);
+      const longitude = toNumber(raw.longitude);
+      if (latitude === null || (latitude !== undefined && (latitude < -90 || latitude > 90))) {
+        errors.push('Latitude must be between -90 and 90');
+      }
+      if (longitude === null || (longitude !== undefined && (longitude < -180 || longitude > 180))) {
+        errors.push('Longitude must be between -180 and 180');
+      }
+      if ((latitude === undefined) !== (longitude === undefined)) {
+        errors.push('Latitude and longitude must be given together');
+      }
+      if (latitude !== undefined || longitude !== undefined || text(raw.address)) {
+        data.location = { latitude, longitude, address: text(raw.address) || undefined };
+      }
+
+      // Beneficiaries
+      const estimatedFamilies = toNumber(raw.estimatedFamilies);
+      const estimatedPeople = toNumber(raw.estimatedPeople);
+      if (estimatedFamilies === null || estimatedFamilies < 0) errors.push('Estimated families must be a positive number');
+      if (estimatedPeople === null || estimatedPeople < 0) errors.push('Estimated people must be a positive number');
+      if (estimatedFamilies || estimatedPeople) {
+        data.beneficiaries = { estimatedFamilies, estimatedPeople };
+      }
+
+      // Client details (a client account is created from the phone number)
+      if (text(raw.clientName) || text(raw.clientPhone) || text(raw.clientEmail)) {
+        data.client = {
+          name: text(raw.clientName) || undefined,
+          phone: text(raw.clientPhone) || undefined,
+          email: text(raw.clientEmail).toLowerCase() || undefined,
+        };
+      }
+
+      // Contractor and project manager
+      const contractor = lookupUser(data.contractorEmail, 'Contractor', [ROLES.CONTRACTOR], errors);
+      if (contractor) {
+        const key = contractor._id.toString();
+        if (!expiredByContractor.has(key)) {
+          expiredByContractor.set(key, await contractorProfileService.getExpiredMandatoryDocuments(contractor._id, tenant));
+        }
+        if (expiredByContractor.get(key).length > 0) {
+          errors.push(`Contractor ${contractor.email} has expired mandatory documents`);
+        }
+        data.contractor = contractor._id;
+      }
+      const projectManager = lookupUser(data.projectManagerEmail, 'Project manager', PROJECT_MANAGER_ROLES, errors);
+      if (projectManager) {
+        data.projectManager = projectManager._id;
+      }
+
+      // Existing wells near the site are reported but do not block the import
+      const warnings =
+        errors.length === 0 && data.location?.latitude !== undefined
+          ? await projectGeoService.getDuplicateSiteWarnings(data.location, tenant)
+          : [];
+
+      results.push({ rowNumber: row.rowNumber, data, errors, warnings });
+    }
+
+    const invalid = results.filter((row) => row.errors.length > 0).length;
+    return {
+      rows: results,
+      summary: {
+        total: results.length,
+        valid: results.length - invalid,
+        invalid,
+        withWarnings: results.filter((row) => row.warnings.length > 0).length,
+      },
+    };
+  }
+
+  /**
+   * Create the projects of valid rows in one transaction: either all are created or none
+   * (transactions need MongoDB to run as a replica set)
+   * @param {Array} rows - Validated rows without errors
+   * @param {Object} importer - User running the import
+   * @param {ObjectId} tenant - Organization the projects belong to
+   * @returns {Promise<Array>} Created projects, in row order
+   */
+  async commit(rows, importer, tenant) {
+    const session = await mongoose.startSession();
+    let projects;
+
+    try {
+      await session.withTransaction(async () => {
+        projects = [];
+        const projectNumbers = await Project.nextProjectNumbers(rows.length, session);
+
+        for (const [index, { data }] of rows.entries()) {
+          const { contractorEmail, projectManagerEmail, ...fields } = data;
+          const projectData = {
+            ...fields,
+            tenant,
+            projectNumber: projectNumbers[index],
+            createdBy: importer._id,
+            milestones: Project.defaultMilestones(fields.startDate, fields.expectedEndDate),
+          };
+          await clientService.syncProjectClient(projectData, session);
+
+          const [project] = await Project.create([projectData], { session });
+          projects.push(project);
+        }
+      });
+    } finally {
+      await session.endSession();
+    }
+
+    return projects;
+  }
+}
+
+// Export singleton instance
+module.exports = new ProjectImportService();
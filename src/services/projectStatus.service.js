@@ -0,0 +1,156 @@
+const Report = require('../models/Report');
+const settingsService = require('./settings.service');
+const notificationService = require('./notification.service');
+const {
+  PROJECT_STATUS,
+  DEFAULT_PROJECT_STATUS_RULES,
+  REPORT_STATUS,
+  REPORT_TYPES,
+  WATER_TEST_RESULTS,
+} = require('../utils/constants');
+
+// Statuses a project may be created with (later statuses are reached through transitions)
+const INITIAL_STATUSES = [PROJECT_STATUS.PLANNED, PROJECT_STATUS.IN_PROGRESS];
+
+class ProjectStatusService {
+  getInitialStatuses() {
+    return INITIAL_STATUSES;
+  }
+
+  /**
+   * Status rules of an organization, missing parts filled in from the defaults
+   * @param {ObjectId} tenant - Organization
+   * @returns {Promise<Object>} { transitions, reasonRequired, completion }
+   */
+  async getRules(tenant = null) {
+    const rules = (await settingsService.get('project_status_rules', DEFAULT_PROJECT_STATUS_RULES, tenant)) || {};
+    return {
+      transitions: { ...DEFAULT_PROJECT_STATUS_RULES.transitions, ...rules.transitions },
+      reasonRequired: Array.isArray(rules.reasonRequired)
+        ? rules.reasonRequired
+        : DEFAULT_PROJECT_STATUS_RULES.reasonRequired,
+      completion: { ...DEFAULT_PROJECT_STATUS_RULES.completion, ...rules.completion },
+    };
+  }
+
+  /**
+   * Unmet completion requirements of a project
+   * @param {Object} project - Project document
+   * @param {Object} rules - Status rules
+   * @returns {Promise<Array>} Messages, empty when the project may be completed
+   */
+  async checkCompletion(project, rules) {
+    const unmet = [];
+
+    if (rules.completion.approvedFinalReport) {
+      const finalReport = await Report.exists({
+        project: project._id,
+        reportType: REPORT_TYPES.FINAL,
+        status: REPORT_STATUS.APPROVED,
+      });
+      if (!finalReport) unmet.push('An approved final report is required');
+    }
+
+    // The latest structured water test decides; a later failing test blocks completion
+    if (rules.completion.waterQualityResult && project.latestWaterTest?.result !== WATER_TEST_RESULTS.PASS) {
+      unmet.push('A passing water quality test is required');
+    }
+
+    return unmet;
+  }
+
+  /**
+   * Check a status change against the rules
+   * @param {Object} project - Project document
+   * @param {String} status - Target status
+   * @param {Object} options - { reason, rules }
+   * @returns {Promise<Object|null>} { message, errors } or null when allowed
+   */
+  async checkTransition(project, status, { reason, rules } = {}) {
+    rules = rules || (await this.getRules(project.tenant));
+
+    if (project.status === status) {
+      return { message: `Project is already ${status}` };
+    }
+
+    const allowed = rules.transitions[project.status] || [];
+    if (!allowed.includes(status)) {
+      return { message: `Cannot change project status from ${project.status} to ${status}`, errors: { allowed } };
+    }
+
+    if (rules.reasonRequired.includes(status) && !reason?.trim()) {
+      return { message: `A reason is required to set the project ${status}` };
+    }
+
+    if (status === PROJECT_STATUS.COMPLETED) {
+      const unmet = await this.checkCompletion(project, rules);
+      if (unmet.length > 0) {
+        return { message: 'Project does not meet the completion requirements', errors: unmet };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Next statuses of a project with what still blocks each of them
+   * @param {Object} project - Project document
+   * @returns {Promise<Array>} [{ status, reasonRequired, blockers }]
+   */
+  async getTransitions(project) {
+    const rules = await this.getRules(project.tenant);
+    const allowed = rules.transitions[project.status] || [];
+
+    return Promise.all(
+      allowed.map(async (status) => ({
+        status,
+        reasonRequired: rules.reasonRequired.includes(status),
+        blockers: status === PROJECT_STATUS.COMPLETED ? await this.checkCompletion(project, rules) : [],
+      }))
+    );
+  }
+
+  /**
+   * Change the status, record it in the history and apply its side effects (does not save)
+   * @param {Object} project - Project document
+   * @param {String} status - Target status
+   * @param {Object} options - { reason, userId }
+   */
+  applyTransition(project, status, { reason, userId } = {}) {
+    const from = project.status;
+    project.status = status;
+    project.statusHistory.push({ from, to: status, reason: reason?.trim() || undefined, changedBy: userId });
+
+    if (status === PROJECT_STATUS.IN_PROGRESS && !project.startDate) {
+      project.startDate = new Date();
+    }
+    if (status === PROJECT_STATUS.COMPLETED) {
+      project.actualEndDate = new Date();
+      project.progress = 100;
+    }
+  }
+
+  /**
+   * Notify the project team and client about a status change
+   * @param {Object} project - Project document (after the change)
+   * @param {String} from - Previous status
+   * @param {ObjectId} actorId - User who changed the status (not notified)
+   */
+  async notifyChange(project, from, actorId) {
+    const recipientIds = [
+      ...new Set(
+        [...project.members.map((m) => m.user), project.clientAccount]
+          .filter(Boolean)
+          .map((id) => (id._id || id).toString())
+      ),
+    ].filter((id) => id !== actorId?.toString());
+
+    if (recipientIds.length === 0) return [];
+
+    const { reason } = project.statusHistory[project.statusHistory.length - 1] || {};
+    return await notificationService.notifyProjectStatusChange(recipientIds, project, from, reason);
+  }
+}
+
+// Export singleton instance
+module.exports = new ProjectStatusService();
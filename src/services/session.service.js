@@ -0,0 +1,128 @@
+const Session = require('../models/Session');
+const User = require('../models/User');
+const {
+  generateToken,
+  generateRefreshToken,
+  hashToken,
+  getRefreshTokenExpiry,
+} = require('../config/jwt');
+
+class SessionService {
+  // Build the access token for a session
+  issueAccessToken(session) {
+    return generateToken(session.user, { sid: session._id.toString() });
+  }
+
+  /**
+   * Start a new session after a successful login
+   * @param {Object} owner - { user }
+   * @param {Object} req - Express request (for IP and user agent)
+   * @returns {Promise<Object>} { session, token, refreshToken }
+   */
+  async createSession(owner, req) {
+    const refreshToken = generateRefreshToken();
+
+    const session = await Session.create({
+      user: owner.user,
+      refreshTokenHash: hashToken(refreshToken),
+      expiresAt: getRefreshTokenExpiry(),
+      ipAddress: req.ip || req.connection?.remoteAddress,
+      userAgent: req.headers['user-agent'],
+    });
+
+    return { session, token: this.issueAccessToken(session), refreshToken };
+  }
+
+  /**
+   * Exchange a refresh token for a new access/refresh token pair
+   * @param {String} refreshToken - Raw refresh token presented by the client
+   * @param {Object} req - Express request (for IP and user agent)
+   * @returns {Promise<Object|null>} { session, token, refreshToken }, { reused, session } or null if invalid
+   */
+  async rotate(refreshToken, req) {
+    const tokenHash = hashToken(refreshToken);
+
+    const session = await Session.findOne({ refreshTokenHash: tokenHash });
+    if (!session) {
+      return await this.revokeReusedToken(tokenHash);
+    }
+
+    if (!session.isActive()) {
+      return null;
+    }
+
+    // Sessions die with the account
+    const user = await User.findById(session.user).select('isActive');
+    if (!user || !user.isActive) {
+      await this.revokeSession(session._id, 'account_inactive');
+      return null;
+    }
+
+    // Swap the token in one step, so only one of several concurrent refreshes wins
+    const newRefreshToken = generateRefreshToken();
+    const rotated = await Session.findOneAndUpdate(
+      { _id: session._id, refreshTokenHash: tokenHash, revokedAt: null },
+      {
+        $set: {
+          refreshTokenHash: hashToken(newRefreshToken),
+          previousTokenHash: tokenHash,
+          lastUsedAt: new Date(),
+          ipAddress: req.ip || req.connection?.remoteAddress,
+          userAgent: req.headers['user-agent'],
+        },
+      },
+      { new: true }
+    );
+    if (!rotated) {
+      // Another request rotated the same token first
+      return await this.revokeReusedToken(tokenHash);
+    }
+
+    return { session: rotated, token: this.issueAccessToken(rotated), refreshToken: newRefreshToken };
+  }
+
+  // A rotated-out token being presented again means it was stolen - kill the session
+  async revokeReusedToken(tokenHash) {
+    const compromised = await Session.findOneAndUpdate(
+      { previousTokenHash: tokenHash, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: 'token_reuse' },
+      { new: true }
+    );
+    return compromised ? { reused: true, session: compromised } : null;
+  }
+
+  // Get active sessions matching a filter (e.g. { user: id })
+  async getActiveSessions(filter) {
+    return await Session.find({
+      ...filter,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    }).sort({ lastUsedAt: -1 });
+  }
+
+  // Revoke a single session
+  async revokeSession(sessionId, reason = 'logout', filter = {}) {
+    return await Session.findOneAndUpdate(
+      { _id: sessionId, revokedAt: null, ...filter },
+      { revokedAt: new Date(), revokedReason: reason },
+      { new: true }
+    );
+  }
+
+  // Revoke all sessions of a user, optionally keeping the current one
+  async revokeAllSessions(userId, reason = 'revoked', exceptSessionId = null) {
+    const query = { user: userId, revokedAt: null };
+    if (exceptSessionId) {
+      query._id = { $ne: exceptSessionId };
+    }
+
+    const result = await Session.updateMany(query, {
+      revokedAt: new Date(),
+      revokedReason: reason,
+    });
+    return result.modifiedCount;
+  }
+}
+
+// Export singleton instance
+module.exports = new SessionService();
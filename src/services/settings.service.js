@@ -0,0 +1,34 @@
+const Settings = require('../models/Settings');
+const { ROLES } = require('../utils/constants');
+
+class SettingsService {
+  /**
+   * Get a setting value by key, falling back to a default
+   * @param {String} key - Setting key
+   * @param {*} defaultValue - Value used when the setting is not defined
+   * @param {ObjectId} tenant - Organization whose override is preferred over the global value (optional)
+   */
+  async get(key, defaultValue = null, tenant = null) {
+    try {
+      const settings = await Settings.find({ key, tenant: { $in: [null, tenant || null] } }).lean();
+      const setting = settings.find((s) => s.tenant && tenant && s.tenant.toString() === tenant.toString())
+        || settings.find((s) => !s.tenant);
+      return setting && setting.value !== undefined ? setting.value : defaultValue;
+    } catch (error) {
+      console.error('Get setting error:', error);
+      return defaultValue;
+    }
+  }
+
+  // Organization whose settings a user edits: super admins edit the global values unless
+  // they pick an organization, admins always edit their own organization's overrides
+  getTargetTenant(user, requested = null) {
+    if (user?.role === ROLES.SUPER_ADMIN) {
+      return requested || null;
+    }
+    return user?.tenant || null;
+  }
+}
+
+// Export singleton instance
+module.exports = new SettingsService();
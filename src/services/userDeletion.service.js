@@ -0,0 +1,163 @@
+const mongoose = require('mongoose');
+const Project = require('../models/Project');
+const Payment = require('../models/Payment');
+const Report = require('../models/Report');
+const { PROJECT_STATUS, REPORT_STATUS } = require('../utils/constants');
+
+// Projects still being worked on
+const OPEN_PROJECT_STATUSES = [PROJECT_STATUS.PLANNED, PROJECT_STATUS.IN_PROGRESS, PROJECT_STATUS.ON_HOLD];
+
+class UserDeletionService {
+  // Helper: Queries for the work a user still holds
+  openWorkQueries(userId) {
+    return {
+      projects: {
+        ...Project.memberFilter(userId),
+        status: { $in: OPEN_PROJECT_STATUSES },
+        isArchived: false,
+      },
+      payments: { recipient: userId, status: 'pending' },
+      reports: { submittedBy: userId, status: REPORT_STATUS.DRAFT },
+    };
+  }
+
+  /**
+   * Open projects, pending payments and draft reports held by a user
+   * @param {ObjectId} userId - User id
+   * @returns {Promise<Object>} { projects, payments, reports, total }
+   */
+  async getOpenWork(userId) {
+    const queries = this.openWorkQueries(userId);
+    const [projects, payments, reports] = await Promise.all([
+      Project.find(queries.projects).select('projectNumber projectName status').lean(),
+      Payment.find(queries.payments).select('project amount currency').lean(),
+      Report.find(queries.reports).select('project title').lean(),
+    ]);
+
+    return {
+      projects,
+      payments,
+      reports,
+      total: projects.length + payments.length + reports.length,
+    };
+  }
+
+  /**
+   * Check that a user can take over the open work of the deleted user
+   * @param {Object} user - User being deleted
+   * @param {Object} target - Proposed new owner
+   * @returns {String|null} Error message, or null when the target is valid
+   */
+  checkTarget(user, target) {
+    if (!target || target.isDeleted() || !target.isActive) {
+      return 'Reassignment user not found or inactive';
+    }
+    if (target._id.equals(user._id)) {
+      return 'Cannot reassign work to the user being deleted';
+    }
+    if (String(target.tenant || null) !== String(user.tenant || null)) {
+      return 'Reassignment user must belong to the same organization';
+    }
+    // Same role keeps lead, manager and payment recipient slots valid
+    if (target.role !== user.role) {
+      return `Reassignment user must also be a ${user.role}`;
+    }
+    return null;
+  }
+
+  // Helper: Hand one project over, keeping the user's team role
+  reassignProject(project, user, target, actor) {
+    const roles = [];
+    const role = project.getMemberRole(user._id);
+
+    if (project.contractor?.equals(user._id)) {
+      project.contractor = target._id;
+      roles.push('contractor');
+    }
+    if (project.projectManager?.equals(user._id)) {
+      project.projectManager = target._id;
+      roles.push('projectManager');
+    }
+
+    project.members = project.members.filter((m) => !m.user.equals(user._id));
+    if (role && !project.hasMember(target._id)) {
+      project.setMemberRole(target._id, role, actor._id);
+    }
+    if (role) roles.push(role);
+
+    return roles;
+  }
+
+  /**
+   * Soft delete a user, moving their open work to another user in one transaction
+   * (transactions need MongoDB to run as a replica set)
+   * @param {Object} user - User document to delete
+   * @param {Object} options - { target: new owner (required when there is open work), actor: admin deleting }
+   * @returns {Promise<Object>} What was moved: { projects, payments, reports }
+   */
+  async softDelete(user, { target = null, actor }) {
+    const session = await mongoose.startSession();
+    let moved;
+
+    try {
+      await session.withTransaction(async () => {
+        moved = { projects: [], payments: [], reports: [] };
+        const queries = this.openWorkQueries(user._id);
+
+        if (target) {
+          const projects = await Project.find(queries.projects).session(session);
+          for (const project of projects) {
+            const roles = this.reassignProject(project, user, target, actor);
+            await project.save({ session });
+            moved.projects.push({
+              _id: project._id,
+              projectNumber: project.projectNumber,
+              projectName: project.projectName,
+              roles,
+            });
+          }
+
+          moved.payments = await Payment.find(queries.payments).select('project amount currency').session(session).lean();
+          await Payment.updateMany(
+            { _id: { $in: moved.payments.map((p) => p._id) } },
+            { $set: { recipient: target._id } },
+            { session }
+          );
+
+          moved.reports = await Report.find(queries.reports).select('project title').session(session).lean();
+          await Report.updateMany(
+            { _id: { $in: moved.reports.map((r) => r._id) } },
+            { $set: { submittedBy: target._id } },
+            { session }
+          );
+        }
+
+        user.deletedAt = new Date();
+        user.deletedBy = actor._id;
+        user.reassignedTo = target?._id;
+        user.isActive = false;
+        await user.save({ session });
+      });
+    } finally {
+      await session.endSession();
+    }
+
+    return moved;
+  }
+
+  /**
+   * Restore a soft-deleted user (work moved at deletion stays with its new owner)
+   * @param {Object} user - User document to restore
+   * @returns {Promise<Object>} The restored user
+   */
+  async restore(user) {
+    user.deletedAt = null;
+    user.deletedBy = undefined;
+    user.reassignedTo = undefined;
+    user.isActive = true;
+    return await user.save();
+  }
+}
+
+// Export singleton instance
+module.exports = new UserDeletionService();
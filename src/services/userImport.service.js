@@ -0,0 +1,213 @@
+const User = require('../models/User');
+const emailService = require('./email.service');
+const invitationService = require('./invitation.service');
+const passwordPolicyService = require('./passwordPolicy.service');
+const permissionService = require('./permission.service');
+const { readSpreadsheet, buildTemplate } = require('../utils/spreadsheet');
+const { ROLES, COUNTRIES } = require('../utils/constants');
+
+// Maximum number of rows accepted in one import
+const IMPORT_LIMIT = 500;
+
+// Accepted headers per field
+const COLUMNS = {
+  fullName: ['Full Name', 'Name'],
+  email: ['Email', 'E-mail', 'Email Address'],
+  role: ['Role'],
+  phone: ['Phone', 'Phone Number', 'Mobile'],
+  organization: ['Organization', 'Company'],
+  country: ['Country'],
+  password: ['Password', 'Temporary Password'],
+};
+const REQUIRED_COLUMNS = ['fullName', 'email'];
+
+// Clients are created from the client details of their projects
+const NON_IMPORTABLE_ROLES = [ROLES.CLIENT];
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Helper: Cell value as a trimmed string
+const text = (value) => (value === undefined || value === null ? '' : String(value).trim());
+
+class UserImportService {
+  getLimit() {
+    return IMPORT_LIMIT;
+  }
+
+  // XLSX template with the accepted columns and an example row
+  async getTemplate() {
+    return await buildTemplate(
+      'Users',
+      [
+        { header: 'Full Name', key: 'fullName', width: 25 },
+        { header: 'Email', key: 'email', width: 30 },
+        { header: 'Role', key: 'role', width: 18 },
+        { header: 'Phone', key: 'phone', width: 18 },
+        { header: 'Organization', key: 'organization', width: 25 },
+        { header: 'Country', key: 'country', width: 18 },
+        { header: 'Password', key: 'password', width: 18 },
+      ],
+      [
+        {
+          fullName: 'Ahmed Ali',
+          email: 'ahmed.ali@example.com',
+          role: ROLES.CONTRACTOR,
+          phone: '+967700000000',
+          organization: 'Ali Drilling Co.',
+          country: COUNTRIES[1],
+          password: '',
+        },
+      ]
+    );
+  }
+
+  /**
+   * Read the rows of an uploaded file
+   * @param {Object} file - Multer file (memory storage)
+   * @returns {Promise<Object>} { rows, missingColumns } (only required columns are reported missing)
+   */
+  async parse(file) {
+    const { rows, missingColumns } = await readSpreadsheet(file, COLUMNS);
+    return {
+      rows,
+      missingColumns: missingColumns.filter((field) => REQUIRED_COLUMNS.includes(field)),
+    };
+  }
+
+  /**
+   * Validate every row and build the dry-run preview
+   * @param {Array} rows - Parsed rows ({ rowNumber, data })
+   * @param {Object} importer - User running the import
+   * @param {Object} options - { defaultRole } role for rows without one
+   * @returns {Promise<Object>} { rows: [{ rowNumber, data, errors }], summary }
+   */
+  async validate(rows, importer, { defaultRole = ROLES.VIEWER } = {}) {
+    const countries = new Map(COUNTRIES.map((country) => [country.toLowerCase(), country]));
+    const emails = rows.map((row) => text(row.data.email).toLowerCase()).filter(Boolean);
+    const existingEmails = new Set(await User.find({ email: { $in: emails } }).distinct('email'));
+    const firstRowByEmail = new Map();
+
+    const results = [];
+    for (const row of rows) {
+      const data = {
+        fullName: text(row.data.fullName),
+        email: text(row.data.email).toLowerCase(),
+        role: (text(row.data.role) || defaultRole).toLowerCase(),
+        phone: text(row.data.phone) || undefined,
+        organization: text(row.data.organization) || undefined,
+        country: text(row.data.country) || undefined,
+        password: text(row.data.password) || undefined,
+      };
+      const errors = [];
+
+      if (!data.fullName) errors.push('Full name is required');
+
+      if (!data.email) {
+        errors.push('Email is required');
+      } else if (!EMAIL_PATTERN.test(data.email)) {
+        errors.push('Invalid email');
+      } else if (existingEmails.has(data.email)) {
+        errors.push('Email already exists');
+      } else if (firstRowByEmail.has(data.email)) {
+        errors.push(`Duplicate email (row ${firstRowByEmail.get(data.email)})`);
+      } else {
+        firstRowByEmail.set(data.email, row.rowNumber);
+      }
+
+      if (!(await permissionService.roleExists(data.role))) {
+        errors.push(`Unknown role: ${data.role}`);
+      } else if (NON_IMPORTABLE_ROLES.includes(data.role)) {
+        errors.push('Clients are created from their projects and cannot be imported');
+      } else if (data.role === ROLES.SUPER_ADMIN && importer.role !== ROLES.SUPER_ADMIN) {
+        errors.push('Only super admins can grant the super admin role');
+      }
+
+      if (data.country) {
+        const country = countries.get(data.country.toLowerCase());
+        if (country) {
+          data.country = country;
+        } else {
+          errors.push(`Unknown country: ${data.country}`);
+        }
+      }
+
+      if (data.password) {
+        errors.push(...(await passwordPolicyService.validate(data.password)));
+      }
+
+      results.push({ rowNumber: row.rowNumber, data, errors });
+    }
+
+    const invalid = results.filter((row) => row.errors.length > 0).length;
+    return {
+      rows: results,
+      summary: {
+        total: results.length,
+        valid: results.length - invalid,
+        invalid,
+        invitations: results.filter((row) => row.errors.length === 0 && !row.data.password).length,
+      },
+    };
+  }
+
+  // Preview rows safe to return to the client (passwords are never echoed back)
+  toPreview(preview) {
+    return {
+      ...preview,
+      rows: preview.rows.map(({ data: { password, ...data }, ...row }) => ({
+        ...row,
+        data: { ...data, hasPassword: !!password },
+      })),
+    };
+  }
+
+  /**
+   * Create the users of valid rows and email them: an invitation link, or a welcome
+   * email with the temporary password when the row set one
+   * @param {Array} rows - Validated rows without errors
+   * @param {Object} importer - User running the import
+   * @param {ObjectId} tenant - Organization the users join
+   * @returns {Promise<Array>} Per-row results
+   */
+  async commit(rows, importer, tenant) {
+    const results = [];
+
+    for (const { rowNumber, data } of rows) {
+      const { password, ...fields } = data;
+      try {
+        const userData = { ...fields, tenant, isActive: true };
+        if (password) {
+          userData.password = password;
+          // Imported passwords are temporary and must be replaced at first login
+          userData.mustChangePassword = true;
+        } else {
+          userData.invitation = { status: 'pending', invitedBy: importer._id };
+        }
+
+        const user = await User.create(userData);
+
+        let emailSent;
+        if (password) {
+          emailSent = await emailService.sendWelcomeEmail(user, password);
+        } else {
+          ({ emailSent } = await invitationService.send(user, importer));
+        }
+
+        results.push({
+          rowNumber,
+          email: user.email,
+          userId: user._id,
+          delivery: password ? 'welcome' : 'invitation',
+          emailSent,
+        });
+      } catch (error) {
+        results.push({ rowNumber, email: data.email, error: error.message });
+      }
+    }
+
+    return results;
+  }
+}
+
+// Export singleton instance
+module.exports = new UserImportService();
@@ -0,0 +1,139 @@
+const Project = require('../models/Project');
+const User = require('../models/User');
+const WaterQualityTest = require('../models/WaterQualityTest');
+const settingsService = require('./settings.service');
+const notificationService = require('./notification.service');
+const emailService = require('./email.service');
+const {
+  DEFAULT_WATER_QUALITY_THRESHOLDS,
+  WATER_TEST_RESULTS,
+  PROJECT_MEMBER_ROLES,
+  ROLES,
+} = require('../utils/constants');
+
+// Mass-concentration units and their factor to mg/L
+const MASS_UNITS = {
+  'mg/l': 1,
+  ppm: 1,
+  'g/l': 1000,
+  'µg/l': 0.001,
+  'μg/l': 0.001,
+  'ug/l': 0.001,
+  ppb: 0.001,
+};
+
+// Helper: Unit key for comparison (case and spacing ignored)
+const unitKey = (unit) => String(unit || '').replace(/\s+/g, '').toLowerCase();
+
+// Helper: Convert a value to the threshold unit (null when the units are not comparable)
+const convert = (value, unit, targetUnit) => {
+  const from = unitKey(unit);
+  const to = unitKey(targetUnit);
+  if (!from || from === to) return value;
+  // Rounded so that e.g. 10 µg/L compares equal to a 0.01 mg/L limit
+  if (MASS_UNITS[from] && MASS_UNITS[to]) return Number(((value * MASS_UNITS[from]) / MASS_UNITS[to]).toPrecision(12));
+  return null;
+};
+
+class WaterQualityService {
+  /**
+   * Thresholds of an organization: the defaults with the 'water_quality_thresholds'
+   * setting applied per parameter (a setting may also add parameters)
+   * @param {ObjectId} tenant - Organization
+   * @returns {Promise<Object>} { [parameter]: { label, unit, min, max } }
+   */
+  async getThresholds(tenant = null) {
+    const configured = (await settingsService.get('water_quality_thresholds', {}, tenant)) || {};
+    const thresholds = { ...DEFAULT_WATER_QUALITY_THRESHOLDS };
+    Object.entries(configured).forEach(([parameter, limits]) => {
+      const key = parameter.toLowerCase();
+      thresholds[key] = { ...thresholds[key], ...limits };
+    });
+    return thresholds;
+  }
+
+  /**
+   * Evaluate measured parameters against thresholds
+   * @param {Array} parameters - [{ parameter, value, unit }]
+   * @param {Object} thresholds - Result of getThresholds
+   * @returns {Object} { parameters, result, failedParameters }
+   */
+  evaluate(parameters, thresholds) {
+    const evaluated = parameters.map(({ parameter, value, unit }) => {
+      const key = String(parameter).trim().toLowerCase();
+      const entry = { parameter: key, value: Number(value), unit };
+      const threshold = thresholds[key];
+      if (!threshold) return { ...entry, result: 'not_evaluated' };
+
+      const { min, max, unit: thresholdUnit } = threshold;
+      const measured = convert(entry.value, unit, thresholdUnit);
+      const limits = { min, max, thresholdUnit, unit: unit || thresholdUnit };
+      if (measured === null || !Number.isFinite(measured)) return { ...entry, ...limits, result: 'not_evaluated' };
+
+      const pass = (min === undefined || measured >= min) && (max === undefined || measured <= max);
+      return { ...entry, ...limits, result: pass ? 'pass' : 'fail' };
+    });
+
+    const failedParameters = evaluated.filter((p) => p.result === 'fail').map((p) => p.parameter);
+    let result = WATER_TEST_RESULTS.INCONCLUSIVE;
+    if (failedParameters.length > 0) result = WATER_TEST_RESULTS.FAIL;
+    else if (evaluated.some((p) => p.result === 'pass')) result = WATER_TEST_RESULTS.PASS;
+
+    return { parameters: evaluated, result, failedParameters };
+  }
+
+  /**
+   * Keep the project's latest-test summary in line with its test history
+   * @param {ObjectId} projectId - Project
+   * @returns {Promise<Object|null>} Latest test
+   */
+  async syncProjectSummary(projectId) {
+    const latest = await WaterQualityTest.findOne({ project: projectId })
+      .sort({ sampleDate: -1, createdAt: -1 })
+      .select('result sampleDate')
+      .lean();
+
+    await Project.updateOne(
+      { _id: projectId },
+      latest
+        ? { $set: { latestWaterTest: { test: latest._id, result: latest.result, sampleDate: latest.sampleDate } } }
+        : { $unset: { latestWaterTest: 1 } }
+    );
+    return latest;
+  }
+
+  /**
+   * Alert the project managers and the organization's admins about a failed test
+   * (failures are logged; the test is already saved)
+   * @param {Object} test - Water quality test
+   * @param {Object} project - Project document
+   */
+  async notifyFailure(test, project) {
+    try {
+      const managerIds = project.members
+        .filter((m) => m.role === PROJECT_MEMBER_ROLES.PROJECT_MANAGER)
+        .map((m) => m.user?._id || m.user);
+
+      const recipients = await User.find({
+        isActive: true,
+        deletedAt: null,
+        $or: [{ _id: { $in: managerIds } }, { role: ROLES.ADMIN, tenant: project.tenant || null }],
+      }).select('fullName email');
+
+      if (recipients.length === 0) return;
+
+      await notificationService.notifyWaterQualityFailure(
+        recipients.map((u) => u._id),
+        project,
+        test
+      );
+
+      await Promise.all(recipients.map((user) => emailService.sendWaterQualityFailureEmail(user, project, test)));
+    } catch (error) {
+      console.error('Water quality alert error:', error);
+    }
+  }
+}
+
+// Export singleton instance
+module.exports = new WaterQualityService();
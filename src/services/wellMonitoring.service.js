@@ -0,0 +1,114 @@
+const Project = require('../models/Project');
+const WellInspection = require('../models/WellInspection');
+const RepairTicket = require('../models/RepairTicket');
+const settingsService = require('./settings.service');
+const {
+  PROJECT_STATUS,
+  WELL_FUNCTIONALITY,
+  INSPECTION_STATUS,
+  REPAIR_TICKET_STATUS,
+  DEFAULT_INSPECTION_INTERVAL_MONTHS,
+} = require('../utils/constants');
+
+// Repair tickets still being worked on
+const OPEN_TICKET_STATUSES = [REPAIR_TICKET_STATUS.OPEN, REPAIR_TICKET_STATUS.IN_PROGRESS];
+
+// Helper: Date a number of months later
+const addMonths = (date, months) => {
+  const result = new Date(date);
+  result.setMonth(result.getMonth() + months);
+  return result;
+};
+
+class WellMonitoringService {
+  getOpenTicketStatuses() {
+    return OPEN_TICKET_STATUSES;
+  }
+
+  // Months between inspections for an organization
+  async getInspectionInterval(tenant = null) {
+    const months = Number(
+      await settingsService.get('well_inspection_interval_months', DEFAULT_INSPECTION_INTERVAL_MONTHS, tenant)
+    );
+    return months > 0 ? months : DEFAULT_INSPECTION_INTERVAL_MONTHS;
+  }
+
+  /**
+   * Whether a project is a handed-over well (completed, or archived after completion)
+   * @param {Object} project - Project document
+   * @returns {Boolean}
+   */
+  isMonitored(project) {
+    return (
+      project.status === PROJECT_STATUS.COMPLETED ||
+      (project.status === PROJECT_STATUS.ARCHIVED && !!project.actualEndDate)
+    );
+  }
+
+  // Mongo filter matching handed-over wells (same rule as isMonitored)
+  monitoredFilter() {
+    return {
+      $or: [
+        { status: PROJECT_STATUS.COMPLETED },
+        { status: PROJECT_STATUS.ARCHIVED, actualEndDate: { $ne: null } },
+      ],
+    };
+  }
+
+  /**
+   * Recompute a well's monitoring summary from its inspections and repairs:
+   * functionality comes from the latest completed inspection or resolved repair
+   * (working at handover when there are none), the next inspection is the earliest
+   * scheduled visit or one interval after the last inspection (or handover)
+   * @param {ObjectId} projectId - Project
+   * @returns {Promise<Object|null>} Monitoring summary
+   */
+  async syncProjectMonitoring(projectId) {
+    const project = await Project.findById(projectId).select('tenant status actualEndDate').lean();
+    if (!project || !this.isMonitored(project)) return null;
+
+    const [lastInspection, lastRepair, nextScheduled] = await Promise.all([
+      WellInspection.findOne({ project: projectId, status: INSPECTION_STATUS.COMPLETED })
+        .sort({ inspectedAt: -1 })
+        .select('inspectedAt functionality')
+        .lean(),
+      RepairTicket.findOne({
+        project: projectId,
+        status: { $in: [REPAIR_TICKET_STATUS.RESOLVED, REPAIR_TICKET_STATUS.CLOSED] },
+        functionalityAfter: { $ne: null },
+      })
+        .sort({ resolvedAt: -1 })
+        .select('resolvedAt functionalityAfter')
+        .lean(),
+      WellInspection.findOne({ project: projectId, status: INSPECTION_STATUS.SCHEDULED })
+        .sort({ scheduledDate: 1 })
+        .select('scheduledDate')
+        .lean(),
+    ]);
+
+    const handedOverAt = project.actualEndDate || null;
+    let functionality = WELL_FUNCTIONALITY.WORKING;
+    let functionalityUpdatedAt = handedOverAt;
+    if (lastInspection) {
+      functionality = lastInspection.functionality;
+      functionalityUpdatedAt = lastInspection.inspectedAt;
+    }
+    if (lastRepair && (!functionalityUpdatedAt || lastRepair.resolvedAt > functionalityUpdatedAt)) {
+      functionality = lastRepair.functionalityAfter;
+      functionalityUpdatedAt = lastRepair.resolvedAt;
+    }
+
+    const lastInspectionAt = lastInspection?.inspectedAt || null;
+    let nextInspectionDue = nextScheduled?.scheduledDate || null;
+    if (!nextInspectionDue && (lastInspectionAt || handedOverAt)) {
+      nextInspectionDue = addMonths(lastInspectionAt || handedOverAt, await this.getInspectionInterval(project.tenant));
+    }
+
+    const monitoring = { functionality, functionalityUpdatedAt, lastInspectionAt, nextInspectionDue };
+    await Project.updateOne({ _id: projectId }, { $set: { monitoring } });
+    return monitoring;
+  }
+}
+
+// Export singleton instance
+module.exports = new WellMonitoringService();
@@ -0,0 +1,113 @@
+const mongoose = require('mongoose');
+
+// Fields whose values must never be written to the audit trail
+const SENSITIVE_FIELDS = [
+  'password',
+  'currentPassword',
+  'newPassword',
+  'passwordResetToken',
+  'passwordResetExpires',
+  'secret',
+  'pendingSecret',
+  'recoveryCodes',
+  'refreshToken',
+  'twoFactorToken',
+  'code',
+  'recoveryCode',
+];
+
+// Bookkeeping fields that change on every save and carry no meaning in a diff
+const IGNORED_FIELDS = ['__v', 'updatedAt'];
+
+const REDACTED = '[REDACTED]';
+
+const isPlainObject = (value) =>
+  value !== null &&
+  typeof value === 'object' &&
+  !Array.isArray(value) &&
+  !(value instanceof Date) &&
+  !(value instanceof mongoose.Types.ObjectId) &&
+  !Buffer.isBuffer(value);
+
+const isSensitive = (field) => SENSITIVE_FIELDS.includes(field.split('.').pop());
+
+// Convert ObjectIds and Dates to strings so snapshots compare and serialize cleanly
+const normalize = (value) => {
+  if (value === null || value === undefined) return value;
+  if (value instanceof mongoose.Types.ObjectId) return value.toString();
+  if (value instanceof Date) return value.toISOString();
+  if (Array.isArray(value)) return value.map(normalize);
+  if (isPlainObject(value)) {
+    const result = {};
+    Object.keys(value).forEach((key) => {
+      result[key] = normalize(value[key]);
+    });
+    return result;
+  }
+  return value;
+};
+
+// Replace sensitive values (at any depth) with a placeholder
+const redact = (value) => {
+  if (Array.isArray(value)) return value.map(redact);
+  if (isPlainObject(value)) {
+    const result = {};
+    Object.keys(value).forEach((key) => {
+      result[key] = SENSITIVE_FIELDS.includes(key) ? REDACTED : redact(value[key]);
+    });
+    return result;
+  }
+  return value;
+};
+
+// Flatten nested objects to dot-notation paths (arrays are compared as a whole)
+const flatten = (value, prefix = '', out = {}) => {
+  if (!isPlainObject(value)) {
+    if (prefix) out[prefix] = value;
+    return out;
+  }
+  Object.keys(value).forEach((key) => {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (IGNORED_FIELDS.includes(path)) return;
+    flatten(value[key], path, out);
+  });
+  return out;
+};
+
+/**
+ * Build a redacted snapshot of a document suitable for storing in an audit entry
+ * @param {Object|null} doc - Mongoose document or lean object
+ * @returns {Object|null} Normalized, redacted snapshot
+ */
+const snapshot = (doc) => {
+  if (!doc) return null;
+  const obj = doc.toObject ? doc.toObject() : doc;
+  return redact(normalize(obj));
+};
+
+/**
+ * Compute a per-field diff between two document states
+ * @param {Object|null} before - Document before the change
+ * @param {Object|null} after - Document after the change
+ * @returns {Array<{field: String, before: *, after: *}>} Changed fields
+ */
+const diffSnapshots = (before, after) => {
+  const beforeFlat = flatten(normalize(before?.toObject ? before.toObject() : before) || {});
+  const afterFlat = flatten(normalize(after?.toObject ? after.toObject() : after) || {});
+  const fields = [...new Set([...Object.keys(beforeFlat), ...Object.keys(afterFlat)])].sort();
+
+  return fields
+    .filter((field) => JSON.stringify(beforeFlat[field]) !== JSON.stringify(afterFlat[field]))
+    .map((field) => ({
+      field,
+      before: isSensitive(field) && beforeFlat[field] !== undefined ? REDACTED : redact(beforeFlat[field]),
+      after: isSensitive(field) && afterFlat[field] !== undefined ? REDACTED : redact(afterFlat[field]),
+    }));
+};
+
+module.exports = {
+  SENSITIVE_FIELDS,
+  redact,
+  snapshot,
+  diffSnapshots,
+};
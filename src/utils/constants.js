@@ -8,12 +8,13 @@ const ROLES = {
   CLIENT: 'client',
 };
 
-// Role Permissions Map
+// Built-in role permissions (seeded into the roles collection, which is the source of truth at runtime)
 const PERMISSIONS = {
   [ROLES.SUPER_ADMIN]: [
     'manage_all',
     'manage_users',
     'manage_roles',
+    'manage_organizations',
     'manage_projects',
     'manage_reports',
     'manage_settings',
@@ -52,6 +53,44 @@ const PERMISSIONS = {
   ],
 };
 
+// Built-in permission implications (a role holding the key also holds every listed permission)
+// '*' grants every permission
+const PERMISSION_IMPLICATIONS = {
+  manage_all: ['*'],
+  manage_projects: ['view_projects', 'create_project', 'edit_project'],
+  manage_reports: ['view_reports', 'submit_reports', 'edit_own_reports', 'review_reports', 'approve_reports'],
+};
+
+// Login lockout policy (lock duration doubles with each consecutive lockout)
+const LOGIN_LOCKOUT = {
+  MAX_ATTEMPTS: 5,
+  BASE_DURATION_MINUTES: 15,
+  MAX_DURATION_MINUTES: 24 * 60,
+};
+
+// Default password policy (overridable via the 'password_policy' setting)
+const DEFAULT_PASSWORD_POLICY = {
+  minLength: 8,
+  requireUppercase: true,
+  requireLowercase: true,
+  requireNumber: true,
+  requireSymbol: false,
+  maxAgeDays: 0, // 0 = passwords never expire
+  historyDepth: 5, // Number of recent passwords that cannot be reused
+};
+
+// Upper bound on stored password hashes, regardless of the configured history depth
+const PASSWORD_HISTORY_LIMIT = 24;
+
+// Per-project team roles
+const PROJECT_MEMBER_ROLES = {
+  LEAD_CONTRACTOR: 'lead_contractor',
+  SUBCONTRACTOR: 'subcontractor',
+  SUPERVISOR: 'supervisor',
+  PROJECT_MANAGER: 'project_manager',
+  OBSERVER: 'observer',
+};
+
 // Project Status
 const PROJECT_STATUS = {
   PLANNED: 'planned',
@@ -62,6 +101,28 @@ const PROJECT_STATUS = {
   ARCHIVED: 'archived',
 };
 
+// Project status rules (overridable via the 'project_status_rules' setting):
+// allowed transitions, target statuses that need a reason and completion requirements
+const DEFAULT_PROJECT_STATUS_RULES = {
+  transitions: {
+    planned: ['in_progress', 'on_hold', 'cancelled'],
+    in_progress: ['on_hold', 'completed', 'cancelled'],
+    on_hold: ['planned', 'in_progress', 'cancelled'],
+    completed: ['archived'],
+    cancelled: ['archived'],
+    archived: [],
+  },
+  reasonRequired: ['on_hold', 'cancelled'],
+  completion: {
+    approvedFinalReport: true,
+    waterQualityResult: true,
+  },
+};
+
+// Distance in meters within which an existing well is reported as a possible duplicate site
+// (overridable via the 'duplicate_site_distance_meters' setting)
+const DEFAULT_DUPLICATE_SITE_DISTANCE_METERS = 500;
+
 // Report Status
 const REPORT_STATUS = {
   DRAFT: 'draft',
@@ -80,6 +141,89 @@ const REPORT_TYPES = {
   FINAL: 'final',
 };
 
+// Project milestones (phases of a well project, in execution order)
+const MILESTONE_TYPES = {
+  SURVEY: 'survey',
+  PERMITS: 'permits',
+  DRILLING: 'drilling',
+  CASING: 'casing',
+  PUMP_INSTALLATION: 'pump_installation',
+  WATER_TEST: 'water_test',
+  HANDOVER: 'handover',
+};
+
+// Milestone Status
+const MILESTONE_STATUS = {
+  PENDING: 'pending',
+  IN_PROGRESS: 'in_progress',
+  COMPLETED: 'completed',
+  SKIPPED: 'skipped',
+};
+
+// Default share of each milestone in project progress (sums to 100)
+const DEFAULT_MILESTONE_WEIGHTS = {
+  survey: 5,
+  permits: 5,
+  drilling: 35,
+  casing: 20,
+  pump_installation: 15,
+  water_test: 10,
+  handover: 10,
+};
+
+// Water quality parameters with WHO-style drinking water limits (overridable via the
+// 'water_quality_thresholds' setting); a parameter passes when min <= value <= max
+const DEFAULT_WATER_QUALITY_THRESHOLDS = {
+  ph: { label: 'pH', unit: 'pH', min: 6.5, max: 8.5 },
+  tds: { label: 'Total dissolved solids', unit: 'mg/L', max: 1000 },
+  turbidity: { label: 'Turbidity', unit: 'NTU', max: 5 },
+  e_coli: { label: 'E. coli', unit: 'CFU/100mL', max: 0 },
+  total_coliforms: { label: 'Total coliforms', unit: 'CFU/100mL', max: 0 },
+  nitrate: { label: 'Nitrate (as NO3)', unit: 'mg/L', max: 50 },
+  nitrite: { label: 'Nitrite (as NO2)', unit: 'mg/L', max: 3 },
+  arsenic: { label: 'Arsenic', unit: 'mg/L', max: 0.01 },
+  fluoride: { label: 'Fluoride', unit: 'mg/L', max: 1.5 },
+  lead: { label: 'Lead', unit: 'mg/L', max: 0.01 },
+  manganese: { label: 'Manganese', unit: 'mg/L', max: 0.08 },
+  iron: { label: 'Iron', unit: 'mg/L', max: 0.3 },
+  chloride: { label: 'Chloride', unit: 'mg/L', max: 250 },
+  sulfate: { label: 'Sulfate', unit: 'mg/L', max: 250 },
+};
+
+// Water quality test outcome
+const WATER_TEST_RESULTS = {
+  PASS: 'pass',
+  FAIL: 'fail',
+  INCONCLUSIVE: 'inconclusive',
+};
+
+// Functionality of a handed-over well
+const WELL_FUNCTIONALITY = {
+  WORKING: 'working',
+  PARTIALLY_WORKING: 'partially_working',
+  BROKEN: 'broken',
+};
+
+// Inspection visit status
+const INSPECTION_STATUS = {
+  SCHEDULED: 'scheduled',
+  COMPLETED: 'completed',
+  MISSED: 'missed',
+  CANCELLED: 'cancelled',
+};
+
+// Repair ticket status
+const REPAIR_TICKET_STATUS = {
+  OPEN: 'open',
+  IN_PROGRESS: 'in_progress',
+  RESOLVED: 'resolved',
+  CLOSED: 'closed',
+};
+
+// Months between inspections of a handed-over well (overridable via the
+// 'well_inspection_interval_months' setting)
+const DEFAULT_INSPECTION_INTERVAL_MONTHS = 6;
+
 // Notification Types
 const NOTIFICATION_TYPES = {
   PROJECT_ASSIGNED: 'project_assigned',
@@ -92,8 +236,36 @@ const NOTIFICATION_TYPES = {
   PAYMENT_REQUESTED: 'payment_requested',
   PAYMENT_APPROVED: 'payment_approved',
   PAYMENT_REJECTED: 'payment_rejected',
+  DOCUMENT_EXPIRING: 'document_expiring',
+  DOCUMENT_EXPIRED: 'document_expired',
+  WATER_QUALITY_FAILED: 'water_quality_failed',
+};
+
+// Contractor licence and certification document types
+const CONTRACTOR_DOCUMENT_TYPES = {
+  DRILLING_LICENSE: 'drilling_license',
+  BUSINESS_REGISTRATION: 'business_registration',
+  TAX_CERTIFICATE: 'tax_certificate',
+  HEALTH_SAFETY_CERTIFICATE: 'health_safety_certificate',
+  ENVIRONMENTAL_PERMIT: 'environmental_permit',
+  PROFESSIONAL_CERTIFICATION: 'professional_certification',
+  OTHER: 'other',
 };
 
+// Contractor documents required for project assignment (overridable via the
+// 'contractor_mandatory_documents' setting)
+const DEFAULT_MANDATORY_CONTRACTOR_DOCUMENTS = [
+  CONTRACTOR_DOCUMENT_TYPES.DRILLING_LICENSE,
+  CONTRACTOR_DOCUMENT_TYPES.BUSINESS_REGISTRATION,
+];
+
+// Days before expiry at which contractors and admins are reminded (overridable via the
+// 'document_expiry_reminder_days' setting)
+const DEFAULT_DOCUMENT_EXPIRY_REMINDER_DAYS = [30, 7];
+
+// Contractor equipment categories
+const EQUIPMENT_TYPES = ['drilling_rig', 'compressor', 'mud_pump', 'support_truck', 'test_pump', 'generator', 'other'];
+
 // Countries (example list - expand as needed)
 const COUNTRIES = [
   'Saudi Arabia',
@@ -112,17 +284,37 @@ const COUNTRIES = [
 const FILE_TYPES = {
   IMAGE: ['image/jpeg', 'image/png', 'image/jpg'],
   DOCUMENT: ['application/pdf', 'application/msword', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
-  SPREADSHEET: ['application/vnd.ms-excel', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'],
+  SPREADSHEET: ['application/vnd.ms-excel', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', 'text/csv'],
   VIDEO: ['video/mp4', 'video/mpeg', 'video/quicktime'],
 };
 
 module.exports = {
   ROLES,
   PERMISSIONS,
+  PERMISSION_IMPLICATIONS,
+  LOGIN_LOCKOUT,
+  DEFAULT_PASSWORD_POLICY,
+  PASSWORD_HISTORY_LIMIT,
+  PROJECT_MEMBER_ROLES,
   PROJECT_STATUS,
+  DEFAULT_PROJECT_STATUS_RULES,
+  DEFAULT_DUPLICATE_SITE_DISTANCE_METERS,
   REPORT_STATUS,
   REPORT_TYPES,
+  MILESTONE_TYPES,
+  MILESTONE_STATUS,
+  DEFAULT_MILESTONE_WEIGHTS,
+  DEFAULT_WATER_QUALITY_THRESHOLDS,
+  WATER_TEST_RESULTS,
+  WELL_FUNCTIONALITY,
+  INSPECTION_STATUS,
+  REPAIR_TICKET_STATUS,
+  DEFAULT_INSPECTION_INTERVAL_MONTHS,
   NOTIFICATION_TYPES,
+  CONTRACTOR_DOCUMENT_TYPES,
+  DEFAULT_MANDATORY_CONTRACTOR_DOCUMENTS,
+  DEFAULT_DOCUMENT_EXPIRY_REMINDER_DAYS,
+  EQUIPMENT_TYPES,
   COUNTRIES,
   FILE_TYPES,
 };
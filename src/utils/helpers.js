@@ -1,42 +1,4 @@
-const { PERMISSIONS } = require('./constants');
-
-// Check if user has permission
-const hasPermission = (userRole, requiredPermission) => {
-  const rolePermissions = PERMISSIONS[userRole] || [];
-
-  // Super admin with manage_all has all permissions
-  if (rolePermissions.includes('manage_all')) {
-    return true;
-  }
-
-  // Check exact permission match
-  if (rolePermissions.includes(requiredPermission)) {
-    return true;
-  }
-
-  // Check if manage permission includes the required permission
-  // manage_projects includes: view_projects, create_project, edit_project
-  if (requiredPermission.startsWith('view_projects') ||
-    requiredPermission === 'create_project' ||
-    requiredPermission === 'edit_project') {
-    if (rolePermissions.includes('manage_projects')) {
-      return true;
-    }
-  }
-
-  // manage_reports includes: view_reports, submit_reports, edit_own_reports, review_reports, approve_reports
-  if (requiredPermission.startsWith('view_reports') ||
-    requiredPermission === 'submit_reports' ||
-    requiredPermission === 'edit_own_reports' ||
-    requiredPermission === 'review_reports' ||
-    requiredPermission === 'approve_reports') {
-    if (rolePermissions.includes('manage_reports')) {
-      return true;
-    }
-  }
-
-  return false;
-};
+const crypto = require('crypto');
 
 // Format error response
 const errorResponse = (res, statusCode, message, errors = null) => {
@@ -56,10 +18,14 @@ const successResponse = (res, statusCode, message, data = null) => {
   });
 };
 
-// Sanitize user data (remove password)
+// Sanitize user data (remove password and other secrets)
 const sanitizeUser = (user) => {
   const userObj = user.toObject ? user.toObject() : user;
-  const { password, ...sanitized } = userObj;
+  const { password, passwordHistory, passwordResetToken, passwordResetExpires, ...sanitized } = userObj;
+  if (sanitized.twoFactor) {
+    const { secret, pendingSecret, recoveryCodes, lastUsedStep, ...twoFactor } = sanitized.twoFactor;
+    sanitized.twoFactor = twoFactor;
+  }
   return sanitized;
 };
 
@@ -70,21 +36,36 @@ const paginate = (page = 1, limit = 10) => {
 };
 
 // Generate random password
-const generatePassword = () => {
-  const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789!@#$%';
-  let password = '';
-  for (let i = 0; i < 12; i++) {
-    password += chars.charAt(Math.floor(Math.random() * chars.length));
+const generatePassword = (length = 12) => {
+  const classes = ['ABCDEFGHIJKLMNOPQRSTUVWXYZ', 'abcdefghijklmnopqrstuvwxyz', '0123456789', '!@#$%'];
+  const chars = classes.join('');
+  const pick = (set) => set.charAt(crypto.randomInt(set.length));
+
+  // One character from every class, so any password policy is satisfied
+  const password = classes.map(pick);
+  while (password.length < length) {
+    password.push(pick(chars));
+  }
+
+  // Shuffle so the guaranteed characters are not always in front
+  for (let i = password.length - 1; i > 0; i--) {
+    const j = crypto.randomInt(i + 1);
+    [password[i], password[j]] = [password[j], password[i]];
   }
-  return password;
+  return password.join('');
 };
 
+// Whether a MongoDB error comes from starting a transaction on a standalone server
+// (transactions need a replica set or a sharded cluster)
+const isTransactionUnsupported = (error) =>
+  error?.code === 20 && /Transaction numbers are only allowed/i.test(error.message || '');
+
 module.exports = {
-  hasPermission,
   errorResponse,
   successResponse,
   sanitizeUser,
   paginate,
   generatePassword,
+  isTransactionUnsupported,
 };
 
@@ -0,0 +1,59 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Project = require('../models/Project');
+const Session = require('../models/Session');
+const clientService = require('../services/client.service');
+
+const connectDB = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+    console.log('✅ MongoDB Connected');
+  } catch (error) {
+    console.error('❌ MongoDB Connection Error:', error.message);
+    process.exit(1);
+  }
+};
+
+// Create client accounts for existing projects and link them
+const migrate = async () => {
+  try {
+    await connectDB();
+
+    // The email index must become sparse now that clients may have no email
+    await User.syncIndexes();
+    console.log('✅ User indexes synchronized');
+
+    const projects = await Project.find({ 'client.phone': { $exists: true, $ne: '' } });
+    let linked = 0;
+    const clientIds = new Set();
+
+    for (const project of projects) {
+      const client = await clientService.syncProjectClient(project);
+      if (!client) continue;
+
+      await project.save();
+      clientIds.add(client._id.toString());
+      linked++;
+    }
+    console.log(`✅ Linked ${linked} projects to ${clientIds.size} client accounts`);
+
+    // Sessions from the old phone-based client login have no user and can no longer be used
+    const result = await Session.updateMany(
+      { user: null, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: 'client_migration' }
+    );
+    console.log(`✅ Revoked ${result.modifiedCount} legacy client sessions`);
+
+    console.log('\n🎉 Client migration completed!\n');
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Migration error:', error);
+    process.exit(1);
+  }
+};
+
+migrate();
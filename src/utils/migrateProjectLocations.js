@@ -0,0 +1,62 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Project = require('../models/Project');
+
+const connectDB = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+    console.log('✅ MongoDB Connected');
+  } catch (error) {
+    console.error('❌ MongoDB Connection Error:', error.message);
+    process.exit(1);
+  }
+};
+
+// Store the latitude / longitude of existing projects as GeoJSON points and build the 2dsphere index
+const migrate = async () => {
+  try {
+    await connectDB();
+
+    const projects = await Project.find({
+      'location.latitude': { $type: 'number' },
+      'location.longitude': { $type: 'number' },
+      'location.point': { $exists: false },
+    })
+      .select('projectNumber location')
+      .lean();
+    let updated = 0;
+    const invalid = [];
+
+    for (const project of projects) {
+      const { latitude, longitude } = project.location;
+      if (Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+        invalid.push(project.projectNumber);
+        continue;
+      }
+
+      await Project.updateOne(
+        { _id: project._id },
+        { $set: { 'location.point': { type: 'Point', coordinates: [longitude, latitude] } } }
+      );
+      updated++;
+    }
+    console.log(`✅ Added GeoJSON points to ${updated} of ${projects.length} projects`);
+    if (invalid.length > 0) {
+      console.log(`⚠️  Skipped ${invalid.length} project(s) with out-of-range coordinates: ${invalid.join(', ')}`);
+    }
+
+    await Project.createIndexes();
+    console.log('✅ Project indexes created');
+
+    console.log('\n🎉 Project location migration completed!\n');
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Migration error:', error);
+    process.exit(1);
+  }
+};
+
+migrate();
@@ -0,0 +1,54 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Project = require('../models/Project');
+const { PROJECT_MEMBER_ROLES } = require('./constants');
+
+const connectDB = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+    console.log('✅ MongoDB Connected');
+  } catch (error) {
+    console.error('❌ MongoDB Connection Error:', error.message);
+    process.exit(1);
+  }
+};
+
+// Add the existing contractor / project manager of every project to its team
+const migrate = async () => {
+  try {
+    await connectDB();
+
+    const projects = await Project.find({
+      $or: [{ contractor: { $ne: null } }, { projectManager: { $ne: null } }],
+    });
+    let updated = 0;
+
+    for (const project of projects) {
+      const before = project.members.length;
+
+      if (project.contractor && !project.hasMember(project.contractor)) {
+        project.setMemberRole(project.contractor, PROJECT_MEMBER_ROLES.LEAD_CONTRACTOR);
+      }
+      if (project.projectManager && !project.hasMember(project.projectManager)) {
+        project.setMemberRole(project.projectManager, PROJECT_MEMBER_ROLES.PROJECT_MANAGER);
+      }
+
+      if (project.members.length !== before) {
+        await project.save();
+        updated++;
+      }
+    }
+    console.log(`✅ Added team members to ${updated} of ${projects.length} projects`);
+
+    console.log('\n🎉 Project member migration completed!\n');
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Migration error:', error);
+    process.exit(1);
+  }
+};
+
+migrate();
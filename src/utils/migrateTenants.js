@@ -0,0 +1,88 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Organization = require('../models/Organization');
+const User = require('../models/User');
+const Project = require('../models/Project');
+const Report = require('../models/Report');
+const Payment = require('../models/Payment');
+const Message = require('../models/Message');
+const Settings = require('../models/Settings');
+const AuditLog = require('../models/AuditLog');
+const organizationService = require('../services/organization.service');
+const { ROLES } = require('./constants');
+
+const connectDB = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+    console.log('✅ MongoDB Connected');
+  } catch (error) {
+    console.error('❌ MongoDB Connection Error:', error.message);
+    process.exit(1);
+  }
+};
+
+// Helper: Give records without an organization the organization of a related record
+const inheritTenant = async (Model, localField, FromModel) => {
+  const records = await Model.find({ tenant: null, [localField]: { $ne: null } }).select(localField).lean();
+  const sourceIds = [...new Set(records.map((r) => r[localField].toString()))];
+  const sources = await FromModel.find({ _id: { $in: sourceIds }, tenant: { $ne: null } }).select('tenant').lean();
+
+  let updated = 0;
+  for (const source of sources) {
+    const result = await Model.updateMany(
+      { tenant: null, [localField]: source._id },
+      { $set: { tenant: source.tenant } }
+    );
+    updated += result.modifiedCount;
+  }
+  return updated;
+};
+
+// Move the shared data pool into a default organization
+// Usage: npm run migrate:tenants -- "Organization name"
+const migrate = async () => {
+  try {
+    await connectDB();
+
+    // Settings keys are now unique per organization
+    await Settings.syncIndexes();
+    console.log('✅ Settings indexes updated');
+
+    const name = process.argv[2] || process.env.DEFAULT_ORGANIZATION_NAME || 'Default Organization';
+    const slug = organizationService.slugify(name) || 'default';
+
+    let organization = await Organization.findOne({ slug });
+    if (!organization) {
+      organization = await Organization.create({ name, slug });
+      console.log(`✅ Created organization "${name}" (${slug})`);
+    } else {
+      console.log(`ℹ️  Using existing organization "${organization.name}" (${slug})`);
+    }
+
+    // Super admins stay platform-wide
+    const users = await User.updateMany(
+      { tenant: null, role: { $ne: ROLES.SUPER_ADMIN } },
+      { $set: { tenant: organization._id } }
+    );
+    console.log(`✅ Assigned ${users.modifiedCount} users`);
+
+    const projects = await Project.updateMany({ tenant: null }, { $set: { tenant: organization._id } });
+    console.log(`✅ Assigned ${projects.modifiedCount} projects`);
+
+    console.log(`✅ Assigned ${await inheritTenant(Report, 'project', Project)} reports`);
+    console.log(`✅ Assigned ${await inheritTenant(Payment, 'project', Project)} payments`);
+    console.log(`✅ Assigned ${await inheritTenant(Message, 'sender', User)} messages`);
+    console.log(`✅ Assigned ${await inheritTenant(AuditLog, 'user', User)} audit log entries`);
+
+    console.log('\n🎉 Organization migration completed!\n');
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Migration error:', error);
+    process.exit(1);
+  }
+};
+
+migrate();
@@ -128,8 +128,8 @@ const generateProjects = async (users) => {
       region,
       city,
       location: {
-        latitude: randomInt(-90, 90) + Math.random(),
-        longitude: randomInt(-180, 180) + Math.random(),
+        latitude: randomInt(-90, 89) + Math.random(),
+        longitude: randomInt(-180, 179) + Math.random(),
         address: `${randomInt(1, 999)} Main Street, ${city}, ${country}`,
       },
       status,
@@ -2,7 +2,17 @@ require('dotenv').config();
 const mongoose = require('mongoose');
 const User = require('../models/User');
 const Settings = require('../models/Settings');
-const { ROLES } = require('./constants');
+const permissionService = require('../services/permission.service');
+const {
+  ROLES,
+  DEFAULT_PASSWORD_POLICY,
+  DEFAULT_MANDATORY_CONTRACTOR_DOCUMENTS,
+  DEFAULT_DOCUMENT_EXPIRY_REMINDER_DAYS,
+  DEFAULT_PROJECT_STATUS_RULES,
+  DEFAULT_DUPLICATE_SITE_DISTANCE_METERS,
+  DEFAULT_WATER_QUALITY_THRESHOLDS,
+  DEFAULT_INSPECTION_INTERVAL_MONTHS,
+} = require('./constants');
 
 const connectDB = async () => {
   try {
@@ -21,6 +31,10 @@ const seed = async () => {
   try {
     await connectDB();
 
+    // Create built-in roles and permissions
+    await permissionService.ensureDefaults();
+    console.log('✅ Roles and permissions created');
+
     // Create Super Admin
     const superAdminExists = await User.findOne({ role: ROLES.SUPER_ADMIN });
     if (!superAdminExists) {
@@ -87,11 +101,67 @@ const seed = async () => {
         description: 'Email notifications status',
         isPublic: true,
       },
+      {
+        key: 'two_factor_required_roles',
+        value: [],
+        category: 'security',
+        description: 'Roles that must use two-factor authentication',
+        isPublic: false,
+      },
+      {
+        key: 'password_policy',
+        value: DEFAULT_PASSWORD_POLICY,
+        category: 'security',
+        description: 'Password length, character classes, maximum age and reuse history',
+        isPublic: true,
+      },
+      {
+        key: 'contractor_mandatory_documents',
+        value: DEFAULT_MANDATORY_CONTRACTOR_DOCUMENTS,
+        category: 'contractors',
+        description: 'Contractor document types that must not be expired for project assignment',
+        isPublic: false,
+      },
+      {
+        key: 'document_expiry_reminder_days',
+        value: DEFAULT_DOCUMENT_EXPIRY_REMINDER_DAYS,
+        category: 'contractors',
+        description: 'Days before expiry at which contractor document reminders are sent',
+        isPublic: false,
+      },
+      {
+        key: 'project_status_rules',
+        value: DEFAULT_PROJECT_STATUS_RULES,
+        category: 'projects',
+        description: 'Allowed project status transitions, statuses that need a reason and completion requirements',
+        isPublic: false,
+      },
+      {
+        key: 'duplicate_site_distance_meters',
+        value: DEFAULT_DUPLICATE_SITE_DISTANCE_METERS,
+        category: 'projects',
+        description: 'Distance in meters within which an existing well is flagged as a possible duplicate site',
+        isPublic: true,
+      },
+      {
+        key: 'water_quality_thresholds',
+        value: DEFAULT_WATER_QUALITY_THRESHOLDS,
+        category: 'water_quality',
+        description: 'Water quality parameters with units and pass limits (min / max) applied to well tests',
+        isPublic: true,
+      },
+      {
+        key: 'well_inspection_interval_months',
+        value: DEFAULT_INSPECTION_INTERVAL_MONTHS,
+        category: 'projects',
+        description: 'Months between monitoring inspections of a handed-over well',
+        isPublic: true,
+      },
     ];
 
     for (const setting of defaultSettings) {
       await Settings.findOneAndUpdate(
-        { key: setting.key },
+        { key: setting.key, tenant: null },
         setting,
         { upsert: true, new: true }
       );
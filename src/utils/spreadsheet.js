@@ -0,0 +1,93 @@
+const path = require('path');
+const { Readable } = require('stream');
+const ExcelJS = require('exceljs');
+
+// Helper: 'Full Name' / 'full_name' / 'fullName' -> 'fullname'
+const normalizeHeader = (header) => String(header || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// Helper: Plain value of an ExcelJS cell (hyperlinks, rich text and formulas included)
+const cellValue = (value) => {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value;
+  if (typeof value === 'object') {
+    if (value.text !== undefined) return cellValue(value.text);
+    if (Array.isArray(value.richText)) return value.richText.map((part) => part.text).join('');
+    if (value.result !== undefined) return cellValue(value.result);
+    return '';
+  }
+  return typeof value === 'string' ? value.trim() : value;
+};
+
+/**
+ * Read the first worksheet of an uploaded XLSX or CSV file
+ * @param {Object} file - Multer file (memory storage)
+ * @param {Object} columns - { field: ['header', 'alias', ...] } mapping accepted headers to fields
+ * @returns {Promise<Object>} { rows: [{ rowNumber, data }], missingColumns }
+ */
+const readSpreadsheet = async (file, columns) => {
+  const workbook = new ExcelJS.Workbook();
+  let worksheet;
+
+  if (path.extname(file.originalname).toLowerCase() === '.csv') {
+    // Keep CSV values as text so phone numbers and codes keep their leading zeros
+    worksheet = await workbook.csv.read(Readable.from(file.buffer), { map: (value) => value });
+  } else {
+    await workbook.xlsx.load(file.buffer);
+    worksheet = workbook.worksheets[0];
+  }
+
+  if (!worksheet || worksheet.rowCount === 0) {
+    return { rows: [], missingColumns: Object.keys(columns) };
+  }
+
+  // Map header cells to fields
+  const aliases = new Map();
+  Object.entries(columns).forEach(([field, headers]) => {
+    [field, ...headers].forEach((header) => aliases.set(normalizeHeader(header), field));
+  });
+
+  const fieldByColumn = {};
+  worksheet.getRow(1).eachCell((cell, colNumber) => {
+    const field = aliases.get(normalizeHeader(cellValue(cell.value)));
+    if (field) fieldByColumn[colNumber] = field;
+  });
+  const foundFields = new Set(Object.values(fieldByColumn));
+  const missingColumns = Object.keys(columns).filter((field) => !foundFields.has(field));
+
+  const rows = [];
+  worksheet.eachRow((row, rowNumber) => {
+    if (rowNumber === 1) return;
+
+    const data = {};
+    Object.entries(fieldByColumn).forEach(([colNumber, field]) => {
+      data[field] = cellValue(row.getCell(Number(colNumber)).value);
+    });
+
+    // Skip blank lines
+    if (Object.values(data).some((value) => value !== '')) {
+      rows.push({ rowNumber, data });
+    }
+  });
+
+  return { rows, missingColumns };
+};
+
+/**
+ * Build an XLSX template with a header row and optional example rows
+ * @param {String} sheetName - Worksheet name
+ * @param {Array} columns - [{ header, key, width }]
+ * @param {Array} examples - Example rows keyed by column key
+ * @returns {Promise<Buffer>}
+ */
+const buildTemplate = async (sheetName, columns, examples = []) => {
+  const workbook = new ExcelJS.Workbook();
+  const worksheet = workbook.addWorksheet(sheetName);
+
+  worksheet.columns = columns;
+  worksheet.getRow(1).font = { bold: true };
+  examples.forEach((example) => worksheet.addRow(example));
+
+  return await workbook.xlsx.writeBuffer();
+};
+
+module.exports = { readSpreadsheet, buildTemplate, normalizeHeader };
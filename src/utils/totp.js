@@ -0,0 +1,138 @@
+const crypto = require('crypto');
+
+// RFC 4648 base32 alphabet (used by authenticator apps for secrets)
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const DEFAULT_STEP = 30; // seconds
+const DEFAULT_DIGITS = 6;
+
+// Encode a buffer as base32 (no padding)
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+};
+
+// Decode a base32 string (case-insensitive, ignores spaces and padding)
+const base32Decode = (input) => {
+  const cleaned = input.toUpperCase().replace(/[\s=]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+};
+
+// Generate a random base32 secret (160 bits, as recommended by RFC 4226)
+const generateSecret = (size = 20) => base32Encode(crypto.randomBytes(size));
+
+/**
+ * Generate an HOTP value (RFC 4226)
+ * @param {Buffer} key - Shared secret
+ * @param {Number} counter - Moving factor
+ * @param {Number} digits - Code length
+ * @returns {String} Zero-padded code
+ */
+const generateHOTP = (key, counter, digits = DEFAULT_DIGITS) => {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', key).update(counterBuffer).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary =
+    ((hmac[offset] & 0x7f) << 24) |
+    ((hmac[offset + 1] & 0xff) << 16) |
+    ((hmac[offset + 2] & 0xff) << 8) |
+    (hmac[offset + 3] & 0xff);
+
+  return String(binary % 10 ** digits).padStart(digits, '0');
+};
+
+// Time step counter for a timestamp (milliseconds)
+const getTimeStep = (time = Date.now(), step = DEFAULT_STEP) => Math.floor(time / 1000 / step);
+
+/**
+ * Generate a TOTP code (RFC 6238)
+ * @param {String} secret - Base32 secret
+ * @param {Object} options - { time, step, digits }
+ * @returns {String} Code
+ */
+const generateTOTP = (secret, { time = Date.now(), step = DEFAULT_STEP, digits = DEFAULT_DIGITS } = {}) => {
+  return generateHOTP(base32Decode(secret), getTimeStep(time, step), digits);
+};
+
+/**
+ * Verify a TOTP code, allowing for clock drift
+ * @param {String} secret - Base32 secret
+ * @param {String} token - Code entered by the user
+ * @param {Object} options - { time, step, digits, window, lastUsedStep (steps up to it are replays) }
+ * @returns {Number|null} Matched time step (for replay protection) or null
+ */
+const verifyTOTP = (
+  secret,
+  token,
+  { time = Date.now(), step = DEFAULT_STEP, digits = DEFAULT_DIGITS, window = 1, lastUsedStep = null } = {}
+) => {
+  const code = String(token || '').replace(/\s/g, '');
+  if (!/^\d+$/.test(code) || code.length !== digits) return null;
+
+  const key = base32Decode(secret);
+  const currentStep = getTimeStep(time, step);
+
+  for (let offset = -window; offset <= window; offset++) {
+    if (lastUsedStep !== null && currentStep + offset <= lastUsedStep) continue;
+    const candidate = generateHOTP(key, currentStep + offset, digits);
+    if (crypto.timingSafeEqual(Buffer.from(candidate), Buffer.from(code))) {
+      return currentStep + offset;
+    }
+  }
+  return null;
+};
+
+// Build the otpauth:// URI that authenticator apps read from a QR code
+const buildOtpAuthUri = ({ secret, accountName, issuer }) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DEFAULT_DIGITS),
+    period: String(DEFAULT_STEP),
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateHOTP,
+  generateTOTP,
+  verifyTOTP,
+  buildOtpAuthUri,
+};
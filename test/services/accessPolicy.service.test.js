@@ -0,0 +1,419 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Project = require('../../src/models/Project');
+const accessPolicy = require('../../src/services/accessPolicy.service');
+const { ROLES, REPORT_STATUS, PROJECT_MEMBER_ROLES } = require('../../src/utils/constants');
+
+const id = () => new mongoose.Types.ObjectId();
+
+// Helper: Compare filters by value (ObjectIds become hex strings)
+const plain = (value) => JSON.parse(JSON.stringify(value));
+
+const TENANT_A = id();
+const TENANT_B = id();
+
+// One user per system role in organization A, plus a custom role on a project team
+const users = {
+  superAdmin: { _id: id(), role: ROLES.SUPER_ADMIN, tenant: null },
+  admin: { _id: id(), role: ROLES.ADMIN, tenant: TENANT_A },
+  viewer: { _id: id(), role: ROLES.VIEWER, tenant: TENANT_A },
+  projectManager: { _id: id(), role: ROLES.PROJECT_MANAGER, tenant: TENANT_A },
+  contractor: { _id: id(), role: ROLES.CONTRACTOR, tenant: TENANT_A },
+  fieldEngineer: { _id: id(), role: 'field_engineer', tenant: TENANT_A },
+  client: { _id: id(), role: ROLES.CLIENT, tenant: TENANT_A },
+};
+const otherManager = id();
+const otherUser = id();
+
+const projects = {
+  // Team: project manager, contractor and field engineer (supervisor); linked to the client
+  teamProject: {
+    _id: id(),
+    tenant: TENANT_A,
+    isArchived: false,
+    clientAccount: users.client._id,
+    members: [
+      { user: users.projectManager._id, role: PROJECT_MEMBER_ROLES.PROJECT_MANAGER },
+      { user: users.contractor._id, role: PROJECT_MEMBER_ROLES.LEAD_CONTRACTOR },
+      { user: users.fieldEngineer._id, role: PROJECT_MEMBER_ROLES.SUPERVISOR },
+    ],
+  },
+  // Same organization, none of the users on the team
+  otherProject: {
+    _id: id(),
+    tenant: TENANT_A,
+    isArchived: false,
+    clientAccount: otherUser,
+    members: [{ user: otherManager, role: PROJECT_MEMBER_ROLES.PROJECT_MANAGER }],
+  },
+  // Archived project of the client
+  archivedProject: {
+    _id: id(),
+    tenant: TENANT_A,
+    isArchived: true,
+    clientAccount: users.client._id,
+    members: [{ user: otherManager, role: PROJECT_MEMBER_ROLES.PROJECT_MANAGER }],
+  },
+  // Other organization, with organization A's users wrongly on the team
+  foreignProject: {
+    _id: id(),
+    tenant: TENANT_B,
+    isArchived: false,
+    clientAccount: users.client._id,
+    members: [
+      { user: users.projectManager._id, role: PROJECT_MEMBER_ROLES.PROJECT_MANAGER },
+      { user: users.contractor._id, role: PROJECT_MEMBER_ROLES.LEAD_CONTRACTOR },
+    ],
+  },
+};
+
+const reports = {
+  teamReport: {
+    tenant: TENANT_A,
+    project: projects.teamProject._id,
+    submittedBy: users.contractor._id,
+    status: REPORT_STATUS.SUBMITTED,
+  },
+  otherReport: {
+    tenant: TENANT_A,
+    project: projects.otherProject._id,
+    submittedBy: otherUser,
+    status: REPORT_STATUS.SUBMITTED,
+  },
+  // Draft the contractor wrote on a project they are no longer on
+  ownDraft: {
+    tenant: TENANT_A,
+    project: projects.otherProject._id,
+    submittedBy: users.contractor._id,
+    status: REPORT_STATUS.DRAFT,
+  },
+  foreignReport: {
+    tenant: TENANT_B,
+    project: projects.foreignProject._id,
+    submittedBy: users.contractor._id,
+    status: REPORT_STATUS.DRAFT,
+  },
+};
+
+const payments = {
+  teamPayment: { tenant: TENANT_A, project: projects.teamProject._id, recipient: users.projectManager._id },
+  contractorPayment: { tenant: TENANT_A, project: projects.otherProject._id, recipient: users.contractor._id },
+  foreignPayment: { tenant: TENANT_B, project: projects.foreignProject._id, recipient: users.contractor._id },
+};
+
+const accounts = {
+  sameTenant: { _id: otherUser, tenant: TENANT_A },
+  otherTenant: { _id: id(), tenant: TENANT_B },
+};
+
+// Helper: Whether a project matches the subset of Mongo filters the policy builds
+const matches = (project, filter) =>
+  Object.entries(filter).every(([key, value]) => {
+    if (key === 'members') {
+      const { user, role } = value.$elemMatch;
+      return project.members.some((m) => m.user.equals(user) && (!role || role.$in.includes(m.role)));
+    }
+    return String(project[key] ?? null) === String(value ?? null);
+  });
+
+before(() => {
+  const all = Object.values(projects);
+  mock.method(Project, 'find', (filter) => {
+    const found = all.filter((project) => matches(project, filter));
+    return {
+      distinct: async (field) => found.map((project) => project[field]),
+      select: async () => found,
+    };
+  });
+  mock.method(Project, 'findById', (projectId) => {
+    const found = all.find((project) => project._id.equals(projectId)) || null;
+    return { select: () => ({ lean: async () => found }) };
+  });
+});
+
+after(() => mock.restoreAll());
+
+// Helper: Run an access check for every role against a set of records
+const checkMatrix = (check, entityType, docs, expected) => {
+  for (const [userKey, allowed] of Object.entries(expected)) {
+    it(`${userKey}`, async () => {
+      const results = {};
+      for (const docKey of Object.keys(docs)) {
+        results[docKey] = await accessPolicy[check](users[userKey], entityType, docs[docKey]);
+      }
+      assert.deepEqual(results, allowed);
+    });
+  }
+};
+
+describe('accessPolicy.getFilter', () => {
+  const tenantA = { tenant: TENANT_A.toString() };
+  const nothing = { _id: { $in: [] } };
+  const memberOf = (user) => ({ ...tenantA, members: { $elemMatch: { user: user._id.toString() } } });
+
+  describe('project', () => {
+    const expected = {
+      superAdmin: {},
+      admin: tenantA,
+      viewer: tenantA,
+      projectManager: memberOf(users.projectManager),
+      contractor: memberOf(users.contractor),
+      fieldEngineer: memberOf(users.fieldEngineer),
+      client: { ...tenantA, clientAccount: users.client._id.toString(), isArchived: false },
+    };
+    for (const [userKey, filter] of Object.entries(expected)) {
+      it(userKey, async () => {
+        assert.deepEqual(plain(await accessPolicy.getFilter(users[userKey], 'project')), filter);
+      });
+    }
+  });
+
+  describe('report', () => {
+    const teamProjects = { $in: [projects.teamProject._id.toString()] };
+    const expected = {
+      superAdmin: {},
+      admin: tenantA,
+      viewer: tenantA,
+      projectManager: { ...tenantA, project: teamProjects },
+      contractor: {
+        ...tenantA,
+        $or: [{ submittedBy: users.contractor._id.toString() }, { project: teamProjects }],
+      },
+      fieldEngineer: { ...tenantA, project: teamProjects },
+      client: nothing,
+    };
+    for (const [userKey, filter] of Object.entries(expected)) {
+      it(userKey, async () => {
+        assert.deepEqual(plain(await accessPolicy.getFilter(users[userKey], 'report')), filter);
+      });
+    }
+  });
+
+  describe('payment', () => {
+    const teamProjects = { $in: [projects.teamProject._id.toString()] };
+    const ownOrTeam = (user) => ({
+      ...tenantA,
+      $or: [{ recipient: user._id.toString() }, { project: teamProjects }],
+    });
+    const expected = {
+      superAdmin: {},
+      admin: tenantA,
+      viewer: tenantA,
+      projectManager: ownOrTeam(users.projectManager),
+      contractor: ownOrTeam(users.contractor),
+      fieldEngineer: ownOrTeam(users.fieldEngineer),
+      client: nothing,
+    };
+    for (const [userKey, filter] of Object.entries(expected)) {
+      it(userKey, async () => {
+        assert.deepEqual(plain(await accessPolicy.getFilter(users[userKey], 'payment')), filter);
+      });
+    }
+  });
+
+  describe('user', () => {
+    for (const userKey of Object.keys(users)) {
+      it(userKey, async () => {
+        const expected = userKey === 'superAdmin' ? {} : tenantA;
+        assert.deepEqual(plain(await accessPolicy.getFilter(users[userKey], 'user')), expected);
+      });
+    }
+  });
+
+  describe('organization', () => {
+    it('narrows a super admin to the requested organization', async () => {
+      for (const entityType of ['project', 'report', 'payment', 'user']) {
+        const filter = await accessPolicy.getFilter(users.superAdmin, entityType, { tenant: TENANT_B.toString() });
+        assert.ok(filter.tenant instanceof mongoose.Types.ObjectId, entityType);
+        assert.deepEqual(plain(filter), { tenant: TENANT_B.toString() }, entityType);
+      }
+    });
+
+    it('is ignored for everyone else', async () => {
+      for (const userKey of Object.keys(users).filter((key) => key !== 'superAdmin')) {
+        for (const entityType of ['project', 'report', 'payment', 'user']) {
+          const user = users[userKey];
+          const filter = await accessPolicy.getFilter(user, entityType, { tenant: TENANT_B.toString() });
+          assert.deepEqual(plain(filter), plain(await accessPolicy.getFilter(user, entityType)), `${userKey} ${entityType}`);
+        }
+      }
+    });
+  });
+
+  it('rejects unknown entity types', async () => {
+    await assert.rejects(accessPolicy.getFilter(users.admin, 'invoice'), /No access policy/);
+  });
+});
+
+describe('accessPolicy.canRead', () => {
+  describe('project', () => {
+    const row = (team, other, archived, foreign) => ({
+      teamProject: team,
+      otherProject: other,
+      archivedProject: archived,
+      foreignProject: foreign,
+    });
+    checkMatrix('canRead', 'project', projects, {
+      superAdmin: row(true, true, true, true),
+      admin: row(true, true, true, false),
+      viewer: row(true, true, true, false),
+      projectManager: row(true, false, false, false),
+      contractor: row(true, false, false, false),
+      fieldEngineer: row(true, false, false, false),
+      client: row(true, false, false, false),
+    });
+  });
+
+  describe('report', () => {
+    const row = (team, other, draft, foreign) => ({
+      teamReport: team,
+      otherReport: other,
+      ownDraft: draft,
+      foreignReport: foreign,
+    });
+    checkMatrix('canRead', 'report', reports, {
+      superAdmin: row(true, true, true, true),
+      admin: row(true, true, true, false),
+      viewer: row(true, true, true, false),
+      projectManager: row(true, false, false, false),
+      contractor: row(true, false, true, false),
+      fieldEngineer: row(true, false, false, false),
+      client: row(false, false, false, false),
+    });
+  });
+
+  describe('payment', () => {
+    const row = (team, own, foreign) => ({ teamPayment: team, contractorPayment: own, foreignPayment: foreign });
+    checkMatrix('canRead', 'payment', payments, {
+      superAdmin: row(true, true, true),
+      admin: row(true, true, false),
+      viewer: row(true, true, false),
+      projectManager: row(true, false, false),
+      contractor: row(true, true, false),
+      fieldEngineer: row(true, false, false),
+      client: row(false, false, false),
+    });
+  });
+
+  describe('user', () => {
+    const row = (same, other) => ({ sameTenant: same, otherTenant: other });
+    checkMatrix('canRead', 'user', accounts, {
+      superAdmin: row(true, true),
+      admin: row(true, false),
+      viewer: row(true, false),
+      projectManager: row(true, false),
+      contractor: row(true, false),
+      fieldEngineer: row(true, false),
+      client: row(true, false),
+    });
+  });
+
+  it('denies missing records', async () => {
+    assert.equal(await accessPolicy.canRead(users.superAdmin, 'project', null), false);
+  });
+});
+
+describe('accessPolicy.canWrite', () => {
+  describe('project', () => {
+    const row = (team, other, archived, foreign) => ({
+      teamProject: team,
+      otherProject: other,
+      archivedProject: archived,
+      foreignProject: foreign,
+    });
+    checkMatrix('canWrite', 'project', projects, {
+      superAdmin: row(true, true, true, true),
+      admin: row(true, true, true, false),
+      viewer: row(false, false, false, false),
+      projectManager: row(true, false, false, false),
+      contractor: row(false, false, false, false),
+      fieldEngineer: row(false, false, false, false),
+      client: row(false, false, false, false),
+    });
+  });
+
+  describe('report', () => {
+    const row = (team, other, draft, foreign) => ({
+      teamReport: team,
+      otherReport: other,
+      ownDraft: draft,
+      foreignReport: foreign,
+    });
+    checkMatrix('canWrite', 'report', reports, {
+      superAdmin: row(true, true, true, true),
+      admin: row(true, true, true, false),
+      viewer: row(false, false, false, false),
+      projectManager: row(true, false, false, false),
+      contractor: row(false, false, true, false),
+      fieldEngineer: row(true, false, false, false),
+      client: row(false, false, false, false),
+    });
+  });
+
+  describe('payment', () => {
+    const row = (team, own, foreign) => ({ teamPayment: team, contractorPayment: own, foreignPayment: foreign });
+    checkMatrix('canWrite', 'payment', payments, {
+      superAdmin: row(true, true, true),
+      admin: row(true, true, false),
+      viewer: row(false, false, false),
+      projectManager: row(true, false, false),
+      contractor: row(false, true, false),
+      fieldEngineer: row(false, false, false),
+      client: row(false, false, false),
+    });
+  });
+
+  describe('user', () => {
+    const row = (same, other) => ({ sameTenant: same, otherTenant: other });
+    checkMatrix('canWrite', 'user', accounts, {
+      superAdmin: row(true, true),
+      admin: row(true, false),
+      viewer: row(false, false),
+      projectManager: row(false, false),
+      contractor: row(false, false),
+      fieldEngineer: row(false, false),
+      client: row(false, false),
+    });
+  });
+});
+
+describe('accessPolicy.getRecipientFilter', () => {
+  const base = (user) => ({ isActive: true, _id: { $ne: user._id.toString() } });
+  const admins = { $or: [{ role: ROLES.SUPER_ADMIN }, { role: ROLES.ADMIN, tenant: TENANT_A.toString() }] };
+  const adminsOr = (user, ids) => ({
+    ...base(user),
+    $or: [admins, { _id: { $in: ids.map((u) => u._id.toString()) } }],
+  });
+
+  const expected = {
+    superAdmin: base(users.superAdmin),
+    admin: { ...base(users.admin), $or: [{ role: ROLES.SUPER_ADMIN }, { tenant: TENANT_A.toString() }] },
+    viewer: { _id: { $in: [] } },
+    // The whole team and the client of managed projects (foreign teams excluded)
+    projectManager: adminsOr(users.projectManager, [
+      users.projectManager,
+      users.contractor,
+      users.fieldEngineer,
+      users.client,
+    ]),
+    // Managers and supervisors of their projects
+    contractor: adminsOr(users.contractor, [users.projectManager, users.fieldEngineer]),
+    fieldEngineer: adminsOr(users.fieldEngineer, [users.projectManager, users.fieldEngineer]),
+    // Managers of active projects only
+    client: adminsOr(users.client, [users.projectManager]),
+  };
+
+  for (const [userKey, filter] of Object.entries(expected)) {
+    it(userKey, async () => {
+      assert.deepEqual(plain(await accessPolicy.getRecipientFilter(users[userKey])), filter);
+    });
+  }
+
+  it('is what getFilter returns for recipients', async () => {
+    assert.deepEqual(
+      plain(await accessPolicy.getFilter(users.contractor, 'recipient')),
+      plain(await accessPolicy.getRecipientFilter(users.contractor))
+    );
+  });
+});
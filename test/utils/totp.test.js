@@ -0,0 +1,123 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateHOTP,
+  generateTOTP,
+  verifyTOTP,
+} = require('../../src/utils/totp');
+
+// RFC 6238 appendix B: SHA-1 seed "12345678901234567890", 8 digits, 30 second steps
+const RFC_SECRET = base32Encode(Buffer.from('12345678901234567890'));
+const RFC_VECTORS = [
+  { seconds: 59, code: '94287082' },
+  { seconds: 1111111109, code: '07081804' },
+  { seconds: 1111111111, code: '14050471' },
+  { seconds: 1234567890, code: '89005924' },
+  { seconds: 2000000000, code: '69279037' },
+  { seconds: 20000000000, code: '65353130' },
+];
+
+// RFC 4226 appendix D: HOTP values for counters 0-9 with the same seed
+const HOTP_VECTORS = ['755224', '287082', '359152', '969429', '338314', '254676', '287922', '162583', '399871', '520489'];
+
+const STEP_MS = 30 * 1000;
+const NOW = 1700000000000;
+const secret = generateSecret();
+
+describe('base32', () => {
+  it('encodes the RFC seed as authenticator apps expect', () => {
+    assert.equal(RFC_SECRET, 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+  });
+
+  it('decodes what it encodes, ignoring case, spaces and padding', () => {
+    const bytes = Buffer.from([0, 1, 2, 250, 251, 252, 253]);
+    const encoded = base32Encode(bytes);
+    assert.deepEqual(base32Decode(encoded), bytes);
+    assert.deepEqual(base32Decode(`${encoded.toLowerCase().replace(/(.{4})/g, '$1 ')}==`), bytes);
+  });
+
+  it('rejects characters outside the alphabet', () => {
+    assert.throws(() => base32Decode('ABC1'), /Invalid base32 character/);
+  });
+});
+
+describe('generateHOTP', () => {
+  HOTP_VECTORS.forEach((code, counter) => {
+    it(`matches RFC 4226 for counter ${counter}`, () => {
+      assert.equal(generateHOTP(Buffer.from('12345678901234567890'), counter), code);
+    });
+  });
+});
+
+describe('generateTOTP', () => {
+  for (const { seconds, code } of RFC_VECTORS) {
+    it(`matches RFC 6238 at ${seconds}s`, () => {
+      assert.equal(generateTOTP(RFC_SECRET, { time: seconds * 1000, digits: 8 }), code);
+    });
+  }
+});
+
+describe('verifyTOTP', () => {
+  for (const { seconds, code } of RFC_VECTORS) {
+    it(`accepts the RFC 6238 code at ${seconds}s and returns its time step`, () => {
+      assert.equal(verifyTOTP(RFC_SECRET, code, { time: seconds * 1000, digits: 8 }), Math.floor(seconds / 30));
+    });
+  }
+
+  it('accepts codes from one step before and after the current one', () => {
+    const step = Math.floor(NOW / STEP_MS);
+    const previous = generateTOTP(secret, { time: NOW - STEP_MS });
+    const next = generateTOTP(secret, { time: NOW + STEP_MS });
+
+    assert.equal(verifyTOTP(secret, previous, { time: NOW }), step - 1);
+    assert.equal(verifyTOTP(secret, next, { time: NOW }), step + 1);
+  });
+
+  it('rejects codes outside the drift window', () => {
+    const old = generateTOTP(secret, { time: NOW - 2 * STEP_MS });
+    const early = generateTOTP(secret, { time: NOW + 2 * STEP_MS });
+
+    assert.equal(verifyTOTP(secret, old, { time: NOW }), null);
+    assert.equal(verifyTOTP(secret, early, { time: NOW }), null);
+    assert.equal(verifyTOTP(secret, old, { time: NOW, window: 2 }), Math.floor(NOW / STEP_MS) - 2);
+  });
+
+  it('rejects malformed codes', () => {
+    const code = generateTOTP(secret, { time: NOW });
+
+    assert.equal(verifyTOTP(secret, '', { time: NOW }), null);
+    assert.equal(verifyTOTP(secret, code.slice(1), { time: NOW }), null);
+    assert.equal(verifyTOTP(secret, `${code}0`, { time: NOW }), null);
+    assert.equal(verifyTOTP(secret, 'abcdef', { time: NOW }), null);
+  });
+
+  it('ignores spaces inside a code', () => {
+    const code = generateTOTP(secret, { time: NOW });
+    assert.equal(verifyTOTP(secret, `${code.slice(0, 3)} ${code.slice(3)}`, { time: NOW }), Math.floor(NOW / STEP_MS));
+  });
+
+  it('rejects a replayed code once its step is the last used one', () => {
+    const code = generateTOTP(secret, { time: NOW });
+    const step = verifyTOTP(secret, code, { time: NOW });
+
+    assert.equal(step, Math.floor(NOW / STEP_MS));
+    assert.equal(verifyTOTP(secret, code, { time: NOW, lastUsedStep: step }), null);
+  });
+
+  it('rejects codes from steps before the last used one', () => {
+    const step = Math.floor(NOW / STEP_MS);
+    const previous = generateTOTP(secret, { time: NOW - STEP_MS });
+
+    assert.equal(verifyTOTP(secret, previous, { time: NOW, lastUsedStep: step }), null);
+  });
+
+  it('accepts the next step after the last used one', () => {
+    const step = Math.floor(NOW / STEP_MS);
+    const next = generateTOTP(secret, { time: NOW + STEP_MS });
+
+    assert.equal(verifyTOTP(secret, next, { time: NOW, lastUsedStep: step }), step + 1);
+  });
+});